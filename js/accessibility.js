@@ -7,49 +7,7 @@
 (function () {
   'use strict';
 
-  // ============================================================
-  // WCAG 4.1.3 — Mensajes de estado para carrito
-  // ============================================================
-  const notificationArea = document.getElementById('notification-area');
-  const alertArea        = document.getElementById('alert-area');
-
-  function announce(message, isAlert = false) {
-    const area = isAlert ? alertArea : notificationArea;
-    if (!area) return;
-    area.textContent = '';
-    requestAnimationFrame(() => {
-      area.textContent = message;
-    });
-  }
-
-  // ============================================================
-  // Agregar al carrito
-  // ============================================================
-  document.querySelectorAll('.btn-add-cart').forEach(function (btn) {
-    btn.addEventListener('click', function () {
-      const productId   = btn.dataset.productId;
-      const productName = btn.closest('article')
-        ?.querySelector('.product-name a')
-        ?.textContent?.trim() || 'Producto';
-
-      // WCAG 1.3.1 + 4.1.3: notificar al usuario vía aria-live
-      announce(productName + ' agregado al carrito.');
-
-      // Actualizar contador (WCAG 4.1.3)
-      const cartCount = document.querySelector('.cart-count');
-      if (cartCount) {
-        const current = parseInt(cartCount.textContent) || 0;
-        const next = current + 1;
-        cartCount.textContent = next;
-        // WCAG 1.3.1 — aria-label descriptivo en el botón del carrito
-        const cartBtn = document.querySelector('.btn-cart');
-        if (cartBtn) {
-          cartBtn.setAttribute('aria-label',
-            'Carrito de compras, ' + next + ' artículo' + (next !== 1 ? 's' : ''));
-        }
-      }
-    });
-  });
+  const t = window.EP.i18n.t;
 
   // ============================================================
   // WCAG 4.1.2 — Menú hamburguesa: aria-expanded correcto
@@ -62,7 +20,7 @@
       const isOpen = mainNav.classList.toggle('is-open');
       menuBtn.setAttribute('aria-expanded', String(isOpen));
       menuBtn.setAttribute('aria-label',
-        isOpen ? 'Cerrar menú de navegación' : 'Abrir menú de navegación'
+        t(isOpen ? 'a11y.menu.close' : 'a11y.menu.open')
       );
       // Mover foco al nav cuando se abre (WCAG 2.4.3)
       if (isOpen) {
@@ -72,13 +30,13 @@
     });
 
     // Cerrar con Escape (WCAG 2.1.1)
-    document.addEventListener('keydown', function (e) {
-      if (e.key === 'Escape' && mainNav.classList.contains('is-open')) {
-        mainNav.classList.remove('is-open');
-        menuBtn.setAttribute('aria-expanded', 'false');
-        menuBtn.setAttribute('aria-label', 'Abrir menú de navegación');
-        menuBtn.focus();
-      }
+    window.EP.shortcuts.onEscape(function () {
+      if (!mainNav.classList.contains('is-open')) return false;
+      mainNav.classList.remove('is-open');
+      menuBtn.setAttribute('aria-expanded', 'false');
+      menuBtn.setAttribute('aria-label', t('a11y.menu.open'));
+      menuBtn.focus();
+      return true;
     });
   }
 
@@ -133,18 +91,26 @@
   });
 
   // ============================================================
-  // WCAG 1.3.1 — Tabla: indicar scroll horizontal en mobile
+  // WCAG 1.3.1 — Tabla: indicar scroll horizontal en mobile.
+  // Las tablas generadas después de cargar (p. ej. la comparación)
+  // llaman a EP.tableScrollHint() al repintarse.
   // ============================================================
-  const tableWrappers = document.querySelectorAll('.table-wrapper');
-  tableWrappers.forEach(function (wrapper) {
-    if (wrapper.scrollWidth > wrapper.clientWidth) {
+  window.EP.tableScrollHint = function (wrapper) {
+    const prev = wrapper.previousElementSibling;
+    const existing = prev && prev.classList.contains('table-scroll-hint') ? prev : null;
+    const overflows = wrapper.scrollWidth > wrapper.clientWidth;
+    if (overflows && !existing) {
       const hint = document.createElement('p');
       hint.className = 'table-scroll-hint';
-      hint.textContent = 'Desplaza horizontalmente para ver toda la tabla';
+      hint.textContent = t('a11y.tableScroll');
       hint.setAttribute('aria-live', 'polite');
       wrapper.parentNode.insertBefore(hint, wrapper);
+    } else if (!overflows && existing) {
+      existing.remove();
     }
-  });
+  };
+
+  document.querySelectorAll('.table-wrapper').forEach(window.EP.tableScrollHint);
 
   // ============================================================
   // WCAG 2.4.1 — Resaltar sección activa según scroll
@@ -188,13 +154,9 @@
   ============================================================ */
   const $ = (sel, ctx) => (ctx || document).querySelector(sel);
   const $$ = (sel, ctx) => (ctx || document).querySelectorAll(sel);
-
-  function savePrefs(p) {
-    try { localStorage.setItem('ep_a11y', JSON.stringify(p)); } catch (_) {}
-  }
-  function loadPrefs() {
-    try { return JSON.parse(localStorage.getItem('ep_a11y')) || {}; } catch (_) { return {}; }
-  }
+  const esc = window.EP.escapeHTML;
+  const i18n = window.EP.i18n;
+  const t = i18n.t;
 
   /* ============================================================
      ESTADO
@@ -207,11 +169,191 @@
     highlightLinks:  false,
     bigCursor:       false,
     readerEnabled:   false,
+    readingGuide:    'off',     // 'off' | 'line' | 'mask'
+    stopAnimations:  false,
+    colorFilter:     'none',    // 'none' | 'correct-…' | 'simulate-…' (protanopia, deuteranopia, tritanopia)
+    lowSaturation:   false,
+    hideImages:      false,
+    shortcuts:       true,      // atajos de teclado de js/shortcuts.js
+    shortcutKeys:    {},        // { id del atajo: teclas } reasignados por el usuario
+    voice:           '',        // voiceURI de speechSynthesis ('' = la del navegador)
+    rate:            0.95,      // 0.5 – 2
+    pitch:           1,         // 0 – 2
+  };
+
+  const CONTRASTS = [
+    { key: 'normal', icon: '☀️', label: t('a11y.contrast.normal') },
+    { key: 'high',   icon: '⬛', label: t('a11y.contrast.high') },
+    { key: 'dark',   icon: '🌙', label: t('a11y.contrast.dark') },
+    { key: 'invert', icon: '🔄', label: t('a11y.contrast.invert') },
+  ];
+
+  const GUIDES = [
+    { key: 'off',  icon: '⛔', label: t('a11y.guide.off') },
+    { key: 'line', icon: '📏', label: t('a11y.guide.line') },
+    { key: 'mask', icon: '🔦', label: t('a11y.guide.mask') },
+  ];
+
+  // Tipos de daltonismo; matrices de simulación de Machado et al. (2009),
+  // severidad máxima, en RGB lineal
+  const COLOR_DEFICIENCIES = [
+    { key: 'protanopia',   label: t('a11y.color.protanopia'),
+      sim: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]] },
+    { key: 'deuteranopia', label: t('a11y.color.deuteranopia'),
+      sim: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]] },
+    { key: 'tritanopia',   label: t('a11y.color.tritanopia'),
+      sim: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]] },
+  ];
+  const COLOR_FILTERS = ['none'].concat(
+    ...COLOR_DEFICIENCIES.map(d => ['correct-' + d.key, 'simulate-' + d.key]));
+
+  /* ============================================================
+     PERSISTENCIA CON VERSIÓN DE ESQUEMA
+     `ep_a11y` guarda { version, prefs }. Un perfil antiguo pasa por
+     MIGRATIONS (la n lleva de la versión n a la n + 1) y después
+     sanitize() descarta claves desconocidas o inválidas y completa
+     las que falten con `defaults`: agregar una opción nueva no
+     requiere migración.
+  ============================================================ */
+  const STORAGE_KEY = 'ep_a11y';
+  const SCHEMA_VERSION = 1;
+  const PROFILE_APP = 'electroparts-a11y';
+  const PROFILE_FILE = 'electroparts-accesibilidad.json';
+
+  const MIGRATIONS = [
+    // 0 → 1: las preferencias se guardaban sueltas, sin versión
+    data => ({ version: 1, prefs: data }),
+  ];
+
+  const VALIDATORS = {
+    fontScale:    v => Number.isInteger(v) && v >= -2 && v <= 2,
+    contrast:     v => CONTRASTS.some(c => c.key === v),
+    readingGuide: v => GUIDES.some(g => g.key === v),
+    colorFilter:  v => COLOR_FILTERS.indexOf(v) !== -1,
+    rate:         v => typeof v === 'number' && v >= 0.5 && v <= 2,
+    pitch:        v => typeof v === 'number' && v >= 0 && v <= 2,
+    shortcutKeys: v => !!v && typeof v === 'object' && !Array.isArray(v) &&
+      Object.keys(v).every(id => typeof v[id] === 'string' && v[id] !== ''),
   };
 
-  let prefs = Object.assign({}, defaults, loadPrefs());
+  function sanitize(raw) {
+    const clean = Object.assign({}, defaults);
+    if (!raw || typeof raw !== 'object') return clean;
+    Object.keys(defaults).forEach(key => {
+      const valid = VALIDATORS[key] || (v => typeof v === typeof defaults[key]);
+      if (key in raw && valid(raw[key])) clean[key] = raw[key];
+    });
+    return clean;
+  }
+
+  function hasVersion(data) {
+    return Number.isInteger(data.version) && data.version >= 0;
+  }
+
+  function isEnvelope(data) {
+    return !!data.prefs && typeof data.prefs === 'object' && !Array.isArray(data.prefs);
+  }
+
+  /** Datos guardados o importados (de cualquier versión) → prefs actuales. */
+  function migrate(data) {
+    if (!data || typeof data !== 'object') return Object.assign({}, defaults);
+    // Sin versión válida (ausente, negativa...) un objeto con `prefs` se
+    // toma como de la versión actual; uno plano, como de la 0
+    let version = hasVersion(data) ? data.version : isEnvelope(data) ? SCHEMA_VERSION : 0;
+    while (version < SCHEMA_VERSION) {
+      data = MIGRATIONS[version](data);
+      version++;
+    }
+    return sanitize(data.prefs);
+  }
+
+  function savePrefs(p) {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, prefs: p })); } catch (_) {}
+  }
+  function loadPrefs() {
+    let data = null;
+    try { data = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (_) {}
+    const loaded = migrate(data);
+    // Reescribe en el formato actual los perfiles de versiones anteriores;
+    // los de una versión más nueva se dejan como están
+    if (data && !(hasVersion(data) && data.version >= SCHEMA_VERSION)) savePrefs(loaded);
+    return loaded;
+  }
+
+  let prefs = loadPrefs();
   const html = document.documentElement;
 
+  /* ============================================================
+     PERFILES PREDEFINIDOS
+     Cada perfil fija las seis opciones visuales básicas; el lector,
+     la guía de lectura y los filtros quedan como estén.
+  ============================================================ */
+  const PRESET_KEYS = ['fontScale', 'contrast', 'spacing', 'dyslexia', 'highlightLinks', 'bigCursor'];
+
+  const PRESETS = [
+    { key: 'baja-vision', icon: '🔍', label: t('a11y.preset.baja-vision'),
+      desc: t('a11y.preset.baja-vision.desc'),
+      prefs: { fontScale: 2, contrast: 'high', spacing: true, dyslexia: false, highlightLinks: true, bigCursor: true } },
+    { key: 'dislexia', icon: '📖', label: t('a11y.preset.dislexia'),
+      desc: t('a11y.preset.dislexia.desc'),
+      prefs: { fontScale: 1, contrast: 'normal', spacing: true, dyslexia: true, highlightLinks: false, bigCursor: false } },
+    { key: 'motor', icon: '🖐️', label: t('a11y.preset.motor'),
+      desc: t('a11y.preset.motor.desc'),
+      prefs: { fontScale: 1, contrast: 'normal', spacing: true, dyslexia: false, highlightLinks: true, bigCursor: true } },
+  ];
+
+  function presetFor(p) {
+    return PRESETS.find(preset => PRESET_KEYS.every(key => preset.prefs[key] === p[key])) || null;
+  }
+
+  /* ============================================================
+     EXPORTAR E IMPORTAR
+     Archivo JSON o parámetro ?a11y= (perfil completo o nombre de
+     un perfil predefinido: ?a11y=dislexia).
+  ============================================================ */
+  function exportProfile() {
+    return { app: PROFILE_APP, version: SCHEMA_VERSION, prefs: Object.assign({}, prefs) };
+  }
+
+  /** Texto JSON u objeto → prefs, o null si no es un perfil. */
+  function importProfile(data) {
+    if (typeof data === 'string') {
+      const preset = PRESETS.find(p => p.key === data);
+      if (preset) return Object.assign({}, prefs, preset.prefs);
+      try { data = JSON.parse(data); } catch (_) { return null; }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    if (data.app !== undefined && data.app !== PROFILE_APP) return null;
+    if (data.version !== undefined && !(Number.isInteger(data.version) && data.version >= 0)) return null;
+    const raw = isEnvelope(data) ? data.prefs : data;
+    if (!Object.keys(defaults).some(key => key in raw)) return null;
+    return migrate(data);
+  }
+
+  function shareUrl() {
+    const url = new URL(location.href);
+    url.hash = '';
+    url.searchParams.set('a11y', JSON.stringify(exportProfile().prefs));
+    return url.href;
+  }
+
+  // Perfil recibido por URL: se aplica, se guarda y se quita de la URL
+  let urlMessage = null;
+  const urlParams = new URLSearchParams(location.search);
+  if (urlParams.has('a11y')) {
+    const imported = importProfile(urlParams.get('a11y'));
+    if (imported) {
+      prefs = imported;
+      savePrefs(prefs);
+      urlMessage = { text: t('a11y.url.applied') };
+    } else {
+      urlMessage = { text: t('a11y.url.invalid'), alert: true };
+    }
+    urlParams.delete('a11y');
+    const query = urlParams.toString();
+    history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+  }
+
   /* ============================================================
      APLICAR ESTILOS
   ============================================================ */
@@ -233,6 +375,109 @@
   function applyBigCursor(on) {
     html.classList.toggle('a11y-big-cursor', on);
   }
+  function applyLowSaturation(on) {
+    html.classList.toggle('a11y-low-saturation', on);
+  }
+  function applyHideImages(on) {
+    html.classList.toggle('a11y-hide-images', on);
+  }
+
+  /* --- Detener animaciones: transiciones CSS y vídeo/audio en curso --- */
+  function applyStopAnimations(on) {
+    html.classList.toggle('a11y-stop-animations', on);
+    if (!on) return;
+    $$('video, audio').forEach(media => {
+      media.autoplay = false;
+      if (!media.paused) media.pause();
+    });
+  }
+
+  /* --- Filtros de color (SVG feColorMatrix) ---
+     Simular aplica la matriz de Machado; corregir redistribuye en los
+     canales visibles el color que se pierde (daltonización). */
+  const COLOR_SHIFT = {
+    protanopia:   [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    deuteranopia: [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]],
+    tritanopia:   [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]],
+  };
+
+  function multiply(a, b) {
+    return a.map(row => b[0].map((_, j) => row.reduce((sum, v, k) => sum + v * b[k][j], 0)));
+  }
+  function correction(sim, shift) {
+    // C = I + shift · (I − sim)
+    const error = sim.map((row, i) => row.map((v, j) => (i === j ? 1 : 0) - v));
+    return multiply(shift, error).map((row, i) => row.map((v, j) => v + (i === j ? 1 : 0)));
+  }
+  function matrixValues(m) {
+    return m.map(row => row.map(v => v.toFixed(6)).join(' ') + ' 0 0').join(' ') + ' 0 0 0 1 0';
+  }
+
+  let colorFilterSvg = null;
+  function ensureColorFilters() {
+    if (colorFilterSvg) return;
+    const filters = [];
+    COLOR_DEFICIENCIES.forEach(d => {
+      filters.push({ id: 'simulate-' + d.key, matrix: d.sim });
+      filters.push({ id: 'correct-' + d.key,  matrix: correction(d.sim, COLOR_SHIFT[d.key]) });
+    });
+    colorFilterSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    colorFilterSvg.setAttribute('aria-hidden', 'true');
+    colorFilterSvg.setAttribute('focusable', 'false');
+    colorFilterSvg.setAttribute('class', 'a11y-filter-defs');
+    colorFilterSvg.innerHTML = filters.map(f => `
+      <filter id="a11y-${f.id}">
+        <feColorMatrix type="matrix" values="${matrixValues(f.matrix)}"/>
+      </filter>`).join('');
+    document.body.appendChild(colorFilterSvg);
+  }
+
+  function applyColorFilter(key) {
+    if (key === 'none') {
+      delete html.dataset.colorFilter;
+      html.style.removeProperty('--a11y-filter-color');
+      return;
+    }
+    ensureColorFilters();
+    html.dataset.colorFilter = key;
+    html.style.setProperty('--a11y-filter-color', 'url(#a11y-' + key + ')');
+  }
+
+  /* --- Guía de lectura: sigue al puntero y al foco del teclado --- */
+  const guide = document.createElement('div');
+  guide.id = 'a11y-reading-guide';
+  guide.className = 'a11y-reading-guide';
+  guide.setAttribute('aria-hidden', 'true');
+  guide.hidden = true;
+  guide.innerHTML = '<div class="a11y-guide-top"></div><div class="a11y-guide-line"></div><div class="a11y-guide-bottom"></div>';
+  document.body.appendChild(guide);
+
+  let guideFrame = 0;
+  function moveGuide(y) {
+    cancelAnimationFrame(guideFrame);
+    guideFrame = requestAnimationFrame(() => guide.style.setProperty('--a11y-guide-y', Math.round(y) + 'px'));
+  }
+  function guidePointer(e) {
+    moveGuide(e.clientY);
+  }
+  function guideFocus(e) {
+    if (!e.target.getBoundingClientRect) return;
+    const r = e.target.getBoundingClientRect();
+    moveGuide(r.top + Math.min(r.height, window.innerHeight) / 2);
+  }
+
+  function applyReadingGuide(mode) {
+    const on = mode !== 'off';
+    guide.hidden = !on;
+    guide.dataset.mode = mode;
+    document[on ? 'addEventListener' : 'removeEventListener']('pointermove', guidePointer, { passive: true });
+    document[on ? 'addEventListener' : 'removeEventListener']('focusin', guideFocus);
+  }
+
+  function applyShortcuts(p) {
+    if (window.EP.shortcuts) window.EP.shortcuts.configure({ enabled: p.shortcuts, keys: p.shortcutKeys });
+  }
+
   function applyAll(p) {
     applyFontScale(p.fontScale);
     applyContrast(p.contrast);
@@ -240,26 +485,102 @@
     applyDyslexia(p.dyslexia);
     applyHighlightLinks(p.highlightLinks);
     applyBigCursor(p.bigCursor);
+    applyReadingGuide(p.readingGuide);
+    applyStopAnimations(p.stopAnimations);
+    applyColorFilter(p.colorFilter);
+    applyLowSaturation(p.lowSaturation);
+    applyHideImages(p.hideImages);
+    applyShortcuts(p);
   }
 
   applyAll(prefs);
 
   /* ============================================================
      LECTOR DE PANTALLA — Web Speech API
+     Voz, velocidad y tono salen de `prefs` (voice, rate, pitch); sin
+     voz elegida se lee en el idioma de la interfaz (js/i18n.js).
   ============================================================ */
   let readerActive = false;
+  const synth = window.speechSynthesis || null;
+
+  function findVoice(uri) {
+    if (!synth || !uri) return null;
+    return synth.getVoices().find(v => v.voiceURI === uri) || null;
+  }
+
+  function utterance(text) {
+    const u = new SpeechSynthesisUtterance(text);
+    const voice = findVoice(prefs.voice);
+    if (voice) u.voice = voice;
+    u.lang  = voice ? voice.lang : i18n.speechLang();
+    u.rate  = prefs.rate;
+    u.pitch = prefs.pitch;
+    return u;
+  }
 
   function stopSpeech() {
-    if (window.speechSynthesis) window.speechSynthesis.cancel();
+    if (synth) synth.cancel();
   }
   function speak(text, force) {
     if (!readerActive && !force) return;
-    if (!window.speechSynthesis) return;
+    // Mientras se lee la página, el foco y el cursor no la interrumpen
+    if (!synth || reading.active) return;
     stopSpeech();
-    const u = new SpeechSynthesisUtterance(text);
-    u.lang  = 'es-ES';
-    u.rate  = 0.95;
-    window.speechSynthesis.speak(u);
+    synth.speak(utterance(text));
+  }
+
+  /* ============================================================
+     TEXTO LEGIBLE
+     Omite lo oculto (aria-hidden, hidden) y usa el alt de las
+     imágenes; `skip` excluye además los elementos que coincidan.
+  ============================================================ */
+  function readableText(node, skip) {
+    if (node.nodeType === 3) return node.nodeValue;
+    if (node.nodeType !== 1) return '';
+    if (node.hidden || node.getAttribute('aria-hidden') === 'true' ||
+        /^(SCRIPT|STYLE|TEMPLATE|NOSCRIPT)$/.test(node.tagName) ||
+        (skip && node.matches(skip))) return '';
+    if (node.tagName === 'IMG') return ' ' + (node.getAttribute('alt') || '') + ' ';
+    return Array.from(node.childNodes).map(child => readableText(child, skip)).join(' ');
+  }
+  function cleanText(node, skip) {
+    return readableText(node, skip).replace(/\s+/g, ' ').trim();
+  }
+
+  /* ============================================================
+     WCAG 1.3.1 — Celdas con sus encabezados
+     "Potencia nominal, Valor: 0.25": encabezado de fila
+     (th scope="row") y de columna (th scope="col").
+  ============================================================ */
+  function columnIndex(cell) {
+    let index = 0;
+    for (let c = cell.previousElementSibling; c; c = c.previousElementSibling) index += c.colSpan || 1;
+    return index;
+  }
+
+  function cellHeaders(cell) {
+    const headers = [];
+    const rowHeader = cell.parentElement.querySelector('th[scope="row"]');
+    if (rowHeader && rowHeader !== cell) headers.push(cleanText(rowHeader));
+
+    const table = cell.closest('table');
+    const first = table && table.querySelector('th[scope="col"]');
+    if (first) {
+      const index = columnIndex(cell);
+      const colHeader = Array.from(first.parentElement.children).find(th =>
+        index >= columnIndex(th) && index < columnIndex(th) + (th.colSpan || 1));
+      // Los botones del encabezado (p. ej. "Quitar") no son parte del nombre
+      if (colHeader && colHeader !== cell && colHeader.matches('th[scope="col"]')) {
+        headers.push(cleanText(colHeader, 'button'));
+      }
+    }
+    return headers.filter(Boolean);
+  }
+
+  function cellLabel(cell) {
+    const headers = cellHeaders(cell);
+    const text = cleanText(cell) || t('a11y.speak.emptyCell');
+    return headers.length ? headers.join(', ') + ': ' + text : text;
   }
 
   function getLabel(el) {
@@ -268,12 +589,13 @@
       const ref = document.getElementById(el.getAttribute('aria-labelledby'));
       if (ref) return ref.textContent.trim();
     }
-    if (el.tagName === 'IMG') return el.getAttribute('alt') || 'imagen';
+    if (el.tagName === 'IMG') return el.getAttribute('alt') || t('a11y.speak.imageFallback');
     if (el.tagName === 'INPUT') {
       const lbl = $('label[for="' + el.id + '"]');
       if (lbl) return lbl.textContent.trim();
-      return el.placeholder || el.type || 'campo';
+      return el.placeholder || el.type || t('a11y.speak.fieldFallback');
     }
+    if (el.matches('td, th[scope="row"]')) return cellLabel(el);
     return el.textContent.trim().slice(0, 180) || el.tagName.toLowerCase();
   }
 
@@ -282,15 +604,15 @@
     const tag = el.tagName.toLowerCase();
     const label = getLabel(el);
     if (!label) return;
-    const prefixes = { a: 'Enlace: ', button: 'Botón: ', select: 'Selector: ' };
+    const roles = { a: 'a11y.speak.link', button: 'a11y.speak.button', select: 'a11y.speak.select' };
     const hdMatch = tag.match(/^h([1-6])$/);
-    const prefix = hdMatch
-      ? 'Encabezado nivel ' + hdMatch[1] + ': '
-      : (prefixes[tag] || (tag === 'input' ? 'Campo ' + (el.type || '') + ': ' : ''));
-    speak(prefix + label);
+    if (hdMatch) speak(t('a11y.speak.heading', { level: hdMatch[1], label }));
+    else if (roles[tag]) speak(t(roles[tag], { label }));
+    else if (tag === 'input') speak(t('a11y.speak.field', { type: el.type || '', label }));
+    else speak(label);
   }
   function readerHover(e) {
-    const el = e.target.closest('a,button,h1,h2,h3,h4,h5,h6,p,li,img,input,select,textarea,[role]');
+    const el = e.target.closest('a,button,h1,h2,h3,h4,h5,h6,p,li,td,th,img,input,select,textarea,[role]');
     if (el) speak(getLabel(el));
   }
 
@@ -299,7 +621,7 @@
     if (on) {
       document.addEventListener('focusin',   readerFocus);
       document.addEventListener('mouseover', readerHover);
-      speak('Lector de pantalla activado. Pasa el cursor o navega con Tab para escuchar.', true);
+      speak(t('a11y.speak.on'), true);
     } else {
       stopSpeech();
       document.removeEventListener('focusin',   readerFocus);
@@ -307,14 +629,280 @@
     }
   }
 
+  /* ============================================================
+     LECTURA CONTINUA — "Leer la página" / "Leer desde aquí"
+     Recorre los bloques de texto en orden de lectura (WCAG 1.3.2),
+     resalta el que suena y avisa al entrar en cada región.
+     Se puede pausar y saltar por encabezados o regiones (2.4.1).
+  ============================================================ */
+  const BLOCKS = 'h1,h2,h3,h4,h5,h6,p,li,dt,dd,caption,figcaption,blockquote,legend,td,a,button,img[alt]:not([alt=""])';
+  const UI_PARTS = '#a11y-panel, #a11y-fab, #a11y-reader-bar, .skip-link, [role="tooltip"]';
+  const LANDMARKS = 'header, nav, main, aside, footer, [role="region"], [role="search"],' +
+    'section[aria-label], section[aria-labelledby], form[aria-label], form[aria-labelledby]';
+
+  const LANDMARK_NAMES = {};
+  ['header', 'nav', 'main', 'aside', 'footer', 'section', 'form', 'region', 'search'].forEach(type => {
+    LANDMARK_NAMES[type] = t('a11y.landmark.' + type);
+  });
+
+  const reading = { active: false, paused: false, items: [], index: -1, token: 0, landmark: null, opener: null };
+
+  function isHidden(el) {
+    return !!el.closest('[hidden], [aria-hidden="true"], details:not([open]) > :not(summary)');
+  }
+
+  function landmarkName(el) {
+    const type = LANDMARK_NAMES[el.getAttribute('role')] || LANDMARK_NAMES[el.tagName.toLowerCase()];
+    const labelled = el.getAttribute('aria-labelledby');
+    const ref = labelled && document.getElementById(labelled);
+    const name = el.getAttribute('aria-label') || (ref ? cleanText(ref) : '');
+    return name && name !== type ? type + ': ' + name : type;
+  }
+
+  function itemText(el) {
+    const tag = el.tagName.toLowerCase();
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) return t('a11y.speak.heading', { level: heading[1], label: cleanText(el) });
+    if (tag === 'td') return cellLabel(el);
+    if (tag === 'img') return t('a11y.speak.image', { label: el.getAttribute('alt') });
+    const label = el.getAttribute('aria-label');
+    if (tag === 'a')      return t('a11y.speak.link', { label: label || cleanText(el) });
+    if (tag === 'button') return t('a11y.speak.button', { label: label || cleanText(el) });
+    return cleanText(el);
+  }
+
+  /** Bloques de la página en orden; los anidados se leen con su contenedor. */
+  function collectItems() {
+    const items = [];
+    $$(BLOCKS).forEach(el => {
+      if (el.closest(UI_PARTS) || isHidden(el)) return;
+      if (el.parentElement && el.parentElement.closest(BLOCKS)) return;
+      if (el.tagName !== 'IMG' && !cleanText(el)) return;
+      items.push({
+        el,
+        text: itemText(el),
+        heading: /^H[1-6]$/.test(el.tagName),
+        landmark: el.closest(LANDMARKS),
+      });
+    });
+    return items;
+  }
+
+  function highlight(el) {
+    $$('.a11y-reading').forEach(old => old.classList.remove('a11y-reading'));
+    if (!el) return;
+    el.classList.add('a11y-reading');
+    if (el.scrollIntoView) {
+      const reduce = prefs.stopAnimations ||
+        (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+      el.scrollIntoView({ block: 'center', behavior: reduce ? 'auto' : 'smooth' });
+    }
+  }
+
+  function readAt(index) {
+    const item = reading.items[index];
+    if (!item) { stopReading(t('a11y.read.end')); return; }
+    reading.index = index;
+    reading.paused = false;
+    highlight(item.el);
+
+    let text = item.text;
+    if (item.landmark !== reading.landmark) {
+      reading.landmark = item.landmark;
+      if (item.landmark) text = landmarkName(item.landmark) + '. ' + text;
+    }
+    // Cada bloque lleva su turno: al cancelar, el "end" del anterior no avanza
+    const token = ++reading.token;
+    const u = utterance(text);
+    u.onend = () => { if (token === reading.token) readAt(index + 1); };
+    u.onerror = e => {
+      if (token === reading.token && e.error !== 'interrupted' && e.error !== 'canceled') {
+        stopReading(t('a11y.read.error'), true);
+      }
+    };
+    synth.cancel();
+    synth.speak(u);
+    syncReaderBar();
+  }
+
+  /** Empieza a leer desde `from` (o desde el principio). */
+  function startReading(from) {
+    if (!synth) {
+      announce(t('a11y.read.unsupported'), true);
+      return;
+    }
+    reading.items = collectItems();
+    if (!reading.items.length) return;
+    let index = 0;
+    if (from) {
+      index = reading.items.findIndex(item => item.el.contains(from) ||
+        !!(from.compareDocumentPosition(item.el) & Node.DOCUMENT_POSITION_FOLLOWING));
+      if (index === -1) index = 0;
+    }
+    reading.active = true;
+    reading.landmark = null;
+    reading.opener = document.activeElement;
+    readerBar.hidden = false;
+    readAt(index);
+    $('[data-reader="toggle"]', readerBar).focus();
+  }
+
+  function stopReading(message, isAlert) {
+    if (!reading.active) return;
+    reading.active = false;
+    reading.paused = false;
+    reading.token++;
+    stopSpeech();
+    highlight(null);
+    const hadFocus = readerBar.contains(document.activeElement);
+    readerBar.hidden = true;
+    // WCAG 2.4.3: el foco vuelve a donde estaba al empezar
+    if (hadFocus) {
+      const back = reading.opener && document.contains(reading.opener) && !isHidden(reading.opener)
+        ? reading.opener : document.getElementById('main-content');
+      if (back) back.focus();
+    }
+    if (message) announce(message, isAlert);
+  }
+
+  // La pausa corta el bloque actual; al reanudar se repite desde su inicio
+  // (pause()/resume() de speechSynthesis fallan en varios navegadores)
+  function togglePause() {
+    if (reading.paused) {
+      readAt(reading.index);
+      return;
+    }
+    reading.paused = true;
+    reading.token++;
+    stopSpeech();
+    syncReaderBar();
+  }
+
+  function jump(step, test) {
+    for (let i = reading.index + step; i >= 0 && i < reading.items.length; i += step) {
+      if (test(reading.items[i])) { readAt(i); return; }
+    }
+    announce(t(step > 0 ? 'a11y.read.noneAfter' : 'a11y.read.noneBefore'));
+  }
+
+  // Primer bloque de la región a la que pertenece el bloque `index`
+  function regionStart(index) {
+    while (index > 0 && reading.items[index - 1].landmark === reading.items[index].landmark) index--;
+    return index;
+  }
+
+  const READER_ACTIONS = {
+    'prev-heading':  () => jump(-1, item => item.heading),
+    'next-heading':  () => jump(1, item => item.heading),
+    'prev-landmark': () => {
+      const start = regionStart(reading.index);
+      if (start === 0) announce(t('a11y.read.noneBefore'));
+      else readAt(regionStart(start - 1));
+    },
+    'next-landmark': () => {
+      const current = reading.items[reading.index].landmark;
+      jump(1, item => item.landmark !== current);
+    },
+    toggle: togglePause,
+    stop:   () => stopReading(t('a11y.read.stopped')),
+  };
+
+  /* --- Barra de controles (role="toolbar", flechas entre botones) --- */
+  const READER_BUTTONS = [
+    { action: 'prev-landmark', icon: '⇤', label: t('a11y.read.prevLandmark') },
+    { action: 'prev-heading',  icon: '⏮', label: t('a11y.read.prevHeading') },
+    { action: 'toggle',        icon: '⏸', label: t('a11y.read.pause') },
+    { action: 'next-heading',  icon: '⏭', label: t('a11y.read.nextHeading') },
+    { action: 'next-landmark', icon: '⇥', label: t('a11y.read.nextLandmark') },
+    { action: 'stop',          icon: '■', label: t('a11y.read.stop') },
+  ];
+
+  const readerBar = document.createElement('div');
+  readerBar.id = 'a11y-reader-bar';
+  readerBar.className = 'a11y-reader-bar';
+  readerBar.setAttribute('role', 'toolbar');
+  readerBar.setAttribute('aria-label', t('a11y.read.toolbar'));
+  readerBar.hidden = true;
+  readerBar.innerHTML = READER_BUTTONS.map(b => `
+    <button type="button" class="a11y-reader-btn" data-reader="${b.action}"
+      aria-label="${b.label}" title="${b.label}" tabindex="${b.action === 'toggle' ? 0 : -1}">
+      <span aria-hidden="true">${b.icon}</span>
+    </button>`).join('');
+  document.body.appendChild(readerBar);
+
+  function syncReaderBar() {
+    const toggle = $('[data-reader="toggle"]', readerBar);
+    const label = t(reading.paused ? 'a11y.read.resume' : 'a11y.read.pause');
+    toggle.setAttribute('aria-label', label);
+    toggle.title = label;
+    toggle.firstElementChild.textContent = reading.paused ? '▶' : '⏸';
+  }
+
+  readerBar.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-reader]');
+    if (btn && reading.active) READER_ACTIONS[btn.dataset.reader]();
+  });
+
+  readerBar.addEventListener('keydown', function (e) {
+    const buttons = Array.from($$('[data-reader]', readerBar));
+    const index = buttons.indexOf(document.activeElement);
+    let next = null;
+    if (e.key === 'ArrowRight') next = buttons[(index + 1) % buttons.length];
+    else if (e.key === 'ArrowLeft') next = buttons[(index - 1 + buttons.length) % buttons.length];
+    else if (e.key === 'Home') next = buttons[0];
+    else if (e.key === 'End') next = buttons[buttons.length - 1];
+    if (!next) return;
+    e.preventDefault();
+    buttons.forEach(b => { b.tabIndex = b === next ? 0 : -1; });
+    next.focus();
+  });
+
+  // Escape detiene la lectura esté donde esté el foco
+  window.EP.shortcuts.onEscape(function () {
+    if (!reading.active) return false;
+    stopReading(t('a11y.read.stopped'));
+    return true;
+  });
+
+  /* --- "Leer desde aquí": último elemento enfocado o pulsado --- */
+  let herePoint = null;
+
+  function rememberPoint(e) {
+    if (e.target.nodeType === 1 && !e.target.closest(UI_PARTS)) herePoint = e.target;
+  }
+  document.addEventListener('focusin', rememberPoint);
+  document.addEventListener('click',   rememberPoint);
+
+  function readFromHere() {
+    if (herePoint && document.contains(herePoint)) { startReading(herePoint); return; }
+    // Sin punto de partida: el primer bloque visible en pantalla
+    const visible = collectItems().find(item => item.el.getBoundingClientRect().bottom > 0);
+    startReading(visible ? visible.el : null);
+  }
+
   if (prefs.readerEnabled) enableReader(true);
 
   /* ============================================================
      HELPER: LABEL DE ESCALA
   ============================================================ */
   function fontLabel(s) {
-    const pct = 100 + s * 10;
-    return s === 0 ? 'Normal (100%)' : (s > 0 ? '+' : '') + s * 10 + '% (' + pct + '%)';
+    return s === 0 ? t('a11y.font.normal')
+      : t('a11y.font.scaled', { delta: (s > 0 ? '+' : '') + s * 10, pct: 100 + s * 10 });
+  }
+
+  /** 0.95 → "0,95×" en español, "0.95×" en inglés (velocidad y tono de la voz) */
+  function speechLabel(n) {
+    return i18n.formatNumber(n) + '×';
+  }
+
+  /* --- Voces disponibles; las del idioma de la interfaz primero --- */
+  function fillVoices(select) {
+    const lang = i18n.locale();
+    const voices = synth.getVoices().slice().sort((a, b) =>
+      (b.lang.indexOf(lang) === 0) - (a.lang.indexOf(lang) === 0) || a.name.localeCompare(b.name));
+    select.innerHTML = '<option value="">' + esc(t('a11y.voice.default')) + '</option>' +
+      voices.map(v => `<option value="${esc(v.voiceURI)}">${esc(v.name)} (${esc(v.lang)})</option>`).join('');
+    select.value = findVoice(prefs.voice) ? prefs.voice : '';
   }
 
   /* ============================================================
@@ -324,7 +912,7 @@
     return `<button id="${id}" class="a11y-toggle${active ? ' is-active' : ''}"
       aria-pressed="${active}" data-action="${action}">
       <span class="a11y-toggle-track" aria-hidden="true"></span>
-      <span class="a11y-toggle-label">${active ? 'Activado' : 'Desactivado'}</span>
+      <span class="a11y-toggle-label">${t(active ? 'a11y.on' : 'a11y.off')}</span>
     </button>`;
   }
 
@@ -333,7 +921,7 @@
     const fab = document.createElement('button');
     fab.id = 'a11y-fab';
     fab.className = 'a11y-fab';
-    fab.setAttribute('aria-label', 'Abrir panel de accesibilidad');
+    fab.setAttribute('aria-label', t('a11y.panel.open'));
     fab.setAttribute('aria-controls', 'a11y-panel');
     fab.setAttribute('aria-expanded', 'false');
     fab.innerHTML = `
@@ -342,23 +930,18 @@
         <circle cx="12" cy="4" r="1.5"/>
         <path d="M9 9h6m-3 0v6m-3 0-2 5m8-5 2 5m-10-9-3 1m14-1 3 1"/>
       </svg>
-      <span class="a11y-fab-label">Accesibilidad</span>`;
+      <span class="a11y-fab-label">${t('a11y.fab')}</span>`;
 
     /* --- PANEL --- */
     const panel = document.createElement('div');
     panel.id = 'a11y-panel';
     panel.className = 'a11y-panel';
     panel.setAttribute('role', 'dialog');
-    panel.setAttribute('aria-label', 'Panel de accesibilidad');
+    panel.setAttribute('aria-label', t('a11y.panel.label'));
     panel.setAttribute('aria-modal', 'false');
     panel.hidden = true;
 
-    const contrasts = [
-      { key: 'normal', icon: '☀️', label: 'Normal' },
-      { key: 'high',   icon: '⬛', label: 'Alto contraste' },
-      { key: 'dark',   icon: '🌙', label: 'Modo oscuro' },
-      { key: 'invert', icon: '🔄', label: 'Invertido' },
-    ];
+    const preset = presetFor(prefs);
 
     panel.innerHTML = `
       <div class="a11y-panel-header">
@@ -368,9 +951,9 @@
             <circle cx="12" cy="4" r="1.5"/>
             <path d="M9 9h6m-3 0v6m-3 0-2 5m8-5 2 5m-10-9-3 1m14-1 3 1"/>
           </svg>
-          Accesibilidad
+          ${t('a11y.panel.title')}
         </span>
-        <button class="a11y-panel-close" id="a11y-close" aria-label="Cerrar panel de accesibilidad">
+        <button class="a11y-panel-close" id="a11y-close" aria-label="${t('a11y.panel.close')}">
           <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24"
                fill="none" stroke="currentColor" stroke-width="2.5">
             <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
@@ -378,23 +961,64 @@
         </button>
       </div>
 
+      <!-- PERFILES PREDEFINIDOS -->
+      <section class="a11y-section" aria-labelledby="lbl-presets">
+        <h3 id="lbl-presets" class="a11y-section-title">
+          <span aria-hidden="true">⭐</span> ${t('a11y.presets.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.presets.desc')}</p>
+        <div class="a11y-preset-list" role="group" aria-labelledby="lbl-presets">
+          ${PRESETS.map(p => `
+            <button class="a11y-preset-btn${preset === p ? ' is-active' : ''}"
+              aria-pressed="${preset === p}" data-action="preset" data-value="${p.key}"
+              aria-describedby="preset-desc-${p.key}">
+              <span aria-hidden="true" class="a11y-contrast-icon">${p.icon}</span>
+              <span class="a11y-preset-label">${p.label}</span>
+              <span id="preset-desc-${p.key}" class="a11y-preset-desc">${p.desc}</span>
+            </button>`).join('')}
+        </div>
+      </section>
+
       <!-- LECTOR DE PANTALLA -->
       <section class="a11y-section" aria-labelledby="lbl-reader">
         <h3 id="lbl-reader" class="a11y-section-title">
-          <span aria-hidden="true">🔊</span> Lector de pantalla
+          <span aria-hidden="true">🔊</span> ${t('a11y.reader.title')}
         </h3>
-        <p class="a11y-desc">Lee en voz alta el elemento sobre el que navegues con Tab o el cursor.</p>
+        <p class="a11y-desc">${t('a11y.reader.desc')}</p>
         ${buildToggle('btn-reader', 'reader', prefs.readerEnabled)}
+        ${synth ? `
+        <p class="a11y-desc a11y-desc-gap">${t('a11y.reader.pageDesc')}</p>
+        <div class="a11y-profile-actions">
+          <button class="a11y-btn" data-action="read-page">${t('a11y.reader.readPage')}</button>
+          <button class="a11y-btn" data-action="read-here" aria-describedby="read-here-desc">${t('a11y.reader.readHere')}</button>
+        </div>
+        <p id="read-here-desc" class="a11y-desc">${t('a11y.reader.readHereDesc')}</p>
+        <div class="a11y-voice-settings">
+          <label for="a11y-voice" class="a11y-field-label">${t('a11y.reader.voice')}</label>
+          <select id="a11y-voice" class="a11y-select" data-pref="voice"></select>
+          <label for="a11y-rate" class="a11y-field-label">
+            ${t('a11y.reader.rate')} <output id="a11y-rate-val" for="a11y-rate">${speechLabel(prefs.rate)}</output>
+          </label>
+          <input type="range" id="a11y-rate" class="a11y-range" data-pref="rate"
+            min="0.5" max="2" step="0.05" value="${prefs.rate}" aria-valuetext="${speechLabel(prefs.rate)}" />
+          <label for="a11y-pitch" class="a11y-field-label">
+            ${t('a11y.reader.pitch')} <output id="a11y-pitch-val" for="a11y-pitch">${speechLabel(prefs.pitch)}</output>
+          </label>
+          <input type="range" id="a11y-pitch" class="a11y-range" data-pref="pitch"
+            min="0" max="2" step="0.1" value="${prefs.pitch}" aria-valuetext="${speechLabel(prefs.pitch)}" />
+          <button class="a11y-btn" data-action="voice-test">${t('a11y.reader.test')}</button>
+        </div>` : `
+        <p class="a11y-desc a11y-desc-gap">${t('a11y.read.unsupported')}</p>`}
       </section>
 
       <!-- TAMAÑO DE FUENTE -->
       <section class="a11y-section" aria-labelledby="lbl-font">
         <h3 id="lbl-font" class="a11y-section-title">
-          <span aria-hidden="true">🔤</span> Tamaño de texto
+          <span aria-hidden="true">🔤</span> ${t('a11y.font.title')}
         </h3>
         <div class="a11y-font-row" role="group" aria-labelledby="lbl-font">
           <button id="btn-font-dec" class="a11y-stepper" data-action="font-dec"
-            aria-label="Reducir tamaño de texto" ${prefs.fontScale <= -2 ? 'disabled' : ''}>
+            aria-label="${t('a11y.font.dec')}" ${prefs.fontScale <= -2 ? 'disabled' : ''}>
             <svg aria-hidden="true" width="18" height="18" viewBox="0 0 24 24"
                  fill="none" stroke="currentColor" stroke-width="3">
               <line x1="5" y1="12" x2="19" y2="12"/>
@@ -404,7 +1028,7 @@
             ${fontLabel(prefs.fontScale)}
           </span>
           <button id="btn-font-inc" class="a11y-stepper" data-action="font-inc"
-            aria-label="Aumentar tamaño de texto" ${prefs.fontScale >= 2 ? 'disabled' : ''}>
+            aria-label="${t('a11y.font.inc')}" ${prefs.fontScale >= 2 ? 'disabled' : ''}>
             <svg aria-hidden="true" width="18" height="18" viewBox="0 0 24 24"
                  fill="none" stroke="currentColor" stroke-width="3">
               <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
@@ -416,63 +1040,166 @@
       <!-- CONTRASTE -->
       <section class="a11y-section" aria-labelledby="lbl-contrast">
         <h3 id="lbl-contrast" class="a11y-section-title">
-          <span aria-hidden="true">🎨</span> Modo de contraste
+          <span aria-hidden="true">🎨</span> ${t('a11y.contrast.title')}
         </h3>
         <div class="a11y-contrast-grid" role="group" aria-labelledby="lbl-contrast">
-          ${contrasts.map(m => `
+          ${CONTRASTS.map(m => `
             <button class="a11y-contrast-btn${prefs.contrast === m.key ? ' is-active' : ''}"
               aria-pressed="${prefs.contrast === m.key}"
               data-action="contrast" data-value="${m.key}"
-              aria-label="Contraste ${m.label}">
+              aria-label="${t('a11y.contrast.label', { label: m.label })}">
               <span aria-hidden="true" class="a11y-contrast-icon">${m.icon}</span>
               <span>${m.label}</span>
             </button>`).join('')}
         </div>
       </section>
 
+      <!-- FILTRO DE COLOR -->
+      <section class="a11y-section" aria-labelledby="lbl-color-filter">
+        <h3 id="lbl-color-filter" class="a11y-section-title">
+          <span aria-hidden="true">🌈</span> ${t('a11y.color.title')}
+        </h3>
+        <p id="color-filter-desc" class="a11y-desc">${t('a11y.color.desc')}</p>
+        <label for="a11y-color-filter" class="visually-hidden">${t('a11y.color.title')}</label>
+        <select id="a11y-color-filter" class="a11y-select" data-pref="colorFilter" aria-describedby="color-filter-desc">
+          <option value="none">${t('a11y.color.none')}</option>
+          <optgroup label="${t('a11y.color.correctGroup')}">
+            ${COLOR_DEFICIENCIES.map(d => `<option value="correct-${d.key}">${t('a11y.color.correct', { name: d.label.toLowerCase() })}</option>`).join('')}
+          </optgroup>
+          <optgroup label="${t('a11y.color.simulateGroup')}">
+            ${COLOR_DEFICIENCIES.map(d => `<option value="simulate-${d.key}">${t('a11y.color.simulate', { name: d.label.toLowerCase() })}</option>`).join('')}
+          </optgroup>
+        </select>
+      </section>
+
+      <!-- BAJA SATURACIÓN -->
+      <section class="a11y-section" aria-labelledby="lbl-saturation">
+        <h3 id="lbl-saturation" class="a11y-section-title">
+          <span aria-hidden="true">🩶</span> ${t('a11y.saturation.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.saturation.desc')}</p>
+        ${buildToggle('btn-saturation', 'saturation', prefs.lowSaturation)}
+      </section>
+
       <!-- ESPACIADO -->
       <section class="a11y-section" aria-labelledby="lbl-spacing">
         <h3 id="lbl-spacing" class="a11y-section-title">
-          <span aria-hidden="true">↕</span> Espaciado ampliado
+          <span aria-hidden="true">↕</span> ${t('a11y.spacing.title')}
         </h3>
-        <p class="a11y-desc">Aumenta el interlineado y el espacio entre párrafos.</p>
+        <p class="a11y-desc">${t('a11y.spacing.desc')}</p>
         ${buildToggle('btn-spacing', 'spacing', prefs.spacing)}
       </section>
 
       <!-- FUENTE DISLEXIA -->
       <section class="a11y-section" aria-labelledby="lbl-dyslexia">
         <h3 id="lbl-dyslexia" class="a11y-section-title">
-          <span aria-hidden="true">📖</span> Fuente para dislexia
+          <span aria-hidden="true">📖</span> ${t('a11y.dyslexia.title')}
         </h3>
-        <p class="a11y-desc">Activa una tipografía diseñada para facilitar la lectura.</p>
+        <p class="a11y-desc">${t('a11y.dyslexia.desc')}</p>
         ${buildToggle('btn-dyslexia', 'dyslexia', prefs.dyslexia)}
       </section>
 
       <!-- RESALTAR ENLACES -->
       <section class="a11y-section" aria-labelledby="lbl-links">
         <h3 id="lbl-links" class="a11y-section-title">
-          <span aria-hidden="true">🔗</span> Resaltar enlaces
+          <span aria-hidden="true">🔗</span> ${t('a11y.links.title')}
         </h3>
-        <p class="a11y-desc">Subraya y destaca visualmente todos los enlaces.</p>
+        <p class="a11y-desc">${t('a11y.links.desc')}</p>
         ${buildToggle('btn-links', 'links', prefs.highlightLinks)}
       </section>
 
       <!-- CURSOR GRANDE -->
       <section class="a11y-section" aria-labelledby="lbl-cursor">
         <h3 id="lbl-cursor" class="a11y-section-title">
-          <span aria-hidden="true">🖱️</span> Cursor grande
+          <span aria-hidden="true">🖱️</span> ${t('a11y.cursor.title')}
         </h3>
-        <p class="a11y-desc">Amplía el puntero del ratón para mayor visibilidad.</p>
+        <p class="a11y-desc">${t('a11y.cursor.desc')}</p>
         ${buildToggle('btn-cursor', 'cursor', prefs.bigCursor)}
       </section>
 
+      <!-- GUÍA DE LECTURA -->
+      <section class="a11y-section" aria-labelledby="lbl-guide">
+        <h3 id="lbl-guide" class="a11y-section-title">
+          <span aria-hidden="true">📏</span> ${t('a11y.guide.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.guide.desc')}</p>
+        <div class="a11y-contrast-grid a11y-guide-grid" role="group" aria-labelledby="lbl-guide">
+          ${GUIDES.map(g => `
+            <button class="a11y-contrast-btn${prefs.readingGuide === g.key ? ' is-active' : ''}"
+              aria-pressed="${prefs.readingGuide === g.key}"
+              data-action="guide" data-value="${g.key}"
+              aria-label="${t('a11y.guide.label', { label: g.label })}">
+              <span aria-hidden="true" class="a11y-contrast-icon">${g.icon}</span>
+              <span>${g.label}</span>
+            </button>`).join('')}
+        </div>
+      </section>
+
+      <!-- DETENER ANIMACIONES -->
+      <section class="a11y-section" aria-labelledby="lbl-animations">
+        <h3 id="lbl-animations" class="a11y-section-title">
+          <span aria-hidden="true">⏸</span> ${t('a11y.animations.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.animations.desc')}</p>
+        ${buildToggle('btn-animations', 'animations', prefs.stopAnimations)}
+      </section>
+
+      <!-- OCULTAR IMÁGENES -->
+      <section class="a11y-section" aria-labelledby="lbl-images">
+        <h3 id="lbl-images" class="a11y-section-title">
+          <span aria-hidden="true">🖼️</span> ${t('a11y.images.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.images.desc')}</p>
+        ${buildToggle('btn-images', 'images', prefs.hideImages)}
+      </section>
+
+      <!-- ATAJOS DE TECLADO -->
+      <section class="a11y-section" aria-labelledby="lbl-shortcuts">
+        <h3 id="lbl-shortcuts" class="a11y-section-title">
+          <span aria-hidden="true">⌨️</span> ${t('a11y.shortcuts.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.shortcuts.desc')}</p>
+        ${buildToggle('btn-shortcuts', 'shortcuts', prefs.shortcuts)}
+        <div class="a11y-profile-actions a11y-actions-gap">
+          <button class="a11y-btn" data-action="shortcuts-help">${t('a11y.shortcuts.help')}</button>
+        </div>
+      </section>
+
+      <!-- EXPORTAR / IMPORTAR -->
+      <section class="a11y-section" aria-labelledby="lbl-profile">
+        <h3 id="lbl-profile" class="a11y-section-title">
+          <span aria-hidden="true">💾</span> ${t('a11y.profile.title')}
+        </h3>
+        <p class="a11y-desc">${t('a11y.profile.desc')}</p>
+        <div class="a11y-profile-actions">
+          <button class="a11y-btn" data-action="export">${t('a11y.profile.export')}</button>
+          <button class="a11y-btn" data-action="import">${t('a11y.profile.import')}</button>
+        </div>
+        <input type="file" id="a11y-import-file" class="visually-hidden" accept="application/json,.json"
+          tabindex="-1" aria-hidden="true" />
+        <label for="a11y-share-url" class="a11y-share-label">${t('a11y.profile.link')}</label>
+        <div class="a11y-share-row">
+          <input type="text" id="a11y-share-url" class="a11y-share-input" readonly />
+          <button class="a11y-btn" data-action="copy-link">${t('a11y.profile.copy')}</button>
+        </div>
+      </section>
+
       <!-- RESTABLECER -->
       <div class="a11y-panel-footer">
         <button id="btn-reset" class="a11y-btn-reset" data-action="reset">
-          ↺ Restablecer configuración
+          ↺ ${t('a11y.reset')}
         </button>
       </div>`;
 
+    panel.querySelector('#a11y-share-url').value = shareUrl();
+    panel.querySelector('#a11y-color-filter').value = prefs.colorFilter;
+    const voiceSelect = panel.querySelector('#a11y-voice');
+    if (voiceSelect) {
+      fillVoices(voiceSelect);
+      // Chrome carga la lista de voces después de la página
+      synth.addEventListener('voiceschanged', () => fillVoices(voiceSelect));
+    }
+
     document.body.appendChild(fab);
     document.body.appendChild(panel);
     return { fab, panel };
@@ -488,7 +1215,7 @@
     panelOpen = true;
     elems.panel.hidden = false;
     elems.fab.setAttribute('aria-expanded', 'true');
-    elems.fab.setAttribute('aria-label', 'Cerrar panel de accesibilidad');
+    elems.fab.setAttribute('aria-label', t('a11y.panel.close'));
     requestAnimationFrame(() => elems.panel.classList.add('is-open'));
     const first = elems.panel.querySelector('button');
     if (first) first.focus();
@@ -497,7 +1224,7 @@
     panelOpen = false;
     elems.panel.classList.remove('is-open');
     elems.fab.setAttribute('aria-expanded', 'false');
-    elems.fab.setAttribute('aria-label', 'Abrir panel de accesibilidad');
+    elems.fab.setAttribute('aria-label', t('a11y.panel.open'));
     elems.panel.addEventListener('transitionend', function h() {
       elems.panel.hidden = true;
       elems.panel.removeEventListener('transitionend', h);
@@ -506,7 +1233,23 @@
   }
 
   elems.fab.addEventListener('click', () => panelOpen ? closePanel() : openPanel());
-  document.addEventListener('keydown', e => { if (e.key === 'Escape' && panelOpen) closePanel(); });
+  window.EP.shortcuts.onEscape(() => {
+    if (!panelOpen) return false;
+    closePanel();
+    return true;
+  });
+
+  window.EP.shortcuts.register({
+    id: 'a11y-panel',
+    keys: 'Alt+A',
+    label: t('a11y.panel.shortcut'),
+    run: () => panelOpen ? closePanel() : openPanel(),
+  });
+
+  // Cambios hechos en la ayuda de atajos → se guardan con el resto
+  window.EP.shortcuts.subscribe(settings => {
+    setPrefs(Object.assign({}, prefs, { shortcuts: settings.enabled, shortcutKeys: settings.keys }));
+  });
 
   /* ============================================================
      DELEGACIÓN DE EVENTOS DEL PANEL
@@ -519,78 +1262,177 @@
 
     const action = btn.dataset.action;
 
-    if (action === 'reader') {
-      prefs.readerEnabled = !prefs.readerEnabled;
-      btn.classList.toggle('is-active', prefs.readerEnabled);
-      btn.setAttribute('aria-pressed', prefs.readerEnabled);
-      btn.querySelector('.a11y-toggle-label').textContent = prefs.readerEnabled ? 'Activado' : 'Desactivado';
-      enableReader(prefs.readerEnabled);
+    if (TOGGLES[action]) {
+      const key = TOGGLES[action];
+      const next = Object.assign({}, prefs);
+      next[key] = !prefs[key];
+      setPrefs(next);
 
     } else if (action === 'font-inc') {
       if (prefs.fontScale >= 2) return;
-      prefs.fontScale++;
-      applyFontScale(prefs.fontScale);
-      updateFontUI();
+      setPrefs(Object.assign({}, prefs, { fontScale: prefs.fontScale + 1 }));
 
     } else if (action === 'font-dec') {
       if (prefs.fontScale <= -2) return;
-      prefs.fontScale--;
-      applyFontScale(prefs.fontScale);
-      updateFontUI();
-
-    } else if (action === 'contrast') {
-      prefs.contrast = btn.dataset.value;
-      applyContrast(prefs.contrast);
-      $$('[data-action="contrast"]', elems.panel).forEach(b => {
-        const active = b.dataset.value === prefs.contrast;
-        b.classList.toggle('is-active', active);
-        b.setAttribute('aria-pressed', active);
-      });
+      setPrefs(Object.assign({}, prefs, { fontScale: prefs.fontScale - 1 }));
+
+    } else if (CHOICES[action]) {
+      setPrefs(Object.assign({}, prefs, { [CHOICES[action]]: btn.dataset.value }));
+
+    } else if (action === 'preset') {
+      const preset = PRESETS.find(p => p.key === btn.dataset.value);
+      setPrefs(Object.assign({}, prefs, preset.prefs), t('a11y.preset.applied', { label: preset.label }) + ' ' + preset.desc);
+
+    } else if (action === 'export') {
+      downloadProfile();
+
+    } else if (action === 'import') {
+      $('#a11y-import-file', elems.panel).click();
+
+    } else if (action === 'copy-link') {
+      copyShareUrl();
+
+    } else if (action === 'read-page') {
+      closePanel();
+      startReading(null);
 
-    } else if (action === 'spacing') {
-      prefs.spacing = !prefs.spacing;
-      btn.classList.toggle('is-active', prefs.spacing);
-      btn.setAttribute('aria-pressed', prefs.spacing);
-      btn.querySelector('.a11y-toggle-label').textContent = prefs.spacing ? 'Activado' : 'Desactivado';
-      applySpacing(prefs.spacing);
-
-    } else if (action === 'dyslexia') {
-      prefs.dyslexia = !prefs.dyslexia;
-      btn.classList.toggle('is-active', prefs.dyslexia);
-      btn.setAttribute('aria-pressed', prefs.dyslexia);
-      btn.querySelector('.a11y-toggle-label').textContent = prefs.dyslexia ? 'Activado' : 'Desactivado';
-      applyDyslexia(prefs.dyslexia);
-
-    } else if (action === 'links') {
-      prefs.highlightLinks = !prefs.highlightLinks;
-      btn.classList.toggle('is-active', prefs.highlightLinks);
-      btn.setAttribute('aria-pressed', prefs.highlightLinks);
-      btn.querySelector('.a11y-toggle-label').textContent = prefs.highlightLinks ? 'Activado' : 'Desactivado';
-      applyHighlightLinks(prefs.highlightLinks);
-
-    } else if (action === 'cursor') {
-      prefs.bigCursor = !prefs.bigCursor;
-      btn.classList.toggle('is-active', prefs.bigCursor);
-      btn.setAttribute('aria-pressed', prefs.bigCursor);
-      btn.querySelector('.a11y-toggle-label').textContent = prefs.bigCursor ? 'Activado' : 'Desactivado';
-      applyBigCursor(prefs.bigCursor);
+    } else if (action === 'read-here') {
+      closePanel();
+      readFromHere();
+
+    } else if (action === 'shortcuts-help') {
+      window.EP.shortcuts.openHelp();
+
+    } else if (action === 'voice-test') {
+      speak(t('a11y.speak.test'), true);
 
     } else if (action === 'reset') {
-      prefs = Object.assign({}, defaults);
-      enableReader(false);
-      applyAll(prefs);
-      savePrefs(prefs);
-      elems.panel.remove();
-      elems.fab.remove();
-      Object.assign(elems, buildPanel());
-      elems.fab.addEventListener('click', () => panelOpen ? closePanel() : openPanel());
-      panelOpen = false;
-      announce('Configuración de accesibilidad restablecida.');
+      setPrefs(Object.assign({}, defaults), t('a11y.done.reset'));
+    }
+  });
+
+  // Velocidad y tono: se aplican mientras se arrastra el control
+  elems.panel.addEventListener('input', function (e) {
+    const key = e.target.dataset.pref;
+    if (key === 'rate' || key === 'pitch') {
+      setPrefs(Object.assign({}, prefs, { [key]: Number(e.target.value) }));
+    }
+  });
+
+  elems.panel.addEventListener('change', function (e) {
+    if (e.target.matches('select[data-pref]')) {
+      setPrefs(Object.assign({}, prefs, { [e.target.dataset.pref]: e.target.value }));
       return;
     }
+    // Archivo elegido en "Importar archivo"
+    if (e.target.id !== 'a11y-import-file' || !e.target.files.length) return;
+    const reader = new FileReader();
+    reader.onload = function () {
+      let imported = null;
+      try { imported = importProfile(String(reader.result)); } catch (_) {}
+      if (imported) setPrefs(imported, t('a11y.done.imported'));
+      else announce(t('a11y.done.badFile'), true);
+    };
+    reader.readAsText(e.target.files[0]);
+    e.target.value = '';
+  });
+
+  /* ============================================================
+     CAMBIO DE PREFERENCIAS
+     Todo cambio pasa por setPrefs(): aplica, guarda y sincroniza
+     el panel sin reconstruirlo (el foco se queda donde estaba).
+  ============================================================ */
+  // data-action del interruptor → clave de `prefs`
+  const TOGGLES = {
+    reader:     'readerEnabled',
+    spacing:    'spacing',
+    dyslexia:   'dyslexia',
+    links:      'highlightLinks',
+    cursor:     'bigCursor',
+    saturation: 'lowSaturation',
+    animations: 'stopAnimations',
+    images:     'hideImages',
+    shortcuts:  'shortcuts',
+  };
 
+  // data-action de los grupos de botones (aria-pressed) → clave de `prefs`
+  const CHOICES = {
+    contrast: 'contrast',
+    guide:    'readingGuide',
+  };
+
+  function setPrefs(next, message) {
+    const readerChanged = next.readerEnabled !== prefs.readerEnabled;
+    prefs = next;
+    if (readerChanged) enableReader(prefs.readerEnabled);
+    applyAll(prefs);
     savePrefs(prefs);
-  });
+    syncPanel();
+    if (message) announce(message);
+  }
+
+  function syncPanel() {
+    Object.keys(TOGGLES).forEach(action => {
+      const btn = $('[data-action="' + action + '"]', elems.panel);
+      const on = prefs[TOGGLES[action]];
+      if (!btn) return;
+      btn.classList.toggle('is-active', on);
+      btn.setAttribute('aria-pressed', on);
+      btn.querySelector('.a11y-toggle-label').textContent = t(on ? 'a11y.on' : 'a11y.off');
+    });
+    Object.keys(CHOICES).forEach(action => {
+      $$('[data-action="' + action + '"]', elems.panel).forEach(b => {
+        const active = b.dataset.value === prefs[CHOICES[action]];
+        b.classList.toggle('is-active', active);
+        b.setAttribute('aria-pressed', active);
+      });
+    });
+    const preset = presetFor(prefs);
+    $$('[data-action="preset"]', elems.panel).forEach(b => {
+      const active = !!preset && b.dataset.value === preset.key;
+      b.classList.toggle('is-active', active);
+      b.setAttribute('aria-pressed', active);
+    });
+    const share = $('#a11y-share-url', elems.panel);
+    if (share) share.value = shareUrl();
+    $('#a11y-color-filter', elems.panel).value = prefs.colorFilter;
+    const voice = $('#a11y-voice', elems.panel);
+    if (voice) voice.value = findVoice(prefs.voice) ? prefs.voice : '';
+    ['rate', 'pitch'].forEach(key => {
+      const range = $('#a11y-' + key, elems.panel);
+      if (!range) return;
+      range.value = prefs[key];
+      range.setAttribute('aria-valuetext', speechLabel(prefs[key]));
+      $('#a11y-' + key + '-val', elems.panel).textContent = speechLabel(prefs[key]);
+    });
+    updateFontUI();
+  }
+
+  function downloadProfile() {
+    const blob = new Blob([JSON.stringify(exportProfile(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = PROFILE_FILE;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    announce(t('a11y.done.exported', { file: PROFILE_FILE }));
+  }
+
+  function copyShareUrl() {
+    const input = $('#a11y-share-url', elems.panel);
+    input.value = shareUrl();
+    const fallback = () => {
+      input.select();
+      announce(t('a11y.done.selected'));
+    };
+    if (!navigator.clipboard) { fallback(); return; }
+    navigator.clipboard.writeText(input.value)
+      .then(() => announce(t('a11y.done.copied')))
+      .catch(fallback);
+  }
 
   function updateFontUI() {
     const inc = $('#btn-font-inc', elems.panel);
@@ -614,50 +1456,6 @@
     requestAnimationFrame(() => { area.textContent = message; });
   }
 
-  /* ============================================================
-     Carrito
-  ============================================================ */
-  $$('.btn-add-cart').forEach(function(btn) {
-    btn.addEventListener('click', function() {
-      const name = btn.closest('article')
-        ?.querySelector('.product-name a')?.textContent?.trim() || 'Producto';
-      announce(name + ' agregado al carrito.');
-      const count = $('.cart-count');
-      if (count) {
-        const next = (parseInt(count.textContent) || 0) + 1;
-        count.textContent = next;
-        const cartBtn = $('.btn-cart');
-        if (cartBtn) {
-          cartBtn.setAttribute('aria-label',
-            'Carrito de compras, ' + next + ' artículo' + (next !== 1 ? 's' : ''));
-        }
-      }
-    });
-  });
-
-  /* ============================================================
-     Menú hamburguesa
-  ============================================================ */
-  const menuBtn = $('.btn-menu');
-  const mainNav = document.getElementById('main-nav');
-
-  if (menuBtn && mainNav) {
-    menuBtn.addEventListener('click', function() {
-      const isOpen = mainNav.classList.toggle('is-open');
-      menuBtn.setAttribute('aria-expanded', String(isOpen));
-      menuBtn.setAttribute('aria-label', isOpen ? 'Cerrar menú' : 'Abrir menú');
-      if (isOpen) { const fl = mainNav.querySelector('a'); if (fl) fl.focus(); }
-    });
-    document.addEventListener('keydown', function(e) {
-      if (e.key === 'Escape' && mainNav.classList.contains('is-open')) {
-        mainNav.classList.remove('is-open');
-        menuBtn.setAttribute('aria-expanded', 'false');
-        menuBtn.setAttribute('aria-label', 'Abrir menú de navegación');
-        menuBtn.focus();
-      }
-    });
-  }
-
   /* ============================================================
      Skip link
   ============================================================ */
@@ -694,15 +1492,7 @@
   /* ============================================================
      Tabla scroll hint
   ============================================================ */
-  $$('.table-wrapper').forEach(function(wrapper) {
-    if (wrapper.scrollWidth > wrapper.clientWidth) {
-      const hint = document.createElement('p');
-      hint.className = 'table-scroll-hint';
-      hint.textContent = 'Desplaza horizontalmente para ver toda la tabla';
-      hint.setAttribute('aria-live', 'polite');
-      wrapper.parentNode.insertBefore(hint, wrapper);
-    }
-  });
+  $$('.table-wrapper').forEach(window.EP.tableScrollHint);
 
   /* ============================================================
      Sección activa en nav
@@ -725,4 +1515,27 @@
     sections.forEach(s => obs.observe(s));
   }
 
+  if (urlMessage) announce(urlMessage.text, urlMessage.alert);
+
+  /* ============================================================
+     API PÚBLICA — EP.a11y
+  ============================================================ */
+  window.EP.a11y = {
+    SCHEMA_VERSION,
+    PRESETS,
+    migrate,
+    exportProfile,
+    importProfile,
+
+    prefs() {
+      return Object.assign({}, prefs);
+    },
+
+    applyPreset(key) {
+      const preset = PRESETS.find(p => p.key === key);
+      if (preset) setPrefs(Object.assign({}, prefs, preset.prefs), t('a11y.preset.applied', { label: preset.label }));
+      return !!preset;
+    },
+  };
+
 })();
\ No newline at end of file
@@ -0,0 +1,256 @@
+/**
+ * bom.js
+ * Listas de materiales (BOM) en CSV: lectura, búsqueda de cada línea en
+ * el catálogo y exportación del carrito a CSV o JSON.
+ * - Columnas reconocidas por su encabezado (cantidad, pieza/valor,
+ *   encapsulado, sku); sin encabezado se leen en ese orden
+ * - Separador coma, punto y coma (Excel en español) o tabulador
+ * - Cada línea se busca por nombre y por valor ("10k 1/4W resistor"),
+ *   con js/search.js y js/units.js; el SKU, si viene, manda
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const catalog = EP.catalog;
+
+  const MAX_LINES = 200;
+  const MAX_CANDIDATES = 5;
+  // Peso de cada valor con unidad (el mismo que en la búsqueda)
+  const QUANTITY_WEIGHT = 3;
+  // Si el segundo candidato llega a esta fracción del primero, la línea es ambigua
+  const AMBIGUITY_RATIO = 0.8;
+
+  /* ============================================================
+     CSV
+     Devuelve las filas como arreglos de celdas; admite comillas
+     dobles ("a, b" y "" como comilla escapada).
+  ============================================================ */
+  function detectDelimiter(firstLine) {
+    if (firstLine.includes('\t')) return '\t';
+    const count = ch => firstLine.split(ch).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  function parseCSV(text) {
+    const source = String(text == null ? '' : text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const delimiter = detectDelimiter(source.split('\n').find(l => l.trim()) || '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quoted) {
+        if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (ch === delimiter) {
+        row.push(cell.trim());
+        cell = '';
+      } else if (ch === '\n') {
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+    return rows;
+  }
+
+  /* ============================================================
+     COLUMNAS
+  ============================================================ */
+  const HEADERS = {
+    qty:     /^(qty|quantity|cant|cantidad|unidades|uds?)\b/,
+    sku:     /^(sku|mpn|codigo|part number)\b/,
+    part:    /^(part|parte|pieza|value|valor|componente|descripcion|description|producto|nombre|name|item|articulo)\b/,
+    package: /^(package|footprint|encapsulado|paquete|pkg)\b/,
+  };
+
+  /** Índices de columna según el encabezado, o null si la fila no lo es. */
+  function headerColumns(cells) {
+    const columns = {};
+    cells.forEach((cell, i) => {
+      const name = EP.search.normalize(cell).trim();
+      for (const key in HEADERS) {
+        if (columns[key] == null && HEADERS[key].test(name)) { columns[key] = i; break; }
+      }
+    });
+    return columns.qty != null || columns.part != null || columns.sku != null ? columns : null;
+  }
+
+  /**
+   * Lee una BOM. Devuelve { rows, error } con
+   * rows = [{ line, qty, part, package, sku, text, error }]
+   * (`line` es el número de línea del archivo; `error`, si la fila no sirve).
+   */
+  function parse(text) {
+    const table = parseCSV(text);
+    let start = 0;
+    let columns = headerColumns(table[0] || []);
+    if (columns) {
+      start = 1;
+      if (columns.part == null && columns.sku == null) {
+        return { rows: [], error: t('bom.error.header') };
+      }
+    } else {
+      columns = { qty: 0, part: 1, package: 2 };
+    }
+
+    const rows = [];
+    for (let i = start; i < table.length; i++) {
+      const cells = table[i];
+      if (!cells.some(Boolean)) continue;
+      if (rows.length === MAX_LINES) {
+        return { rows, error: t('bom.error.tooMany', { count: MAX_LINES }) };
+      }
+      const cell = key => (columns[key] != null && cells[columns[key]]) || '';
+      let qtyText = cell('qty');
+      let part = cell('part');
+      // Sin encabezado, una línea sin cantidad ("10k 1/4W resistor") cuenta como 1 unidad
+      if (!start && !/^\d+$/.test(qtyText)) {
+        part = cells.filter(Boolean).join(' ');
+        qtyText = '';
+      }
+      const row = {
+        line: i + 1,
+        qty: qtyText ? Number(qtyText) : 1,
+        part,
+        package: cell('package'),
+        sku: cell('sku'),
+      };
+      row.text = [row.part, row.package].filter(Boolean).join(' ') || row.sku;
+      if (!Number.isInteger(row.qty) || row.qty < 1) row.error = t('bom.error.qty', { qty: qtyText });
+      else if (!row.text) row.error = t('bom.error.part');
+      rows.push(row);
+    }
+    if (!rows.length) return { rows, error: t('bom.error.noRows') };
+    return { rows, error: '' };
+  }
+
+  /* ============================================================
+     COINCIDENCIAS
+     Los valores con unidad son obligatorios (un 10k debe estar dentro
+     del rango de alguna especificación); las palabras suman puntos y las
+     que no aparecen en ningún producto ("smd", "pcs", "0603") se ignoran.
+     A igual puntaje va primero el más económico: una línea que no pide
+     más (tolerancia, material...) no necesita la versión de precisión.
+  ============================================================ */
+  function candidatesFor(text) {
+    const parsed = EP.units.extract(text);
+    const words = parsed.text.split(/\s+/).filter(Boolean);
+    return catalog.all()
+      .map((product, i) => {
+        if (!parsed.quantities.every(q => EP.units.matches(product, q))) return null;
+        let score = parsed.quantities.length * QUANTITY_WEIGHT;
+        words.forEach(word => { score += EP.search.score(product, word); });
+        return score > 0 ? { product, score, i } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.product.price - b.product.price || a.i - b.i)
+      .slice(0, MAX_CANDIDATES)
+      .map(c => ({ product: c.product, score: c.score }));
+  }
+
+  /**
+   * Busca una fila en el catálogo. Devuelve
+   * { status: 'matched' | 'ambiguous' | 'unmatched' | 'invalid', candidates, alternatives }
+   * con los candidatos de mejor a peor. Un empate exacto entre productos
+   * equivalentes ("10k 1/4W resistor": kits de carbón y de película
+   * metálica, con los mismos valores eléctricos) no es ambiguo: se elige
+   * el primero y `alternatives` cuenta los demás. Si difieren en algún
+   * valor (transformadores de 110 V y de 220 V) hay que revisarlo.
+   */
+  // Misma categoría y mismas magnitudes en las especificaciones: solo
+  // cambian datos como la tolerancia o el material
+  function equivalent(a, b) {
+    const values = p => EP.units.quantitiesOf(p).map(q => q.dim + ':' + q.min + ':' + q.max).sort().join('|');
+    return a.category === b.category && values(a) === values(b);
+  }
+
+  function match(row) {
+    if (row.error) return { status: 'invalid', candidates: [] };
+    const bySku = row.sku && catalog.all().find(p => p.sku.toLowerCase() === row.sku.toLowerCase());
+    if (bySku) return { status: 'matched', candidates: [{ product: bySku, score: Infinity }], alternatives: 0 };
+
+    const candidates = candidatesFor(row.text);
+    if (!candidates.length) return { status: 'unmatched', candidates, alternatives: 0 };
+    const best = candidates[0];
+    const close = candidates.slice(1).filter(c => c.score >= best.score * AMBIGUITY_RATIO);
+    const same = close.every(c => c.score === best.score && equivalent(c.product, best.product));
+    return {
+      status: close.length && !same ? 'ambiguous' : 'matched',
+      candidates,
+      alternatives: same ? close.length : 0,
+    };
+  }
+
+  /* ============================================================
+     EXPORTAR
+     El CSV usa los mismos encabezados que se reconocen al importar,
+     así que un carrito exportado se puede volver a cargar tal cual.
+  ============================================================ */
+  function csvCell(value) {
+    const s = String(value == null ? '' : value);
+    return /[",;\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function toCSV(items) {
+    const lines = [['cantidad', 'sku', 'producto', 'encapsulado', 'precio_unitario', 'subtotal']].concat(
+      items.map(i => {
+        const product = catalog.get(i.id);
+        return [i.qty, i.sku, i.name, product ? catalog.packageOf(product) || '' : '', i.price, i.price * i.qty];
+      }));
+    // BOM UTF-8 para que Excel respete las tildes
+    return '\uFEFF' + lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function toJSON(items) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      currency: 'COP',
+      items: items.map(i => ({
+        id: String(i.id), sku: i.sku, name: i.name, qty: i.qty, price: i.price, subtotal: i.price * i.qty,
+      })),
+      subtotal: items.reduce((sum, i) => sum + i.price * i.qty, 0),
+    }, null, 2);
+  }
+
+  /** Descarga `content` como archivo. */
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.bom
+  ============================================================ */
+  EP.bom = {
+    MAX_LINES,
+    parseCSV,
+    parse,
+    match,
+    toCSV,
+    toJSON,
+    download,
+  };
+
+})();
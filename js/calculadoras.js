@@ -0,0 +1,316 @@
+/**
+ * calculadoras.js
+ * Página de calculadoras: código de colores (en ambos sentidos) y
+ * resistencia en serie para un LED con enlace a los productos del
+ * catálogo. Los cálculos están en js/resistors.js.
+ * ?bands=5 abre el código de colores con 5 bandas.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const catalog = EP.catalog;
+  const resistors = EP.resistors;
+  const esc = EP.escapeHTML;
+
+  const colorForm = document.getElementById('color-form');
+  const ledForm   = document.getElementById('led-form');
+  if (!colorForm || !ledForm || !resistors) return;
+
+  const MULTIPLIER_LABELS = {
+    '-2': '×0.01', '-1': '×0.1', 0: '×1', 1: '×10', 2: '×100', 3: '×1k',
+    4: '×10k', 5: '×100k', 6: '×1M', 7: '×10M', 8: '×100M', 9: '×1G',
+  };
+
+  const POWER_LABELS = { 0.125: '1/8 W', 0.25: '1/4 W', 0.5: '1/2 W' };
+
+  // Valores iniciales: 4,7 kΩ ±5 % y 1 kΩ ±1 %
+  const DEFAULT_BANDS = {
+    4: ['yellow', 'violet', 'red', 'gold'],
+    5: ['brown', 'black', 'black', 'brown', 'brown'],
+    6: ['brown', 'black', 'black', 'brown', 'brown', 'brown'],
+  };
+
+  // ============================================================
+  // Errores por campo — WCAG 3.3.1
+  // ============================================================
+  function setFieldError(input, message) {
+    const errorId = input.id + '-error';
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ')
+      .filter(id => id && id !== errorId);
+    let error = document.getElementById(errorId);
+
+    if (!message) {
+      input.removeAttribute('aria-invalid');
+      if (describedBy.length) input.setAttribute('aria-describedby', describedBy.join(' '));
+      else input.removeAttribute('aria-describedby');
+      if (error) error.remove();
+      return;
+    }
+    if (!error) {
+      error = document.createElement('p');
+      error.id = errorId;
+      error.className = 'field-error';
+      input.parentNode.appendChild(error);
+    }
+    error.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', describedBy.concat(errorId).join(' '));
+  }
+
+  function colorList(bands) {
+    return bands.map(key => resistors.color(key).name).join(', ');
+  }
+
+  function swatchHTML(key) {
+    return `<span class="band-swatch" style="background:${resistors.color(key).hex}" aria-hidden="true"></span>`;
+  }
+
+  // ============================================================
+  // Código de colores
+  // ============================================================
+  const valueInput = document.getElementById('color-value');
+  const bandFields = document.getElementById('band-fields');
+  const visual     = document.getElementById('resistor-visual');
+  const colorResult = document.getElementById('color-result');
+
+  const requested = new URLSearchParams(location.search).get('bands');
+  let bands = DEFAULT_BANDS[requested] ? DEFAULT_BANDS[requested].slice() : DEFAULT_BANDS[4].slice();
+  colorForm.elements.bands.value = String(bands.length);
+
+  function optionLabel(color, role) {
+    switch (role) {
+      case 'digit':      return color.name + ' (' + color.digit + ')';
+      case 'multiplier': return color.name + ' (' + MULTIPLIER_LABELS[color.multiplier] + ')';
+      case 'tolerance':  return color.name + ' (±' + EP.i18n.formatNumber(color.tolerance) + ' %)';
+      default:           return color.name + ' (' + color.tempco + ' ppm/°C)';
+    }
+  }
+
+  function renderBandFields() {
+    const layout = resistors.LAYOUTS[bands.length];
+    bandFields.innerHTML = layout.map((role, i) => `
+      <div class="calc-field">
+        <label for="band-${i + 1}">${esc(t('calc.band', { n: i + 1, role: resistors.ROLE_LABELS[role].toLowerCase() }))}</label>
+        <div>
+          ${swatchHTML(bands[i])}
+          <select id="band-${i + 1}" data-band="${i}">
+            ${resistors.colorsFor(role).map(c =>
+              `<option value="${c.key}"${c.key === bands[i] ? ' selected' : ''}>${esc(optionLabel(c, role))}</option>`).join('')}
+          </select>
+        </div>
+      </div>`).join('');
+  }
+
+  // WCAG 1.4.1: cada banda del dibujo lleva el nombre de su color
+  function renderVisual() {
+    visual.innerHTML = bands.map(key => `
+      <div class="resistor-band">
+        <span class="resistor-band-color" style="background:${resistors.color(key).hex}"></span>
+        <span>${esc(resistors.color(key).name)}</span>
+      </div>`).join('');
+  }
+
+  function resultText() {
+    const r = resistors.decode(bands);
+    if (!r) return '';
+    const min = r.ohms * (1 - r.tolerance / 100);
+    const max = r.ohms * (1 + r.tolerance / 100);
+    return EP.units.format(r.ohms, 'resistance') + ' ±' + EP.i18n.formatNumber(r.tolerance) + ' %' +
+      (r.tempco !== null ? ', ' + r.tempco + ' ppm/°C' : '') + ' ' +
+      t('calc.range', { min: EP.units.format(min, 'resistance'), max: EP.units.format(max, 'resistance') });
+  }
+
+  /** Repinta la sección; `fromValue` evita reescribir el campo que se está editando. */
+  function renderColors(fromValue) {
+    renderBandFields();
+    renderVisual();
+    colorResult.textContent = resultText();
+    if (!fromValue) {
+      const r = resistors.decode(bands);
+      valueInput.value = r ? EP.units.format(r.ohms, 'resistance') : '';
+      setFieldError(valueInput, null);
+    }
+  }
+
+  /** Colores para `ohms` con la cantidad de bandas actual; { error } si no se puede. */
+  function applyValue(ohms, count) {
+    const current = resistors.decode(bands);
+    const result = resistors.encode(ohms, count,
+      current ? current.tolerance : null, current ? current.tempco : null);
+    if (result.bands) bands = result.bands;
+    return result;
+  }
+
+  colorForm.addEventListener('change', function (e) {
+    if (e.target.name === 'bands') {
+      const count = Number(e.target.value);
+      const current = resistors.decode(bands);
+      if (!current || applyValue(current.ohms, count).error) bands = DEFAULT_BANDS[count].slice();
+      renderColors();
+      EP.announce(t('calc.bands', { count }) + ': ' + colorList(bands) + '. ' + colorResult.textContent + '.');
+      return;
+    }
+
+    if (e.target.dataset.band !== undefined) {
+      bands[Number(e.target.dataset.band)] = e.target.value;
+      renderColors();
+      // El selector se vuelve a crear: el foco vuelve al mismo
+      document.getElementById(e.target.id).focus();
+      EP.announce(colorResult.textContent + '.');
+      return;
+    }
+
+    if (e.target === valueInput) {
+      const text = valueInput.value.trim();
+      const parsed = EP.units.parse(text, 'resistance');
+      const result = parsed ? applyValue(parsed.value, bands.length) : null;
+      const error = !text ? t('calc.error.value')
+        : !parsed ? t('calc.error.unknown', { text })
+        : result.error;
+      setFieldError(valueInput, error || null);
+      if (error) { EP.announce(error, true); return; }
+      renderColors(true);
+      EP.announce(t('calc.colors', { colors: colorList(bands) }) + ' ' + colorResult.textContent + '.');
+    }
+  });
+
+  // Mientras se escribe, los colores siguen al valor si ya es válido
+  valueInput.addEventListener('input', function () {
+    const parsed = EP.units.parse(valueInput.value, 'resistance');
+    if (parsed && !applyValue(parsed.value, bands.length).error) {
+      setFieldError(valueInput, null);
+      renderColors(true);
+    }
+  });
+
+  colorForm.addEventListener('submit', function (e) { e.preventDefault(); });
+
+  renderColors();
+
+  // ============================================================
+  // Resistencia para un LED
+  // ============================================================
+  const ledResult = document.getElementById('led-result');
+  const LED_FIELDS = {
+    supply:  t('calc.error.supply'),
+    forward: t('calc.error.forward'),
+    current: t('calc.error.current'),
+  };
+
+  let lastLed = null;
+
+  function readLed() {
+    const values = {};
+    const errors = [];
+    Object.keys(LED_FIELDS).forEach(name => {
+      const input = ledForm.elements[name];
+      const n = input.value.trim() === '' ? NaN : Number(input.value);
+      if (!isFinite(n) || n < 0) errors.push({ input, message: LED_FIELDS[name] });
+      values[name] = n;
+    });
+    if (!errors.length) {
+      const result = resistors.ledResistor(values.supply, values.forward, values.current / 1000,
+        ledForm.elements.series.value);
+      if (result.error) {
+        const input = values.current > 0 ? ledForm.elements.forward : ledForm.elements.current;
+        errors.push({ input, message: result.error });
+      }
+      return { errors, values, result };
+    }
+    return { errors, values, result: null };
+  }
+
+  function productsFor(ohms, rating) {
+    return catalog.all().filter(p =>
+      catalog.stockStatus(p) !== 'out_of_stock' &&
+      EP.units.matches(p, { dim: 'resistance', value: ohms }) &&
+      (!rating || EP.units.quantitiesOf(p).some(q => q.dim === 'power' && q.max >= rating)));
+  }
+
+  function ledResultHTML(r, series) {
+    const ohms = EP.units.format(r.suggested, 'resistance');
+    // El más cercano queda por debajo del exacto: se sugiere el siguiente
+    const below = r.nearest !== r.suggested;
+    const encoded = resistors.encode(r.suggested, 4, 5);
+    const products = productsFor(r.suggested, r.rating);
+    const rating = r.rating ? t('calc.led.rating', { power: POWER_LABELS[r.rating] || EP.i18n.formatNumber(r.rating) + ' W' })
+      : t('calc.led.tooMuch');
+
+    return `
+      <div class="calc-result">
+        <dl>
+          <dt>${esc(t('calc.led.exact'))}</dt><dd>${esc(EP.units.format(r.exact, 'resistance'))}</dd>
+          <dt>${esc(t('calc.led.nearest', { series }))}</dt>
+          <dd>${esc(EP.units.format(r.nearest, 'resistance'))}${below ? ' · ' + esc(t('calc.led.nearestOver', {
+            current: EP.units.format(r.nearestCurrent, 'current') })) : ''}</dd>
+          ${below ? `<dt>${esc(t('calc.led.suggested', { series }))}</dt><dd>${esc(ohms)}</dd>` : ''}
+          ${encoded.bands ? `<dt>${esc(t('calc.led.colors'))}</dt>
+          <dd>${encoded.bands.map(key => swatchHTML(key) + esc(resistors.color(key).name)).join(', ')}</dd>` : ''}
+          <dt>${esc(t('calc.led.current'))}</dt><dd>${esc(EP.units.format(r.current, 'current'))}</dd>
+          <dt>${esc(t('calc.led.power'))}</dt><dd>${esc(EP.units.format(r.power, 'power'))}: ${esc(rating)}</dd>
+        </dl>
+      </div>
+      <div class="calc-products">
+        <h3>${esc(t('calc.led.products', { ohms }))}</h3>
+        ${products.length ? `
+        <ul role="list">
+          ${products.map(p => `<li><a href="${esc(catalog.detailUrl(p.id))}"${EP.i18n.dataLang()}>${esc(p.name)}</a> · ${EP.formatPrice(p.price)}</li>`).join('')}
+        </ul>` : `<p>${esc(t('calc.led.none'))}</p>`}
+        <p><a href="productos.html?res=${encodeURIComponent(ohms.replace(/\s+/g, ''))}">${esc(t('calc.led.search', { ohms }))}</a></p>
+        <button type="button" class="btn btn-outline" data-action="show-colors">${esc(t('calc.led.showColors'))}</button>
+      </div>`;
+  }
+
+  function calculateLed(announce) {
+    Object.keys(LED_FIELDS).forEach(name => setFieldError(ledForm.elements[name], null));
+    const { errors, result } = readLed();
+
+    if (errors.length) {
+      errors.forEach(err => setFieldError(err.input, err.message));
+      ledResult.innerHTML = '';
+      lastLed = null;
+      // WCAG 3.3.1: el foco va al primer campo con error
+      errors[0].input.focus();
+      EP.announce(errors.map(err => err.message).join(' '), true);
+      return;
+    }
+
+    const series = ledForm.elements.series.value;
+    lastLed = result;
+    ledResult.innerHTML = ledResultHTML(result, series);
+    if (announce) {
+      EP.announce(t('calc.led.announce', {
+        ohms: EP.units.format(result.suggested, 'resistance'),
+        series,
+        current: EP.units.format(result.current, 'current'),
+      }) + (result.nearest !== result.suggested ? ' ' + t('calc.led.announceNearest', {
+        ohms: EP.units.format(result.nearest, 'resistance'),
+        current: EP.units.format(result.nearestCurrent, 'current'),
+      }) : ''));
+    }
+  }
+
+  ledForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    calculateLed(true);
+  });
+
+  // Cambiar de serie recalcula si ya hay un resultado
+  ledForm.addEventListener('change', function (e) {
+    if (e.target.name === 'series' && lastLed) calculateLed(true);
+  });
+
+  // Lleva el valor sugerido al código de colores
+  ledResult.addEventListener('click', function (e) {
+    if (!e.target.closest('[data-action="show-colors"]') || !lastLed) return;
+    if (applyValue(lastLed.suggested, bands.length).error) applyValue(lastLed.suggested, 5);
+    colorForm.elements.bands.value = String(bands.length);
+    renderColors();
+    valueInput.focus();
+    EP.announce(t('calc.colorsOf', { value: valueInput.value, colors: colorList(bands) }));
+  });
+
+})();
@@ -0,0 +1,658 @@
+/**
+ * carrito.js
+ * Lógica de la página del carrito: pinta #cart-items a partir de
+ * EP.cart y recalcula los totales en cada cambio (propio o de otra pestaña).
+ * También importa listas de materiales (BOM) en CSV y exporta el carrito
+ * a CSV o JSON (js/bom.js).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const cart = EP.cart;
+  const tbody = document.getElementById('cart-items');
+  if (!cart || !tbody) return;
+
+  const formatPrice = EP.formatPrice;
+  const t = EP.i18n.t;
+  const dataLang = EP.i18n.dataLang();
+  const notify = msg => EP.announce(msg);
+
+  const TRASH_ICON = `
+    <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <polyline points="3 6 5 6 21 6"/>
+      <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+      <path d="M10 11v6"/><path d="M14 11v6"/>
+      <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+    </svg>`;
+
+  // ============================================================
+  // Plantillas de fila
+  // ============================================================
+  function rowId(id) {
+    return 'cart-item-' + id;
+  }
+
+  function metaHTML(item) {
+    const product = EP.catalog.get(item.id);
+    const parts = [];
+    if (item.sku) parts.push(EP.escapeHTML(t('cartPage.sku', { sku: item.sku })));
+    if (product)  parts.push(EP.escapeHTML(t('cartPage.category', { category: EP.catalog.categoryLabel(product.category) })));
+    // Solo se destaca la disponibilidad cuando quedan pocas unidades
+    const stock = product && EP.catalog.stockStatus(product) !== 'in_stock'
+      ? ' ' + EP.productCards.stockHTML(product, 'product-stock') : '';
+    return parts.length || stock ? `<p class="cart-product-meta">${parts.join(' · ')}${stock}</p>` : '';
+  }
+
+  function rowHTML(item) {
+    const name = EP.escapeHTML(item.name);
+    const id   = EP.escapeHTML(item.id);
+    const label = (key, params) => EP.escapeHTML(t(key, Object.assign({ name: item.name }, params)));
+    return `
+      <td>
+        <div class="cart-product">
+          <img src="${EP.escapeHTML(item.img)}" alt="${name}"${dataLang}
+            width="72" height="72" class="cart-product-img" loading="lazy" />
+          <div class="cart-product-info">
+            <h2 class="cart-product-name"${dataLang}>
+              <a href="${EP.escapeHTML(item.url)}">${name}</a>
+            </h2>
+            ${metaHTML(item)}
+          </div>
+        </div>
+      </td>
+      <td>
+        <div class="cart-qty-control" role="group" aria-label="${label('cartPage.qtyGroup')}">
+          <button class="cart-qty-btn" data-action="minus" data-item="${id}"
+            aria-label="${label('cartPage.qtyMinus')}">−</button>
+          <input class="cart-qty-input" type="number" min="1" max="${cart.maxFor(item.id)}"
+            value="${item.qty}" data-item="${id}"
+            aria-label="${label('cartPage.qtyInput', { qty: item.qty })}" />
+          <button class="cart-qty-btn" data-action="plus" data-item="${id}"
+            aria-label="${label('cartPage.qtyPlus')}">+</button>
+        </div>
+      </td>
+      <td>
+        <span aria-label="${label('cartPage.unitPrice', { price: formatPrice(item.price) })}">${formatPrice(item.price)}</span>
+      </td>
+      <td>
+        <span class="cart-price" id="subtotal-${id}"></span>
+      </td>
+      <td>
+        <div class="cart-row-actions">
+          <button class="btn-remove" data-item="${id}"
+            aria-label="${label('cartPage.removeLabel')}">
+            ${TRASH_ICON}
+            ${label('cartPage.remove')}
+          </button>
+          <button type="button" class="btn-save-later" data-item="${id}"
+            aria-label="${label('cartPage.saveLaterLabel')}">
+            <span aria-hidden="true">♡</span>
+            ${label('cartPage.saveLater')}
+          </button>
+        </div>
+      </td>`;
+  }
+
+  function emptyRowHTML() {
+    return `
+      <tr class="cart-empty-row">
+        <td colspan="5" class="cart-empty">
+          <span class="cart-empty-icon" aria-hidden="true">🛒</span>
+          <h2>${EP.escapeHTML(t('cartPage.empty'))}</h2>
+          <p>${EP.escapeHTML(t('cartPage.emptyHint'))}</p>
+          <a href="productos.html" class="btn btn-primary">${EP.escapeHTML(t('cartPage.browse'))}</a>
+        </td>
+      </tr>`;
+  }
+
+  // ============================================================
+  // Render con reconciliación por id: las filas existentes se
+  // actualizan en su lugar para no perder el foco del usuario
+  // ============================================================
+  function updateRow(row, item) {
+    const input = row.querySelector('.cart-qty-input');
+    if (input && document.activeElement !== input) input.value = item.qty;
+    if (input) input.setAttribute('aria-label', t('cartPage.qtyInput', { name: item.name, qty: item.qty }));
+    const subtotal = formatPrice(item.price * item.qty);
+    const el = row.querySelector('.cart-price');
+    el.textContent = subtotal;
+    el.setAttribute('aria-label', t('cartPage.subtotal', { price: subtotal }));
+  }
+
+  function renderCart(items) {
+    const empty = tbody.querySelector('.cart-empty-row');
+    if (!items.length) {
+      if (!empty) tbody.innerHTML = emptyRowHTML();
+      return;
+    }
+    if (empty) empty.remove();
+
+    const keep = new Set(items.map(i => rowId(i.id)));
+    Array.from(tbody.rows).forEach(row => {
+      if (!keep.has(row.id)) row.remove();
+    });
+
+    items.forEach((item, idx) => {
+      let row = document.getElementById(rowId(item.id));
+      if (!row) {
+        row = document.createElement('tr');
+        row.id = rowId(item.id);
+        row.innerHTML = rowHTML(item);
+      }
+      if (tbody.rows[idx] !== row) tbody.insertBefore(row, tbody.rows[idx] || null);
+      updateRow(row, item);
+    });
+  }
+
+  // ============================================================
+  // Recalcular totales globales — el desglose viene de EP.pricing
+  // ============================================================
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+    return el;
+  }
+
+  function updateTotals(items) {
+    const coupon = EP.coupons.applied();
+    const quote  = EP.pricing.quote(EP.pricing.linesFromCart(items), { coupon });
+    const ship   = quote.shipping;
+
+    setText('summary-subtotal', formatPrice(quote.subtotal));
+    setText('summary-discount', '−' + formatPrice(quote.discount));
+    setText('summary-discount-label', coupon ? t('cartPage.discountCode', { code: coupon.code }) : t('cartPage.discount'));
+
+    setText('summary-shipping-label', items.length
+      ? t('cartPage.shippingDetail', { label: ship.label, weight: EP.pricing.formatWeight(ship.weight) })
+      : t('cartPage.shipping'));
+    const shippingEl = document.getElementById('summary-shipping');
+    if (shippingEl) {
+      shippingEl.innerHTML = quote.shipping.amount === 0
+        ? `<span style="color:var(--color-success);font-weight:bold;">✔ ${EP.escapeHTML(t('cartPage.free'))}</span>`
+        : formatPrice(quote.shipping.amount);
+    }
+
+    const hint = document.getElementById('shipping-hint');
+    if (hint) {
+      const remaining = items.length && !ship.free ? ship.remainingForFree : null;
+      hint.hidden = !remaining;
+      hint.textContent = remaining
+        ? t('cartPage.freeHint', { price: formatPrice(remaining) })
+        : '';
+    }
+
+    const taxed = quote.taxes.filter(tax => tax.rate > 0);
+    setText('summary-tax-label', EP.pricing.taxLabel() +
+      (taxed.length ? ' (' + EP.pricing.formatRates(taxed.map(tax => tax.rate)) + ')' : ''));
+    setText('summary-tax', formatPrice(quote.tax));
+
+    const exemptLabel = document.getElementById('summary-exempt-label');
+    const exemptEl    = setText('summary-exempt', formatPrice(quote.exempt));
+    if (exemptLabel) exemptLabel.hidden = !quote.exempt;
+    if (exemptEl)    exemptEl.hidden    = !quote.exempt;
+
+    const totalEl = setText('summary-total', formatPrice(quote.total));
+    if (totalEl) totalEl.setAttribute('aria-label', t('cartPage.total', { price: formatPrice(quote.total) }));
+
+    const checkoutBtn = document.getElementById('checkout-btn');
+    if (checkoutBtn) {
+      checkoutBtn.disabled = items.length === 0;
+      checkoutBtn.setAttribute('aria-label', t(quote.shipping.amount ? 'cartPage.checkout' : 'cartPage.checkoutFree',
+        { price: formatPrice(quote.total) }));
+    }
+
+    setText('cart-heading-count', t('cartPage.headingCount', { count: quote.itemCount }));
+
+    const clearBtn = document.getElementById('clear-cart-btn');
+    if (clearBtn) clearBtn.disabled = items.length === 0;
+  }
+
+  // ============================================================
+  // Cupón de descuento
+  // ============================================================
+  const couponForm     = document.querySelector('.coupon-form');
+  const couponInput    = document.getElementById('coupon-input');
+  const couponFeedback = document.getElementById('coupon-feedback');
+  const couponApplied  = document.getElementById('coupon-applied');
+
+  function showCouponError(message) {
+    if (couponFeedback) {
+      couponFeedback.textContent = message;
+      couponFeedback.hidden = false;
+    }
+    if (couponInput) couponInput.setAttribute('aria-invalid', 'true');
+    // WCAG 3.3.1 + 4.1.3 — el error se anuncia de inmediato
+    EP.announce(message, true);
+  }
+
+  function clearCouponError() {
+    if (couponFeedback) {
+      couponFeedback.textContent = '';
+      couponFeedback.hidden = true;
+    }
+    if (couponInput) couponInput.removeAttribute('aria-invalid');
+  }
+
+  function renderCoupon() {
+    const coupon = EP.coupons.applied();
+    if (!couponApplied) return;
+    couponApplied.hidden = !coupon;
+    couponApplied.innerHTML = coupon ? `
+      <span>
+        ${EP.escapeHTML(t('cartPage.coupon'))} <span class="coupon-applied-code">${EP.escapeHTML(coupon.code)}</span>
+        (${EP.escapeHTML(EP.coupons.label(coupon))}): ${EP.escapeHTML(EP.coupons.description(coupon))}
+      </span>
+      <button type="button" data-action="remove-coupon"
+        aria-label="${EP.escapeHTML(t('cartPage.couponRemoveLabel', { code: coupon.code }))}">${EP.escapeHTML(t('cartPage.couponRemove'))}</button>` : '';
+  }
+
+  // Si el carrito deja de cumplir las condiciones, el cupón se retira
+  function revalidateCoupon(items) {
+    const coupon = EP.coupons.applied();
+    if (!coupon || !items.length) return;
+    const result = EP.coupons.validate(coupon.code, items);
+    if (result.ok) return;
+    EP.coupons.remove();
+    showCouponError(t('cartPage.couponDropped', { code: coupon.code }) + ' ' + result.message);
+  }
+
+  if (couponForm && couponInput) {
+    couponForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      const result = EP.coupons.apply(couponInput.value, cart.items());
+      if (!result.ok) {
+        showCouponError(result.message);
+        couponInput.focus();
+        return;
+      }
+      clearCouponError();
+      couponInput.value = '';
+      render(cart.items());
+      notify(t('cartPage.couponApplied', { code: result.coupon.code, price: formatPrice(Math.round(result.discount)) }));
+    });
+
+    couponInput.addEventListener('input', clearCouponError);
+  }
+
+  if (couponApplied) {
+    couponApplied.addEventListener('click', function (e) {
+      if (!e.target.closest('[data-action="remove-coupon"]')) return;
+      const coupon = EP.coupons.remove();
+      render(cart.items());
+      if (coupon) notify(t('cartPage.couponRemoved', { code: coupon.code }));
+      // WCAG 2.4.3 — el botón desaparece; el foco vuelve al campo del cupón
+      if (couponInput) couponInput.focus();
+    });
+  }
+
+  function render(items) {
+    revalidateCoupon(items);
+    renderCart(items);
+    renderCoupon();
+    updateTotals(items);
+  }
+
+  cart.subscribe(render);
+  render(cart.items());
+
+  // WCAG 3.3.1 — si el stock bajó desde la última visita, el carrito
+  // guardado se recortó al cargar; se explica qué cambió
+  const adjusted = cart.adjustments();
+  if (adjusted.length) {
+    EP.announce(t('cartPage.adjusted', { list: adjusted.map(a => a.to
+      ? t('cartPage.adjustedTo', { name: a.name, count: a.to })
+      : t('cartPage.adjustedOut', { name: a.name })).join('; ') }), true);
+  }
+
+  // El cupón también puede cambiar en otra pestaña
+  window.addEventListener('storage', function (e) {
+    if (e.key === EP.coupons.STORAGE_KEY) render(cart.items());
+  });
+
+  // ============================================================
+  // Botones + / − y eliminar (delegados en el tbody)
+  // ============================================================
+  tbody.addEventListener('click', function (e) {
+    const qtyBtn = e.target.closest('.cart-qty-btn');
+    if (qtyBtn) {
+      const item = cart.get(qtyBtn.dataset.item);
+      if (!item) return;
+      const max = cart.maxFor(item.id);
+      let val = item.qty;
+      if (qtyBtn.dataset.action === 'plus' && val >= max) {
+        EP.announce(cart.limitMessage(EP.catalog.get(item.id) || item), true);
+        return;
+      }
+      if (qtyBtn.dataset.action === 'plus'  && val < max) val++;
+      if (qtyBtn.dataset.action === 'minus' && val > 1)   val--;
+      if (val === item.qty) return;
+      cart.setQuantity(item.id, val);
+      notify(t('cartPage.qtyUpdated', { count: val }));
+      return;
+    }
+
+    const removeBtn = e.target.closest('.btn-remove');
+    if (removeBtn) {
+      const index = cart.items().findIndex(i => String(i.id) === removeBtn.dataset.item);
+      const item = cart.remove(removeBtn.dataset.item);
+      if (!item) return;
+      const toast = offerUndo(t('cartPage.removed', { name: item.name }), [{ item, index }],
+        t('cartPage.restored', { name: item.name }));
+      focusAfterRemoval(index, toast);
+      return;
+    }
+
+    // Guardar para después: pasa a la lista de deseos activa
+    const laterBtn = e.target.closest('.btn-save-later');
+    if (laterBtn) {
+      const index = cart.items().findIndex(i => String(i.id) === laterBtn.dataset.item);
+      const item = cart.get(laterBtn.dataset.item);
+      if (!item) return;
+      const list = EP.wishlist.active();
+      if (!EP.wishlist.add(item.id, { qty: item.qty }).ok) {
+        EP.announce(t('cartPage.cannotSave', { name: item.name }), true);
+        return;
+      }
+      cart.remove(item.id);
+      const toast = offerUndo(t('cartPage.savedLater', { name: item.name, list: list.name }), [{ item, index }],
+        t('cartPage.restored', { name: item.name }), () => EP.wishlist.remove(item.id, { list: list.id, qty: item.qty }));
+      focusAfterRemoval(index, toast);
+    }
+  });
+
+  // ============================================================
+  // Deshacer — en lugar de confirmar antes de borrar, se borra y
+  // se ofrece "Deshacer" durante unos segundos (EP.toast)
+  // ============================================================
+  function offerUndo(message, entries, undoneMessage, undoElsewhere) {
+    return EP.toast.show(message, {
+      actionLabel: t('cartPage.undo'),
+      onAction() {
+        if (undoElsewhere) undoElsewhere();
+        cart.restore(entries);
+        notify(undoneMessage);
+        const row = document.getElementById(rowId(entries[0].item.id));
+        const btn = row && row.querySelector('.btn-remove');
+        if (btn) btn.focus();
+      },
+    });
+  }
+
+  // WCAG 2.4.3: el foco pasa a la fila siguiente; con el carrito
+  // vacío, al botón "Deshacer" del aviso
+  function focusAfterRemoval(index, toast) {
+    const buttons = tbody.querySelectorAll('.btn-remove');
+    const next = buttons[Math.min(index, buttons.length - 1)] || toast.querySelector('.toast-action');
+    if (next) next.focus();
+  }
+
+  // Cambio manual en input
+  tbody.addEventListener('change', function (e) {
+    const inp = e.target.closest('.cart-qty-input');
+    if (!inp) return;
+    const min = parseInt(inp.min) || 1;
+    const max = cart.maxFor(inp.dataset.item);
+    const wanted = parseInt(inp.value) || 1;
+    const val = Math.max(min, Math.min(max, wanted));
+    inp.value = val;
+    cart.setQuantity(inp.dataset.item, val);
+    if (wanted > max) {
+      const product = EP.catalog.get(inp.dataset.item);
+      if (product) EP.announce(cart.limitMessage(product) + ' ' + t('cartPage.qtySetTo', { count: val }), true);
+    }
+  });
+
+  // Proceder al pago
+  const checkoutBtn = document.getElementById('checkout-btn');
+  if (checkoutBtn) {
+    checkoutBtn.addEventListener('click', function () {
+      if (cart.count()) location.href = 'checkout.html';
+    });
+  }
+
+  // Vaciar carrito: se confirma en un diálogo y además se puede deshacer
+  document.getElementById('clear-cart-btn').addEventListener('click', function () {
+    const items = cart.items();
+    if (!items.length) return;
+    EP.dialog.confirm({
+      title: t('cartPage.clearTitle'),
+      message: t('cartPage.clearMessage', { count: items.length, items: t('cartPage.items', { count: cart.count() }) }),
+      confirmLabel: t('cartPage.clearConfirm'),
+      cancelLabel: t('cartPage.clearCancel'),
+      danger: true,
+    }).then(function (ok) {
+      if (!ok) return;
+      cart.clear();
+      const toast = offerUndo(t('cartPage.cleared'),
+        items.map((item, index) => ({ item, index })), t('cartPage.clearUndone'));
+      focusAfterRemoval(0, toast);
+    });
+  });
+
+  // ============================================================
+  // Lista de materiales (BOM): se pega o se sube un CSV, se revisa
+  // con qué producto coincide cada línea y se agrega todo de una vez
+  // ============================================================
+  const bomForm   = document.getElementById('bom-form');
+  const bomText   = document.getElementById('bom-text');
+  const bomFile   = document.getElementById('bom-file');
+  const bomError  = document.getElementById('bom-error');
+  const bomReview = document.getElementById('bom-review');
+  const MAX_BOM_BYTES = 200 * 1024;
+  let bomRows = [];
+
+  // WCAG 1.4.1: el estado se lee en texto y símbolo, el color solo acompaña
+  const BOM_STATUS = {
+    matched:   { cls: 'status-available',   text: '✔ ' + t('bom.status.matched') },
+    ambiguous: { cls: 'status-limited',     text: '⚠ ' + t('bom.status.ambiguous') },
+    unmatched: { cls: 'status-unavailable', text: '✖ ' + t('bom.status.unmatched') },
+    invalid:   { cls: 'status-unavailable', text: '✖ ' + t('bom.status.invalid') },
+  };
+
+  function showBomError(message) {
+    bomError.textContent = message;
+    bomError.hidden = !message;
+    if (!message) {
+      bomText.removeAttribute('aria-invalid');
+      return;
+    }
+    bomText.setAttribute('aria-invalid', 'true');
+    EP.announce(message, true);
+    bomText.focus();
+  }
+
+  function bomNote(row) {
+    const m = row.match;
+    if (m.status === 'ambiguous') return t('bom.note.ambiguous', { count: m.candidates.length });
+    if (m.alternatives) return t('bom.note.alternatives', { count: m.alternatives });
+    if (m.status === 'unmatched') return t('bom.note.unmatched');
+    if (m.status === 'invalid') return row.error;
+    return '';
+  }
+
+  function bomRowHTML(row, i) {
+    const status = BOM_STATUS[row.match.status];
+    const note = bomNote(row);
+    const esc = EP.escapeHTML;
+    return `
+      <tr>
+        <td>${row.line}</td>
+        <td>${row.error ? '—' : row.qty}</td>
+        <th scope="row" class="bom-source">${esc(row.text || '—')}</th>
+        <td>${row.match.candidates.length ? `
+          <select data-bom-row="${i}" aria-label="${esc(t('bom.select', { line: row.line, text: row.text }))}">
+            ${row.match.candidates.map(c => `
+              <option value="${c.product.id}">${esc(c.product.name)} — ${formatPrice(c.product.price)}</option>`).join('')}
+            <option value="">${esc(t('bom.skip'))}</option>
+          </select>` : '—'}</td>
+        <td>
+          <span class="status ${status.cls}">${status.text}</span>
+          ${note ? `<span class="bom-status-note">${esc(note)}</span>` : ''}
+        </td>
+      </tr>`;
+  }
+
+  function bomSelected() {
+    return Array.from(EP.$$('select[data-bom-row]', bomReview)).filter(s => s.value);
+  }
+
+  function updateBomButton() {
+    const n = bomSelected().length;
+    const btn = document.getElementById('bom-add');
+    btn.disabled = !n;
+    btn.textContent = n ? t('bom.add', { count: n }) : t('bom.addNone');
+  }
+
+  function bomSummary() {
+    const count = status => bomRows.filter(r => r.match.status === status).length;
+    const parts = [t('bom.summary.matched', { count: count('matched') })];
+    if (count('ambiguous')) parts.push(t('bom.summary.ambiguous', { count: count('ambiguous') }));
+    if (count('unmatched')) parts.push(t('bom.summary.unmatched', { count: count('unmatched') }));
+    if (count('invalid')) parts.push(t('bom.summary.invalid', { count: count('invalid') }));
+    return t('bom.summary', { count: bomRows.length, parts: parts.join(', ') });
+  }
+
+  function reviewBom() {
+    if (!bomText.value.trim()) {
+      showBomError(t('bom.error.empty'));
+      return;
+    }
+    const parsed = EP.bom.parse(bomText.value);
+    if (!parsed.rows.length) {
+      showBomError(parsed.error);
+      return;
+    }
+    showBomError('');
+    bomRows = parsed.rows.map(row => Object.assign({ match: EP.bom.match(row) }, row));
+    const summary = bomSummary();
+    bomReview.innerHTML = `
+      <h3 id="bom-review-title" class="bom-title" tabindex="-1">${EP.escapeHTML(t('bom.review'))}</h3>
+      ${parsed.error ? `<p class="bom-intro">${EP.escapeHTML(parsed.error)}</p>` : ''}
+      <div class="table-wrapper" role="region" aria-labelledby="bom-review-title" tabindex="0">
+        <table class="compare-table">
+          <caption>${EP.escapeHTML(summary)}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${EP.escapeHTML(t('bom.col.line'))}</th>
+              <th scope="col">${EP.escapeHTML(t('bom.col.qty'))}</th>
+              <th scope="col">${EP.escapeHTML(t('bom.col.source'))}</th>
+              <th scope="col">${EP.escapeHTML(t('bom.col.product'))}</th>
+              <th scope="col">${EP.escapeHTML(t('bom.col.status'))}</th>
+            </tr>
+          </thead>
+          <tbody>${bomRows.map(bomRowHTML).join('')}</tbody>
+        </table>
+      </div>
+      <div class="bom-review-actions">
+        <button type="button" class="btn btn-primary" id="bom-add"></button>
+        <button type="button" class="btn btn-outline" id="bom-cancel">${EP.escapeHTML(t('bom.discard'))}</button>
+      </div>`;
+    bomReview.hidden = false;
+    updateBomButton();
+    // WCAG 2.4.3 + 4.1.3: el foco va a la revisión y se anuncia el resumen
+    document.getElementById('bom-review-title').focus();
+    notify(t('bom.review') + '. ' + summary);
+  }
+
+  // Agrega las líneas elegidas respetando el stock, como «Volver a pedir»
+  function addBom() {
+    const problems = [];
+    let lines = 0;
+    let units = 0;
+    bomSelected().forEach(select => {
+      const row = bomRows[select.dataset.bomRow];
+      const product = EP.catalog.get(select.value);
+      const inCart = (cart.get(product.id) || { qty: 0 }).qty;
+      const qty = Math.min(row.qty, Math.max(0, cart.maxFor(product.id) - inCart));
+      if (qty < row.qty) {
+        problems.push(t('bom.problem', { line: row.line, name: product.name }) + ' ' + cart.limitMessage(product) + ' ' +
+          (qty ? t('bom.partial', { count: qty, wanted: row.qty }) : t('bom.notAdded')));
+      }
+      if (!qty) return;
+      cart.add(cart.lineFromCatalog(product), qty);
+      lines++;
+      units += qty;
+    });
+    const skipped = bomRows.length - bomSelected().length;
+    if (skipped) problems.push(t('bom.skipped', { count: skipped }));
+
+    const message = lines
+      ? t('bom.added', { count: units, lines: t('bom.lines', { count: lines }) })
+      : t('bom.addedNone');
+    bomReview.innerHTML = `
+      <div class="bom-result" id="bom-result" tabindex="-1">
+        <p><strong>${EP.escapeHTML(message)}</strong></p>
+        ${problems.length ? `<ul role="list">${problems.map(p => '<li>' + EP.escapeHTML(p) + '</li>').join('')}</ul>` : ''}
+      </div>`;
+    bomRows = [];
+    bomText.value = '';
+    bomFile.value = '';
+    document.getElementById('bom-result').focus();
+    EP.announce(message + (problems.length ? ' ' + problems.join(' ') : ''), problems.length > 0);
+  }
+
+  function discardBom() {
+    bomRows = [];
+    bomReview.hidden = true;
+    bomReview.innerHTML = '';
+    notify(t('bom.discarded'));
+    bomText.focus();
+  }
+
+  if (bomForm) {
+    bomForm.addEventListener('submit', function (e) {
+      e.preventDefault();
+      reviewBom();
+    });
+
+    bomText.addEventListener('input', function () {
+      if (!bomError.hidden) showBomError('');
+    });
+
+    bomFile.addEventListener('change', function () {
+      const file = bomFile.files[0];
+      if (!file) return;
+      if (file.size > MAX_BOM_BYTES) {
+        showBomError(t('bom.error.size', { file: file.name }));
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = function () {
+        bomText.value = reader.result;
+        reviewBom();
+      };
+      reader.onerror = () => showBomError(t('bom.error.read', { file: file.name }));
+      reader.readAsText(file);
+    });
+
+    bomReview.addEventListener('change', function (e) {
+      if (e.target.matches('select[data-bom-row]')) updateBomButton();
+    });
+
+    bomReview.addEventListener('click', function (e) {
+      if (e.target.closest('#bom-add')) addBom();
+      else if (e.target.closest('#bom-cancel')) discardBom();
+    });
+  }
+
+  // Exportar el carrito (CSV que se puede volver a importar, o JSON)
+  function exportCart(format) {
+    const items = cart.items();
+    if (!items.length) {
+      EP.announce(t('bom.export.empty'), true);
+      return;
+    }
+    const name = t('bom.export.file') + '-' + new Date().toISOString().slice(0, 10);
+    if (format === 'csv') EP.bom.download(name + '.csv', EP.bom.toCSV(items), 'text/csv;charset=utf-8');
+    else EP.bom.download(name + '.json', EP.bom.toJSON(items), 'application/json');
+    notify(t('bom.export.done', { format: format.toUpperCase(), count: items.length }));
+  }
+
+  const exportCsvBtn = document.getElementById('bom-export-csv');
+  const exportJsonBtn = document.getElementById('bom-export-json');
+  if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => exportCart('csv'));
+  if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => exportCart('json'));
+
+})();
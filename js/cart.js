@@ -0,0 +1,248 @@
+/**
+ * cart.js
+ * Carrito persistente compartido por todas las páginas.
+ * - Guarda los artículos en localStorage (clave `ep_cart`)
+ * - Se sincroniza entre pestañas abiertas mediante el evento `storage`
+ * - Mantiene actualizados `.cart-count` y el aria-label de `.btn-cart`
+ * - Limita cada artículo al stock del catálogo (y a MAX_QTY por pedido)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_cart';
+  const MAX_QTY = 100;
+
+  /* ============================================================
+     ESTADO
+     Cada artículo guarda una copia de los datos del producto al
+     momento de agregarlo: { id, sku, name, price, img, url, qty }
+  ============================================================ */
+  // Artículos recortados al cargar porque el stock bajó desde que se
+  // agregaron: [{ id, name, from, to }] (ver carrito.js)
+  let adjusted = [];
+  let items = load();
+  const listeners = [];
+
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, []);
+    if (!Array.isArray(data)) return [];
+    adjusted = [];
+    return data.filter(i => i && i.id != null && i.qty > 0).filter(i => {
+      const qty = clampQty(i.qty, i.id);
+      if (qty !== i.qty) adjusted.push({ id: String(i.id), name: i.name, from: i.qty, to: qty });
+      i.qty = qty;
+      return qty > 0;
+    });
+  }
+
+  function save() {
+    EP.storage.write(STORAGE_KEY, items);
+  }
+
+  function emit(source) {
+    const snapshot = items.map(i => Object.assign({}, i));
+    listeners.forEach(fn => fn(snapshot, source));
+  }
+
+  function commit() {
+    save();
+    emit('local');
+  }
+
+  /** Unidades que se pueden pedir de un producto: su stock, con tope MAX_QTY. */
+  function maxFor(id) {
+    const product = EP.catalog.get(id);
+    return product ? Math.max(0, Math.min(MAX_QTY, product.stock)) : MAX_QTY;
+  }
+
+  function clampQty(q, id) {
+    return Math.max(0, Math.min(maxFor(id), parseInt(q, 10) || 0));
+  }
+
+  /** Explicación del límite de un producto, para anunciarla al usuario. */
+  function limitMessage(product) {
+    const max = maxFor(product.id);
+    if (max === 0) return t('cart.soldOut', { name: product.name });
+    if (max === MAX_QTY) return t('cart.maxPerOrder', { count: MAX_QTY, name: product.name });
+    return t('cart.onlyLeft', { count: max, name: product.name });
+  }
+
+  function find(id) {
+    return items.find(i => String(i.id) === String(id));
+  }
+
+  /** Datos que el carrito guarda de un producto del catálogo. */
+  function lineFromCatalog(p) {
+    return {
+      id:    String(p.id),
+      sku:   p.sku,
+      name:  p.name,
+      price: p.price,
+      img:   EP.catalog.imageUrl(p),
+      url:   EP.catalog.detailUrl(p.id),
+    };
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.cart
+  ============================================================ */
+  const cart = {
+    MAX_QTY,
+    lineFromCatalog,
+    maxFor,
+    limitMessage,
+
+    /** Ajustes de cantidad hechos al cargar el carrito guardado. */
+    adjustments() {
+      return adjusted.slice();
+    },
+
+    items() {
+      return items.map(i => Object.assign({}, i));
+    },
+
+    get(id) {
+      const item = find(id);
+      return item ? Object.assign({}, item) : null;
+    },
+
+    /**
+     * Agrega `qty` unidades; si ya existe, suma a la cantidad actual.
+     * La cantidad resultante nunca supera maxFor(id).
+     */
+    add(product, qty) {
+      const amount = qty == null ? 1 : qty;
+      const existing = find(product.id);
+      if (existing) {
+        existing.qty = clampQty(existing.qty + amount, product.id);
+        Object.assign(existing, product, { qty: existing.qty });
+      } else {
+        items.push(Object.assign({}, product, { qty: clampQty(amount, product.id) }));
+      }
+      items = items.filter(i => i.qty > 0);
+      commit();
+      return cart.get(product.id);
+    },
+
+    /** Fija la cantidad de un artículo; 0 lo elimina. */
+    setQuantity(id, qty) {
+      const item = find(id);
+      if (!item) return null;
+      item.qty = clampQty(qty, id);
+      if (item.qty === 0) return cart.remove(id);
+      commit();
+      return Object.assign({}, item);
+    },
+
+    /** Elimina un artículo y lo devuelve (o null si no estaba). */
+    remove(id) {
+      const item = find(id);
+      if (!item) return null;
+      items = items.filter(i => i !== item);
+      commit();
+      return item;
+    },
+
+    clear() {
+      items = [];
+      commit();
+    },
+
+    /**
+     * Vuelve a poner artículos quitados, p. ej. al deshacer:
+     * [{ item, index }]. Cada uno recupera su posición; si entretanto
+     * se volvió a agregar, se suman las cantidades.
+     */
+    restore(entries) {
+      entries.slice().sort((a, b) => a.index - b.index).forEach(entry => {
+        const existing = find(entry.item.id);
+        if (existing) {
+          existing.qty = clampQty(existing.qty + entry.item.qty, existing.id);
+        } else {
+          const line = Object.assign({}, entry.item, { qty: clampQty(entry.item.qty, entry.item.id) });
+          items.splice(Math.min(entry.index, items.length), 0, line);
+        }
+      });
+      items = items.filter(i => i.qty > 0);
+      commit();
+    },
+
+    count() {
+      return items.reduce((n, i) => n + i.qty, 0);
+    },
+
+    subtotal() {
+      return items.reduce((sum, i) => sum + i.price * i.qty, 0);
+    },
+
+    /** Suscribe `fn(items, source)`; devuelve la función para desuscribirse. */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+  };
+
+  EP.cart = cart;
+
+  /* ============================================================
+     Sincronización entre pestañas
+  ============================================================ */
+  window.addEventListener('storage', function (e) {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    items = load();
+    emit('remote');
+  });
+
+  /* ============================================================
+     WCAG 4.1.3 + 1.3.1 — Contador del encabezado
+  ============================================================ */
+  function renderCount() {
+    const n = cart.count();
+    EP.$$('.cart-count').forEach(el => { el.textContent = n; });
+    EP.$$('.btn-cart').forEach(btn => {
+      btn.setAttribute('aria-label', t('cart.label', { count: n }));
+    });
+  }
+
+  cart.subscribe(renderCount);
+  renderCount();
+
+  /* ============================================================
+     Agregar al carrito (delegado: también sirve para tarjetas
+     generadas dinámicamente). Si la cantidad pedida supera el stock
+     se agrega lo disponible y se explica por qué.
+  ============================================================ */
+  document.addEventListener('click', function (e) {
+    const btn = e.target.closest('.btn-add-cart');
+    if (!btn) return;
+    const qtyInput = btn.closest('.product-detail-info') && document.getElementById('qty-input');
+    const qty = qtyInput ? (parseInt(qtyInput.value, 10) || 1) : 1;
+    const product = EP.catalog.get(btn.dataset.productId);
+    if (!product) return;
+
+    const inCart = (find(product.id) || { qty: 0 }).qty;
+    const room = maxFor(product.id) - inCart;
+    // WCAG 4.1.3 + 3.3.1: los bloqueos se anuncian como alerta
+    if (room <= 0) {
+      EP.announce(limitMessage(product) + ' ' +
+        (inCart ? t('cart.alreadyIn', { count: inCart }) : t('cart.cannotAdd')), true);
+      return;
+    }
+    const added = Math.min(qty, room);
+    cart.add(lineFromCatalog(product), added);
+    if (added < qty) {
+      EP.announce(limitMessage(product) + ' ' + t('cart.addedSome', { count: added }) + ' ' +
+        t('cart.nowIn', { count: inCart + added }), true);
+      return;
+    }
+    // WCAG 4.1.3: notificar al usuario vía aria-live
+    EP.announce(t('cart.added', { name: product.name }));
+  });
+
+})();
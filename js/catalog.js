@@ -0,0 +1,707 @@
+/**
+ * catalog.js
+ * Fuente única del catálogo de productos. Todas las tarjetas, el
+ * detalle, el carrito y las ofertas se generan a partir de estos datos.
+ *
+ * Rutas de imágenes y datasheets relativas a la raíz del sitio
+ * (se resuelven con EP.url()).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+
+  /* ============================================================
+     CATEGORÍAS — slug → nombre en el idioma de la interfaz
+  ============================================================ */
+  const CATEGORIES = {
+    resistencias:       t('catalog.resistencias'),
+    capacitores:        t('catalog.capacitores'),
+    transformadores:    t('catalog.transformadores'),
+    transistores:       t('catalog.transistores'),
+    diodos:             t('catalog.diodos'),
+    microcontroladores: t('catalog.microcontroladores'),
+  };
+
+  /* ============================================================
+     PRODUCTOS
+     badge: 'new' | 'sale' | 'popular'
+     ratings: calificaciones recibidas por estrellas [5★, 4★, 3★, 2★, 1★];
+              `rating` y `reviewCount` se calculan a partir de ellas
+     weight: peso de envío en gramos (con empaque)
+     specs: [{ param, value, unit }] — tabla de #tab-specs
+     highlights: [[término, valor]] — especificaciones principales
+     reviews: [{ author, rating, date, title, text }] — reseñas escritas
+              (ya contadas en `ratings`)
+  ============================================================ */
+  const PRODUCTS = [
+    {
+      id: 1,
+      sku: 'RES-C14W-100',
+      name: 'Resistencias Carbón 1/4W Kit 100 piezas',
+      category: 'resistencias',
+      price: 12500,
+      oldPrice: 15000,
+      ratings: [80, 36, 8, 2, 2],
+      stock: 486,
+      weight: 120,
+      badge: 'new',
+      featured: true,
+      addedAt: '2025-01-10',
+      images: [
+        { src: 'assets/images/resistencia-carbon.jpg',
+          alt: 'Kit de resistencias de carbón 1/4W, 100 piezas surtidas con valores desde 10 ohmios hasta 1 Megaohmio',
+          label: 'kit surtido' },
+        { src: 'assets/images/resistencia-carbon-detalle.jpg',
+          alt: 'Kit de resistencias de carbón 1/4W, 100 piezas en bolsa transparente con etiqueta de valores',
+          label: 'kit completo en bolsa' },
+        { src: 'assets/images/resistencia-carbon-2.jpg',
+          alt: 'Resistencias de carbón dispersas mostrando las bandas de colores de los valores',
+          label: 'resistencias dispersas' },
+        { src: 'assets/images/resistencia-carbon-3.jpg',
+          alt: 'Primer plano de una resistencia de carbón mostrando sus 4 bandas de color',
+          label: 'detalle de bandas de color' },
+      ],
+      highlights: [
+        ['Potencia', '1/4W (0.25W)'],
+        ['Tolerancia', '±5%'],
+        ['Rango de valores', '10Ω — 1MΩ'],
+        ['Cantidad', '100 piezas'],
+        ['Material', 'Carbón'],
+        ['Temperatura', '−55°C a +155°C'],
+      ],
+      specs: [
+        { param: 'Potencia nominal',           value: '0.25',              unit: 'W' },
+        { param: 'Tolerancia',                 value: '±5',                unit: '%' },
+        { param: 'Rango de valores',           value: '10 — 1.000.000',    unit: 'Ω' },
+        { param: 'Temperatura de operación',   value: '−55 a +155',        unit: '°C' },
+        { param: 'Coeficiente de temperatura', value: '±200',              unit: 'ppm/°C' },
+        { param: 'Tensión máxima',             value: '250',               unit: 'V' },
+        { param: 'Cantidad de piezas',         value: '100',               unit: 'uds' },
+        { param: 'Código de colores',          value: '4 bandas',          unit: '—' },
+        { param: 'Encapsulado',                value: 'Through-hole (TH)', unit: '—' },
+      ],
+      description: [
+        'El <strong>Kit de Resistencias de Carbón 1/4W</strong> es ideal para estudiantes, hobbistas e ingenieros que necesitan una variedad completa de valores para sus proyectos de electrónica. Cada kit incluye 100 resistencias surtidas con los valores más utilizados.',
+        'Las resistencias de carbón son perfectas para prototipos y circuitos educativos gracias a su bajo costo y buena estabilidad a temperatura ambiente. Con una tolerancia del 5%, son adecuadas para la mayoría de aplicaciones donde no se requiere alta precisión.',
+      ],
+      uses: 'Perfectas para limitar corriente en LEDs, divisores de voltaje, filtros RC básicos, circuitos de polarización de transistores y cualquier aplicación que requiera resistencias de propósito general.',
+      datasheet: { href: 'assets/docs/resistencia-carbon-14W-datasheet.pdf', size: '2.4 MB', sizeLabel: '2.4 megabytes' },
+      reviews: [
+        { author: 'Juan Rodríguez', rating: 5, date: '2025-01-15', title: 'Ideal para empezar',
+          text: 'Excelente kit para empezar en electrónica. Los valores están bien surtidos, el empaque mantiene todo organizado y llegó en 2 días. Muy recomendado.' },
+        { author: 'María López', rating: 4, date: '2025-01-08', title: 'Buena relación calidad-precio',
+          text: 'Buena relación calidad-precio. Las resistencias son de carbón estándar, cumplen perfectamente para proyectos educativos y prototipos.' },
+      ],
+    },
+    {
+      id: 2,
+      sku: 'RES-MF14W-100',
+      name: 'Resistencia Metal Film 1% 1/4W x100',
+      category: 'resistencias',
+      price: 18000,
+      oldPrice: null,
+      ratings: [81, 3, 0, 0, 0],
+      stock: 230,
+      weight: 90,
+      badge: null,
+      featured: false,
+      addedAt: '2024-11-02',
+      images: [
+        { src: 'assets/images/resistencia-metal.jpg',
+          alt: 'Resistencia de película metálica 1% tolerancia, 1/4W, 100 unidades',
+          label: 'bolsa de 100 unidades' },
+      ],
+      highlights: [
+        ['Potencia', '1/4W (0.25W)'],
+        ['Tolerancia', '±1%'],
+        ['Rango de valores', '10Ω — 1MΩ'],
+        ['Cantidad', '100 piezas'],
+        ['Material', 'Película metálica'],
+      ],
+      specs: [
+        { param: 'Potencia nominal',           value: '0.25',              unit: 'W' },
+        { param: 'Tolerancia',                 value: '±1',                unit: '%' },
+        { param: 'Rango de valores',           value: '10 — 1.000.000',    unit: 'Ω' },
+        { param: 'Coeficiente de temperatura', value: '±50',               unit: 'ppm/°C' },
+        { param: 'Tensión máxima',             value: '250',               unit: 'V' },
+        { param: 'Cantidad de piezas',         value: '100',               unit: 'uds' },
+        { param: 'Código de colores',          value: '5 bandas',          unit: '—' },
+        { param: 'Encapsulado',                value: 'Through-hole (TH)', unit: '—' },
+      ],
+      description: [
+        'Resistencias de <strong>película metálica</strong> con tolerancia del 1%, pensadas para circuitos de instrumentación, filtros y referencias donde la precisión y el bajo ruido son importantes.',
+      ],
+      uses: 'Amplificadores operacionales, divisores de precisión, filtros activos y circuitos de medición.',
+      datasheet: { href: 'assets/docs/resistencia-metal-film-datasheet.pdf', size: '1.1 MB', sizeLabel: '1.1 megabytes' },
+    },
+    {
+      id: 3,
+      sku: 'RES-SMD0805-1K',
+      name: 'Resistencias SMD 0805 Kit 1000 piezas',
+      category: 'resistencias',
+      price: 32000,
+      oldPrice: 40000,
+      ratings: [85, 72, 33, 12, 8],
+      stock: 75,
+      weight: 60,
+      badge: 'popular',
+      featured: false,
+      addedAt: '2024-09-15',
+      images: [
+        { src: 'assets/images/resistencia-smd.jpg',
+          alt: 'Resistencias SMD 0805 kit surtido 1000 piezas en cinta',
+          label: 'cintas SMD' },
+      ],
+      highlights: [
+        ['Potencia', '1/8W (0.125W)'],
+        ['Tolerancia', '±1%'],
+        ['Rango de valores', '1Ω — 10MΩ'],
+        ['Cantidad', '1000 piezas'],
+        ['Encapsulado', 'SMD 0805'],
+      ],
+      specs: [
+        { param: 'Potencia nominal',   value: '0.125',           unit: 'W' },
+        { param: 'Tolerancia',         value: '±1',              unit: '%' },
+        { param: 'Rango de valores',   value: '1 — 10.000.000',  unit: 'Ω' },
+        { param: 'Tensión máxima',     value: '150',             unit: 'V' },
+        { param: 'Cantidad de piezas', value: '1000',            unit: 'uds' },
+        { param: 'Encapsulado',        value: 'SMD 0805',        unit: '—' },
+      ],
+      description: [
+        'Kit de <strong>1000 resistencias SMD 0805</strong> organizadas por valor en cintas de 20 piezas. Ideal para montaje de PCB y reparación.',
+      ],
+      uses: 'Diseño de PCB, reparación de tarjetas y prototipos con montaje superficial.',
+      datasheet: { href: 'assets/docs/resistencia-smd-0805-datasheet.pdf', size: '0.9 MB', sizeLabel: '0.9 megabytes' },
+    },
+    {
+      id: 4,
+      sku: 'POT-LIN-10K',
+      name: 'Potenciómetro Lineal 10K Ohms',
+      category: 'resistencias',
+      price: 3500,
+      oldPrice: null,
+      ratings: [35, 15, 4, 1, 1],
+      stock: 9,
+      weight: 15,
+      badge: null,
+      featured: false,
+      addedAt: '2024-06-20',
+      images: [
+        { src: 'assets/images/potenciometro.jpg',
+          alt: 'Potenciómetro lineal de 10K ohms, 3 terminales, eje de 6mm',
+          label: 'potenciómetro' },
+      ],
+      highlights: [
+        ['Resistencia', '10kΩ'],
+        ['Curva', 'Lineal (B)'],
+        ['Potencia', '0.125W'],
+        ['Eje', '6mm'],
+      ],
+      specs: [
+        { param: 'Resistencia',      value: '10.000',            unit: 'Ω' },
+        { param: 'Potencia nominal', value: '0.125',             unit: 'W' },
+        { param: 'Tolerancia',       value: '±20',               unit: '%' },
+        { param: 'Curva',            value: 'Lineal (B)',        unit: '—' },
+        { param: 'Diámetro del eje', value: '6',                 unit: 'mm' },
+        { param: 'Terminales',       value: '3',                 unit: 'uds' },
+        { param: 'Encapsulado',      value: 'Through-hole (TH)', unit: '—' },
+      ],
+      description: [
+        'Potenciómetro de <strong>10kΩ con curva lineal</strong>, eje estriado de 6mm y tres terminales para montaje en protoboard o panel.',
+      ],
+      uses: 'Control de volumen, ajuste de brillo, entradas analógicas de microcontroladores y divisores variables.',
+      datasheet: { href: 'assets/docs/potenciometro-10k-datasheet.pdf', size: '0.6 MB', sizeLabel: '0.6 megabytes' },
+    },
+    {
+      id: 5,
+      sku: 'RES-CER10W-10R',
+      name: 'Resistencia de Potencia Cerámica 10W',
+      category: 'resistencias',
+      price: 8000,
+      oldPrice: null,
+      ratings: [13, 12, 5, 2, 1],
+      stock: 120,
+      weight: 25,
+      badge: null,
+      featured: false,
+      addedAt: '2024-03-05',
+      images: [
+        { src: 'assets/images/resistencia-potencia.jpg',
+          alt: 'Resistencia de potencia 10W cuerpo de cerámica color beige',
+          label: 'cuerpo cerámico' },
+      ],
+      highlights: [
+        ['Potencia', '10W'],
+        ['Resistencia', '10Ω'],
+        ['Tolerancia', '±5%'],
+        ['Material', 'Cerámica'],
+      ],
+      specs: [
+        { param: 'Potencia nominal', value: '10',            unit: 'W' },
+        { param: 'Resistencia',      value: '10',            unit: 'Ω' },
+        { param: 'Tolerancia',       value: '±5',            unit: '%' },
+        { param: 'Tensión máxima',   value: '500',           unit: 'V' },
+        { param: 'Encapsulado',      value: 'Axial cerámico', unit: '—' },
+      ],
+      description: [
+        'Resistencia bobinada de <strong>10W en cuerpo cerámico</strong>, resistente a altas temperaturas para cargas de prueba y fuentes de alimentación.',
+      ],
+      uses: 'Cargas ficticias, limitación de corriente de arranque y descarga de condensadores.',
+      datasheet: { href: 'assets/docs/resistencia-potencia-10w-datasheet.pdf', size: '0.7 MB', sizeLabel: '0.7 megabytes' },
+    },
+    {
+      id: 6,
+      sku: 'LDR-GL5528-100',
+      name: 'LDR Fotorresistencia GL5528 x100',
+      category: 'resistencias',
+      price: 22000,
+      oldPrice: 28000,
+      ratings: [94, 3, 0, 0, 0],
+      stock: 60,
+      weight: 50,
+      badge: 'sale',
+      featured: false,
+      addedAt: '2024-12-01',
+      images: [
+        { src: 'assets/images/ldr.jpg',
+          alt: 'LDR fotorresistencia GL5528, sensible a la luz, 100 unidades',
+          label: 'fotorresistencias' },
+      ],
+      highlights: [
+        ['Resistencia con luz', '8kΩ — 20kΩ'],
+        ['Resistencia en oscuridad', '1MΩ'],
+        ['Pico espectral', '540nm'],
+        ['Cantidad', '100 piezas'],
+      ],
+      specs: [
+        { param: 'Resistencia con luz (10 lux)', value: '8.000 — 20.000',    unit: 'Ω' },
+        { param: 'Resistencia en oscuridad',     value: '1.000.000',         unit: 'Ω' },
+        { param: 'Tensión máxima',               value: '150',               unit: 'V' },
+        { param: 'Potencia nominal',             value: '0.1',               unit: 'W' },
+        { param: 'Pico espectral',               value: '540',               unit: 'nm' },
+        { param: 'Cantidad de piezas',           value: '100',               unit: 'uds' },
+        { param: 'Encapsulado',                  value: 'Through-hole (TH)', unit: '—' },
+      ],
+      description: [
+        'Fotorresistencias <strong>GL5528</strong> cuya resistencia disminuye con la luz. Bolsa de 100 unidades.',
+      ],
+      uses: 'Sensores de luz, encendido automático de lámparas y seguidores de luz en robótica.',
+      datasheet: { href: 'assets/docs/ldr-gl5528-datasheet.pdf', size: '0.4 MB', sizeLabel: '0.4 megabytes' },
+    },
+    {
+      id: 7,
+      sku: 'TR-220-12-1A',
+      name: 'Transformador 220V / 12V 1A',
+      category: 'transformadores',
+      price: 28000,
+      oldPrice: 35000,
+      ratings: [62, 2, 0, 0, 0],
+      stock: 40,
+      weight: 650,
+      badge: 'sale',
+      featured: true,
+      addedAt: '2024-08-12',
+      images: [
+        { src: 'assets/images/transformador-220.jpg',
+          alt: 'Transformador de potencia 220V a 12V 1 Amperio, núcleo de hierro laminado',
+          label: 'transformador' },
+      ],
+      highlights: [
+        ['Entrada', '220V AC'],
+        ['Salida', '12V AC'],
+        ['Corriente', '1A'],
+        ['Potencia', '12W'],
+      ],
+      specs: [
+        { param: 'Tensión de entrada',  value: '220',            unit: 'V AC' },
+        { param: 'Tensión de salida',   value: '12',             unit: 'V AC' },
+        { param: 'Corriente de salida', value: '1',              unit: 'A' },
+        { param: 'Potencia',            value: '12',             unit: 'W' },
+        { param: 'Frecuencia',          value: '60',             unit: 'Hz' },
+        { param: 'Núcleo',              value: 'Hierro laminado', unit: '—' },
+      ],
+      description: [
+        'Transformador reductor de <strong>220V a 12V con 1A</strong> de salida, núcleo de hierro laminado y terminales para soldar.',
+      ],
+      uses: 'Fuentes lineales, cargadores y alimentación de circuitos de 12V.',
+      datasheet: { href: 'assets/docs/transformador-220-12-1a-datasheet.pdf', size: '0.8 MB', sizeLabel: '0.8 megabytes' },
+    },
+    {
+      id: 8,
+      sku: 'CAP-EL-1000U-25V',
+      name: 'Capacitor Electrolítico 1000µF 25V',
+      category: 'capacitores',
+      price: 4500,
+      oldPrice: null,
+      ratings: [18, 18, 7, 3, 1],
+      stock: 300,
+      weight: 20,
+      badge: null,
+      featured: true,
+      addedAt: '2024-10-01',
+      images: [
+        { src: 'assets/images/capacitor-electrolitico.jpg',
+          alt: 'Capacitor electrolítico 1000µF 25V, encapsulado cilíndrico negro',
+          label: 'capacitor' },
+      ],
+      highlights: [
+        ['Capacitancia', '1000µF'],
+        ['Tensión', '25V'],
+        ['Tolerancia', '±20%'],
+        ['Temperatura máx.', '105°C'],
+      ],
+      specs: [
+        { param: 'Capacitancia',        value: '1000',         unit: 'µF' },
+        { param: 'Tensión nominal',     value: '25',           unit: 'V' },
+        { param: 'Tolerancia',          value: '±20',          unit: '%' },
+        { param: 'Temperatura máxima',  value: '105',          unit: '°C' },
+        { param: 'Encapsulado',         value: 'Radial 10x20', unit: 'mm' },
+      ],
+      description: [
+        'Capacitor electrolítico de aluminio de <strong>1000µF a 25V</strong>, ideal para filtrado en fuentes de alimentación.',
+      ],
+      uses: 'Filtrado de rizado, desacople de alimentación y almacenamiento de energía.',
+      datasheet: { href: 'assets/docs/capacitor-electrolitico-1000uf-datasheet.pdf', size: '0.5 MB', sizeLabel: '0.5 megabytes' },
+    },
+    {
+      id: 9,
+      sku: 'ARD-UNO-R3',
+      name: 'Arduino UNO R3 ATmega328',
+      category: 'microcontroladores',
+      price: 45000,
+      oldPrice: null,
+      ratings: [300, 12, 0, 0, 0],
+      stock: 25,
+      weight: 45,
+      badge: 'popular',
+      featured: true,
+      addedAt: '2024-05-10',
+      images: [
+        { src: 'assets/images/arduino-uno.jpg',
+          alt: 'Arduino UNO R3 con microcontrolador ATmega328, placa de desarrollo azul',
+          label: 'placa Arduino' },
+      ],
+      highlights: [
+        ['Microcontrolador', 'ATmega328P'],
+        ['Tensión', '5V'],
+        ['Pines digitales', '14'],
+        ['Flash', '32KB'],
+      ],
+      specs: [
+        { param: 'Microcontrolador',     value: 'ATmega328P', unit: '—' },
+        { param: 'Tensión de operación', value: '5',          unit: 'V' },
+        { param: 'Tensión de entrada',   value: '7 — 12',     unit: 'V' },
+        { param: 'Pines digitales',      value: '14',         unit: 'uds' },
+        { param: 'Entradas analógicas',  value: '6',          unit: 'uds' },
+        { param: 'Memoria flash',        value: '32',         unit: 'KB' },
+        { param: 'Frecuencia de reloj',  value: '16',         unit: 'MHz' },
+      ],
+      description: [
+        'Placa de desarrollo <strong>Arduino UNO R3</strong> con ATmega328P, conector USB y cabeceras para shields.',
+      ],
+      uses: 'Aprendizaje de programación, automatización, robótica y prototipos IoT.',
+      datasheet: { href: 'assets/docs/arduino-uno-r3-datasheet.pdf', size: '3.1 MB', sizeLabel: '3.1 megabytes' },
+    },
+    {
+      id: 10,
+      sku: 'TRS-KIT-200',
+      name: 'Kit Transistores NPN/PNP 200 piezas',
+      category: 'transistores',
+      price: 35000,
+      oldPrice: 50000,
+      ratings: [26, 11, 3, 1, 0],
+      stock: 35,
+      weight: 180,
+      badge: 'sale',
+      featured: false,
+      offer: true,
+      addedAt: '2024-07-01',
+      images: [
+        { src: 'assets/images/kit-transistores.jpg',
+          alt: 'Kit surtido de transistores NPN y PNP, 200 piezas en caja organizadora',
+          label: 'caja organizadora' },
+      ],
+      highlights: [
+        ['Tipos', 'NPN / PNP'],
+        ['Referencias', 'BC547, BC557, 2N2222, 2N3906'],
+        ['Encapsulado', 'TO-92'],
+        ['Cantidad', '200 piezas'],
+      ],
+      specs: [
+        { param: 'Referencias',              value: 'BC547, BC557, 2N2222, 2N3906', unit: '—' },
+        { param: 'Tipo',                     value: 'NPN / PNP',                    unit: '—' },
+        { param: 'Corriente de colector máx.', value: '0.6',                        unit: 'A' },
+        { param: 'Tensión colector-emisor',  value: '40',                           unit: 'V' },
+        { param: 'Cantidad de piezas',       value: '200',                          unit: 'uds' },
+        { param: 'Encapsulado',              value: 'TO-92',                        unit: '—' },
+      ],
+      description: [
+        'Caja organizadora con <strong>200 transistores de señal</strong> NPN y PNP de las referencias más usadas.',
+      ],
+      uses: 'Conmutación, amplificación de señal y drivers para LEDs y relés.',
+      datasheet: { href: 'assets/docs/kit-transistores-datasheet.pdf', size: '1.6 MB', sizeLabel: '1.6 megabytes' },
+    },
+    {
+      id: 11,
+      sku: 'DIO-ZR-100',
+      name: 'Surtido Diodos Zener + Rectificadores',
+      category: 'diodos',
+      price: 18000,
+      oldPrice: 22500,
+      ratings: [18, 8, 2, 1, 0],
+      stock: 50,
+      weight: 110,
+      badge: 'sale',
+      featured: false,
+      offer: true,
+      addedAt: '2024-07-15',
+      images: [
+        { src: 'assets/images/kit-diodos.jpg',
+          alt: 'Surtido de diodos zener y rectificadores, 100 piezas en bolsa resellable',
+          label: 'bolsa resellable' },
+      ],
+      highlights: [
+        ['Zener', '3.3V — 24V'],
+        ['Rectificador', '1N4007 1A'],
+        ['Encapsulado', 'DO-41'],
+        ['Cantidad', '100 piezas'],
+      ],
+      specs: [
+        { param: 'Tensión zener',      value: '3.3 — 24', unit: 'V' },
+        { param: 'Potencia zener',     value: '0.5',      unit: 'W' },
+        { param: 'Corriente directa',  value: '1',        unit: 'A' },
+        { param: 'Tensión inversa',    value: '1000',     unit: 'V' },
+        { param: 'Cantidad de piezas', value: '100',      unit: 'uds' },
+        { param: 'Encapsulado',        value: 'DO-41',    unit: '—' },
+      ],
+      description: [
+        'Surtido de <strong>diodos zener y rectificadores 1N4007</strong> en bolsa resellable con etiqueta de valores.',
+      ],
+      uses: 'Rectificación, protección contra polaridad inversa y referencias de tensión.',
+      datasheet: { href: 'assets/docs/surtido-diodos-datasheet.pdf', size: '1.2 MB', sizeLabel: '1.2 megabytes' },
+    },
+    {
+      id: 12,
+      sku: 'TR-220-24-2A',
+      name: 'Transformador 220V / 24V 2A',
+      category: 'transformadores',
+      price: 52000,
+      oldPrice: null,
+      ratings: [11, 5, 2, 0, 0],
+      stock: 22,
+      weight: 1100,
+      badge: null,
+      featured: false,
+      addedAt: '2024-04-18',
+      images: [
+        { src: 'assets/images/transformador-220.jpg',
+          alt: 'Transformador de potencia 220V a 24V 2 Amperios, núcleo de hierro laminado',
+          label: 'transformador' },
+      ],
+      highlights: [
+        ['Entrada', '220V AC'],
+        ['Salida', '24V AC'],
+        ['Corriente', '2A'],
+        ['Potencia', '48W'],
+      ],
+      specs: [
+        { param: 'Tensión de entrada',  value: '220',            unit: 'V AC' },
+        { param: 'Tensión de salida',   value: '24',             unit: 'V AC' },
+        { param: 'Corriente de salida', value: '2',              unit: 'A' },
+        { param: 'Potencia',            value: '48',             unit: 'W' },
+        { param: 'Frecuencia',          value: '60',             unit: 'Hz' },
+        { param: 'Núcleo',              value: 'Hierro laminado', unit: '—' },
+      ],
+      description: [
+        'Transformador reductor de <strong>220V a 24V con 2A</strong> para fuentes de mayor potencia.',
+      ],
+      uses: 'Fuentes para motores, tiras LED de 24V y automatización industrial.',
+      datasheet: { href: 'assets/docs/transformador-220-24-2a-datasheet.pdf', size: '0.8 MB', sizeLabel: '0.8 megabytes' },
+    },
+    {
+      id: 13,
+      sku: 'TR-220-5-3A',
+      name: 'Transformador 220V / 5V 3A',
+      category: 'transformadores',
+      price: 38000,
+      oldPrice: null,
+      ratings: [4, 5, 2, 1, 0],
+      stock: 3,
+      weight: 900,
+      badge: null,
+      featured: false,
+      addedAt: '2024-02-22',
+      images: [
+        { src: 'assets/images/transformador-220.jpg',
+          alt: 'Transformador con rectificación de 220V a 5V DC 3 Amperios',
+          label: 'transformador' },
+      ],
+      highlights: [
+        ['Entrada', '220V AC'],
+        ['Salida', '5V DC'],
+        ['Corriente', '3A'],
+        ['Potencia', '15W'],
+      ],
+      specs: [
+        { param: 'Tensión de entrada',  value: '220', unit: 'V AC' },
+        { param: 'Tensión de salida',   value: '5',   unit: 'V DC' },
+        { param: 'Corriente de salida', value: '3',   unit: 'A' },
+        { param: 'Potencia',            value: '15',  unit: 'W' },
+        { param: 'Frecuencia',          value: '60',  unit: 'Hz' },
+      ],
+      description: [
+        'Transformador con etapa de rectificación de <strong>220V a 5V DC y 3A</strong>.',
+      ],
+      uses: 'Alimentación de microcontroladores, módulos USB y lógica de 5V.',
+      datasheet: { href: 'assets/docs/transformador-220-5-3a-datasheet.pdf', size: '0.8 MB', sizeLabel: '0.8 megabytes' },
+    },
+    {
+      id: 14,
+      sku: 'TR-110-12-5A',
+      name: 'Transformador 110V / 12V 5A',
+      category: 'transformadores',
+      price: 75000,
+      oldPrice: null,
+      ratings: [6, 2, 1, 0, 0],
+      stock: 0,
+      weight: 2300,
+      badge: null,
+      featured: false,
+      addedAt: '2023-11-30',
+      images: [
+        { src: 'assets/images/transformador-220.jpg',
+          alt: 'Transformador de potencia 110V a 12V 5 Amperios, núcleo de hierro laminado',
+          label: 'transformador' },
+      ],
+      highlights: [
+        ['Entrada', '110V AC'],
+        ['Salida', '12V AC'],
+        ['Corriente', '5A'],
+        ['Potencia', '60W'],
+      ],
+      specs: [
+        { param: 'Tensión de entrada',  value: '110',            unit: 'V AC' },
+        { param: 'Tensión de salida',   value: '12',             unit: 'V AC' },
+        { param: 'Corriente de salida', value: '5',              unit: 'A' },
+        { param: 'Potencia',            value: '60',             unit: 'W' },
+        { param: 'Frecuencia',          value: '60',             unit: 'Hz' },
+        { param: 'Núcleo',              value: 'Hierro laminado', unit: '—' },
+      ],
+      description: [
+        'Transformador de <strong>110V a 12V con 5A</strong> para equipos de mayor consumo.',
+      ],
+      uses: 'Amplificadores de audio, fuentes de banco y cargadores de baterías.',
+      datasheet: { href: 'assets/docs/transformador-110-12-5a-datasheet.pdf', size: '0.8 MB', sizeLabel: '0.8 megabytes' },
+    },
+  ];
+
+  /* ============================================================
+     DISPONIBILIDAD
+     Mismos valores que el filtro `stock` de productos.html
+  ============================================================ */
+  const LOW_STOCK_THRESHOLD = 10;
+
+  const STOCK_LABELS = {
+    in_stock:     t('catalog.inStock'),
+    low_stock:    t('catalog.lowStock'),
+    out_of_stock: t('catalog.outOfStock'),
+  };
+
+  function stockStatus(p) {
+    if (p.stock <= 0) return 'out_of_stock';
+    if (p.stock <= LOW_STOCK_THRESHOLD) return 'low_stock';
+    return 'in_stock';
+  }
+
+  /* ============================================================
+     CALIFICACIONES
+     Promedio con un decimal y total a partir del histograma de
+     `ratings`; js/reviews.js suma las reseñas nuevas con refreshRating().
+  ============================================================ */
+  function ratingSummary(histogram) {
+    const count = histogram.reduce((n, c) => n + c, 0);
+    const points = histogram.reduce((sum, c, i) => sum + c * (5 - i), 0);
+    return { count, average: count ? Math.round(points / count * 10) / 10 : 0 };
+  }
+
+  /** Recalcula rating y reviewCount; `extra` es otro histograma [5★..1★]. */
+  function refreshRating(p, extra) {
+    const histogram = p.ratings.map((c, i) => c + (extra ? extra[i] || 0 : 0));
+    const summary = ratingSummary(histogram);
+    p.rating = summary.average;
+    p.reviewCount = summary.count;
+  }
+
+  PRODUCTS.forEach(p => refreshRating(p));
+
+  /* ============================================================
+     ENCAPSULADO
+     Valor de la especificación "Encapsulado" (faceta `pkg`)
+  ============================================================ */
+  function packageOf(p) {
+    const spec = (p.specs || []).find(s => s.param === 'Encapsulado');
+    return spec ? spec.value : null;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.catalog
+  ============================================================ */
+  EP.catalog = {
+    CATEGORIES,
+    STOCK_LABELS,
+    LOW_STOCK_THRESHOLD,
+    stockStatus,
+    ratingSummary,
+    packageOf,
+
+    refreshRating(id, extra) {
+      const product = this.get(id);
+      if (product) refreshRating(product, extra);
+      return product;
+    },
+
+    all() {
+      return PRODUCTS.slice();
+    },
+
+    get(id) {
+      return PRODUCTS.find(p => String(p.id) === String(id)) || null;
+    },
+
+    byCategory(slug) {
+      return PRODUCTS.filter(p => p.category === slug);
+    },
+
+    categoryLabel(slug) {
+      return CATEGORIES[slug] || slug;
+    },
+
+    /** Encapsulados distintos, en el orden del catálogo. */
+    packages() {
+      return PRODUCTS.map(packageOf).filter((v, i, all) => v && all.indexOf(v) === i);
+    },
+
+    /** Productos de la misma categoría (o, si no alcanza, del resto). */
+    related(id, limit) {
+      const product = this.get(id);
+      if (!product) return [];
+      const others = PRODUCTS.filter(p => p.id !== product.id);
+      const same   = others.filter(p => p.category === product.category);
+      const rest   = others.filter(p => p.category !== product.category);
+      return same.concat(rest).slice(0, limit || 3);
+    },
+
+    detailUrl(id) {
+      return EP.url('pages/detalle-producto.html?id=' + encodeURIComponent(id));
+    },
+
+    imageUrl(product, index) {
+      const img = product.images[index || 0];
+      return img ? EP.url(img.src) : '';
+    },
+  };
+
+})();
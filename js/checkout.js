@@ -0,0 +1,561 @@
+/**
+ * checkout.js
+ * Proceso de compra en pasos: dirección, método de envío, medio de pago
+ * y revisión. Cada paso se valida antes de avanzar; los errores se
+ * listan en #error-summary con enlaces a los campos y el foco se mueve
+ * al título del paso siguiente. El cobro pasa por EP.payments y el
+ * pedido pagado se guarda con EP.orders.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const cart = EP.cart;
+  const form = document.getElementById('checkout-form');
+  if (!cart || !form) return;
+
+  const formatPrice = EP.formatPrice;
+  const esc = EP.escapeHTML;
+
+  const STEPS = [
+    { key: 'address',  label: t('checkout.step.address') },
+    { key: 'shipping', label: t('checkout.step.shipping') },
+    { key: 'payment',  label: t('checkout.step.payment') },
+    { key: 'review',   label: t('checkout.step.review') },
+  ];
+  // El carrito es el paso 1 del proceso; aquí empiezan en el 2
+  const STEP_OFFSET = 2;
+  const BASE_TITLE = t('checkout.title');
+
+  const summaryBox  = document.getElementById('error-summary');
+  const layout      = document.getElementById('checkout-layout');
+  const emptyBox    = document.getElementById('checkout-empty');
+  const placeBtn    = document.getElementById('place-order-btn');
+  const department  = document.getElementById('ship-department');
+  const city        = document.getElementById('ship-city');
+
+  let current = 0;
+  let completed = -1;
+  let processing = false;
+
+  function field(name) {
+    return form.elements[name];
+  }
+
+  function value(name) {
+    const el = field(name);
+    return el ? String(el.value || '').trim() : '';
+  }
+
+  // ============================================================
+  // Departamentos y ciudades
+  // ============================================================
+  department.innerHTML += EP.locations.departments()
+    .map(d => `<option value="${d.code}">${esc(d.name)}</option>`).join('');
+
+  department.addEventListener('change', function () {
+    const cities = EP.locations.cities(department.value);
+    city.innerHTML = (cities.length
+      ? `<option value="">${esc(t('checkout.city.choose'))}</option>`
+      : `<option value="">${esc(t('checkout.city.first'))}</option>`) +
+      cities.map(c => `<option>${esc(c)}</option>`).join('');
+    city.disabled = !cities.length;
+    // Con una sola opción (Bogotá D.C.) se selecciona directamente
+    if (cities.length === 1) city.value = cities[0];
+    renderSummary();
+  });
+
+  document.getElementById('pse-bank').innerHTML += EP.payments.BANKS
+    .map(b => `<option>${esc(b)}</option>`).join('');
+
+  // ============================================================
+  // Pedido: destino, método y cotización
+  // ============================================================
+  function destination() {
+    return department.value ? EP.locations.zoneFor(department.value) : undefined;
+  }
+
+  function shippingMethod() {
+    const checked = form.querySelector('input[name="shippingMethod"]:checked');
+    return checked ? checked.value : undefined;
+  }
+
+  function currentQuote() {
+    return EP.pricing.quote(EP.pricing.linesFromCart(cart.items()), {
+      coupon: EP.coupons.applied(),
+      destination: destination(),
+      method: shippingMethod(),
+    });
+  }
+
+  function shippingText(ship) {
+    if (ship.pickup) return t('checkout.noCost');
+    return ship.amount === 0 ? '✔ ' + t('cartPage.free') : formatPrice(ship.amount);
+  }
+
+  // ============================================================
+  // Resumen lateral
+  // ============================================================
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+    return el;
+  }
+
+  // El cupón se aplicó en el carrito: se vuelve a validar con el pedido
+  // actual (pudo vencer o el carrito cambió en otra pestaña). Si ya no
+  // vale se retira y se avisa; devuelve true en ese caso.
+  function revalidateCoupon() {
+    const coupon = EP.coupons.applied();
+    if (!coupon || !cart.items().length) return false;
+    const result = EP.coupons.validate(coupon.code, cart.items());
+    if (result.ok) return false;
+    EP.coupons.remove();
+    const message = t('cartPage.couponDropped', { code: coupon.code }) + ' ' + result.message;
+    const note = setText('co-coupon-note', message + ' ' + t('checkout.totalUpdated'));
+    note.hidden = false;
+    EP.announce(message + ' ' + t('checkout.checkTotal', { price: formatPrice(currentQuote().total) }), true);
+    return true;
+  }
+
+  function renderSummary() {
+    revalidateCoupon();
+    const items = cart.items();
+    const quote = currentQuote();
+    const coupon = EP.coupons.applied();
+
+    document.getElementById('checkout-items').innerHTML = items.map(i => `
+      <li>
+        <span><span${EP.i18n.dataLang()}>${esc(i.name)}</span> <span aria-label="${esc(t('checkout.qty', { count: i.qty }))}">× ${i.qty}</span></span>
+        <span>${formatPrice(i.price * i.qty)}</span>
+      </li>`).join('');
+
+    setText('co-subtotal', formatPrice(quote.subtotal));
+    setText('co-discount-label', coupon ? t('cartPage.discountCode', { code: coupon.code }) : t('cartPage.discount'));
+    setText('co-discount', '−' + formatPrice(quote.discount));
+    setText('co-shipping-label', department.value ? quote.shipping.methodLabel : t('checkout.shippingEstimate'));
+    setText('co-shipping', shippingText(quote.shipping));
+    const taxed = quote.taxes.filter(tax => tax.rate > 0);
+    setText('co-tax-label', EP.pricing.taxLabel() +
+      (taxed.length ? ' (' + EP.pricing.formatRates(taxed.map(tax => tax.rate)) + ')' : ''));
+    setText('co-tax', formatPrice(quote.tax));
+    const total = setText('co-total', formatPrice(quote.total));
+    total.setAttribute('aria-label', t('cartPage.total', { price: formatPrice(quote.total) }));
+
+    if (placeBtn && !processing) {
+      placeBtn.textContent = t('checkout.pay', { price: formatPrice(quote.total) });
+    }
+    return quote;
+  }
+
+  // ============================================================
+  // Paso 3: métodos de envío según la zona del destino
+  // ============================================================
+  function renderShippingMethods() {
+    const zone = destination();
+    const quote = currentQuote();
+    const selected = shippingMethod();
+    const methods = EP.pricing.shippingMethods(zone);
+    const keep = methods.some(m => m.key === selected);
+    const dep = EP.locations.department(department.value);
+
+    setText('shipping-destination', t('checkout.destination', {
+      place: value('city') + ', ' + (dep ? dep.name : ''),
+      weight: EP.pricing.formatWeight(quote.shipping.weight),
+    }));
+
+    const lines = EP.pricing.linesFromCart(cart.items());
+    const list = document.getElementById('shipping-methods');
+    const legend = list.querySelector('legend').outerHTML;
+    list.innerHTML = legend + methods.map((m, i) => {
+      const option = EP.pricing.quote(lines, { coupon: EP.coupons.applied(), destination: zone, method: m.key }).shipping;
+      const checked = keep ? selected === m.key : i === 0;
+      return `
+        <label class="option-card">
+          <input type="radio" id="ship-method-${m.key}" name="shippingMethod" value="${m.key}" ${checked ? 'checked' : ''} />
+          <span class="option-body">
+            <span class="option-title">${esc(m.label)}</span>
+            <span class="option-detail">${esc(m.days)}</span>
+            ${option.remainingForFree ? `<span class="option-detail">${esc(t('checkout.freeFrom', { price: formatPrice(option.freeFrom) }))}</span>` : ''}
+          </span>
+          <span class="option-price">${shippingText(option)}</span>
+        </label>`;
+    }).join('');
+  }
+
+  form.addEventListener('change', function (e) {
+    if (e.target.name === 'shippingMethod') renderSummary();
+    if (e.target.name === 'payment') showPaymentFields();
+  });
+
+  // ============================================================
+  // Paso 4: campos del medio de pago elegido
+  // ============================================================
+  function paymentMethod() {
+    const checked = form.querySelector('input[name="payment"]:checked');
+    return checked ? checked.value : '';
+  }
+
+  function showPaymentFields() {
+    const type = (EP.payments.METHODS[paymentMethod()] || {}).type;
+    document.getElementById('card-fields').hidden   = type !== 'card';
+    document.getElementById('pse-fields').hidden    = type !== 'bank';
+    document.getElementById('efecty-fields').hidden = type !== 'cash';
+  }
+
+  // ============================================================
+  // Validación por paso → [{ id, message }]
+  // ============================================================
+  const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+  const VALIDATORS = {
+    address() {
+      const errors = [];
+      const add = (id, message) => errors.push({ id, message });
+      const digits = v => v.replace(/[\s.-]/g, '');
+
+      if (value('name').length < 3) add('ship-name', t('checkout.error.name'));
+      if (!value('document')) add('ship-document', t('checkout.error.document'));
+      else if (!/^\d{6,10}$/.test(digits(value('document')))) {
+        add('ship-document', t('checkout.error.documentFormat'));
+      }
+      if (!value('phone')) add('ship-phone', t('checkout.error.phone'));
+      else if (!/^3\d{9}$/.test(digits(value('phone')).replace(/^\+?57/, ''))) {
+        add('ship-phone', t('checkout.error.phoneFormat'));
+      }
+      if (!value('email')) add('ship-email', t('checkout.error.email'));
+      else if (!EMAIL_RE.test(value('email'))) {
+        add('ship-email', t('checkout.error.emailFormat'));
+      }
+      if (!value('department')) add('ship-department', t('checkout.error.department'));
+      if (!value('city')) add('ship-city', t('checkout.error.city'));
+      if (value('address').length < 5) add('ship-address', t('checkout.error.address'));
+      if (value('postal') && !/^\d{6}$/.test(value('postal'))) {
+        add('ship-postal', t('checkout.error.postal'));
+      }
+      return errors;
+    },
+
+    shipping() {
+      const first = form.querySelector('input[name="shippingMethod"]');
+      return shippingMethod() || !first ? [] : [{ id: first.id, message: t('checkout.error.shippingMethod') }];
+    },
+
+    payment() {
+      const method = paymentMethod();
+      if (!method) return [{ id: 'pay-visa', message: t('checkout.error.payment') }];
+      const type = EP.payments.METHODS[method].type;
+      const errors = [];
+      if (type === 'card') {
+        const cardErrors = EP.payments.validateCard({
+          number: value('cardNumber'),
+          name:   value('cardName'),
+          expiry: value('cardExpiry'),
+          cvc:    value('cardCvc'),
+        }, method);
+        ['number', 'name', 'expiry', 'cvc'].forEach(key => {
+          if (cardErrors[key]) errors.push({ id: 'card-' + key, message: cardErrors[key] });
+        });
+      }
+      if (type === 'bank') {
+        if (!value('psePerson')) errors.push({ id: 'pse-person', message: t('checkout.error.psePerson') });
+        if (!value('pseBank')) errors.push({ id: 'pse-bank', message: t('checkout.error.pseBank') });
+      }
+      return errors;
+    },
+
+    review() {
+      return field('terms').checked ? [] : [{
+        id: 'accept-terms',
+        message: t('checkout.error.terms'),
+      }];
+    },
+  };
+
+  // ============================================================
+  // WCAG 3.3.1 + 3.3.3 — Errores: resumen enlazado y mensaje por campo
+  // ============================================================
+  function errorId(id) {
+    return id + '-error';
+  }
+
+  function clearFieldError(el) {
+    const msg = document.getElementById(errorId(el.id));
+    if (msg) msg.remove();
+    el.removeAttribute('aria-invalid');
+    const ids = (el.getAttribute('aria-describedby') || '').split(' ')
+      .filter(x => x && x !== errorId(el.id));
+    if (ids.length) el.setAttribute('aria-describedby', ids.join(' '));
+    else el.removeAttribute('aria-describedby');
+  }
+
+  function clearErrors() {
+    summaryBox.hidden = true;
+    EP.$$('[aria-invalid="true"]', form).forEach(clearFieldError);
+  }
+
+  function showErrors(errors, title) {
+    clearErrors();
+    errors.forEach(err => {
+      const el = document.getElementById(err.id);
+      if (!el) return;
+      // En los grupos de opciones el mensaje va al final del grupo
+      const group = el.type === 'radio' ? el.closest('fieldset') : null;
+      const msg = document.createElement('p');
+      msg.className = 'field-error';
+      msg.id = errorId(err.id);
+      msg.textContent = err.message;
+      if (group) group.appendChild(msg);
+      else el.closest('.form-field, .terms-field').appendChild(msg);
+      el.setAttribute('aria-invalid', 'true');
+      el.setAttribute('aria-describedby',
+        ((el.getAttribute('aria-describedby') || '') + ' ' + msg.id).trim());
+    });
+
+    summaryBox.querySelector('.error-summary-title').textContent = title ||
+      t('form.errors', { count: errors.length });
+    summaryBox.querySelector('.error-summary-list').innerHTML = errors.map(err =>
+      `<li><a href="#${esc(err.id)}" data-field="${esc(err.id)}">${esc(err.message)}</a></li>`).join('');
+    summaryBox.hidden = false;
+    summaryBox.focus();
+  }
+
+  summaryBox.addEventListener('click', function (e) {
+    const link = e.target.closest('a[data-field]');
+    if (!link) return;
+    e.preventDefault();
+    const el = document.getElementById(link.dataset.field);
+    if (el) el.focus();
+  });
+
+  // Al corregir un campo se retira su mensaje
+  form.addEventListener('input', function (e) {
+    if (e.target.getAttribute('aria-invalid') === 'true') clearFieldError(e.target);
+  });
+
+  // ============================================================
+  // Navegación entre pasos + indicador de progreso
+  // ============================================================
+  function renderProgress() {
+    const finished = current >= STEPS.length;
+    EP.$$('#checkout-progress .step[data-step]').forEach(li => {
+      const i = STEPS.findIndex(s => s.key === li.dataset.step);
+      const n = i + STEP_OFFSET;
+      const state = t(i === current ? 'checkout.state.current' : (i <= completed ? 'checkout.state.done' : 'checkout.state.pending'));
+      li.classList.toggle('step-completed', i !== current && i <= completed);
+      if (i === current) li.setAttribute('aria-current', 'step');
+      else li.removeAttribute('aria-current');
+      li.setAttribute('aria-label', t('checkout.stepLabel', { n, label: STEPS[i].label, state }));
+      li.querySelector('.step-number').textContent = i !== current && i <= completed ? '✔' : n;
+      // Los pasos ya completados permiten volver a ellos (hasta confirmar el pedido)
+      const labelEl = li.querySelector('span:last-child');
+      labelEl.innerHTML = !finished && i !== current && i <= completed
+        ? `<button type="button" class="step-link" data-goto="${i}">${STEPS[i].label}</button>`
+        : STEPS[i].label;
+    });
+  }
+
+  function goTo(index, options) {
+    const o = options || {};
+    current = index;
+    clearErrors();
+    EP.$$('.checkout-step', form).forEach(section => {
+      section.hidden = section.dataset.step !== STEPS[index].key;
+    });
+    if (STEPS[index].key === 'shipping') renderShippingMethods();
+    if (STEPS[index].key === 'review')   renderReview();
+    renderSummary();
+    renderProgress();
+
+    // WCAG 2.4.2 — el título de la página refleja el paso actual
+    document.title = t('checkout.stepTitle', {
+      n: index + STEP_OFFSET, total: STEPS.length + 1, label: STEPS[index].label,
+    }) + ' — ' + BASE_TITLE;
+
+    // WCAG 2.4.3 — el foco pasa al título del nuevo paso
+    if (o.focus !== false) {
+      const heading = form.querySelector('.checkout-step[data-step="' + STEPS[index].key + '"] .checkout-step-title');
+      if (heading) heading.focus();
+    }
+  }
+
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+    if (processing) return;
+    const step = STEPS[current];
+    const errors = VALIDATORS[step.key]();
+    if (errors.length) {
+      showErrors(errors);
+      return;
+    }
+    completed = Math.max(completed, current);
+    if (step.key === 'review') placeOrder();
+    else goTo(current + 1);
+  });
+
+  form.addEventListener('click', function (e) {
+    if (e.target.closest('[data-action="back"]') && current > 0) goTo(current - 1);
+    const edit = e.target.closest('[data-goto]');
+    if (edit) goTo(Number(edit.dataset.goto));
+  });
+
+  document.getElementById('checkout-progress').addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-goto]');
+    if (btn && !processing) goTo(Number(btn.dataset.goto));
+  });
+
+  // ============================================================
+  // Paso 5: revisión
+  // ============================================================
+  function paymentSummary() {
+    const method = paymentMethod();
+    const info = EP.payments.METHODS[method];
+    if (info.type === 'card') return info.label + ' ' + EP.payments.maskCard(value('cardNumber'));
+    if (info.type === 'bank') return info.label + ' · ' + value('pseBank');
+    return info.label + ' · ' + t('checkout.cash');
+  }
+
+  function addressLines() {
+    const dep = EP.locations.department(value('department'));
+    return [
+      value('name') + ' · ' + t('checkout.document', { document: value('document') }),
+      value('address') + (value('address2') ? ', ' + value('address2') : ''),
+      value('city') + ', ' + (dep ? dep.name : '') + (value('postal') ? ' · ' + value('postal') : ''),
+      value('phone') + ' · ' + value('email'),
+    ];
+  }
+
+  // `action`: atributo del botón Editar (data-goto="paso" o data-href="url")
+  function reviewBlock(title, lines, action) {
+    return `
+      <div class="review-block">
+        <div>
+          <h3>${esc(title)}</h3>
+          ${lines.map(l => `<p>${esc(l)}</p>`).join('')}
+        </div>
+        <button type="button" class="btn btn-outline" ${action}
+          aria-label="${esc(t('checkout.editLabel', { title: title.toLowerCase() }))}">${esc(t('checkout.edit'))}</button>
+      </div>`;
+  }
+
+  function renderReview() {
+    const ship = currentQuote().shipping;
+    document.getElementById('review-details').innerHTML =
+      reviewBlock(t('checkout.review.address'), addressLines(), 'data-goto="0"') +
+      reviewBlock(t('checkout.review.shipping'), [ship.methodLabel + ' · ' + ship.days + ' · ' + shippingText(ship)], 'data-goto="1"') +
+      reviewBlock(t('checkout.review.payment'), [paymentSummary()], 'data-goto="2"') +
+      reviewBlock(t('checkout.review.products'), cart.items().map(i => i.name + ' × ' + i.qty), 'data-href="carrito.html"');
+  }
+
+  document.getElementById('review-details').addEventListener('click', function (e) {
+    const link = e.target.closest('[data-href]');
+    if (link) location.href = link.dataset.href;
+  });
+
+  // ============================================================
+  // Pago y confirmación
+  // ============================================================
+  function setProcessing(on) {
+    processing = on;
+    placeBtn.disabled = on;
+    placeBtn.setAttribute('aria-busy', on ? 'true' : 'false');
+    if (on) placeBtn.textContent = t('checkout.processing');
+    else renderSummary();
+  }
+
+  function placeOrder() {
+    // Sin el cupón el total cambia: no se cobra hasta que lo vea
+    if (revalidateCoupon()) {
+      renderSummary();
+      return;
+    }
+    const quote = renderSummary();
+    const method = paymentMethod();
+    const payment = {
+      method,
+      amount: quote.total,
+      currency: quote.currency,
+      bank: value('pseBank'),
+      personType: value('psePerson'),
+      card: {
+        number: value('cardNumber'),
+        name:   value('cardName'),
+        expiry: value('cardExpiry'),
+        cvc:    value('cardCvc'),
+      },
+    };
+
+    setProcessing(true);
+    EP.announce(t('checkout.processingWait'));
+
+    EP.payments.charge(payment).then(result => {
+      setProcessing(false);
+      if (result.status === 'declined') {
+        completed = Math.min(completed, 1);
+        goTo(2, { focus: false });
+        showErrors([{ id: 'pay-' + method, message: result.message }], t('checkout.declined'));
+        return;
+      }
+      showConfirmation(result, quote);
+    });
+  }
+
+  // El pedido se guarda en el historial (EP.orders) y la confirmación
+  // se muestra en su propia página, que también sirve de comprobante
+  function showConfirmation(result, quote) {
+    const method = paymentMethod();
+    const order = EP.orders.create({
+      number: 'EP-' + result.reference.split('-').pop(),
+      reference: result.reference,
+      approved: result.status !== 'pending',
+      items: cart.items(),
+      quote,
+      coupon: EP.coupons.applied(),
+      // Sin cédula ni teléfono: solo lo necesario para reconocer el envío
+      shipTo: [value('name')].concat(addressLines().slice(1, 3)),
+      email: value('email'),
+      payment: {
+        method,
+        type: EP.payments.METHODS[method].type,
+        label: EP.payments.METHODS[method].label,
+        summary: paymentSummary(),
+        paymentCode: result.paymentCode || '',
+        expiresAt: result.expiresAt || '',
+      },
+    });
+
+    form.hidden = true;
+    summaryBox.hidden = true;
+    completed = STEPS.length - 1;
+    current = STEPS.length;
+
+    // El pedido ya no vive en el carrito
+    EP.coupons.remove();
+    cart.clear();
+    EP.announce(t('checkout.placed', { number: order.number }));
+    location.replace('pedido.html?numero=' + encodeURIComponent(order.number) + '&nuevo=1');
+  }
+
+  // ============================================================
+  // Inicio y cambios del carrito (también desde otra pestaña)
+  // ============================================================
+  function syncEmpty() {
+    const empty = !cart.items().length && current < STEPS.length;
+    emptyBox.hidden = !empty;
+    layout.hidden = empty;
+    document.getElementById('checkout-progress').closest('nav').hidden = empty;
+  }
+
+  cart.subscribe(function () {
+    if (current >= STEPS.length) return;
+    syncEmpty();
+    renderSummary();
+    if (STEPS[current].key === 'review') renderReview();
+  });
+
+  syncEmpty();
+  goTo(0, { focus: false });
+
+})();
@@ -0,0 +1,189 @@
+/**
+ * comparar.js
+ * Página de comparación: tabla generada con los productos de ?ids=
+ * (o, si no hay, con la selección guardada). Alinea las especificaciones
+ * por parámetro y unidad, marca las filas distintas y permite mostrar
+ * solo las diferencias.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const catalog = EP.catalog;
+  const compare = EP.compare;
+  const esc = EP.escapeHTML;
+
+  const root = document.getElementById('compare-root');
+  if (!root || !compare) return;
+
+  const params = new URLSearchParams(location.search);
+  let diffOnly = params.get('diff') === '1';
+
+  // La URL manda: así la comparación se puede compartir
+  if (params.has('ids')) compare.set(params.get('ids').split(','));
+  let products = compare.ids().map(id => catalog.get(id));
+
+  function syncUrl() {
+    const next = new URLSearchParams();
+    if (products.length) next.set('ids', products.map(p => p.id).join(','));
+    if (diffOnly) next.set('diff', '1');
+    const qs = next.toString().replace(/%2C/g, ',');
+    history.replaceState(null, '', location.pathname + (qs ? '?' + qs : ''));
+  }
+
+  // ============================================================
+  // Filas: datos generales + especificaciones alineadas
+  // ============================================================
+  function generalRows() {
+    const rows = [
+      { label: t('comparePage.price'),    values: products.map(p => EP.formatPrice(p.price)) },
+      { label: t('comparePage.stock'),    values: products.map(p => EP.productCards.stockText(p)),
+        html: products.map(p => EP.productCards.stockHTML(p)) },
+      { label: t('comparePage.rating'),   values: products.map(p => t('comparePage.ratingValue',
+        { rating: EP.i18n.formatNumber(p.rating), count: p.reviewCount })) },
+      { label: t('comparePage.category'), values: products.map(p => catalog.categoryLabel(p.category)) },
+      { label: 'SKU',                     values: products.map(p => p.sku) },
+    ];
+    rows.forEach(row => { row.different = compare.isDifferent(row.values); });
+    return rows;
+  }
+
+  function specLabel(row) {
+    return row.unit && row.unit !== '—' ? row.param + ' (' + row.unit + ')' : row.param;
+  }
+
+  function rowHTML(label, cells, different) {
+    return `
+      <tr class="${different ? 'is-different' : ''}"${diffOnly && !different ? ' hidden' : ''}>
+        <th scope="row">
+          ${different ? '<span class="diff-mark" aria-hidden="true">≠</span>' : ''}${esc(label)}${different ? `<span class="visually-hidden"> (${esc(t('comparePage.different'))})</span>` : ''}
+        </th>
+        ${cells.join('')}
+      </tr>`;
+  }
+
+  function headHTML() {
+    return products.map(p => `
+      <th scope="col">
+        <div class="compare-product">
+          <img src="${esc(catalog.imageUrl(p))}" alt="" width="96" height="64" loading="lazy" />
+          <a href="${esc(catalog.detailUrl(p.id))}"${EP.i18n.dataLang()}>${esc(p.name)}</a>
+          <button type="button" class="compare-remove" data-remove-id="${p.id}"
+            aria-label="${esc(t('compare.removeLabel', { name: p.name }))}">${esc(t('cartPage.couponRemove'))}</button>
+        </div>
+      </th>`).join('');
+  }
+
+  function namesList() {
+    return new Intl.ListFormat(EP.i18n.tag(), { type: 'conjunction' }).format(products.map(p => p.name));
+  }
+
+  // ============================================================
+  // Render
+  // ============================================================
+  function statusText(general, specs) {
+    const all = general.concat(specs);
+    const different = all.filter(r => r.different).length;
+    return diffOnly
+      ? t('comparePage.showingDiff', { count: different, total: all.length })
+      : t('comparePage.summary', { count: all.length, different });
+  }
+
+  function emptyHTML() {
+    return `
+      <div class="compare-empty">
+        <p>${esc(products.length
+          ? t('comparePage.onlyOne', { count: compare.MIN })
+          : t('comparePage.none'))}</p>
+        <a href="productos.html" class="btn btn-primary">${esc(t('comparePage.choose'))}</a>
+      </div>`;
+  }
+
+  function render() {
+    syncUrl();
+    if (products.length < compare.MIN) {
+      document.title = t('comparePage.title') + ' | ElectroParts';
+      root.innerHTML = emptyHTML();
+      return null;
+    }
+
+    const general = generalRows();
+    const specs = compare.specRows(products);
+    document.title = t('comparePage.titleCount', { count: products.length }) + ' | ElectroParts';
+
+    root.innerHTML = `
+      <div class="compare-toolbar">
+        <label class="compare-toggle">
+          <input type="checkbox" id="compare-diff-only"${diffOnly ? ' checked' : ''} />
+          ${esc(t('comparePage.diffOnly'))}
+        </label>
+        <!-- WCAG 4.1.3 -->
+        <p class="compare-status" id="compare-status">${statusText(general, specs)}</p>
+      </div>
+
+      <!-- WCAG 1.3.1 - Tabla con caption y scope -->
+      <div class="table-wrapper" role="region" aria-labelledby="compare-caption" tabindex="0">
+        <table class="compare-table">
+          <caption id="compare-caption">${esc(t('comparePage.caption', { names: namesList() }))}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${esc(t('comparePage.feature'))}</th>
+              ${headHTML()}
+            </tr>
+          </thead>
+          <tbody>
+            ${general.map(row => rowHTML(row.label,
+              (row.html || row.values.map(esc)).map(v => `<td>${v}</td>`), row.different)).join('')}
+            ${specs.map(row => rowHTML(specLabel(row),
+              row.values.map(v => v == null
+                ? `<td class="compare-missing">—<span class="visually-hidden">${esc(t('comparePage.missing'))}</span></td>`
+                : `<td>${esc(v)}</td>`), row.different)).join('')}
+          </tbody>
+        </table>
+      </div>`;
+
+    EP.tableScrollHint(EP.$('.table-wrapper', root));
+    return { general, specs };
+  }
+
+  render();
+
+  // ============================================================
+  // Interacción
+  // ============================================================
+  root.addEventListener('change', function (e) {
+    if (e.target.id !== 'compare-diff-only') return;
+    diffOnly = e.target.checked;
+    const rows = render();
+    const toggle = document.getElementById('compare-diff-only');
+    if (toggle) toggle.focus();
+    // WCAG 4.1.3: el foco se queda en la casilla; se anuncia el resultado
+    if (rows) EP.announce(statusText(rows.general, rows.specs));
+  });
+
+  root.addEventListener('click', function (e) {
+    const btn = e.target.closest('.compare-remove');
+    if (!btn) return;
+    const index = products.findIndex(p => String(p.id) === btn.dataset.removeId);
+    const removed = products[index];
+    compare.remove(removed.id);   // la suscripción de abajo repinta la tabla
+    EP.announce(t('compare.removed', { name: removed.name }));
+
+    // WCAG 2.4.3: el foco pasa al botón de la columna siguiente
+    const buttons = EP.$$('.compare-remove', root);
+    const next = buttons[Math.min(index, buttons.length - 1)];
+    if (next) next.focus();
+    else document.getElementById('compare-title').focus();
+  });
+
+  // Cambios de la selección (aquí o en otra pestaña)
+  compare.subscribe(function (ids) {
+    const current = products.map(p => String(p.id)).join(',');
+    if (ids.join(',') === current) return;
+    products = ids.map(id => catalog.get(id));
+    render();
+  });
+
+})();
@@ -0,0 +1,248 @@
+/**
+ * compare.js
+ * Selección de productos para comparar, compartida por todas las páginas.
+ * - Guarda de 2 a 4 ids en localStorage (clave `ep_compare`)
+ * - Botón "Comparar" de las tarjetas (aria-pressed) y bandeja flotante
+ *   con la selección y el enlace a pages/comparar.html
+ * - specRows() alinea las especificaciones por parámetro y unidad
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const esc = EP.escapeHTML;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_compare';
+  const MIN = 2;
+  const MAX = 4;
+
+  /* ============================================================
+     ESTADO
+  ============================================================ */
+  let ids = load();
+  const listeners = [];
+
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, []);
+    return (Array.isArray(data) ? data : [])
+      .map(String)
+      .filter((id, i, all) => catalog.get(id) && all.indexOf(id) === i)
+      .slice(0, MAX);
+  }
+
+  function commit() {
+    EP.storage.write(STORAGE_KEY, ids);
+    listeners.forEach(fn => fn(ids.slice()));
+  }
+
+  /* ============================================================
+     FILAS DE ESPECIFICACIONES
+     Una fila por parámetro + unidad ("Tensión de salida" en V AC y en
+     V DC son filas distintas), en el orden en que aparecen.
+     values[i] es null si el producto i no declara ese parámetro.
+  ============================================================ */
+  function specKey(spec) {
+    return spec.param.trim().toLowerCase() + '|' + spec.unit.trim();
+  }
+
+  function normalizeValue(value) {
+    return value == null ? null : String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  function isDifferent(values) {
+    const norm = values.map(normalizeValue);
+    return norm.some(v => v !== norm[0]);
+  }
+
+  function specRows(products) {
+    const rows = [];
+    const byKey = new Map();
+    products.forEach((p, col) => {
+      (p.specs || []).forEach(spec => {
+        const key = specKey(spec);
+        let row = byKey.get(key);
+        if (!row) {
+          row = { key, param: spec.param, unit: spec.unit, values: products.map(() => null) };
+          byKey.set(key, row);
+          rows.push(row);
+        }
+        row.values[col] = spec.value;
+      });
+    });
+    rows.forEach(row => { row.different = isDifferent(row.values); });
+    return rows;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.compare
+  ============================================================ */
+  const compare = {
+    STORAGE_KEY,
+    MIN,
+    MAX,
+    specRows,
+    isDifferent,
+
+    ids() {
+      return ids.slice();
+    },
+
+    has(id) {
+      return ids.indexOf(String(id)) !== -1;
+    },
+
+    /** Agrega un producto: { ok } o { ok: false, reason: 'full' | 'unknown' }. */
+    add(id) {
+      const key = String(id);
+      if (!catalog.get(key)) return { ok: false, reason: 'unknown' };
+      if (compare.has(key)) return { ok: true };
+      if (ids.length >= MAX) return { ok: false, reason: 'full' };
+      ids.push(key);
+      commit();
+      return { ok: true };
+    },
+
+    remove(id) {
+      const before = ids.length;
+      ids = ids.filter(x => x !== String(id));
+      if (ids.length !== before) commit();
+    },
+
+    /** Reemplaza la selección (p. ej. con los ids de la URL). */
+    set(list) {
+      ids = list.map(String)
+        .filter((id, i, all) => catalog.get(id) && all.indexOf(id) === i)
+        .slice(0, MAX);
+      commit();
+    },
+
+    clear() {
+      ids = [];
+      commit();
+    },
+
+    /** URL de la página de comparación para los ids dados. */
+    pageUrl(list) {
+      return EP.url('pages/comparar.html?ids=' + (list || ids).map(encodeURIComponent).join(','));
+    },
+
+    /** Suscribe `fn(ids)`; devuelve la función para desuscribirse. */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+  };
+
+  EP.compare = compare;
+
+  window.addEventListener('storage', function (e) {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    ids = load();
+    listeners.forEach(fn => fn(ids.slice()));
+  });
+
+  /* ============================================================
+     Botones "Comparar" de las tarjetas (delegado)
+  ============================================================ */
+  function syncButtons() {
+    EP.$$('.btn-compare[data-compare-id]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(compare.has(btn.dataset.compareId)));
+    });
+  }
+
+  document.addEventListener('click', function (e) {
+    const btn = e.target.closest('.btn-compare[data-compare-id]');
+    if (!btn) return;
+    const product = catalog.get(btn.dataset.compareId);
+    if (!product) return;
+
+    if (compare.has(product.id)) {
+      compare.remove(product.id);
+      EP.announce(t('compare.removed', { name: product.name }));
+      return;
+    }
+    const result = compare.add(product.id);
+    if (!result.ok) {
+      // WCAG 3.3.1: el límite se explica como alerta
+      EP.announce(t('compare.full', { count: MAX, name: product.name }), true);
+      return;
+    }
+    EP.announce(t('compare.added', { name: product.name, n: ids.length, max: MAX }) +
+      (ids.length < MIN ? ' ' + t('compare.pickAnother') : ''));
+  });
+
+  /* ============================================================
+     Bandeja de comparación
+     Región fija con la selección; no se muestra en la propia
+     página de comparación.
+  ============================================================ */
+  let tray = null;
+
+  function trayHTML() {
+    const products = ids.map(id => catalog.get(id));
+    return `
+      <h2 id="compare-tray-title" class="compare-tray-title">${esc(t('compare.tray', { n: ids.length, max: MAX }))}</h2>
+      <ul class="compare-tray-list" role="list">
+        ${products.map(p => `
+        <li>
+          <span${EP.i18n.dataLang()}>${esc(p.name)}</span>
+          <button type="button" class="compare-tray-remove" data-remove-id="${p.id}"
+            aria-label="${esc(t('compare.removeLabel', { name: p.name }))}">×</button>
+        </li>`).join('')}
+      </ul>
+      <div class="compare-tray-actions">
+        ${ids.length >= MIN
+          ? `<a href="${esc(compare.pageUrl())}" class="btn btn-primary">${esc(t('compare.go', { count: ids.length }))}</a>`
+          : `<p class="compare-tray-hint">${esc(t('compare.min', { count: MIN }))}</p>`}
+        <button type="button" class="btn btn-outline compare-tray-clear">${esc(t('compare.clear'))}</button>
+      </div>`;
+  }
+
+  function renderTray() {
+    if (!tray) return;
+    tray.hidden = ids.length === 0;
+    tray.innerHTML = ids.length ? trayHTML() : '';
+  }
+
+  // Al quitar un producto el foco pasa al siguiente de la lista
+  function focusAfterRemoval(index) {
+    const buttons = EP.$$('.compare-tray-remove', tray);
+    const next = buttons[Math.min(index, buttons.length - 1)] || EP.$('.compare-tray-clear', tray);
+    if (next) next.focus();
+    else document.getElementById('main-content').focus();
+  }
+
+  if (!document.getElementById('compare-root')) {
+    tray = document.createElement('aside');
+    tray.className = 'compare-tray';
+    tray.setAttribute('aria-labelledby', 'compare-tray-title');
+    document.body.appendChild(tray);
+
+    tray.addEventListener('click', function (e) {
+      const removeBtn = e.target.closest('.compare-tray-remove');
+      if (removeBtn) {
+        const index = ids.indexOf(removeBtn.dataset.removeId);
+        const product = catalog.get(removeBtn.dataset.removeId);
+        compare.remove(removeBtn.dataset.removeId);
+        EP.announce(t('compare.removed', { name: product.name }));
+        focusAfterRemoval(index);
+        return;
+      }
+      if (e.target.closest('.compare-tray-clear')) {
+        compare.clear();
+        EP.announce(t('compare.cleared'));
+        document.getElementById('main-content').focus();
+      }
+    });
+  }
+
+  compare.subscribe(renderTray);
+  compare.subscribe(syncButtons);
+  renderTray();
+
+})();
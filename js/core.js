@@ -0,0 +1,74 @@
+/**
+ * core.js
+ * Utilidades compartidas por todos los módulos de la tienda.
+ * Expone el espacio de nombres global `EP` (ElectroParts).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP = window.EP || {};
+
+  /* ============================================================
+     RUTA BASE DEL SITIO
+     Las páginas viven en "/" y en "/pages/"; calculamos la raíz a
+     partir de la ubicación de este script para construir enlaces
+     e imágenes válidos desde cualquier página.
+  ============================================================ */
+  const script = document.currentScript;
+  EP.ROOT = script ? new URL('..', script.src).href : './';
+
+  EP.url = function (path) {
+    return EP.ROOT + path.replace(/^\//, '');
+  };
+
+  /* ============================================================
+     SELECTORES
+  ============================================================ */
+  EP.$  = (sel, ctx) => (ctx || document).querySelector(sel);
+  EP.$$ = (sel, ctx) => (ctx || document).querySelectorAll(sel);
+
+  /* ============================================================
+     WCAG 4.1.3 — Mensajes de estado (live regions)
+  ============================================================ */
+  EP.announce = function (message, isAlert) {
+    const area = document.getElementById(isAlert ? 'alert-area' : 'notification-area');
+    if (!area) return;
+    area.textContent = '';
+    requestAnimationFrame(() => { area.textContent = message; });
+  };
+
+  /* ============================================================
+     FORMATO
+     EP.formatPrice depende del idioma: lo define js/i18n.js, que se
+     carga después de js/messages.js.
+  ============================================================ */
+  EP.escapeHTML = function (str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
+
+  /* ============================================================
+     PERSISTENCIA — localStorage con tolerancia a errores
+     (modo privado, cuota llena, JSON corrupto)
+  ============================================================ */
+  EP.storage = {
+    read(key, fallback) {
+      try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+      } catch (_) { return fallback; }
+    },
+    write(key, value) {
+      try { localStorage.setItem(key, JSON.stringify(value)); return true; } catch (_) { return false; }
+    },
+    remove(key) {
+      try { localStorage.removeItem(key); } catch (_) {}
+    },
+  };
+
+})();
@@ -0,0 +1,200 @@
+/**
+ * coupons.js
+ * Cupones de descuento: definiciones, validación y cálculo del descuento.
+ * Solo se admite un cupón por pedido; el código aplicado se guarda en
+ * localStorage (clave `ep_coupon`) para que lo use también el checkout.
+ *
+ * Forma de un cupón:
+ *   code        — código que escribe el cliente (sin distinguir mayúsculas)
+ *   type        — 'percent' | 'fixed'
+ *   value       — porcentaje (0–100) o monto en COP
+ *   minSubtotal — compra mínima sobre los productos elegibles (opcional)
+ *   categories  — categorías a las que aplica; sin lista, a todo el carrito
+ *   expires     — último día de validez, 'AAAA-MM-DD' (opcional)
+ *
+ * El texto del beneficio para el resumen está en el catálogo de mensajes,
+ * con la clave 'coupons.about.<code>' (ver description()).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_coupon';
+
+  const COUPONS = [
+    {
+      code: 'BIENVENIDO10',
+      type: 'percent',
+      value: 10,
+      expires: '2027-06-30',
+    },
+    {
+      code: 'ELECTRO15',
+      type: 'percent',
+      value: 15,
+      minSubtotal: 50000,
+      expires: '2026-12-31',
+    },
+    {
+      code: 'RESIS5000',
+      type: 'fixed',
+      value: 5000,
+      minSubtotal: 20000,
+      categories: ['resistencias'],
+    },
+    {
+      code: 'MAKER20',
+      type: 'percent',
+      value: 20,
+      categories: ['microcontroladores'],
+      expires: '2026-12-31',
+    },
+    {
+      code: 'VERANO25',
+      type: 'percent',
+      value: 25,
+      expires: '2026-03-31',
+    },
+  ];
+
+  /* ============================================================
+     REGLAS
+  ============================================================ */
+  function normalizeCode(code) {
+    return String(code == null ? '' : code).trim().toUpperCase();
+  }
+
+  function find(code) {
+    const wanted = normalizeCode(code);
+    return COUPONS.find(c => c.code === wanted) || null;
+  }
+
+  function isExpired(coupon, now) {
+    if (!coupon.expires) return false;
+    // Válido hasta el final del día indicado (hora local)
+    const end = new Date(coupon.expires + 'T23:59:59');
+    return (now || new Date()) > end;
+  }
+
+  function categoryOf(item) {
+    if (item.category) return item.category;
+    const product = EP.catalog && EP.catalog.get(item.id);
+    return product ? product.category : null;
+  }
+
+  /** Artículos del carrito a los que aplica el cupón. */
+  function eligibleItems(coupon, items) {
+    if (!coupon.categories) return items.slice();
+    return items.filter(i => coupon.categories.indexOf(categoryOf(i)) !== -1);
+  }
+
+  function eligibleSubtotal(coupon, items) {
+    return eligibleItems(coupon, items).reduce((sum, i) => sum + i.price * i.qty, 0);
+  }
+
+  /** Monto del descuento; nunca supera el subtotal elegible. */
+  function discount(coupon, items) {
+    const base = eligibleSubtotal(coupon, items);
+    const amount = coupon.type === 'percent' ? base * coupon.value / 100 : coupon.value;
+    return Math.min(base, amount);
+  }
+
+  function categoriesText(coupon) {
+    return coupon.categories.map(c => EP.catalog.categoryLabel(c).toLowerCase()).join(', ');
+  }
+
+  /**
+   * Valida un código contra el carrito actual.
+   * Devuelve { ok: true, coupon, discount } o { ok: false, reason, message }.
+   * options.applied — código ya aplicado al pedido, si lo hay
+   * options.now     — fecha de referencia (por defecto, hoy)
+   */
+  function validate(code, items, options) {
+    const o = options || {};
+    const fail = (reason, message) => ({ ok: false, reason, message });
+
+    if (!normalizeCode(code)) return fail('empty', t('coupons.error.empty'));
+
+    const coupon = find(code);
+    if (!coupon) return fail('not_found', t('coupons.error.notFound', { code: normalizeCode(code) }));
+
+    if (o.applied && normalizeCode(o.applied) === coupon.code) {
+      return fail('already_applied', t('coupons.error.alreadyApplied', { code: coupon.code }));
+    }
+    if (o.applied) {
+      return fail('one_per_order', t('coupons.error.onePerOrder', { applied: normalizeCode(o.applied) }));
+    }
+    if (isExpired(coupon, o.now)) {
+      return fail('expired', t('coupons.error.expired', { code: coupon.code, date: formatDate(coupon.expires) }));
+    }
+    if (coupon.categories && !eligibleItems(coupon, items).length) {
+      return fail('no_eligible_items', t('coupons.error.noEligibleItems',
+        { code: coupon.code, categories: categoriesText(coupon) }));
+    }
+    if (coupon.minSubtotal && eligibleSubtotal(coupon, items) < coupon.minSubtotal) {
+      const missing = coupon.minSubtotal - eligibleSubtotal(coupon, items);
+      return fail('min_subtotal', t(coupon.categories ? 'coupons.error.minSubtotalIn' : 'coupons.error.minSubtotal', {
+        code: coupon.code,
+        min: EP.formatPrice(coupon.minSubtotal),
+        missing: EP.formatPrice(missing),
+        categories: coupon.categories ? categoriesText(coupon) : '',
+      }));
+    }
+
+    return { ok: true, coupon, discount: discount(coupon, items) };
+  }
+
+  function formatDate(iso) {
+    return EP.i18n.formatDate(iso + 'T12:00:00', { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  /** Texto corto del beneficio: "−15%" o "−$5.000". */
+  function label(coupon) {
+    return coupon.type === 'percent' ? '−' + coupon.value + '%' : '−' + EP.formatPrice(coupon.value);
+  }
+
+  /** Beneficio del cupón en el idioma actual, para el resumen. */
+  function description(coupon) {
+    return t('coupons.about.' + coupon.code, {
+      amount: EP.formatPrice(coupon.value),
+      min: EP.formatPrice(coupon.minSubtotal || 0),
+    });
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.coupons
+  ============================================================ */
+  EP.coupons = {
+    STORAGE_KEY,
+    find,
+    validate,
+    discount,
+    eligibleItems,
+    eligibleSubtotal,
+    isExpired,
+    label,
+    description,
+
+    /** Cupón aplicado al pedido, o null. */
+    applied() {
+      return find(EP.storage.read(STORAGE_KEY, null));
+    },
+
+    /** Valida y guarda el cupón; devuelve el resultado de validate(). */
+    apply(code, items) {
+      const current = EP.coupons.applied();
+      const result = validate(code, items, { applied: current && current.code });
+      if (result.ok) EP.storage.write(STORAGE_KEY, result.coupon.code);
+      return result;
+    },
+
+    remove() {
+      const current = EP.coupons.applied();
+      EP.storage.remove(STORAGE_KEY);
+      return current;
+    },
+  };
+
+})();
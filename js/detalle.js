@@ -0,0 +1,708 @@
+/**
+ * detalle.js
+ * Ficha de producto: carga el producto de ?id= desde EP.catalog y pinta
+ * título, migas de pan, galería, precio, disponibilidad, cantidad,
+ * pestañas (descripción, especificaciones, reseñas, datasheet) y
+ * productos relacionados. Si el id no existe muestra "no encontrado".
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const catalog = EP.catalog;
+  const esc = EP.escapeHTML;
+
+  const layout = document.getElementById('product-detail');
+  if (!layout) return;
+
+  const id = new URLSearchParams(location.search).get('id');
+  const product = id != null ? catalog.get(id) : null;
+
+  const CART_ICON = `
+    <svg aria-hidden="true" focusable="false" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/>
+      <path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/>
+    </svg>`;
+  const DOWNLOAD_ICON = `
+    <svg aria-hidden="true" focusable="false" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+      <polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+    </svg>`;
+  const STOCK_INDICATOR = {
+    in_stock:     { cls: 'stock-in',  note: t('detail.stock.in'),  icon: '<polyline points="20 6 9 17 4 12"/>' },
+    low_stock:    { cls: 'stock-low', note: t('detail.stock.low'), icon: '<polyline points="20 6 9 17 4 12"/>' },
+    out_of_stock: { cls: 'stock-out', note: t('detail.stock.out'), icon: '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>' },
+  };
+
+  /** "15 de enero de 2025" a partir de "2025-01-15" (sin desfase de zona horaria). */
+  function formatDate(iso) {
+    const parts = iso.split('-').map(Number);
+    return EP.i18n.formatDate(new Date(parts[0], parts[1] - 1, parts[2]),
+      { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  function breadcrumb(current, category) {
+    const list = document.getElementById('breadcrumb-list');
+    if (!list) return;
+    list.insertAdjacentHTML('beforeend',
+      (category ? `<li><a href="productos.html?cat=${encodeURIComponent(category)}">${esc(catalog.categoryLabel(category))}</a></li>` : '') +
+      `<li><span aria-current="page"${category ? EP.i18n.dataLang() : ''}>${esc(current)}</span></li>`);
+  }
+
+  // ============================================================
+  // Producto no encontrado
+  // ============================================================
+  if (!product) {
+    document.title = t('detail.notFound') + ' | ElectroParts';
+    breadcrumb(t('detail.notFound'));
+    layout.outerHTML = `
+      <div class="detail-not-found">
+        <h1>${esc(t('detail.notFound'))}</h1>
+        <p>${esc(id ? t('detail.notFoundId', { id }) : t('detail.noId'))}</p>
+        <p>${esc(t('detail.notFoundHint'))}</p>
+        <a href="productos.html" class="btn btn-primary">${esc(t('detail.allProducts'))}</a>
+      </div>`;
+    ['tab-reviews', 'related-section'].forEach(sectionId => {
+      const el = document.getElementById(sectionId);
+      if (el) el.remove();
+    });
+    return;
+  }
+
+  // ============================================================
+  // Plantillas
+  // ============================================================
+  function thumbHTML(img, i) {
+    return `
+      <button class="thumb-btn" aria-label="${esc(t('detail.thumb', { n: i + 1, label: img.label || img.alt }))}"
+        aria-pressed="${i === 0}" data-img="${esc(EP.url(img.src))}"
+        data-alt="${esc(img.alt)}">
+        <img src="${esc(EP.url(img.src))}" alt="" aria-hidden="true" />
+      </button>`;
+  }
+
+  function galleryHTML(p) {
+    const main = p.images[0];
+    // Con una sola imagen no se muestran miniaturas
+    const thumbs = p.images.length > 1 ? `
+      <!-- WCAG 1.1.1: cada thumb con alt descriptivo -->
+      <div class="gallery-thumbs" role="list" aria-label="${esc(t('detail.thumbs'))}">
+        ${p.images.map(thumbHTML).join('')}
+      </div>` : '';
+    return `
+      <div class="gallery-main" id="gallery-main"${EP.i18n.dataLang()}>
+        <!-- WCAG 1.1.1 alt descriptivo y detallado -->
+        <img id="main-img" src="${esc(EP.url(main.src))}" alt="${esc(main.alt)}"
+          width="500" height="500" />
+      </div>
+      ${thumbs}`;
+  }
+
+  function priceHTML(p) {
+    const price = EP.formatPrice(p.price);
+    const pct = EP.productCards.discountPct(p);
+    return `
+      <!-- PRECIO (WCAG 1.3.1 estructura semántica) -->
+      <div class="detail-price-block">
+        <span class="detail-price-current" aria-label="${esc(t('detail.price', { price }))}">${price}</span>
+        ${p.oldPrice ? `<del class="detail-price-old" aria-label="${esc(t('cards.oldPrice', { price: EP.formatPrice(p.oldPrice) }))}">${EP.formatPrice(p.oldPrice)}</del>` : ''}
+        ${pct ? `<span class="detail-discount" aria-label="${esc(t('cards.discount', { pct }))}">−${pct}%</span>` : ''}
+      </div>`;
+  }
+
+  function stockIndicatorHTML(p) {
+    const status = catalog.stockStatus(p);
+    const s = STOCK_INDICATOR[status];
+    const amount = status === 'out_of_stock'
+      ? t('catalog.outOfStock') : t('detail.available', { count: p.stock });
+    return `
+      <p class="stock-indicator ${s.cls}">
+        <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          ${s.icon}
+        </svg>
+        <strong>${esc(amount)}</strong> — ${esc(s.note)}
+      </p>`;
+  }
+
+  function highlightsHTML(p) {
+    if (!p.highlights || !p.highlights.length) return '';
+    return `
+      <!-- ESPECIFICACIONES RÁPIDAS (WCAG 1.3.1 dl semántico) -->
+      <div class="specs-block">
+        <h2 class="specs-title">${esc(t('detail.highlights'))}</h2>
+        <dl class="specs-list"${EP.i18n.dataLang()}>
+          ${p.highlights.map(h => `
+          <div class="spec-item">
+            <dt class="spec-term">${esc(h[0])}</dt>
+            <dd class="spec-value">${esc(h[1])}</dd>
+          </div>`).join('')}
+        </dl>
+      </div>`;
+  }
+
+  function quantityHTML(p) {
+    const max = EP.cart.maxFor(p.id);
+    const off = max ? '' : ' disabled';
+    const hint = max
+      ? t(max < EP.cart.MAX_QTY ? 'detail.qtyHintStock' : 'detail.qtyHintOrder', { count: max })
+      : t('detail.soldOut');
+    return `
+      <div class="quantity-group">
+        <label class="quantity-label" for="qty-input">${esc(t('detail.qty'))}</label>
+        <div class="quantity-control">
+          <button class="qty-btn" id="qty-minus"
+            aria-label="${esc(t('detail.qtyMinus'))}" aria-controls="qty-input"${off}>−</button>
+          <input id="qty-input" class="qty-input" type="number"
+            value="1" min="1" max="${max}"
+            aria-label="${esc(t('detail.qtyInput'))}"
+            aria-describedby="qty-hint"${off} />
+          <button class="qty-btn" id="qty-plus"
+            aria-label="${esc(t('detail.qtyPlus'))}" aria-controls="qty-input"${off}>+</button>
+        </div>
+        <span id="qty-hint" class="visually-hidden">${esc(hint)}</span>
+      </div>`;
+  }
+
+  function actionsHTML(p) {
+    // WCAG 4.1.2: el estado deshabilitado se expone a las tecnologías de apoyo
+    const button = EP.cart.maxFor(p.id)
+      ? `<button class="btn btn-primary btn-add-cart" data-product-id="${p.id}"
+          aria-label="${esc(t('cards.addLabel', { name: p.name }))}">
+          ${CART_ICON}
+          ${esc(t('cards.add'))}
+        </button>`
+      : `<button class="btn btn-primary btn-add-cart" data-product-id="${p.id}" disabled
+          aria-label="${esc(t('cards.soldOutLabel', { name: p.name }))}">
+          ${CART_ICON}
+          ${esc(t('catalog.outOfStock'))}
+        </button>`;
+    return `
+      <div class="detail-actions">
+        ${button}
+        ${EP.productCards.saveButtonHTML(p, 'detail-save')}
+        <a href="carrito.html" class="btn btn-secondary"
+          style="background: var(--color-primary-dark); color:white; border-color: var(--color-primary-dark);">
+          ${esc(t('cards.buy'))}
+        </a>
+      </div>`;
+  }
+
+  function infoHTML(p) {
+    const stars = EP.productCards.stars(p.rating);
+    return `
+      <p class="detail-category">${esc(catalog.categoryLabel(p.category))}</p>
+
+      <h1 class="detail-title"${EP.i18n.dataLang()}>${esc(p.name)}</h1>
+
+      <div class="detail-rating">
+        <div role="img" id="detail-rating-stars" aria-label="${esc(t('detail.rating', { rating: EP.i18n.formatNumber(p.rating) }))}">
+          <span class="stars" aria-hidden="true">${stars}</span>
+        </div>
+        <a href="#tab-reviews" class="rating-link" id="reviews-link">
+          ${esc(t('detail.reviewCount', { count: p.reviewCount }))}
+        </a>
+        ${EP.productCards.stockHTML(p)}
+      </div>
+      ${priceHTML(p)}
+      ${stockIndicatorHTML(p)}
+      ${highlightsHTML(p)}
+      ${quantityHTML(p)}
+      ${actionsHTML(p)}
+
+      <!-- INFO ADICIONAL -->
+      <ul class="features-list" role="list" style="margin-top: 0;">
+        <li><span aria-hidden="true">✔</span> ${esc(t('detail.feature.shipping'))}</li>
+        ${p.datasheet ? `<li><span aria-hidden="true">✔</span> ${esc(t('detail.feature.datasheet'))}</li>` : ''}
+        <li><span aria-hidden="true">✔</span> ${esc(t('detail.feature.warranty'))}</li>
+        <li><span aria-hidden="true">✔</span> ${esc(t('detail.feature.invoice'))}</li>
+      </ul>`;
+  }
+
+  // La descripción del catálogo admite <strong>; el resto se escapa
+  function descriptionHTML(p) {
+    return `
+      <h2 class="visually-hidden">${esc(t('detail.description'))}</h2>
+      ${(p.description || []).map(par => `<p${EP.i18n.dataLang()}>${par}</p>`).join('')}
+      ${p.uses ? `<h3>${esc(t('detail.uses'))}</h3><p${EP.i18n.dataLang()}>${esc(p.uses)}</p>` : ''}`;
+  }
+
+  // La tabla de especificaciones va en el idioma del catálogo; el enlace, en el de la interfaz
+  const uiLang = EP.i18n.dataLang() ? ' lang="' + EP.i18n.locale() + '"' : '';
+
+  // "Código de colores: 4 bandas" enlaza a la calculadora con esas bandas
+  function specValueHTML(spec) {
+    const bands = parseInt(spec.value, 10);
+    if (spec.param !== 'Código de colores' || !bands) return esc(spec.value);
+    return `${esc(spec.value)} · <a href="calculadoras.html?bands=${bands}#color-code"${uiLang}>${esc(t('detail.colorCalc'))}</a>`;
+  }
+
+  function specsHTML(p) {
+    if (!p.specs || !p.specs.length) {
+      return `
+        <h2 class="visually-hidden">${esc(t('detail.specs'))}</h2>
+        <p>${esc(t('detail.noSpecs'))}</p>`;
+    }
+    return `
+      <h2 class="visually-hidden">${esc(t('detail.specs'))}</h2>
+      <!-- WCAG 1.3.1 - Tabla con scope correcto -->
+      <div class="table-wrapper" role="region" aria-label="${esc(t('detail.specsRegion'))}" tabindex="0">
+        <table class="compare-table">
+          <caption>${EP.i18n.html('detail.specsCaption', null, { name: p.name })}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${esc(t('detail.col.param'))}</th>
+              <th scope="col">${esc(t('detail.col.value'))}</th>
+              <th scope="col">${esc(t('detail.col.unit'))}</th>
+            </tr>
+          </thead>
+          <tbody${EP.i18n.dataLang()}>
+            ${p.specs.map(s => `<tr><th scope="row">${esc(s.param)}</th><td>${specValueHTML(s)}</td><td>${esc(s.unit)}</td></tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  function reviewHTML(r) {
+    // Las reseñas de ejemplo del catálogo están en español
+    const lang = r.seed ? EP.i18n.dataLang() : '';
+    return `
+      <li class="review-item" id="review-${esc(r.id)}" tabindex="-1">
+        <div class="review-header">
+          <div>
+            <h3 class="review-title"${r.title ? lang : ''}>${esc(r.title || t('detail.reviewBy', { author: r.author }))}</h3>
+            <div role="img" aria-label="${esc(t('detail.rating', { rating: r.rating }))}">
+              <span class="stars" aria-hidden="true">${EP.productCards.stars(r.rating)}</span>
+            </div>
+          </div>
+          <time class="review-date" datetime="${esc(r.date)}">${esc(formatDate(r.date))}</time>
+        </div>
+        <p class="review-text"${lang}>${esc(r.text)}</p>
+        <p class="reviewer-name">${esc(r.author)}</p>
+        ${r.pending ? `<p class="review-pending">${esc(t('detail.reviewPending'))}</p>` : ''}
+      </li>`;
+  }
+
+  function starInputHTML() {
+    return [1, 2, 3, 4, 5].map(n => `
+      <input type="radio" name="rating" id="review-rating-${n}" value="${n}" class="visually-hidden" />
+      <label for="review-rating-${n}" data-value="${n}">
+        <span aria-hidden="true">★</span><span class="visually-hidden">${esc(t('detail.stars', { count: n }))}</span>
+      </label>`).join('');
+  }
+
+  // Estructura fija del panel; resumen, lista y paginación se repintan
+  function reviewsHTML() {
+    const limits = EP.reviews.LIMITS;
+    return `
+      <h2 style="margin-bottom: var(--space-6);">${esc(t('detail.reviews.title'))}</h2>
+
+      <!-- Resumen de calificaciones -->
+      <div class="reviews-summary" id="reviews-summary"></div>
+
+      <div class="reviews-toolbar">
+        <div class="reviews-control">
+          <label for="reviews-sort">${esc(t('detail.reviews.sort'))}</label>
+          <select id="reviews-sort">
+            ${Object.keys(EP.reviews.SORTS).map(key =>
+              `<option value="${key}">${EP.reviews.SORTS[key].label.replace(/^./, c => c.toUpperCase())}</option>`).join('')}
+          </select>
+        </div>
+        <div class="reviews-control">
+          <label for="reviews-filter">${esc(t('detail.reviews.filter'))}</label>
+          <select id="reviews-filter"></select>
+        </div>
+      </div>
+
+      <!-- WCAG 4.1.3: cuántas reseñas se muestran -->
+      <p class="reviews-status" id="reviews-status"></p>
+
+      <!-- Lista de reseñas (WCAG 1.3.1) -->
+      <ul class="reviews-list" id="reviews-list" aria-label="${esc(t('detail.reviews.list'))}"></ul>
+
+      <nav class="reviews-pagination" id="reviews-pagination" aria-label="${esc(t('detail.reviews.pages'))}"></nav>
+
+      <!-- FORMULARIO (WCAG 3.3.1 + 3.3.2) -->
+      <section class="review-form-section" aria-labelledby="review-form-title">
+        <h3 id="review-form-title">${esc(t('detail.form.title'))}</h3>
+        <p class="field-hint">${esc(t('detail.form.required'))}</p>
+
+        <div class="error-summary" id="review-error-summary" tabindex="-1"
+          aria-labelledby="review-error-summary-title" hidden>
+          <h4 id="review-error-summary-title" class="error-summary-title"></h4>
+          <ul class="error-summary-list" role="list"></ul>
+        </div>
+
+        <form id="review-form" class="review-form" novalidate>
+          <!-- Las estrellas son radios nativos: flechas para cambiar (WCAG 2.1.1) -->
+          <fieldset class="form-field star-field">
+            <legend>${esc(t('comparePage.rating'))}</legend>
+            <div class="star-input">${starInputHTML()}</div>
+            <span class="star-input-value" id="review-rating-value" aria-hidden="true">${esc(t('detail.ratingWord.none'))}</span>
+          </fieldset>
+          <div class="form-field">
+            <label for="review-author">${esc(t('detail.form.author'))}</label>
+            <input id="review-author" name="author" type="text" autocomplete="name"
+              maxlength="${limits.author.max}" aria-required="true" />
+          </div>
+          <div class="form-field">
+            <label for="review-title">${esc(t('detail.form.reviewTitle'))}</label>
+            <input id="review-title" name="title" type="text"
+              maxlength="${limits.title.max}" aria-required="true" />
+          </div>
+          <div class="form-field">
+            <label for="review-text">${esc(t('detail.form.text'))}</label>
+            <textarea id="review-text" name="text" rows="5"
+              maxlength="${limits.text.max}" aria-required="true"
+              aria-describedby="review-text-hint"></textarea>
+            <span id="review-text-hint" class="field-hint">${esc(t('detail.form.textHint', { count: limits.text.min }))}</span>
+          </div>
+          <button type="submit" class="btn btn-primary">${esc(t('detail.form.submit'))}</button>
+        </form>
+      </section>`;
+  }
+
+  function datasheetHTML(p) {
+    const d = p.datasheet;
+    if (!d) {
+      return `
+        <h2 style="margin-bottom: var(--space-4);">${esc(t('detail.datasheet.title'))}</h2>
+        <p>${esc(t('detail.datasheet.none'))}</p>`;
+    }
+    return `
+      <h2 style="margin-bottom: var(--space-4);">${esc(t('detail.datasheet.title'))}</h2>
+      <p>${esc(t('detail.datasheet.intro'))}</p>
+      <!-- WCAG 1.3.1 - Enlace de descarga con información de tipo y tamaño -->
+      <a href="${esc(EP.url(d.href))}"
+        class="btn btn-outline"
+        aria-label="${esc(t('detail.datasheet.label', { name: p.name, size: d.sizeLabel }))}"
+        download>
+        ${DOWNLOAD_ICON}
+        ${esc(t('detail.datasheet.download', { size: d.size }))}
+      </a>`;
+  }
+
+  // ============================================================
+  // Render
+  // ============================================================
+  function setPanel(panelId, html) {
+    const el = document.getElementById(panelId);
+    if (el) el.innerHTML = html;
+  }
+
+  document.title = product.name + ' | ElectroParts';
+  const meta = document.querySelector('meta[name="description"]');
+  if (meta) {
+    meta.setAttribute('content', t('detail.meta', {
+      name: product.name, category: catalog.categoryLabel(product.category),
+    }));
+  }
+  breadcrumb(product.name, product.category);
+
+  document.getElementById('product-gallery').innerHTML = galleryHTML(product);
+  document.getElementById('product-info').innerHTML = infoHTML(product);
+  setPanel('tab-desc', descriptionHTML(product));
+  setPanel('tab-specs', specsHTML(product));
+  setPanel('tab-reviews-panel', reviewsHTML());
+  setPanel('tab-datasheet', datasheetHTML(product));
+
+  const related = document.querySelector('[data-catalog="related"]');
+  if (related) {
+    related.dataset.productId = product.id;
+    EP.productCards.renderList(related);
+  }
+
+  // ============================================================
+  // Galería de imágenes
+  // ============================================================
+  EP.$$('.thumb-btn').forEach(function (btn) {
+    btn.addEventListener('click', function () {
+      const mainImg = document.getElementById('main-img');
+      mainImg.src = btn.dataset.img;
+      mainImg.alt = btn.dataset.alt;
+      EP.$$('.thumb-btn').forEach(b => b.setAttribute('aria-pressed', 'false'));
+      btn.setAttribute('aria-pressed', 'true');
+    });
+  });
+
+  // ============================================================
+  // Cantidad: el tope es el stock del catálogo
+  // ============================================================
+  const qtyInput = document.getElementById('qty-input');
+  const maxQty = EP.cart.maxFor(product.id);
+
+  document.getElementById('qty-minus').addEventListener('click', function () {
+    const v = parseInt(qtyInput.value);
+    if (v > 1) qtyInput.value = v - 1;
+  });
+  document.getElementById('qty-plus').addEventListener('click', function () {
+    const v = parseInt(qtyInput.value);
+    if (v < maxQty) qtyInput.value = v + 1;
+    else EP.announce(EP.cart.limitMessage(product), true);
+  });
+  qtyInput.addEventListener('change', function () {
+    const v = parseInt(qtyInput.value) || 1;
+    qtyInput.value = Math.max(1, Math.min(maxQty, v));
+    if (v > maxQty) EP.announce(EP.cart.limitMessage(product) + ' ' + t('cartPage.qtySetTo', { count: qtyInput.value }), true);
+  });
+
+  // ============================================================
+  // Reseñas: resumen, orden, filtro por estrellas y paginación
+  // ============================================================
+  const REVIEWS_PAGE_SIZE = 5;
+  const RATING_WORDS = ['none', 'awful', 'poor', 'fair', 'good', 'excellent'].map(w => t('detail.ratingWord.' + w));
+  const reviewsState = { sort: EP.reviews.DEFAULT_SORT, stars: null, page: 1 };
+
+  const reviewsList   = document.getElementById('reviews-list');
+  const reviewsSort   = document.getElementById('reviews-sort');
+  const reviewsFilter = document.getElementById('reviews-filter');
+  const reviewsPager  = document.getElementById('reviews-pagination');
+
+  // El promedio del encabezado y de la pestaña sale del mismo cálculo
+  function renderRatingBadges() {
+    const starsEl = document.getElementById('detail-rating-stars');
+    starsEl.setAttribute('aria-label', t('detail.rating', { rating: EP.i18n.formatNumber(product.rating) }));
+    starsEl.querySelector('.stars').textContent = EP.productCards.stars(product.rating);
+    document.getElementById('reviews-link').textContent = t('detail.reviewCount', { count: product.reviewCount });
+    document.getElementById('tab-reviews-btn').textContent = t('detail.reviewsTab', { count: product.reviewCount });
+  }
+
+  function renderReviewSummary() {
+    const sum = EP.reviews.summary(product.id);
+    document.getElementById('reviews-summary').innerHTML = `
+      <div class="reviews-average">
+        <div class="reviews-average-value" aria-label="${esc(t('detail.average', { rating: EP.i18n.formatNumber(sum.average) }))}">${EP.i18n.formatNumber(sum.average)}</div>
+        <div class="stars" aria-hidden="true">${EP.productCards.stars(sum.average)}</div>
+        <p>${esc(t('detail.ratings', { count: sum.count }))} · ${esc(t('detail.written', { count: sum.written }))}</p>
+      </div>
+      <!-- WCAG 1.3.1 + 1.4.1: cada barra repite su dato en texto -->
+      <ul class="rating-histogram" aria-label="${esc(t('detail.histogram'))}">
+        ${sum.histogram.map(h => `
+        <li>
+          <span class="histogram-label">${esc(t('detail.stars', { count: h.stars }))}</span>
+          <span class="histogram-bar" aria-hidden="true"><span style="width: ${h.pct}%;"></span></span>
+          <span class="histogram-count">${h.count} (${h.pct}%)</span>
+        </li>`).join('')}
+      </ul>`;
+
+    // El filtro cuenta solo las reseñas escritas, que son las que se listan
+    reviewsFilter.innerHTML = `<option value="">${esc(t('detail.reviews.all', { count: sum.written }))}</option>` +
+      sum.histogram.map(h => `<option value="${h.stars}">${esc(t('detail.stars', { count: h.stars }))} (${h.written})</option>`).join('');
+    reviewsFilter.value = reviewsState.stars ? String(reviewsState.stars) : '';
+  }
+
+  function reviewsStatusText(result) {
+    if (!result.total) {
+      return result.stars
+        ? t('detail.reviews.noneStars', { count: result.stars })
+        : t('detail.reviews.none');
+    }
+    const from = (result.page - 1) * REVIEWS_PAGE_SIZE + 1;
+    const to = from + result.items.length - 1;
+    return result.stars
+      ? t('detail.reviews.showingStars', { from, to, count: result.total, stars: t('detail.stars', { count: result.stars }) })
+      : t('detail.reviews.showing', { from, to, count: result.total });
+  }
+
+  function renderReviews() {
+    const result = EP.reviews.query(product.id,
+      Object.assign({ pageSize: REVIEWS_PAGE_SIZE }, reviewsState));
+    reviewsState.page = result.page;
+
+    reviewsList.innerHTML = result.items.map(reviewHTML).join('');
+    reviewsList.hidden = !result.items.length;
+    document.getElementById('reviews-status').textContent = reviewsStatusText(result);
+
+    reviewsPager.hidden = result.pages < 2;
+    reviewsPager.innerHTML = result.pages < 2 ? '' : `
+      <button type="button" class="btn btn-outline" data-review-page="${result.page - 1}"
+        ${result.page === 1 ? 'disabled' : ''}>${esc(t('detail.reviews.prev'))}</button>
+      <span>${esc(t('detail.reviews.page', { n: result.page, pages: result.pages }))}</span>
+      <button type="button" class="btn btn-outline" data-review-page="${result.page + 1}"
+        ${result.page === result.pages ? 'disabled' : ''}>${esc(t('detail.reviews.next'))}</button>`;
+    return result;
+  }
+
+  function renderAllReviews() {
+    renderRatingBadges();
+    renderReviewSummary();
+    return renderReviews();
+  }
+
+  renderAllReviews();
+
+  reviewsSort.addEventListener('change', function () {
+    reviewsState.sort = reviewsSort.value;
+    reviewsState.page = 1;
+    const result = renderReviews();
+    // WCAG 4.1.3: el foco se queda en el select; se anuncia el resultado
+    EP.announce(t('detail.reviews.sorted', { label: EP.reviews.SORTS[result.sort].label }) + ' ' + reviewsStatusText(result));
+  });
+
+  reviewsFilter.addEventListener('change', function () {
+    reviewsState.stars = Number(reviewsFilter.value) || null;
+    reviewsState.page = 1;
+    EP.announce(reviewsStatusText(renderReviews()));
+  });
+
+  reviewsPager.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-review-page]');
+    if (!btn || btn.disabled) return;
+    reviewsState.page = Number(btn.dataset.reviewPage);
+    const result = renderReviews();
+    // WCAG 2.4.3: el foco pasa a la primera reseña de la página nueva
+    const first = reviewsList.querySelector('.review-item');
+    if (first) first.focus();
+    EP.announce(t('products.pageOf', { n: result.page, pages: result.pages }) + ' ' + reviewsStatusText(result));
+  });
+
+  // ============================================================
+  // Formulario de reseña
+  // WCAG 3.3.1 + 3.3.3 — resumen de errores enlazado y mensaje por campo
+  // ============================================================
+  const reviewForm    = document.getElementById('review-form');
+  const reviewSummary = document.getElementById('review-error-summary');
+  const REVIEW_FIELDS = {
+    rating: 'review-rating-1',
+    author: 'review-author',
+    title:  'review-title',
+    text:   'review-text',
+  };
+
+  function renderStarInput() {
+    const checked = reviewForm.querySelector('input[name="rating"]:checked');
+    const value = checked ? Number(checked.value) : 0;
+    EP.$$('.star-input label', reviewForm).forEach(label => {
+      label.classList.toggle('is-filled', Number(label.dataset.value) <= value);
+    });
+    document.getElementById('review-rating-value').textContent = value
+      ? t('detail.ratingValue', { value, word: RATING_WORDS[value] }) : RATING_WORDS[0];
+  }
+
+  function clearReviewFieldError(el) {
+    const msg = document.getElementById(el.id + '-error');
+    if (msg) msg.remove();
+    el.removeAttribute('aria-invalid');
+    const ids = (el.getAttribute('aria-describedby') || '').split(' ')
+      .filter(x => x && x !== el.id + '-error');
+    if (ids.length) el.setAttribute('aria-describedby', ids.join(' '));
+    else el.removeAttribute('aria-describedby');
+  }
+
+  function clearReviewErrors() {
+    reviewSummary.hidden = true;
+    EP.$$('[aria-invalid="true"]', reviewForm).forEach(clearReviewFieldError);
+  }
+
+  function showReviewErrors(errors) {
+    clearReviewErrors();
+    const items = errors.map(err => ({ id: REVIEW_FIELDS[err.field], message: err.message }))
+      .filter(err => err.id);
+    items.forEach(err => {
+      const el = document.getElementById(err.id);
+      const msg = document.createElement('p');
+      msg.className = 'field-error';
+      msg.id = err.id + '-error';
+      msg.textContent = err.message;
+      el.closest('.form-field').appendChild(msg);
+      el.setAttribute('aria-invalid', 'true');
+      el.setAttribute('aria-describedby',
+        ((el.getAttribute('aria-describedby') || '') + ' ' + msg.id).trim());
+    });
+    reviewSummary.querySelector('.error-summary-title').textContent =
+      t('form.errors', { count: items.length });
+    reviewSummary.querySelector('.error-summary-list').innerHTML = items.map(err =>
+      `<li><a href="#${esc(err.id)}" data-field="${esc(err.id)}">${esc(err.message)}</a></li>`).join('');
+    reviewSummary.hidden = false;
+    reviewSummary.focus();
+  }
+
+  reviewSummary.addEventListener('click', function (e) {
+    const link = e.target.closest('a[data-field]');
+    if (!link) return;
+    e.preventDefault();
+    const el = document.getElementById(link.dataset.field);
+    if (el) el.focus();
+  });
+
+  reviewForm.addEventListener('change', function (e) {
+    if (e.target.name !== 'rating') return;
+    renderStarInput();
+    const first = document.getElementById(REVIEW_FIELDS.rating);
+    if (first.getAttribute('aria-invalid') === 'true') clearReviewFieldError(first);
+  });
+
+  reviewForm.addEventListener('input', function (e) {
+    if (e.target.getAttribute('aria-invalid') === 'true') clearReviewFieldError(e.target);
+  });
+
+  reviewForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    const checked = reviewForm.querySelector('input[name="rating"]:checked');
+    const result = EP.reviews.submit(product.id, {
+      rating: checked ? checked.value : null,
+      author: reviewForm.elements.author.value,
+      title:  reviewForm.elements.title.value,
+      text:   reviewForm.elements.text.value,
+    });
+    if (!result.ok) {
+      showReviewErrors(result.errors);
+      return;
+    }
+
+    clearReviewErrors();
+    reviewForm.reset();
+    renderStarInput();
+    // La reseña nueva aparece primera: más recientes, sin filtro
+    Object.assign(reviewsState, { sort: EP.reviews.DEFAULT_SORT, stars: null, page: 1 });
+    reviewsSort.value = reviewsState.sort;
+    renderAllReviews();
+
+    const item = document.getElementById('review-' + result.review.id);
+    if (item) item.focus();
+    EP.announce(result.queued
+      ? t('detail.reviews.queued')
+      : t('detail.reviews.published'));
+  });
+
+  // Al reenviarse la cola, las reseñas pendientes dejan de estarlo
+  EP.offline.subscribe(function () {
+    const pending = EP.$$('.review-pending', reviewsList);
+    if (!pending.length) return;
+    const stillPending = EP.reviews.all(product.id).filter(r => r.pending).map(r => 'review-' + r.id);
+    pending.forEach(note => {
+      if (stillPending.indexOf(note.closest('.review-item').id) === -1) note.remove();
+    });
+  });
+
+  // ============================================================
+  // Tabs accesibles (WCAG 4.1.2)
+  // ============================================================
+  const tabs   = EP.$$('[role="tab"]');
+  const panels = EP.$$('[role="tabpanel"]');
+
+  tabs.forEach(function (tab) {
+    tab.addEventListener('click', function () {
+      tabs.forEach(other => other.setAttribute('aria-selected', 'false'));
+      panels.forEach(p => p.classList.remove('is-active'));
+      tab.setAttribute('aria-selected', 'true');
+      document.getElementById(tab.getAttribute('aria-controls')).classList.add('is-active');
+    });
+    // Flechas, Inicio y Fin (WCAG 2.1.1, patrón de pestañas de ARIA)
+    tab.addEventListener('keydown', function (e) {
+      const idx = Array.from(tabs).indexOf(tab);
+      const targets = {
+        ArrowRight: (idx + 1) % tabs.length,
+        ArrowLeft:  (idx - 1 + tabs.length) % tabs.length,
+        Home:       0,
+        End:        tabs.length - 1,
+      };
+      if (!(e.key in targets)) return;
+      e.preventDefault();
+      tabs[targets[e.key]].focus();
+      tabs[targets[e.key]].click();
+    });
+  });
+
+})();
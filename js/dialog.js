@@ -0,0 +1,198 @@
+/**
+ * dialog.js
+ * Diálogos modales accesibles (patrón "dialog (modal)" de ARIA).
+ * - Título y descripción enlazados con aria-labelledby / aria-describedby
+ * - El resto de la página queda `inert` mientras el diálogo está abierto
+ * - El foco no sale del diálogo y vuelve al control que lo abrió
+ * - Escape, el botón × o un clic en el fondo lo cierran
+ * - Se pueden apilar (un diálogo abierto desde otro)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const esc = EP.escapeHTML;
+
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]),' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  const CLOSE_ICON = `
+    <svg aria-hidden="true" focusable="false" width="18" height="18" viewBox="0 0 24 24"
+         fill="none" stroke="currentColor" stroke-width="2.5">
+      <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>`;
+
+  // Diálogos abiertos, del más antiguo al más reciente
+  const stack = [];
+  let counter = 0;
+
+  /* ============================================================
+     FONDO INERTE
+     Cada diálogo vuelve inertes a sus hermanos en <body>; las live
+     regions se dejan activas para que los avisos se sigan oyendo.
+  ============================================================ */
+  function isLiveRegion(el) {
+    return el.hasAttribute('aria-live') || /^(status|alert|log)$/.test(el.getAttribute('role') || '');
+  }
+
+  function makeInert(backdrop) {
+    const changed = [];
+    Array.from(document.body.children).forEach(el => {
+      if (el === backdrop || el.inert || el.hasAttribute('inert') || isLiveRegion(el) ||
+          /^(SCRIPT|TEMPLATE)$/.test(el.tagName)) return;
+      el.inert = true;
+      el.setAttribute('inert', '');
+      changed.push(el);
+    });
+    return changed;
+  }
+
+  function restoreInert(changed) {
+    changed.forEach(el => {
+      el.inert = false;
+      el.removeAttribute('inert');
+    });
+  }
+
+  function focusables(root) {
+    return Array.from(EP.$$(FOCUSABLE, root)).filter(el => !el.closest('[hidden]'));
+  }
+
+  /* ============================================================
+     ABRIR
+  ============================================================ */
+  /**
+   * Abre un diálogo modal.
+   * options:
+   *   title        texto del título (obligatorio)
+   *   description  texto bajo el título (aria-describedby)
+   *   body         HTML o nodo con el contenido
+   *   actions      [{ label, value, variant: 'primary' | 'danger' | 'outline' }]
+   *   initialFocus selector del elemento que recibe el foco al abrir
+   *   className    clase extra para el diálogo
+   *   setup(el, close)  para conectar el contenido
+   * Devuelve una promesa con el `value` de la acción pulsada, o null
+   * si se cerró con Escape, × o el fondo.
+   */
+  function open(options) {
+    const id = 'dialog-' + (++counter);
+    const opener = document.activeElement;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'dialog-backdrop';
+    backdrop.innerHTML = `
+      <div class="dialog${options.className ? ' ' + esc(options.className) : ''}" role="dialog" aria-modal="true"
+        aria-labelledby="${id}-title"${options.description ? ` aria-describedby="${id}-desc"` : ''}>
+        <div class="dialog-header">
+          <h2 id="${id}-title" class="dialog-title">${esc(options.title)}</h2>
+          <button type="button" class="dialog-close" data-dialog-close aria-label="${esc(EP.i18n.t('dialog.close'))}">${CLOSE_ICON}</button>
+        </div>
+        ${options.description ? `<p id="${id}-desc" class="dialog-desc">${esc(options.description)}</p>` : ''}
+        <div class="dialog-body"></div>
+        ${(options.actions || []).length ? `
+        <div class="dialog-actions">
+          ${options.actions.map((a, i) => `
+            <button type="button" class="btn btn-${a.variant || 'outline'}" data-dialog-action="${i}">
+              ${esc(a.label)}
+            </button>`).join('')}
+        </div>` : ''}
+      </div>`;
+
+    const dialog = EP.$('.dialog', backdrop);
+    const body = EP.$('.dialog-body', backdrop);
+    if (typeof options.body === 'string') body.innerHTML = options.body;
+    else if (options.body) body.appendChild(options.body);
+    else body.remove();
+
+    document.body.appendChild(backdrop);
+    const inerted = makeInert(backdrop);
+    document.documentElement.classList.add('has-dialog');
+
+    let resolve;
+    const result = new Promise(r => { resolve = r; });
+    const entry = { backdrop, close };
+    stack.push(entry);
+
+    function close(value) {
+      if (!backdrop.isConnected) return;
+      backdrop.remove();
+      restoreInert(inerted);
+      stack.splice(stack.indexOf(entry), 1);
+      if (!stack.length) document.documentElement.classList.remove('has-dialog');
+      // WCAG 2.4.3: el foco vuelve a quien abrió el diálogo
+      const back = opener && opener.isConnected && !opener.closest('[inert]')
+        ? opener : document.getElementById('main-content');
+      if (back) back.focus();
+      resolve(value === undefined ? null : value);
+    }
+
+    backdrop.addEventListener('click', function (e) {
+      if (e.target === backdrop || e.target.closest('[data-dialog-close]')) { close(null); return; }
+      const action = e.target.closest('[data-dialog-action]');
+      if (action) close(options.actions[Number(action.dataset.dialogAction)].value);
+    });
+
+    backdrop.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close(null);
+        return;
+      }
+      // El foco da la vuelta dentro del diálogo
+      if (e.key !== 'Tab') return;
+      const items = focusables(dialog);
+      if (!items.length) { e.preventDefault(); return; }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    });
+
+    if (options.setup) options.setup(dialog, close);
+
+    const initial = (options.initialFocus && EP.$(options.initialFocus, dialog)) ||
+      focusables(body)[0] || EP.$('[data-dialog-action]', dialog) || EP.$('[data-dialog-close]', dialog);
+    initial.focus();
+
+    return result;
+  }
+
+  /**
+   * Confirmación: resuelve true al aceptar y false al cancelar o cerrar.
+   * Con `danger` el botón de aceptar se marca como destructivo y el
+   * foco empieza en "Cancelar".
+   */
+  function confirm(options) {
+    return open({
+      title: options.title,
+      description: options.message,
+      className: 'dialog-confirm',
+      actions: [
+        { label: options.cancelLabel || EP.i18n.t('dialog.cancel'), value: false },
+        { label: options.confirmLabel || EP.i18n.t('dialog.ok'), value: true, variant: options.danger ? 'danger' : 'primary' },
+      ],
+      initialFocus: options.danger ? '[data-dialog-action="0"]' : '[data-dialog-action="1"]',
+    }).then(value => value === true);
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.dialog
+  ============================================================ */
+  EP.dialog = {
+    open,
+    confirm,
+
+    /** true si hay algún diálogo modal abierto. */
+    isOpen() {
+      return stack.length > 0;
+    },
+
+    /** Cierra el diálogo más reciente. */
+    closeTop() {
+      if (stack.length) stack[stack.length - 1].close(null);
+    },
+  };
+
+})();
@@ -0,0 +1,181 @@
+/**
+ * filters.js
+ * Motor de filtros por facetas del catálogo.
+ *
+ * Cada faceta trabaja sobre URLSearchParams: los nombres de parámetro
+ * coinciden con los `name` de los campos del formulario de filtros, de
+ * modo que el mismo estado se lee del formulario o de la URL.
+ *
+ * Forma de una faceta:
+ *   key      — identificador único
+ *   params   — nombres de parámetro que le pertenecen
+ *   read(params)        → valor de la faceta, o null si no está activa
+ *   match(product, val) → true si el producto pasa el filtro
+ *   tags(val)           → [{ param, value, label }] para #active-filters
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const t = EP.i18n.t;
+  const facets = [];
+
+  function toNumber(v) {
+    if (v === null || v === '') return null;
+    const n = Number(v);
+    return isFinite(n) ? n : null;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.filters
+  ============================================================ */
+  const filters = {
+    register(facet) {
+      facets.push(facet);
+      return facet;
+    },
+
+    facets() {
+      return facets.slice();
+    },
+
+    facetForParam(name) {
+      return facets.find(f => f.params.indexOf(name) !== -1) || null;
+    },
+
+    /** URLSearchParams → { key: valor } solo con las facetas activas. */
+    parse(params) {
+      const state = {};
+      facets.forEach(f => {
+        const value = f.read(params);
+        if (value !== null) state[f.key] = value;
+      });
+      return state;
+    },
+
+    /** Aplica todas las facetas activas salvo `exceptKey` (para los conteos). */
+    apply(products, state, exceptKey) {
+      const active = facets.filter(f => f.key !== exceptKey && state[f.key] !== undefined);
+      return products.filter(p => active.every(f => f.match(p, state[f.key])));
+    },
+
+    /** Etiquetas de los filtros activos, en el orden de registro. */
+    tags(state) {
+      return facets.reduce((list, f) => (
+        state[f.key] === undefined ? list : list.concat(f.tags(state[f.key]))
+      ), []);
+    },
+
+    /** Parámetros propios de las facetas (para limpiar sin tocar otros, p. ej. `sort`). */
+    ownParams() {
+      return facets.reduce((list, f) => list.concat(f.params), []);
+    },
+  };
+
+  /* ============================================================
+     FACETA GENÉRICA DE VALORES MÚLTIPLES (checkboxes)
+  ============================================================ */
+  filters.multi = function (key, options) {
+    return filters.register({
+      key,
+      params: [key],
+      read(params) {
+        const values = params.getAll(key).filter(v => !options.valid || options.valid(v));
+        return values.length ? values : null;
+      },
+      match: options.match,
+      tags(values) {
+        return values.map(v => ({ param: key, value: v, label: options.label(v) }));
+      },
+    });
+  };
+
+  /* ============================================================
+     FACETA GENÉRICA DE VALOR CON UNIDAD (campo de texto)
+     Acepta notación de ingeniería: "4k7", "100uF", "1/4" (js/units.js).
+     Un valor que no se entiende deja la faceta inactiva.
+  ============================================================ */
+  filters.quantity = function (key, dim) {
+    return filters.register({
+      key,
+      params: [key],
+      read: params => EP.units.parse(params.get(key), dim),
+      match: (p, quantity) => EP.units.matches(p, quantity),
+      tags: quantity => [{
+        param: key,
+        label: t('filters.tag', { label: EP.units.DIMENSIONS[dim].label, value: EP.units.format(quantity.value, dim) }),
+      }],
+    });
+  };
+
+  /* ============================================================
+     FACETAS DEL CATÁLOGO
+  ============================================================ */
+  // Texto buscado desde #search-input (?q=), ver js/search.js
+  filters.register({
+    key: 'q',
+    params: ['q'],
+    read(params) {
+      const q = (params.get('q') || '').trim();
+      return q && EP.search ? q : null;
+    },
+    match: (p, q) => EP.search.matches(p, q),
+    tags: q => [{ param: 'q', label: t('filters.query', { query: q }) }],
+  });
+
+  filters.multi('cat', {
+    valid: v => v in catalog.CATEGORIES,
+    match: (p, values) => values.indexOf(p.category) !== -1,
+    label: v => catalog.categoryLabel(v),
+  });
+
+  filters.register({
+    key: 'price',
+    params: ['price_min', 'price_max'],
+    read(params) {
+      const min = toNumber(params.get('price_min'));
+      const max = toNumber(params.get('price_max'));
+      return min === null && max === null ? null : { min, max };
+    },
+    match(p, range) {
+      return (range.min === null || p.price >= range.min) &&
+             (range.max === null || p.price <= range.max);
+    },
+    tags(range) {
+      const list = [];
+      if (range.min !== null) list.push({ param: 'price_min', label: t('filters.priceMin', { price: EP.formatPrice(range.min) }) });
+      if (range.max !== null) list.push({ param: 'price_max', label: t('filters.priceMax', { price: EP.formatPrice(range.max) }) });
+      return list;
+    },
+  });
+
+  filters.multi('stock', {
+    valid: v => v in catalog.STOCK_LABELS,
+    match: (p, values) => values.indexOf(catalog.stockStatus(p)) !== -1,
+    label: v => catalog.STOCK_LABELS[v],
+  });
+
+  // "4+" significa 4 estrellas o más: con varias casillas vale la menor
+  filters.multi('rating', {
+    valid: v => toNumber(v) !== null,
+    match: (p, values) => p.rating >= Math.min.apply(null, values.map(Number)),
+    label: v => t('filters.rating', { count: Number(v) }),
+  });
+
+  // Especificaciones: el producto pasa si algún valor (o rango) lo incluye
+  filters.quantity('res', 'resistance');
+  filters.quantity('cap', 'capacitance');
+  filters.quantity('volt', 'voltage');
+  filters.quantity('power', 'power');
+
+  filters.multi('pkg', {
+    valid: v => catalog.packages().indexOf(v) !== -1,
+    match: (p, values) => values.indexOf(catalog.packageOf(p)) !== -1,
+    label: v => t('filters.tag', { label: t('filters.package'), value: v }),
+  });
+
+  EP.filters = filters;
+
+})();
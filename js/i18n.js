@@ -0,0 +1,283 @@
+/**
+ * i18n.js
+ * Idioma de la interfaz (español / inglés) y formato de números y precios.
+ * - Mensajes por idioma (js/messages.js): EP.i18n.t('clave', { parámetros })
+ * - Plurales con Intl.PluralRules: { one, other } y el parámetro `count`
+ * - Los textos fijos de los HTML se traducen al cargar (EP.phrases)
+ * - EP.formatPrice y EP.i18n.formatDate siguen el idioma elegido;
+ *   opcionalmente el precio muestra también su equivalente aproximado
+ *   en dólares
+ * - Selector de idioma y de USD en la cabecera; el cambio recarga la
+ *   página y devuelve el foco al botón pulsado
+ * - WCAG 3.1.1: <html lang> cambia con el idioma. WCAG 3.1.2: lo que
+ *   no se traduce (datos del catálogo, transcripciones) se marca con
+ *   lang="es" donde se muestra
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const STORAGE_KEY = 'ep_i18n';
+  const CHANGED_KEY = 'ep_i18n_changed';
+  const DEFAULT_LOCALE = 'es';
+
+  // Tasa fija de referencia para mostrar precios en dólares. No es la
+  // TRM del día: el cobro siempre se hace en pesos colombianos.
+  const COP_PER_USD = 4000;
+
+  /* ============================================================
+     IDIOMAS
+     `tag` da el formato de números y moneda; `speech`, el idioma de
+     la lectura en voz alta (js/accessibility.js).
+  ============================================================ */
+  const LOCALES = {
+    es: { tag: 'es-CO', speech: 'es-ES', label: 'Español', short: 'ES' },
+    en: { tag: 'en-US', speech: 'en-US', label: 'English', short: 'EN' },
+  };
+
+  /* ============================================================
+     CATÁLOGO DE MENSAJES (js/messages.js)
+     `es` es el idioma de origen y el de respaldo: una clave que no
+     existe en otro idioma se muestra en español.
+  ============================================================ */
+  const MESSAGES = EP.messages;
+
+  /* ============================================================
+     ESTADO — { locale, usd } en localStorage
+  ============================================================ */
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, {});
+    return {
+      locale: data && LOCALES[data.locale] ? data.locale : DEFAULT_LOCALE,
+      usd: !!(data && data.usd),
+    };
+  }
+
+  const settings = load();
+  const locale = LOCALES[settings.locale];
+
+  /* ============================================================
+     MENSAJES
+  ============================================================ */
+  const pluralRules = {};
+  function pluralCategory(lang, n) {
+    if (!pluralRules[lang]) pluralRules[lang] = new Intl.PluralRules(LOCALES[lang].tag);
+    return pluralRules[lang].select(n);
+  }
+
+  function formatNumber(n, options, lang) {
+    return Number(n).toLocaleString(LOCALES[lang || settings.locale].tag, options);
+  }
+
+  /** Fecha (Date, ISO o milisegundos) con las opciones de toLocaleString. */
+  function formatDate(date, options) {
+    return new Date(date).toLocaleString(locale.tag, options);
+  }
+
+  /**
+   * Mensaje `key` en el idioma actual (o en español si no está
+   * traducido) con los {parámetros} sustituidos. Un mensaje
+   * { one, other } elige la forma según `params.count`.
+   */
+  function t(key, params) {
+    const lang = key in MESSAGES[settings.locale] ? settings.locale : DEFAULT_LOCALE;
+    let message = MESSAGES[lang][key];
+    if (message == null) return key;
+    params = params || {};
+    if (typeof message === 'object') {
+      message = message[pluralCategory(lang, params.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      return name === 'count' ? formatNumber(params.count, undefined, lang) : String(params[name]);
+    });
+  }
+
+  /**
+   * t() listo para innerHTML: el mensaje se escapa y los parámetros de
+   * `data`, textos del catálogo en español, van en <span lang="es"> si
+   * la página está en otro idioma (WCAG 3.1.2).
+   */
+  function html(key, params, data) {
+    data = data || {};
+    const marks = {};
+    Object.keys(data).forEach(name => { marks[name] = '\u0000' + name + '\u0000'; });
+    return EP.escapeHTML(t(key, Object.assign({}, params, marks))).replace(/\u0000(\w+)\u0000/g, (match, name) => {
+      if (!(name in data)) return match;
+      const text = EP.escapeHTML(data[name]);
+      return settings.locale === DEFAULT_LOCALE ? text : '<span lang="' + DEFAULT_LOCALE + '">' + text + '</span>';
+    });
+  }
+
+  /* ============================================================
+     FORMATO
+     Precios en pesos sin decimales: "$12.500" en español y
+     "COP 12,500" en inglés (el símbolo $ solo sería ambiguo).
+  ============================================================ */
+  const copFormat = settings.locale === 'es' ? null : new Intl.NumberFormat(locale.tag, {
+    style: 'currency', currency: 'COP', currencyDisplay: 'code', maximumFractionDigits: 0,
+  });
+  const usdFormat = new Intl.NumberFormat(locale.tag, {
+    style: 'currency', currency: 'USD', currencyDisplay: 'code',
+  });
+
+  EP.formatPrice = function (n) {
+    const cop = copFormat ? copFormat.format(Math.round(n)) : '$' + formatNumber(Math.round(n));
+    return settings.usd ? cop + ' (≈ ' + usdFormat.format(n / COP_PER_USD) + ')' : cop;
+  };
+
+  /* ============================================================
+     TEXTOS FIJOS DE LAS PÁGINAS
+     Los HTML están escritos en español; en otro idioma el título, los
+     textos y los atributos legibles se buscan en EP.phrases. No se
+     tocan el código ni lo marcado con su propio lang (p. ej. las
+     transcripciones, que siguen al audio en español).
+  ============================================================ */
+  const PHRASE_ATTRS = ['aria-label', 'placeholder', 'title', 'alt', 'label'];
+  const UNTRANSLATED = 'script, style, code, pre, kbd, [lang]:not(html)';
+
+  function translatePage() {
+    const phrases = EP.phrases && EP.phrases[settings.locale];
+    if (!phrases) return;
+    const lookup = text => phrases[text.replace(/\s+/g, ' ').trim()];
+
+    const title = lookup(document.title);
+    if (title) document.title = title;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentNode.closest(UNTRANSLATED) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const phrase = lookup(node.nodeValue);
+      if (phrase) {
+        const space = /^(\s*)[\s\S]*?(\s*)$/.exec(node.nodeValue);
+        node.nodeValue = space[1] + phrase + space[2];
+      }
+    }
+
+    EP.$$('*', document.body).forEach(el => {
+      if (el.closest(UNTRANSLATED)) return;
+      PHRASE_ATTRS.forEach(attr => {
+        const phrase = el.hasAttribute(attr) && lookup(el.getAttribute(attr));
+        if (phrase) el.setAttribute(attr, phrase);
+      });
+    });
+  }
+
+  /* ============================================================
+     SELECTOR DE IDIOMA Y MONEDA
+     Botones con aria-pressed (no un <select>: cambiar de idioma
+     recarga la página y WCAG 3.2.2 pide que eso no ocurra al
+     solo cambiar una opción).
+  ============================================================ */
+  function switcherHTML() {
+    return Object.keys(LOCALES).map(key => `
+      <button type="button" class="locale-btn" data-locale="${key}" lang="${key}"
+        aria-label="${EP.escapeHTML(LOCALES[key].label)}" aria-pressed="${key === settings.locale}">${LOCALES[key].short}</button>`)
+      .join('') + `
+      <button type="button" class="locale-btn" data-usd aria-pressed="${settings.usd}"
+        aria-label="${EP.escapeHTML(t('locale.usd'))}"
+        title="${EP.escapeHTML(t('locale.usdHint', { rate: formatNumber(COP_PER_USD) }))}">USD</button>`;
+  }
+
+  function save(next, changed) {
+    EP.storage.write(STORAGE_KEY, next);
+    try { sessionStorage.setItem(CHANGED_KEY, changed); } catch (_) {}
+    location.reload();
+  }
+
+  function buildSwitcher() {
+    const actions = EP.$('.header-actions');
+    if (!actions) return;
+    const group = document.createElement('div');
+    group.className = 'locale-switcher';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', t('locale.group'));
+    group.innerHTML = switcherHTML();
+    actions.insertBefore(group, actions.firstChild);
+
+    group.addEventListener('click', function (e) {
+      const btn = e.target.closest('.locale-btn');
+      if (!btn) return;
+      if (btn.hasAttribute('data-usd')) {
+        save({ locale: settings.locale, usd: !settings.usd }, 'usd');
+      } else if (btn.dataset.locale !== settings.locale) {
+        save({ locale: btn.dataset.locale, usd: settings.usd }, 'locale');
+      }
+    });
+    return group;
+  }
+
+  /** Tras recargar por un cambio: foco en el botón pulsado y aviso (WCAG 2.4.3, 4.1.3). */
+  function confirmChange(group) {
+    let changed = null;
+    try {
+      changed = sessionStorage.getItem(CHANGED_KEY);
+      sessionStorage.removeItem(CHANGED_KEY);
+    } catch (_) {}
+    if (!changed || !group) return;
+    const btn = EP.$(changed === 'usd' ? '[data-usd]' : '[data-locale="' + settings.locale + '"]', group);
+    if (btn) btn.focus();
+    EP.announce(changed === 'usd'
+      ? t(settings.usd ? 'locale.usdOn' : 'locale.usdOff')
+      : t('locale.changed', { label: locale.label }));
+  }
+
+  /* ============================================================
+     APLICAR
+  ============================================================ */
+  document.documentElement.lang = settings.locale;
+  if (settings.locale !== DEFAULT_LOCALE) translatePage();
+  confirmChange(buildSwitcher());
+
+  /* ============================================================
+     API PÚBLICA — EP.i18n
+  ============================================================ */
+  EP.i18n = {
+    LOCALES,
+    COP_PER_USD,
+    t,
+    html,
+    formatNumber,
+    formatDate,
+
+    /** Idioma actual: 'es' | 'en'. */
+    locale() {
+      return settings.locale;
+    },
+
+    /** Etiqueta BCP 47 para Intl y toLocaleString ('es-CO', 'en-US'). */
+    tag() {
+      return locale.tag;
+    },
+
+    /** Idioma de la voz para speechSynthesis. */
+    speechLang() {
+      return locale.speech;
+    },
+
+    /**
+     * Atributo para el HTML que muestra datos del catálogo, escritos en
+     * español: ' lang="es"' en otro idioma y '' en español (WCAG 3.1.2).
+     */
+    dataLang() {
+      return settings.locale === DEFAULT_LOCALE ? '' : ' lang="' + DEFAULT_LOCALE + '"';
+    },
+
+    showsUsd() {
+      return settings.usd;
+    },
+
+    /** Cambia el idioma y recarga la página. */
+    setLocale(key) {
+      if (LOCALES[key] && key !== settings.locale) save({ locale: key, usd: settings.usd }, 'locale');
+    },
+
+    /** Muestra u oculta los precios en dólares y recarga la página. */
+    setUsd(on) {
+      if (!!on !== settings.usd) save({ locale: settings.locale, usd: !!on }, 'usd');
+    },
+  };
+
+})();
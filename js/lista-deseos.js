@@ -0,0 +1,251 @@
+/**
+ * lista-deseos.js
+ * Página de listas de deseos: elegir la lista activa, crear, renombrar
+ * y eliminar listas, y mover sus productos al carrito.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const catalog = EP.catalog;
+  const cart = EP.cart;
+  const wishlist = EP.wishlist;
+  const esc = EP.escapeHTML;
+
+  const root = document.getElementById('wishlist-root');
+  if (!root || !wishlist) return;
+
+  const select = document.getElementById('wishlist-select');
+  const renameBtn = document.getElementById('wishlist-rename');
+  const deleteBtn = document.getElementById('wishlist-delete');
+
+  // ============================================================
+  // Render
+  // ============================================================
+  function itemHTML(item) {
+    const p = catalog.get(item.id);
+    const name = p.name;
+    const soldOut = cart.maxFor(p.id) === 0;
+    return `
+      <li class="wishlist-item" data-item="${p.id}">
+        <img src="${esc(catalog.imageUrl(p))}" alt="" width="96" height="72" loading="lazy" class="wishlist-img" />
+        <div class="wishlist-info">
+          <h3 class="wishlist-name"${EP.i18n.dataLang()}><a href="${esc(catalog.detailUrl(p.id))}">${esc(name)}</a></h3>
+          <p class="wishlist-meta">
+            <span>${EP.formatPrice(p.price)}</span> ·
+            <span>${esc(t('wishlistPage.qty', { count: item.qty }))}</span>
+            ${EP.productCards.stockHTML(p, 'product-stock')}
+          </p>
+        </div>
+        <div class="wishlist-item-actions">
+          ${soldOut
+            ? `<button type="button" class="btn btn-primary wishlist-move" data-item="${p.id}" disabled
+                aria-label="${esc(t('wishlistPage.soldOutLabel', { name }))}">${esc(t('catalog.outOfStock'))}</button>`
+            : `<button type="button" class="btn btn-primary wishlist-move" data-item="${p.id}"
+                aria-label="${esc(t('wishlistPage.moveLabel', { name }))}">${esc(t('wishlistPage.move'))}</button>`}
+          <button type="button" class="btn btn-outline wishlist-remove" data-item="${p.id}"
+            aria-label="${esc(t('wishlistPage.removeLabel', { name }))}">${esc(t('cartPage.couponRemove'))}</button>
+        </div>
+      </li>`;
+  }
+
+  function render() {
+    const list = wishlist.active();
+    const lists = wishlist.lists();
+
+    select.innerHTML = lists.map(l => `
+      <option value="${esc(l.id)}">${esc(l.name)} (${esc(t('products.count', { count: l.items.length }))})</option>`).join('');
+    select.value = list.id;
+    // WCAG 3.3.2: se explica por qué no se puede eliminar
+    deleteBtn.disabled = lists.length === 1;
+    deleteBtn.title = lists.length === 1 ? t('wishlistPage.keepOne') : '';
+
+    const movable = list.items.filter(i => cart.maxFor(i.id) > 0).length;
+    root.innerHTML = `
+      <div class="wishlist-head">
+        <h2 id="wishlist-list-title" class="wishlist-list-title">${esc(list.name)}
+          <span class="wishlist-list-count">(${esc(t('products.count', { count: list.items.length }))})</span></h2>
+        ${movable ? `<button type="button" class="btn btn-outline" id="wishlist-move-all">${esc(t('wishlistPage.moveAll'))}</button>` : ''}
+      </div>
+      ${list.items.length
+        ? `<ul class="wishlist-items" role="list">${list.items.map(itemHTML).join('')}</ul>`
+        : `<div class="wishlist-empty">
+            <p>${esc(t('wishlistPage.empty'))}</p>
+            <a href="productos.html" class="btn btn-primary">${esc(t('cartPage.browse'))}</a>
+          </div>`}`;
+  }
+
+  // ============================================================
+  // Mover al carrito — respeta el stock igual que «Agregar al carrito».
+  // Devuelve { moved, problem }: `problem` explica lo que no se movió.
+  // ============================================================
+  function moveToCart(id) {
+    const product = catalog.get(id);
+    const item = wishlist.get(id);
+    const inCart = (cart.get(id) || { qty: 0 }).qty;
+    const room = cart.maxFor(id) - inCart;
+    if (room <= 0) {
+      return { moved: false, problem: cart.limitMessage(product) + ' ' +
+        (inCart ? t('cart.alreadyIn', { count: inCart }) : t('cart.cannotAdd')) };
+    }
+    const added = Math.min(item.qty, room);
+    cart.add(cart.lineFromCatalog(product), added);
+    wishlist.remove(id);
+    return { moved: true, problem: added < item.qty
+      ? cart.limitMessage(product) + ' ' + t('wishlistPage.movedSome', { count: added }) : '' };
+  }
+
+  // WCAG 2.4.3: tras quitar un producto, el foco pasa al siguiente
+  function focusAfterRemoval(index, fallback) {
+    const rows = EP.$$('.wishlist-item', root);
+    const row = rows[Math.min(index, rows.length - 1)];
+    const next = row ? EP.$('.wishlist-move:not([disabled]), .wishlist-remove', row)
+      : fallback || document.getElementById('wishlist-title');
+    if (next) next.focus();
+  }
+
+  root.addEventListener('click', function (e) {
+    const moveBtn = e.target.closest('.wishlist-move');
+    if (moveBtn) {
+      const index = wishlist.active().items.findIndex(i => i.id === moveBtn.dataset.item);
+      const name = catalog.get(moveBtn.dataset.item).name;
+      const result = moveToCart(moveBtn.dataset.item);
+      // WCAG 4.1.3 + 3.3.1: los bloqueos se anuncian como alerta
+      if (result.problem) EP.announce(result.problem, true);
+      else EP.announce(t('wishlistPage.moved', { name }));
+      if (result.moved) focusAfterRemoval(index);
+      return;
+    }
+
+    const removeBtn = e.target.closest('.wishlist-remove');
+    if (removeBtn) {
+      const list = wishlist.active();
+      const product = catalog.get(removeBtn.dataset.item);
+      const removed = wishlist.remove(product.id);
+      const toast = EP.toast.show(t('wishlist.removed', { name: product.name, list: list.name }), {
+        actionLabel: t('cartPage.undo'),
+        onAction() {
+          wishlist.add(product.id, { list: list.id, qty: removed.item.qty, index: removed.index });
+          EP.announce(t('wishlistPage.restored', { name: product.name, list: list.name }));
+          const row = EP.$('.wishlist-item[data-item="' + product.id + '"]', root);
+          if (row) EP.$('.wishlist-remove', row).focus();
+        },
+      });
+      focusAfterRemoval(removed.index, EP.$('.toast-action', toast));
+      return;
+    }
+
+    if (e.target.closest('#wishlist-move-all')) {
+      const ids = wishlist.active().items.map(i => i.id);
+      const problems = [];
+      let moved = 0;
+      ids.forEach(id => {
+        const result = moveToCart(id);
+        if (result.moved) moved++;
+        if (result.problem) problems.push(result.problem);
+      });
+      const message = t('wishlistPage.movedAll', { count: moved });
+      EP.announce(problems.length ? message + ' ' + problems.join(' ') : message, problems.length > 0);
+      focusAfterRemoval(0);
+    }
+  });
+
+  // ============================================================
+  // Listas: elegir, crear, renombrar y eliminar
+  // ============================================================
+  select.addEventListener('change', function () {
+    wishlist.setActive(select.value);
+    const list = wishlist.active();
+    EP.announce(t('wishlistPage.active', { name: list.name, count: list.items.length }));
+  });
+
+  /**
+   * Pide un nombre en un diálogo. `save(name)` devuelve { ok } o
+   * { ok: false, error }; el diálogo sigue abierto mientras haya error.
+   */
+  function askName(title, confirmLabel, value, save) {
+    const body = `
+      <form class="wishlist-name-form" novalidate>
+        <div class="wishlist-name-field">
+          <label for="wishlist-name-input">${esc(t('wishlistPage.nameLabel'))}</label>
+          <input id="wishlist-name-input" type="text" maxlength="${wishlist.MAX_NAME}"
+            autocomplete="off" value="${esc(value)}" aria-required="true" />
+        </div>
+        <div class="dialog-actions">
+          <button type="button" class="btn btn-outline" data-dialog-close>${esc(t('dialog.cancel'))}</button>
+          <button type="submit" class="btn btn-primary">${esc(confirmLabel)}</button>
+        </div>
+      </form>`;
+    return EP.dialog.open({
+      title,
+      body,
+      initialFocus: '#wishlist-name-input',
+      setup(dialog, close) {
+        const form = EP.$('form', dialog);
+        const input = EP.$('input', form);
+        form.addEventListener('submit', function (e) {
+          e.preventDefault();
+          const result = save(input.value);
+          if (result.ok) { close(true); return; }
+          // WCAG 3.3.1: el error queda junto al campo y se anuncia
+          let error = document.getElementById('wishlist-name-error');
+          if (!error) {
+            error = document.createElement('p');
+            error.id = 'wishlist-name-error';
+            error.className = 'field-error';
+            input.parentNode.appendChild(error);
+          }
+          error.textContent = result.error;
+          input.setAttribute('aria-invalid', 'true');
+          input.setAttribute('aria-describedby', error.id);
+          EP.announce(result.error, true);
+          input.focus();
+        });
+      },
+    });
+  }
+
+  document.getElementById('wishlist-new').addEventListener('click', function () {
+    let created = null;
+    askName(t('wishlistPage.newTitle'), t('wishlistPage.create'), '', name => {
+      const result = wishlist.createList(name);
+      if (result.ok) created = result.list;
+      return result;
+    }).then(ok => {
+      if (!ok) return;
+      wishlist.setActive(created.id);
+      EP.announce(t('wishlistPage.created', { name: created.name }));
+    });
+  });
+
+  renameBtn.addEventListener('click', function () {
+    const list = wishlist.active();
+    askName(t('wishlistPage.renameTitle', { name: list.name }), t('wishlistPage.saveName'), list.name,
+      name => wishlist.renameList(list.id, name))
+      .then(ok => {
+        if (ok) EP.announce(t('wishlistPage.renamed', { name: wishlist.active().name }));
+      });
+  });
+
+  deleteBtn.addEventListener('click', function () {
+    const list = wishlist.active();
+    EP.dialog.confirm({
+      title: t('wishlistPage.deleteTitle', { name: list.name }),
+      message: list.items.length
+        ? t('wishlistPage.deleteMessage', { count: list.items.length })
+        : t('wishlistPage.deleteEmpty'),
+      confirmLabel: t('wishlistPage.delete'),
+      danger: true,
+    }).then(ok => {
+      if (!ok || !wishlist.deleteList(list.id)) return;
+      EP.announce(t('wishlistPage.deleted', { name: list.name, active: wishlist.active().name }));
+      select.focus();
+    });
+  });
+
+  wishlist.subscribe(render);
+  render();
+
+})();
@@ -0,0 +1,78 @@
+/**
+ * locations.js
+ * Departamentos de Colombia con sus principales municipios y la zona
+ * de envío que les corresponde (ver EP.pricing.CONFIG.shipping.zones).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+
+  /* ============================================================
+     DEPARTAMENTOS
+     code: código DANE · zone: 'local' | 'nacional' | 'remota'
+  ============================================================ */
+  const DEPARTMENTS = [
+    { code: '91', name: 'Amazonas',           zone: 'remota',   cities: ['Leticia', 'Puerto Nariño'] },
+    { code: '05', name: 'Antioquia',          zone: 'nacional', cities: ['Medellín', 'Bello', 'Envigado', 'Itagüí', 'Rionegro', 'Sabaneta', 'Apartadó', 'Turbo'] },
+    { code: '81', name: 'Arauca',             zone: 'nacional', cities: ['Arauca', 'Saravena', 'Tame'] },
+    { code: '08', name: 'Atlántico',          zone: 'nacional', cities: ['Barranquilla', 'Soledad', 'Malambo', 'Puerto Colombia', 'Sabanalarga'] },
+    { code: '11', name: 'Bogotá D.C.',        zone: 'local',    cities: ['Bogotá D.C.'] },
+    { code: '13', name: 'Bolívar',            zone: 'nacional', cities: ['Cartagena de Indias', 'Magangué', 'Turbaco', 'El Carmen de Bolívar'] },
+    { code: '15', name: 'Boyacá',             zone: 'nacional', cities: ['Tunja', 'Duitama', 'Sogamoso', 'Chiquinquirá', 'Paipa'] },
+    { code: '17', name: 'Caldas',             zone: 'nacional', cities: ['Manizales', 'Chinchiná', 'La Dorada', 'Villamaría'] },
+    { code: '18', name: 'Caquetá',            zone: 'nacional', cities: ['Florencia', 'San Vicente del Caguán'] },
+    { code: '85', name: 'Casanare',           zone: 'nacional', cities: ['Yopal', 'Aguazul', 'Villanueva'] },
+    { code: '19', name: 'Cauca',              zone: 'nacional', cities: ['Popayán', 'Santander de Quilichao', 'Puerto Tejada'] },
+    { code: '20', name: 'Cesar',              zone: 'nacional', cities: ['Valledupar', 'Aguachica', 'Codazzi'] },
+    { code: '27', name: 'Chocó',              zone: 'remota',   cities: ['Quibdó', 'Istmina', 'Bahía Solano'] },
+    { code: '23', name: 'Córdoba',            zone: 'nacional', cities: ['Montería', 'Cereté', 'Lorica', 'Sahagún'] },
+    { code: '25', name: 'Cundinamarca',       zone: 'nacional', cities: ['Soacha', 'Chía', 'Zipaquirá', 'Facatativá', 'Fusagasugá', 'Girardot', 'Mosquera', 'Madrid', 'Funza', 'Cajicá'] },
+    { code: '94', name: 'Guainía',            zone: 'remota',   cities: ['Inírida'] },
+    { code: '95', name: 'Guaviare',           zone: 'remota',   cities: ['San José del Guaviare'] },
+    { code: '41', name: 'Huila',              zone: 'nacional', cities: ['Neiva', 'Pitalito', 'Garzón', 'La Plata'] },
+    { code: '44', name: 'La Guajira',         zone: 'nacional', cities: ['Riohacha', 'Maicao', 'Uribia'] },
+    { code: '47', name: 'Magdalena',          zone: 'nacional', cities: ['Santa Marta', 'Ciénaga', 'Fundación'] },
+    { code: '50', name: 'Meta',               zone: 'nacional', cities: ['Villavicencio', 'Acacías', 'Granada', 'Puerto López'] },
+    { code: '52', name: 'Nariño',             zone: 'nacional', cities: ['Pasto', 'Tumaco', 'Ipiales'] },
+    { code: '54', name: 'Norte de Santander', zone: 'nacional', cities: ['Cúcuta', 'Ocaña', 'Pamplona', 'Villa del Rosario'] },
+    { code: '86', name: 'Putumayo',           zone: 'remota',   cities: ['Mocoa', 'Puerto Asís', 'Orito'] },
+    { code: '63', name: 'Quindío',            zone: 'nacional', cities: ['Armenia', 'Calarcá', 'Montenegro', 'Quimbaya'] },
+    { code: '66', name: 'Risaralda',          zone: 'nacional', cities: ['Pereira', 'Dosquebradas', 'Santa Rosa de Cabal'] },
+    { code: '88', name: 'San Andrés y Providencia', zone: 'remota', cities: ['San Andrés', 'Providencia'] },
+    { code: '68', name: 'Santander',          zone: 'nacional', cities: ['Bucaramanga', 'Floridablanca', 'Girón', 'Piedecuesta', 'Barrancabermeja', 'San Gil'] },
+    { code: '70', name: 'Sucre',              zone: 'nacional', cities: ['Sincelejo', 'Corozal', 'Sampués'] },
+    { code: '73', name: 'Tolima',             zone: 'nacional', cities: ['Ibagué', 'Espinal', 'Melgar', 'Honda'] },
+    { code: '76', name: 'Valle del Cauca',    zone: 'nacional', cities: ['Cali', 'Palmira', 'Buenaventura', 'Tuluá', 'Buga', 'Cartago', 'Jamundí', 'Yumbo'] },
+    { code: '97', name: 'Vaupés',             zone: 'remota',   cities: ['Mitú'] },
+    { code: '99', name: 'Vichada',            zone: 'remota',   cities: ['Puerto Carreño'] },
+  ];
+
+  function department(code) {
+    return DEPARTMENTS.find(d => d.code === String(code)) || null;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.locations
+  ============================================================ */
+  EP.locations = {
+    departments() {
+      return DEPARTMENTS.slice();
+    },
+
+    department,
+
+    cities(code) {
+      const d = department(code);
+      return d ? d.cities.slice() : [];
+    },
+
+    /** Zona de envío del departamento (por defecto, nacional). */
+    zoneFor(code) {
+      const d = department(code);
+      return d ? d.zone : 'nacional';
+    },
+  };
+
+})();
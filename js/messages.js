@@ -0,0 +1,1922 @@
+/**
+ * messages.js
+ * Textos de la interfaz en cada idioma; los usa js/i18n.js.
+ * - EP.messages: mensajes que arma el JavaScript, por clave
+ *   (EP.i18n.t('clave', { parámetros })). Un mensaje { one, other }
+ *   cambia con el parámetro `count`.
+ * - EP.phrases: frases fijas de los HTML, buscadas por su texto en
+ *   español sin importar los saltos de línea ni los espacios.
+ *
+ * Los datos del catálogo de productos (nombres, descripciones,
+ * especificaciones y reseñas) no se traducen.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+
+  /* ============================================================
+     MENSAJES
+     `es` es el idioma de origen y el de respaldo: una clave que no
+     existe en otro idioma se muestra en español.
+  ============================================================ */
+  EP.messages = {
+    es: {
+      /* --- Selector de idioma --- */
+      'locale.group':   'Idioma y moneda',
+      'locale.usd':     'Mostrar también precios en USD',
+      'locale.usdHint': 'Conversión aproximada a {rate} COP por dólar; el cobro se hace en pesos.',
+      'locale.changed': 'Idioma: {label}.',
+      'locale.usdOn':   'Los precios muestran también su valor aproximado en dólares.',
+      'locale.usdOff':  'Los precios se muestran solo en pesos colombianos.',
+
+      /* --- Contadores de la cabecera y búsqueda --- */
+      'cart.label':     { one: 'Carrito de compras, {count} artículo', other: 'Carrito de compras, {count} artículos' },
+      'wishlist.label': { one: 'Lista de deseos «{name}», {count} producto', other: 'Lista de deseos «{name}», {count} productos' },
+      'search.listbox': 'Sugerencias de búsqueda',
+      'search.all':     { one: 'Ver el {count} resultado para «{query}»', other: 'Ver los {count} resultados para «{query}»' },
+      'search.none':    'Sin coincidencias. Buscar «{query}» en el catálogo',
+      'search.count':   { one: '{count} sugerencia disponible. Usa las flechas para recorrerlas.',
+                          other: '{count} sugerencias disponibles. Usa las flechas para recorrerlas.' },
+      'search.empty':   'No hay sugerencias.',
+
+      /* --- Sin conexión (js/offline.js) --- */
+      'offline.banner':   'Sin conexión. Puedes seguir viendo las páginas guardadas y usar el carrito; las reseñas que escribas se publicarán cuando vuelva la conexión.',
+      'offline.pending':  { one: '{count} reseña pendiente de publicar.', other: '{count} reseñas pendientes de publicar.' },
+      'offline.lost':     'Se perdió la conexión. El carrito sigue guardado en este navegador; las reseñas se publicarán cuando vuelva.',
+      'offline.back':     'Conexión recuperada.',
+      'offline.replayed': { one: 'Se publicó {count} reseña pendiente.', other: 'Se publicaron {count} reseñas pendientes.' },
+      'offline.failed':   'Algunas reseñas no se pudieron publicar; se reintentará más tarde.',
+
+      /* --- Panel de accesibilidad (js/accessibility.js) --- */
+      'a11y.menu.open':   'Abrir menú de navegación',
+      'a11y.menu.close':  'Cerrar menú de navegación',
+      'a11y.tableScroll': 'Desplaza horizontalmente para ver toda la tabla',
+
+      'a11y.contrast.normal': 'Normal',
+      'a11y.contrast.high':   'Alto contraste',
+      'a11y.contrast.dark':   'Modo oscuro',
+      'a11y.contrast.invert': 'Invertido',
+      'a11y.contrast.label':  'Contraste {label}',
+      'a11y.guide.off':       'Desactivada',
+      'a11y.guide.line':      'Regla',
+      'a11y.guide.mask':      'Máscara',
+      'a11y.guide.label':     'Guía de lectura: {label}',
+      'a11y.color.protanopia':   'Protanopía (rojo)',
+      'a11y.color.deuteranopia': 'Deuteranopía (verde)',
+      'a11y.color.tritanopia':   'Tritanopía (azul)',
+      'a11y.color.correct':      'Corregir {name}',
+      'a11y.color.simulate':     'Simular {name}',
+
+      'a11y.preset.baja-vision':      'Baja visión',
+      'a11y.preset.baja-vision.desc': 'Texto al 120 %, alto contraste, enlaces resaltados y cursor grande.',
+      'a11y.preset.dislexia':         'Dislexia',
+      'a11y.preset.dislexia.desc':    'Fuente para dislexia, espaciado ampliado y texto al 110 %.',
+      'a11y.preset.motor':            'Motor',
+      'a11y.preset.motor.desc':       'Cursor grande, enlaces resaltados y más espacio entre elementos.',
+      'a11y.preset.applied':          'Perfil {label} aplicado.',
+
+      'a11y.url.applied': 'Se aplicó el perfil de accesibilidad del enlace.',
+      'a11y.url.invalid': 'El enlace no contiene un perfil de accesibilidad válido.',
+
+      'a11y.speak.link':    'Enlace: {label}',
+      'a11y.speak.button':  'Botón: {label}',
+      'a11y.speak.select':  'Selector: {label}',
+      'a11y.speak.heading': 'Encabezado nivel {level}: {label}',
+      'a11y.speak.field':   'Campo {type}: {label}',
+      'a11y.speak.image':   'Imagen: {label}',
+      'a11y.speak.emptyCell': 'vacía',
+      'a11y.speak.imageFallback': 'imagen',
+      'a11y.speak.fieldFallback': 'campo',
+      'a11y.speak.on':      'Lector de pantalla activado. Pasa el cursor o navega con Tab para escuchar.',
+      'a11y.speak.test':    'Hola, así suena la voz elegida.',
+
+      'a11y.landmark.header':  'Cabecera',
+      'a11y.landmark.nav':     'Navegación',
+      'a11y.landmark.main':    'Contenido principal',
+      'a11y.landmark.aside':   'Complementario',
+      'a11y.landmark.footer':  'Pie de página',
+      'a11y.landmark.section': 'Región',
+      'a11y.landmark.form':    'Formulario',
+      'a11y.landmark.region':  'Región',
+      'a11y.landmark.search':  'Búsqueda',
+
+      'a11y.read.end':         'Fin de la lectura.',
+      'a11y.read.error':       'No se pudo continuar la lectura.',
+      'a11y.read.unsupported': 'Tu navegador no permite la lectura en voz alta.',
+      'a11y.read.noneAfter':   'No hay más encabezados ni regiones después.',
+      'a11y.read.noneBefore':  'No hay más encabezados ni regiones antes.',
+      'a11y.read.stopped':     'Lectura detenida.',
+      'a11y.read.toolbar':     'Lectura en voz alta',
+      'a11y.read.prevLandmark': 'Región anterior',
+      'a11y.read.prevHeading':  'Encabezado anterior',
+      'a11y.read.pause':        'Pausar',
+      'a11y.read.resume':       'Reanudar',
+      'a11y.read.nextHeading':  'Encabezado siguiente',
+      'a11y.read.nextLandmark': 'Región siguiente',
+      'a11y.read.stop':         'Detener lectura',
+
+      'a11y.font.normal': 'Normal (100%)',
+      'a11y.font.scaled': '{delta}% ({pct}%)',
+      'a11y.voice.default': 'Predeterminada del navegador',
+      'a11y.on':  'Activado',
+      'a11y.off': 'Desactivado',
+
+      'a11y.fab':          'Accesibilidad',
+      'a11y.panel.open':   'Abrir panel de accesibilidad',
+      'a11y.panel.close':  'Cerrar panel de accesibilidad',
+      'a11y.panel.label':  'Panel de accesibilidad',
+      'a11y.panel.title':  'Accesibilidad',
+      'a11y.panel.shortcut': 'Abrir o cerrar el panel de accesibilidad',
+      'a11y.presets.title': 'Perfiles',
+      'a11y.presets.desc':  'Aplica varias opciones de una vez.',
+      'a11y.reader.title':  'Lector de pantalla',
+      'a11y.reader.desc':   'Lee en voz alta el elemento sobre el que navegues con Tab o el cursor.',
+      'a11y.reader.pageDesc': 'O escucha la página seguida, con pausa y saltos por encabezados y regiones.',
+      'a11y.reader.readPage': 'Leer la página',
+      'a11y.reader.readHere': 'Leer desde aquí',
+      'a11y.reader.readHereDesc': 'Empieza por el último elemento que enfocaste o pulsaste.',
+      'a11y.reader.voice':  'Voz',
+      'a11y.reader.rate':   'Velocidad',
+      'a11y.reader.pitch':  'Tono',
+      'a11y.reader.test':   'Probar la voz',
+      'a11y.font.title':    'Tamaño de texto',
+      'a11y.font.dec':      'Reducir tamaño de texto',
+      'a11y.font.inc':      'Aumentar tamaño de texto',
+      'a11y.contrast.title': 'Modo de contraste',
+      'a11y.color.title':   'Filtro de color',
+      'a11y.color.desc':    'Corrige los colores para distintos tipos de daltonismo o simula cómo se ven.',
+      'a11y.color.none':    'Sin filtro',
+      'a11y.color.correctGroup':  'Corregir',
+      'a11y.color.simulateGroup': 'Simular',
+      'a11y.saturation.title': 'Baja saturación',
+      'a11y.saturation.desc':  'Atenúa los colores intensos para reducir la fatiga visual.',
+      'a11y.spacing.title': 'Espaciado ampliado',
+      'a11y.spacing.desc':  'Aumenta el interlineado y el espacio entre párrafos.',
+      'a11y.dyslexia.title': 'Fuente para dislexia',
+      'a11y.dyslexia.desc':  'Activa una tipografía diseñada para facilitar la lectura.',
+      'a11y.links.title':   'Resaltar enlaces',
+      'a11y.links.desc':    'Subraya y destaca visualmente todos los enlaces.',
+      'a11y.cursor.title':  'Cursor grande',
+      'a11y.cursor.desc':   'Amplía el puntero del ratón para mayor visibilidad.',
+      'a11y.guide.title':   'Guía de lectura',
+      'a11y.guide.desc':    'Una franja que sigue al puntero y al foco para no perder la línea.',
+      'a11y.animations.title': 'Detener animaciones',
+      'a11y.animations.desc':  'Quita transiciones y movimiento y pausa el vídeo y el audio en curso.',
+      'a11y.images.title':  'Ocultar imágenes',
+      'a11y.images.desc':   'Deja solo el texto; los lectores de pantalla siguen leyendo el texto alternativo.',
+      'a11y.shortcuts.title': 'Atajos de teclado',
+      'a11y.shortcuts.desc':  'Teclas como <kbd>/</kbd> para buscar o <kbd>?</kbd> para ver la lista. Desactívalos si interfieren con tu software de voz o de accesibilidad.',
+      'a11y.shortcuts.help':  'Ver y cambiar los atajos',
+      'a11y.profile.title':  'Guardar o compartir tu perfil',
+      'a11y.profile.desc':   'Lleva esta configuración a otro navegador o dispositivo.',
+      'a11y.profile.export': 'Exportar archivo',
+      'a11y.profile.import': 'Importar archivo',
+      'a11y.profile.link':   'Enlace con tu perfil',
+      'a11y.profile.copy':   'Copiar',
+      'a11y.reset':          'Restablecer configuración',
+
+      'a11y.done.reset':     'Configuración de accesibilidad restablecida.',
+      'a11y.done.imported':  'Perfil de accesibilidad importado.',
+      'a11y.done.badFile':   'El archivo no es un perfil de accesibilidad de ElectroParts.',
+      'a11y.done.exported':  'Perfil exportado en el archivo {file}.',
+      'a11y.done.selected':  'Enlace seleccionado: cópialo con Control más C.',
+      'a11y.done.copied':    'Enlace con tu perfil copiado.',
+
+      /* --- Carrito compartido (js/cart.js) --- */
+      'cart.soldOut':     '{name} está agotado.',
+      'cart.maxPerOrder': { one: 'Puedes pedir como máximo {count} unidad de {name} por pedido.',
+                            other: 'Puedes pedir como máximo {count} unidades de {name} por pedido.' },
+      'cart.onlyLeft':    { one: 'Solo hay {count} unidad disponible de {name}.',
+                            other: 'Solo hay {count} unidades disponibles de {name}.' },
+      'cart.alreadyIn':   { one: 'Ya tienes {count} unidad en el carrito.', other: 'Ya tienes {count} unidades en el carrito.' },
+      'cart.cannotAdd':   'No se puede agregar al carrito.',
+      'cart.addedSome':   { one: 'Se agregó {count} unidad.', other: 'Se agregaron {count} unidades.' },
+      'cart.nowIn':       { one: 'Ahora tienes {count} unidad en el carrito.', other: 'Ahora tienes {count} unidades en el carrito.' },
+      'cart.added':       '{name} agregado al carrito.',
+
+      /* --- Catálogo (js/catalog.js) --- */
+      'catalog.resistencias':       'Resistencias',
+      'catalog.capacitores':        'Capacitores',
+      'catalog.transformadores':    'Transformadores',
+      'catalog.transistores':       'Transistores',
+      'catalog.diodos':             'Diodos',
+      'catalog.microcontroladores': 'Microcontroladores',
+      'catalog.inStock':    'En stock',
+      'catalog.lowStock':   'Últimas unidades',
+      'catalog.outOfStock': 'Agotado',
+
+      /* --- Tarjetas de producto (js/product-cards.js) --- */
+      'cards.badge.new':          'Nuevo',
+      'cards.badge.newLabel':     'Producto nuevo',
+      'cards.badge.sale':         'Oferta',
+      'cards.badge.saleLabel':    'En oferta',
+      'cards.badge.popular':      'Popular',
+      'cards.badge.popularLabel': 'Producto más vendido',
+      'cards.rating':       { one: 'Calificación: {rating} de 5 estrellas, {count} opinión',
+                              other: 'Calificación: {rating} de 5 estrellas, {count} opiniones' },
+      'cards.price':        'Precio: {price}',
+      'cards.oldPrice':     'Precio anterior: {price}',
+      'cards.lowStock':     '{label}: quedan {count}',
+      'cards.soldOutLabel': '{name} agotado, no se puede agregar al carrito',
+      'cards.add':          'Agregar al carrito',
+      'cards.addLabel':     'Agregar {name} al carrito',
+      'cards.compare':      'Comparar',
+      'cards.save':         'Guardar',
+      'cards.saveHidden':   '{name} en la lista de deseos',
+      'cards.discount':     'Descuento {pct} por ciento',
+      'cards.offerPrice':   'Precio oferta {price}',
+      'cards.buy':          'Comprar ahora',
+      'cards.buyLabel':     'Comprar {name}',
+
+      /* --- Reseñas (js/reviews.js) --- */
+      'reviews.sort.newest':  'más recientes',
+      'reviews.sort.highest': 'calificación más alta',
+      'reviews.sort.lowest':  'calificación más baja',
+      'reviews.error.rating':       'Elige una calificación de 1 a 5 estrellas.',
+      'reviews.error.author.empty': 'Escribe tu nombre.',
+      'reviews.error.author.short': { one: 'Tu nombre debe tener al menos {count} carácter.', other: 'Tu nombre debe tener al menos {count} caracteres.' },
+      'reviews.error.author.long':  { one: 'Tu nombre puede tener como máximo {count} carácter.', other: 'Tu nombre puede tener como máximo {count} caracteres.' },
+      'reviews.error.title.empty':  'Escribe un título para la reseña.',
+      'reviews.error.title.short':  { one: 'El título debe tener al menos {count} carácter.', other: 'El título debe tener al menos {count} caracteres.' },
+      'reviews.error.title.long':   { one: 'El título puede tener como máximo {count} carácter.', other: 'El título puede tener como máximo {count} caracteres.' },
+      'reviews.error.text.empty':   'Escribe tu opinión.',
+      'reviews.error.text.short':   { one: 'La opinión debe tener al menos {count} carácter.', other: 'La opinión debe tener al menos {count} caracteres.' },
+      'reviews.error.text.long':    { one: 'La opinión puede tener como máximo {count} carácter.', other: 'La opinión puede tener como máximo {count} caracteres.' },
+      'reviews.error.product':      'El producto no existe.',
+
+      /* --- Comparación (js/compare.js) --- */
+      'compare.removed':     '{name} quitado de la comparación.',
+      'compare.full':        'Ya tienes {count} productos para comparar. Quita uno antes de agregar {name}.',
+      'compare.added':       '{name} agregado a la comparación ({n} de {max}).',
+      'compare.pickAnother': 'Elige al menos otro producto.',
+      'compare.tray':        'Comparar productos ({n} de {max})',
+      'compare.removeLabel': 'Quitar {name} de la comparación',
+      'compare.go':          'Comparar {count} productos',
+      'compare.min':         'Elige al menos {count} productos.',
+      'compare.clear':       'Limpiar',
+      'compare.cleared':     'Comparación vaciada.',
+
+      /* --- Listas de deseos (js/wishlist.js) --- */
+      'wishlist.defaultName':   'Mi lista de deseos',
+      'wishlist.error.empty':   'Escribe un nombre para la lista.',
+      'wishlist.error.long':    'El nombre puede tener como máximo {count} caracteres.',
+      'wishlist.error.taken':   'Ya tienes una lista llamada «{name}».',
+      'wishlist.error.tooMany': 'Puedes tener como máximo {count} listas.',
+      'wishlist.error.gone':    'La lista ya no existe.',
+      'wishlist.removed':       '{name} quitado de «{list}».',
+      'wishlist.saved':         '{name} guardado en «{list}».',
+
+      /* --- Diálogos y avisos (js/dialog.js, js/toast.js) --- */
+      'dialog.close':   'Cerrar',
+      'dialog.cancel':  'Cancelar',
+      'dialog.ok':      'Aceptar',
+      'toast.close':    'Cerrar aviso',
+      'toast.shortcut': 'Deshacer desde el aviso en pantalla',
+
+      /* --- Atajos de teclado (js/shortcuts.js) --- */
+      'shortcuts.space':        'Espacio',
+      'shortcuts.then':         'y después',
+      'shortcuts.reserved':     '{keys} no se puede usar: hace falta para navegar.',
+      'shortcuts.clash':        '{keys} ya se usa para "{label}".',
+      'shortcuts.custom':       '(personalizado)',
+      'shortcuts.remap':        'Cambiar',
+      'shortcuts.remapLabel':   'Cambiar el atajo de {label}',
+      'shortcuts.restore':      'Restablecer',
+      'shortcuts.restoreLabel': 'Restablecer el atajo de {label}',
+      'shortcuts.enable':       'Activar los atajos de teclado',
+      'shortcuts.caption':      'Atajos disponibles',
+      'shortcuts.action':       'Acción',
+      'shortcuts.keys':         'Teclas',
+      'shortcuts.options':      'Opciones',
+      'shortcuts.restoreAll':   'Restablecer todos los atajos',
+      'shortcuts.restored':     '{label}: vuelve a {keys}.',
+      'shortcuts.restoredAll':  'Se restablecieron todos los atajos.',
+      'shortcuts.on':           'Atajos de teclado activados.',
+      'shortcuts.off':          'Atajos de teclado desactivados.',
+      'shortcuts.capturing':    'Pulsa las teclas…',
+      'shortcuts.capture':      'Pulsa la nueva combinación de teclas, o Escape para cancelar.',
+      'shortcuts.cancelled':    'Cambio cancelado.',
+      'shortcuts.remapped':     '{label}: ahora {keys}.',
+      'shortcuts.title':        'Atajos de teclado',
+      'shortcuts.desc':         'Los atajos sin Ctrl ni Alt no funcionan mientras escribes en un campo.',
+      'shortcuts.search':       'Ir a la búsqueda',
+      'shortcuts.cart':         'Abrir el carrito',
+      'shortcuts.products':     'Ir a la página de productos',
+      'shortcuts.help':         'Mostrar los atajos de teclado',
+
+      /* --- Magnitudes y filtros (js/units.js, js/filters.js) --- */
+      'units.resistance':  'Resistencia',
+      'units.capacitance': 'Capacitancia',
+      'units.voltage':     'Tensión',
+      'units.power':       'Potencia',
+      'units.current':     'Corriente',
+      'filters.tag':       '{label}: {value}',
+      'filters.query':     'Búsqueda: «{query}»',
+      'filters.priceMin':  'Desde {price}',
+      'filters.priceMax':  'Hasta {price}',
+      'filters.rating':    { one: '{count} estrella o más', other: '{count} estrellas o más' },
+      'filters.package':   'Encapsulado',
+
+      /* --- Catálogo de productos (js/productos.js) --- */
+      'products.sort.relevance':  'relevancia',
+      'products.sort.price_asc':  'precio de menor a mayor',
+      'products.sort.price_desc': 'precio de mayor a menor',
+      'products.sort.rating':     'mejor calificados',
+      'products.sort.newest':     'más nuevos',
+      'products.badValue':    'No reconocemos «{value}» como valor. Usa un número con unidad o prefijo.',
+      'products.empty':       'No encontramos productos que coincidan con los filtros seleccionados.',
+      'products.clear':       'Limpiar filtros',
+      'products.clearAll':    'Limpiar todos los filtros activos',
+      'products.removeTag':   'Quitar filtro: {label}',
+      'products.showing':     { one: 'Mostrando <strong>{from}–{to}</strong> de <strong>{count}</strong> producto',
+                                other: 'Mostrando <strong>{from}–{to}</strong> de <strong>{count}</strong> productos' },
+      'products.showingNone': 'Mostrando <strong>0</strong> productos',
+      'products.count':       { one: '{count} producto', other: '{count} productos' },
+      'products.found':       { one: '{count} producto encontrado.', other: '{count} productos encontrados.' },
+      'products.noneFound':   'Ningún producto coincide con los filtros.',
+      'products.sorted':      'Productos ordenados por {label}.',
+      'products.cleared':     'Filtros eliminados.',
+      'products.tagRemoved':  'Filtro {label} eliminado.',
+      'products.prevPage':    'Página anterior',
+      'products.nextPage':    'Página siguiente',
+      'products.page':        'Página {n}',
+      'products.pageCurrent': 'Página {n}, actual',
+      'products.pageOf':      'Página {n} de {pages}.',
+
+      /* --- Página del carrito (js/carrito.js) --- */
+      'cartPage.sku':            'SKU: {sku}',
+      'cartPage.category':       'Categoría: {category}',
+      'cartPage.qtyGroup':       'Cantidad para {name}',
+      'cartPage.qtyMinus':       'Reducir cantidad de {name}',
+      'cartPage.qtyPlus':        'Aumentar cantidad de {name}',
+      'cartPage.qtyInput':       'Cantidad de {name}, actualmente {qty}',
+      'cartPage.unitPrice':      'Precio unitario: {price}',
+      'cartPage.subtotal':       'Subtotal: {price}',
+      'cartPage.remove':         'Eliminar',
+      'cartPage.removeLabel':    'Eliminar {name} del carrito',
+      'cartPage.saveLater':      'Guardar para después',
+      'cartPage.saveLaterLabel': 'Guardar para después: {name}',
+      'cartPage.empty':          'Tu carrito está vacío',
+      'cartPage.emptyHint':      'Agrega componentes desde el catálogo para verlos aquí.',
+      'cartPage.browse':         'Ver productos',
+      'cartPage.discount':       'Descuento',
+      'cartPage.discountCode':   'Descuento ({code})',
+      'cartPage.shipping':       'Envío',
+      'cartPage.shippingDetail': 'Envío ({label}, {weight})',
+      'cartPage.free':           'Gratis',
+      'cartPage.freeHint':       'Agrega {price} más para obtener envío gratis.',
+      'cartPage.total':          'Total a pagar: {price}',
+      'cartPage.checkout':       'Proceder al pago por un total de {price}, IVA y envío incluidos',
+      'cartPage.checkoutFree':   'Proceder al pago por un total de {price}, IVA incluido, envío gratis',
+      'cartPage.headingCount':   { one: '({count} artículo)', other: '({count} artículos)' },
+      'cartPage.items':          { one: '{count} artículo', other: '{count} artículos' },
+      'cartPage.coupon':             'Cupón',
+      'cartPage.couponRemove':       'Quitar',
+      'cartPage.couponRemoveLabel':  'Quitar el cupón {code}',
+      'cartPage.couponDropped':      'Se retiró el cupón {code}.',
+      'cartPage.couponApplied':      'Cupón {code} aplicado. Ahorras {price}.',
+      'cartPage.couponRemoved':      'Cupón {code} eliminado.',
+      'cartPage.adjusted':       'Actualizamos tu carrito según el stock disponible: {list}.',
+      'cartPage.adjustedTo':     { one: '{name} quedó en {count} unidad', other: '{name} quedó en {count} unidades' },
+      'cartPage.adjustedOut':    '{name} se retiró porque está agotado',
+      'cartPage.qtyUpdated':     { one: 'Cantidad actualizada: {count} unidad', other: 'Cantidad actualizada: {count} unidades' },
+      'cartPage.qtySetTo':       'La cantidad quedó en {count}.',
+      'cartPage.removed':        '{name} eliminado del carrito.',
+      'cartPage.restored':       '{name} volvió al carrito.',
+      'cartPage.cannotSave':     '{name} ya no está en el catálogo; no se puede guardar.',
+      'cartPage.savedLater':     '{name} guardado para después en «{list}».',
+      'cartPage.undo':           'Deshacer',
+      'cartPage.clearTitle':     '¿Vaciar el carrito?',
+      'cartPage.clearMessage':   { one: 'Se quitará {count} producto ({items}). Podrás deshacerlo durante unos segundos.',
+                                   other: 'Se quitarán {count} productos ({items}). Podrás deshacerlo durante unos segundos.' },
+      'cartPage.clearConfirm':   'Vaciar carrito',
+      'cartPage.clearCancel':    'Conservar',
+      'cartPage.cleared':        'El carrito ha sido vaciado.',
+      'cartPage.clearUndone':    'Se recuperó el carrito.',
+
+      /* --- Lista de materiales (js/carrito.js, js/bom.js) --- */
+      'bom.status.matched':   'Encontrado',
+      'bom.status.ambiguous': 'Revisa la elección',
+      'bom.status.unmatched': 'Sin coincidencia',
+      'bom.status.invalid':   'Línea no válida',
+      'bom.note.ambiguous':    { one: '{count} producto posible; elegimos el primero.', other: '{count} productos posibles; elegimos el primero.' },
+      'bom.note.alternatives': { one: '{count} otro producto la cumple igual; elegimos el más económico.',
+                                 other: '{count} otros productos la cumplen igual; elegimos el más económico.' },
+      'bom.note.unmatched':    'Ningún producto del catálogo coincide.',
+      'bom.select':     'Producto para la línea {line}: {text}',
+      'bom.skip':       'No agregar esta línea',
+      'bom.add':        { one: 'Agregar {count} línea al carrito', other: 'Agregar {count} líneas al carrito' },
+      'bom.addNone':    'Ninguna línea para agregar',
+      'bom.summary':    { one: '{count} línea: {parts}.', other: '{count} líneas: {parts}.' },
+      'bom.summary.matched':   { one: '{count} encontrada', other: '{count} encontradas' },
+      'bom.summary.ambiguous': '{count} para revisar',
+      'bom.summary.unmatched': '{count} sin coincidencia',
+      'bom.summary.invalid':   { one: '{count} no válida', other: '{count} no válidas' },
+      'bom.review':     'Revisa las coincidencias',
+      'bom.col.line':    'Línea',
+      'bom.col.qty':     'Cantidad',
+      'bom.col.source':  'En tu lista',
+      'bom.col.product': 'Producto',
+      'bom.col.status':  'Estado',
+      'bom.discard':    'Descartar',
+      'bom.discarded':  'Revisión descartada. No se agregó nada al carrito.',
+      'bom.problem':    'Línea {line}, {name}:',
+      'bom.partial':    { one: 'Se agregó {count} unidad de {wanted}.', other: 'Se agregaron {count} unidades de {wanted}.' },
+      'bom.notAdded':   'No se agregó.',
+      'bom.skipped':    { one: '{count} línea quedó sin producto y no se agregó.', other: '{count} líneas quedaron sin producto y no se agregaron.' },
+      'bom.lines':      { one: '{count} línea', other: '{count} líneas' },
+      'bom.added':      { one: 'Agregamos {count} unidad de {lines} al carrito.', other: 'Agregamos {count} unidades de {lines} al carrito.' },
+      'bom.addedNone':  'No se agregó ningún producto al carrito.',
+      'bom.error.empty': 'Pega el contenido del CSV o elige un archivo.',
+      'bom.error.size':  'El archivo {file} pesa más de 200 KB. Divide la lista en partes más pequeñas.',
+      'bom.error.read':  'No se pudo leer el archivo {file}.',
+      'bom.export.empty': 'El carrito está vacío: no hay nada que exportar.',
+      'bom.export.file':  'carrito-electroparts',
+      'bom.export.done':  { one: 'Se descargó el carrito en {format} ({count} producto).', other: 'Se descargó el carrito en {format} ({count} productos).' },
+
+      /* --- Precios, envío y cupones (js/pricing.js, js/coupons.js) --- */
+      'pricing.tax':             'IVA',
+      'pricing.zone.local':      'Bogotá D.C.',
+      'pricing.zone.nacional':   'Resto del país',
+      'pricing.zone.remota':     'Zonas apartadas',
+      'pricing.method.standard': 'Envío estándar',
+      'pricing.method.express':  'Envío express',
+      'pricing.method.pickup':   'Recoger en tienda',
+      'pricing.days.sameDay':    'El mismo día hábil',
+      'pricing.days.oneToTwo':   '1 a 2 días hábiles',
+      'pricing.days.threeToFive': '3 a 5 días hábiles',
+      'pricing.days.sixToTen':   '6 a 10 días hábiles',
+      'pricing.days.pickup':     'Listo en 2 horas hábiles — Calle 45 #22-10, Bogotá',
+      'coupons.about.BIENVENIDO10': '10% de descuento en tu compra',
+      'coupons.about.ELECTRO15':    '15% de descuento en compras desde {min}',
+      'coupons.about.RESIS5000':    '{amount} de descuento en resistencias',
+      'coupons.about.MAKER20':      '20% de descuento en microcontroladores',
+      'coupons.about.VERANO25':     '25% de descuento de temporada',
+      'coupons.error.empty':           'Ingresa un código de cupón.',
+      'coupons.error.notFound':        'El cupón «{code}» no existe.',
+      'coupons.error.alreadyApplied':  'El cupón {code} ya está aplicado a este pedido.',
+      'coupons.error.onePerOrder':     'Solo se permite un cupón por pedido. Quita el cupón {applied} para usar otro.',
+      'coupons.error.expired':         'El cupón {code} venció el {date}.',
+      'coupons.error.noEligibleItems': 'El cupón {code} solo aplica a {categories}, y tu carrito no tiene productos de esa categoría.',
+      'coupons.error.minSubtotal':     'El cupón {code} requiere una compra mínima de {min}. Te faltan {missing}.',
+      'coupons.error.minSubtotalIn':   'El cupón {code} requiere una compra mínima de {min} en {categories}. Te faltan {missing}.',
+
+      /* --- Checkout (js/checkout.js) --- */
+      'form.errors':              { one: 'Hay {count} error que corregir', other: 'Hay {count} errores que corregir' },
+      'checkout.title':           'Finalizar compra | ElectroParts',
+      'checkout.step.address':    'Dirección',
+      'checkout.step.shipping':   'Envío',
+      'checkout.step.payment':    'Pago',
+      'checkout.step.review':     'Revisión',
+      'checkout.stepLabel':       'Paso {n}: {label}, {state}',
+      'checkout.stepTitle':       'Paso {n} de {total}: {label}',
+      'checkout.state.current':   'actual',
+      'checkout.state.done':      'completado',
+      'checkout.state.pending':   'pendiente',
+      'checkout.city.choose':     'Selecciona una ciudad',
+      'checkout.city.first':      'Selecciona primero el departamento',
+      'checkout.noCost':          'Sin costo',
+      'checkout.totalUpdated':    'El total se actualizó.',
+      'checkout.checkTotal':      'Revisa el nuevo total: {price}.',
+      'checkout.qty':             'cantidad {count}',
+      'checkout.shippingEstimate': 'Envío (estimado)',
+      'checkout.pay':             'Pagar {price}',
+      'checkout.destination':     'Destino: {place} · Peso del pedido: {weight}',
+      'checkout.freeFrom':        'Gratis en compras desde {price}',
+      'checkout.error.name':           'Escribe tu nombre completo.',
+      'checkout.error.document':       'Escribe tu número de cédula o NIT.',
+      'checkout.error.documentFormat': 'La cédula o NIT debe tener entre 6 y 10 números.',
+      'checkout.error.phone':          'Escribe un número de celular de contacto.',
+      'checkout.error.phoneFormat':    'El celular debe tener 10 dígitos y empezar por 3, por ejemplo 3001234567.',
+      'checkout.error.email':          'Escribe tu correo electrónico.',
+      'checkout.error.emailFormat':    'El correo no es válido. Debe tener el formato nombre@dominio.com.',
+      'checkout.error.department':     'Selecciona el departamento de entrega.',
+      'checkout.error.city':           'Selecciona la ciudad o municipio de entrega.',
+      'checkout.error.address':        'Escribe la dirección de entrega, por ejemplo Calle 45 # 22-10.',
+      'checkout.error.postal':         'El código postal debe tener 6 números.',
+      'checkout.error.shippingMethod': 'Elige un método de envío.',
+      'checkout.error.payment':        'Elige un medio de pago.',
+      'checkout.error.psePerson':      'Selecciona el tipo de persona para PSE.',
+      'checkout.error.pseBank':        'Selecciona tu banco.',
+      'checkout.error.terms':          'Debes aceptar los términos y condiciones para realizar el pedido.',
+      'checkout.cash':            'pago en efectivo',
+      'checkout.document':        'C.C./NIT {document}',
+      'checkout.edit':            'Editar',
+      'checkout.editLabel':       'Editar {title}',
+      'checkout.review.address':  'Dirección de envío',
+      'checkout.review.shipping': 'Método de envío',
+      'checkout.review.payment':  'Medio de pago',
+      'checkout.review.products': 'Productos',
+      'checkout.processing':      'Procesando pago…',
+      'checkout.processingWait':  'Procesando el pago, espera un momento.',
+      'checkout.declined':        'El pago no fue aprobado',
+      'checkout.placed':          'Pedido {number} registrado. Abriendo la confirmación.',
+
+      /* --- Medios de pago (js/payments.js) --- */
+      'payments.pse':                 'PSE - Pago por banco',
+      'payments.error.number':        'Ingresa el número de la tarjeta.',
+      'payments.error.numberInvalid': 'El número de la tarjeta no es válido. Revisa los 16 dígitos.',
+      'payments.error.brand':         'El número no corresponde a una tarjeta {brand}.',
+      'payments.error.brandUnknown':  'El número no corresponde a la tarjeta.',
+      'payments.error.name':          'Ingresa el nombre como aparece en la tarjeta.',
+      'payments.error.expiry':        'Ingresa la fecha de vencimiento con el formato MM/AA, por ejemplo 08/28.',
+      'payments.error.month':         'El mes de vencimiento debe estar entre 01 y 12.',
+      'payments.error.expired':       'La tarjeta está vencida.',
+      'payments.error.cvc':           'Ingresa el código de seguridad de 3 o 4 dígitos del reverso.',
+      'payments.unavailable':         'Medio de pago no disponible.',
+      'payments.declined.card':       'El banco rechazó la transacción por fondos insuficientes. Prueba con otra tarjeta u otro medio de pago.',
+      'payments.approved.card':       'Pago aprobado.',
+      'payments.declined.bank':       'El banco no autorizó el débito desde tu cuenta. Verifica tus datos en PSE o elige otro medio de pago.',
+      'payments.approved.bank':       'Débito PSE aprobado.',
+      'payments.pending.cash':        'Paga en cualquier punto Efecty antes de 48 horas.',
+      'payments.unreachable':         'No pudimos comunicarnos con la pasarela de pago. Intenta de nuevo en unos minutos.',
+
+      /* --- Pedidos (js/orders.js) --- */
+      'orders.status.received':        'Pedido recibido',
+      'orders.status.pending_payment': 'Pendiente de pago',
+      'orders.status.paid':            'Pago aprobado',
+      'orders.status.preparing':       'En preparación',
+      'orders.status.shipped':         'Enviado',
+      'orders.status.ready':           'Listo para recoger',
+      'orders.status.delivered':       'Entregado',
+      'orders.status.cancelled':       'Cancelado',
+      'orders.priceChanged':  'El precio cambió de {from} a {to}.',
+      'orders.discontinued':  '{name} ya no está en el catálogo.',
+      'orders.limited':       { one: 'se agregó {count} unidad de {wanted} (stock disponible).',
+                                other: 'se agregaron {count} unidades de {wanted} (stock disponible).' },
+      'orders.reference':     'Referencia {reference}',
+      'orders.paymentCode':   'Código de pago {code}',
+      'orders.reorder.added':     { one: 'Agregamos {count} unidad al carrito', other: 'Agregamos {count} unidades al carrito' },
+      'orders.reorder.none':      'No se pudo agregar ningún producto',
+      'orders.reorder.changes':   'Revisa estos cambios respecto al pedido {number}:',
+      'orders.reorder.unchanged': 'Todos los productos del pedido {number} siguen disponibles al mismo precio.',
+      'orders.reorder.stay':      'Seguir aquí',
+      'orders.reorder.goCart':    'Ir al carrito',
+
+      /* --- Detalle e historial de pedidos (js/pedido.js, js/mis-pedidos.js) --- */
+      'order.number':        'Tu número de pedido es {number}.',
+      'order.cashHint':      'Presenta este código en cualquier punto Efecty:',
+      'order.amountDue':     'Valor a pagar: {price}',
+      'order.deadline':      'Fecha límite de pago: {date}',
+      'order.emailed':       'Enviamos el detalle a {email}.',
+      'order.approved':      'Pago aprobado por {price} (referencia {reference}).',
+      'order.itemsCaption':  { one: '{count} artículo en el pedido', other: '{count} artículos en el pedido' },
+      'order.col.product':   'Producto',
+      'order.col.sku':       'Referencia',
+      'order.col.price':     'Precio unitario',
+      'order.col.qty':       'Cantidad',
+      'order.col.subtotal':  'Subtotal',
+      'order.col.order':     'Pedido',
+      'order.col.date':      'Fecha',
+      'order.col.items':     'Artículos',
+      'order.col.total':     'Total',
+      'order.col.status':    'Estado',
+      'order.col.actions':   'Acciones',
+      'order.breakdown':     'Desglose de precios',
+      'order.subtotal':      'Subtotal productos',
+      'order.taxOn':         '{tax} {rate} sobre {base}',
+      'order.exempt':        'Productos exentos de {tax}',
+      'order.totalPaid':     'Total pagado',
+      'order.coupon':        'Cupón {code}: {description}',
+      'order.pickupBy':      'Recoge',
+      'order.shipTo':        'Enviar a',
+      'order.eta':           'Entrega estimada',
+      'order.email':         'Correo de contacto',
+      'order.notFound':      'No encontramos ese pedido',
+      'order.notFoundTitle': 'Pedido no encontrado',
+      'order.notInHistory':  'El pedido {number} no está en el historial de este navegador.',
+      'order.noNumber':      'No se indicó ningún número de pedido.',
+      'order.seeOrders':     'Ver mis pedidos',
+      'order.heading':       'Pedido {number}',
+      'order.placedUnpaid':  'Pedido registrado: falta el pago',
+      'order.thanks':        '¡Gracias por tu compra!',
+      'order.placedTitle':   'Pedido registrado',
+      'order.confirmedTitle': 'Pedido confirmado',
+      'order.placedOn':      'Realizado el {date}',
+      'order.status':        'Estado: {label}',
+      'order.paymentSummary': 'Resumen de pago',
+      'order.delivery':      'Entrega y pago',
+      'order.reorder':       'Volver a pedir',
+      'order.reorderLabel':  'Volver a pedir {number}',
+      'order.allOrders':     'Ver todos mis pedidos',
+      'order.keepShopping':  'Seguir comprando',
+      'order.reorderHint':   'Agrega los mismos productos al carrito a precio actual; te avisamos si algo cambió.',
+      'order.none':          'Todavía no tienes pedidos en este navegador.',
+      'order.listCaption':   { one: '{count} pedido, del más reciente al más antiguo', other: '{count} pedidos, del más reciente al más antiguo' },
+
+      /* --- Página de comparación (js/comparar.js) --- */
+      'comparePage.price':       'Precio',
+      'comparePage.stock':       'Disponibilidad',
+      'comparePage.rating':      'Calificación',
+      'comparePage.ratingValue': { one: '{rating} de 5 ({count} opinión)', other: '{rating} de 5 ({count} opiniones)' },
+      'comparePage.category':    'Categoría',
+      'comparePage.different':   'diferente',
+      'comparePage.showingDiff': { one: 'Mostrando {count} característica diferente de {total}.',
+                                   other: 'Mostrando {count} características diferentes de {total}.' },
+      'comparePage.summary':     { one: '{count} característica, {different} con valores diferentes.',
+                                   other: '{count} características, {different} con valores diferentes.' },
+      'comparePage.onlyOne':     'Solo hay 1 producto seleccionado. Elige al menos {count} para compararlos.',
+      'comparePage.none':        'No hay productos seleccionados para comparar.',
+      'comparePage.choose':      'Elegir productos',
+      'comparePage.title':       'Comparar productos',
+      'comparePage.titleCount':  'Comparar {count} productos',
+      'comparePage.diffOnly':    'Mostrar solo las diferencias',
+      'comparePage.caption':     'Comparación de {names}',
+      'comparePage.feature':     'Característica',
+      'comparePage.missing':     'No especificado',
+
+      /* --- Página de listas de deseos (js/lista-deseos.js) --- */
+      'wishlistPage.qty':          'Cantidad: {count}',
+      'wishlistPage.soldOutLabel': '{name} agotado, no se puede mover al carrito',
+      'wishlistPage.move':         'Mover al carrito',
+      'wishlistPage.moveLabel':    'Mover {name} al carrito',
+      'wishlistPage.removeLabel':  'Quitar {name} de la lista',
+      'wishlistPage.keepOne':      'Siempre debe quedar al menos una lista.',
+      'wishlistPage.moveAll':      'Mover todo al carrito',
+      'wishlistPage.empty':        'Esta lista está vacía. Usa el botón «Guardar» de cualquier producto para agregarlo.',
+      'wishlistPage.movedSome':    { one: 'Se movió {count} unidad.', other: 'Se movieron {count} unidades.' },
+      'wishlistPage.moved':        '{name} movido al carrito.',
+      'wishlistPage.restored':     '{name} volvió a «{list}».',
+      'wishlistPage.movedAll':     { one: '{count} producto movido al carrito.', other: '{count} productos movidos al carrito.' },
+      'wishlistPage.active':       { one: 'Lista activa: «{name}», {count} producto.', other: 'Lista activa: «{name}», {count} productos.' },
+      'wishlistPage.nameLabel':    'Nombre de la lista',
+      'wishlistPage.newTitle':     'Nueva lista',
+      'wishlistPage.create':       'Crear lista',
+      'wishlistPage.created':      'Lista «{name}» creada. Ahora es la lista activa.',
+      'wishlistPage.renameTitle':  'Renombrar «{name}»',
+      'wishlistPage.saveName':     'Guardar nombre',
+      'wishlistPage.renamed':      'La lista ahora se llama «{name}».',
+      'wishlistPage.deleteTitle':  '¿Eliminar «{name}»?',
+      'wishlistPage.deleteMessage': { one: 'También se quitará su {count} producto. Esta acción no se puede deshacer.',
+                                      other: 'También se quitarán sus {count} productos. Esta acción no se puede deshacer.' },
+      'wishlistPage.deleteEmpty':  'La lista está vacía.',
+      'wishlistPage.delete':       'Eliminar lista',
+      'wishlistPage.deleted':      'Lista «{name}» eliminada. Lista activa: «{active}».',
+
+      /* --- Ficha de producto (js/detalle.js) --- */
+      'detail.stock.in':       'Listo para envío inmediato',
+      'detail.stock.low':      'Últimas unidades',
+      'detail.stock.out':      'Sin unidades por ahora',
+      'detail.notFound':       'Producto no encontrado',
+      'detail.notFoundId':     'No encontramos ningún producto con el código «{id}». Es posible que el enlace esté incompleto o que el producto ya no esté disponible.',
+      'detail.noId':           'El enlace no indica qué producto mostrar.',
+      'detail.notFoundHint':   'Busca el componente con el buscador o revisa el catálogo completo.',
+      'detail.allProducts':    'Ver todos los productos',
+      'detail.thumb':          'Ver imagen {n}: {label}',
+      'detail.thumbs':         'Imágenes adicionales del producto',
+      'detail.price':          'Precio actual: {price}',
+      'detail.available':      { one: '{count} unidad disponible', other: '{count} unidades disponibles' },
+      'detail.highlights':     'Especificaciones principales',
+      'detail.qtyHintStock':   { one: 'Mínimo 1 unidad, máximo {count} unidad (stock disponible)',
+                                 other: 'Mínimo 1 unidad, máximo {count} unidades (stock disponible)' },
+      'detail.qtyHintOrder':   { one: 'Mínimo 1 unidad, máximo {count} unidad por pedido',
+                                 other: 'Mínimo 1 unidad, máximo {count} unidades por pedido' },
+      'detail.soldOut':        'Producto agotado',
+      'detail.qty':            'Cantidad:',
+      'detail.qtyMinus':       'Reducir cantidad',
+      'detail.qtyPlus':        'Aumentar cantidad',
+      'detail.qtyInput':       'Cantidad de unidades a comprar',
+      'detail.rating':         'Calificación: {rating} de 5 estrellas',
+      'detail.reviewCount':    { one: '{count} opinión', other: '{count} opiniones' },
+      'detail.reviewsTab':     'Reseñas ({count})',
+      'detail.feature.shipping':  'Envío a todo el país en 24–48h',
+      'detail.feature.datasheet': 'Datasheet descargable incluido',
+      'detail.feature.warranty':  'Garantía de calidad 30 días',
+      'detail.feature.invoice':   'Factura electrónica',
+      'detail.description':    'Descripción del producto',
+      'detail.uses':           '¿Para qué sirven?',
+      'detail.colorCalc':      'Calcular el valor por colores',
+      'detail.specs':          'Especificaciones técnicas completas',
+      'detail.noSpecs':        'Este producto todavía no tiene especificaciones técnicas publicadas. Consulta el datasheet.',
+      'detail.specsRegion':    'Especificaciones técnicas',
+      'detail.specsCaption':   'Especificaciones técnicas completas de {name}',
+      'detail.col.param':      'Parámetro',
+      'detail.col.value':      'Valor',
+      'detail.col.unit':       'Unidad',
+      'detail.reviewBy':       'Reseña de {author}',
+      'detail.reviewPending':  'Pendiente de publicar: se enviará cuando vuelva la conexión.',
+      'detail.stars':          { one: '{count} estrella', other: '{count} estrellas' },
+      'detail.ratingWord.none':      'Sin calificar',
+      'detail.ratingWord.awful':     'Muy malo',
+      'detail.ratingWord.poor':      'Malo',
+      'detail.ratingWord.fair':      'Regular',
+      'detail.ratingWord.good':      'Bueno',
+      'detail.ratingWord.excellent': 'Excelente',
+      'detail.ratingValue':    '{value} de 5 — {word}',
+      'detail.average':        'Calificación promedio: {rating} de 5',
+      'detail.ratings':        { one: '{count} calificación', other: '{count} calificaciones' },
+      'detail.written':        { one: '{count} reseña escrita', other: '{count} reseñas escritas' },
+      'detail.histogram':      'Distribución de calificaciones',
+      'detail.reviews.title':  'Opiniones de clientes',
+      'detail.reviews.sort':   'Ordenar por',
+      'detail.reviews.filter': 'Mostrar',
+      'detail.reviews.list':   'Reseñas de clientes',
+      'detail.reviews.pages':  'Páginas de reseñas',
+      'detail.reviews.all':    'Todas las reseñas ({count})',
+      'detail.reviews.noneStars': { one: 'No hay reseñas de {count} estrella.', other: 'No hay reseñas de {count} estrellas.' },
+      'detail.reviews.none':   'Todavía no hay reseñas escritas para este producto. Sé el primero en opinar.',
+      'detail.reviews.showing':      { one: 'Mostrando {from}–{to} de {count} reseña.', other: 'Mostrando {from}–{to} de {count} reseñas.' },
+      'detail.reviews.showingStars': { one: 'Mostrando {from}–{to} de {count} reseña de {stars}.',
+                                       other: 'Mostrando {from}–{to} de {count} reseñas de {stars}.' },
+      'detail.reviews.prev':   'Anteriores',
+      'detail.reviews.next':   'Siguientes',
+      'detail.reviews.page':   'Página {n} de {pages}',
+      'detail.reviews.sorted': 'Reseñas ordenadas por {label}.',
+      'detail.reviews.queued': 'Gracias. Estás sin conexión: tu reseña se publicará cuando vuelva.',
+      'detail.reviews.published': 'Gracias, tu reseña se publicó.',
+      'detail.form.title':     'Escribe una reseña',
+      'detail.form.required':  'Todos los campos son obligatorios.',
+      'detail.form.author':    'Nombre',
+      'detail.form.reviewTitle': 'Título',
+      'detail.form.text':      'Tu opinión',
+      'detail.form.textHint':  'Mínimo {count} caracteres. Cuéntanos cómo te funcionó el producto.',
+      'detail.form.submit':    'Publicar reseña',
+      'detail.datasheet.title':    'Documentación técnica',
+      'detail.datasheet.none':     'No hay datasheet disponible para este producto.',
+      'detail.datasheet.intro':    'Descarga el datasheet oficial con todas las características eléctricas, mecánicas y de empaque de este producto.',
+      'detail.datasheet.label':    'Descargar datasheet {name} en formato PDF, {size}',
+      'detail.datasheet.download': 'Descargar Datasheet (PDF, {size})',
+      'detail.meta':           '{name} — {category} en ElectroParts. Precio, disponibilidad y ficha técnica.',
+
+      /* --- Calculadoras (js/resistors.js, js/calculadoras.js, js/bom.js) --- */
+      'resistors.color.black':  'Negro',
+      'resistors.color.brown':  'Marrón',
+      'resistors.color.red':    'Rojo',
+      'resistors.color.orange': 'Naranja',
+      'resistors.color.yellow': 'Amarillo',
+      'resistors.color.green':  'Verde',
+      'resistors.color.blue':   'Azul',
+      'resistors.color.violet': 'Violeta',
+      'resistors.color.grey':   'Gris',
+      'resistors.color.white':  'Blanco',
+      'resistors.color.gold':   'Dorado',
+      'resistors.color.silver': 'Plateado',
+      'resistors.role.digit':      'Cifra',
+      'resistors.role.multiplier': 'Multiplicador',
+      'resistors.role.tolerance':  'Tolerancia',
+      'resistors.role.tempco':     'Coeficiente de temperatura',
+      'resistors.error.bands':      'Elige 4, 5 o 6 bandas.',
+      'resistors.error.positive':   'Escribe un valor mayor que cero.',
+      'resistors.error.digits':     'Este valor necesita más de {count} cifras significativas.',
+      'resistors.error.digitsMore': 'Este valor necesita más de {count} cifras significativas; prueba con 5 o 6 bandas.',
+      'resistors.error.range':      'El valor queda fuera del rango que se puede marcar con {count} bandas.',
+      'resistors.error.current':    'La corriente debe ser mayor que cero.',
+      'resistors.error.supply':     'La tensión de la fuente debe ser mayor que la del LED.',
+      'calc.band':          'Banda {n}: {role}',
+      'calc.range':         '(de {min} a {max})',
+      'calc.bands':         { one: '{count} banda', other: '{count} bandas' },
+      'calc.colors':        'Colores: {colors}.',
+      'calc.colorsOf':      'Código de colores de {value}: {colors}.',
+      'calc.error.value':   'Escribe el valor de la resistencia.',
+      'calc.error.unknown': 'No reconocemos «{text}» como valor en ohmios.',
+      'calc.error.supply':  'Escribe la tensión de la fuente.',
+      'calc.error.forward': 'Escribe la tensión del LED.',
+      'calc.error.current': 'Escribe la corriente del LED.',
+      'calc.led.rating':    'usa una resistencia de {power} o más',
+      'calc.led.tooMuch':   'más de 10 W: revisa el diseño',
+      'calc.led.exact':     'Resistencia calculada',
+      'calc.led.nearest':   'Valor {series} más cercano',
+      'calc.led.nearestOver': 'dejaría pasar {current}, más de la corriente pedida',
+      'calc.led.suggested': 'Valor {series} sugerido (el siguiente hacia arriba)',
+      'calc.led.colors':    'Colores (4 bandas)',
+      'calc.led.current':   'Corriente resultante',
+      'calc.led.power':     'Potencia disipada',
+      'calc.led.products':  'Resistencias de {ohms} en el catálogo',
+      'calc.led.none':      'No tenemos resistencias de ese valor disponibles ahora.',
+      'calc.led.search':    'Buscar {ohms} en el catálogo',
+      'calc.led.showColors': 'Ver su código de colores',
+      'calc.led.announce':  'Resistencia sugerida: {ohms} de la serie {series}. Corriente resultante: {current}.',
+      'calc.led.announceNearest': 'El valor más cercano, {ohms}, dejaría pasar {current}.',
+      'bom.error.header':   'El encabezado no tiene una columna de pieza o valor (por ejemplo «valor» o «part»).',
+      'bom.error.tooMany':  'Solo se leen las primeras {count} líneas de la lista.',
+      'bom.error.qty':      'Cantidad no válida: «{qty}».',
+      'bom.error.part':     'La línea no indica qué pieza es.',
+      'bom.error.noRows':   'La lista no tiene líneas con piezas.',
+
+      /* --- Transcripciones (js/transcripts.js) --- */
+      'transcript.description':  'Descripción',
+      'transcript.playFrom':     'Reproducir desde {time}',
+      'transcript.search':       'Buscar en la transcripción',
+      'transcript.follow':       'Seguir la reproducción',
+      'transcript.cues':         'Frases de la transcripción',
+      'transcript.following':    'La transcripción seguirá la reproducción.',
+      'transcript.notFollowing': 'La transcripción ya no sigue la reproducción.',
+      'transcript.matches':      { one: '{count} frase contiene «{query}».', other: '{count} frases contienen «{query}».' },
+      'transcript.noMatches':    'Ninguna frase contiene «{query}».',
+    },
+
+    en: {
+      'locale.group':   'Language and currency',
+      'locale.usd':     'Also show prices in USD',
+      'locale.usdHint': 'Approximate conversion at {rate} COP per dollar; you are charged in pesos.',
+      'locale.changed': 'Language: {label}.',
+      'locale.usdOn':   'Prices also show their approximate value in US dollars.',
+      'locale.usdOff':  'Prices are shown in Colombian pesos only.',
+
+
+      'cart.label':     { one: 'Shopping cart, {count} item', other: 'Shopping cart, {count} items' },
+      'wishlist.label': { one: 'Wish list “{name}”, {count} product', other: 'Wish list “{name}”, {count} products' },
+      'search.listbox': 'Search suggestions',
+      'search.all':     { one: 'See {count} result for “{query}”', other: 'See all {count} results for “{query}”' },
+      'search.none':    'No matches. Search the catalog for “{query}”',
+      'search.count':   { one: '{count} suggestion available. Use the arrows to browse.',
+                          other: '{count} suggestions available. Use the arrows to browse.' },
+      'search.empty':   'No suggestions.',
+
+      'offline.banner':   'You are offline. Saved pages and your cart are still available; reviews you write will be published when the connection returns.',
+      'offline.pending':  { one: '{count} review waiting to be published.', other: '{count} reviews waiting to be published.' },
+      'offline.lost':     'Connection lost. Your cart stays saved in this browser; reviews will be published when it returns.',
+      'offline.back':     'Connection restored.',
+      'offline.replayed': { one: '{count} pending review published.', other: '{count} pending reviews published.' },
+      'offline.failed':   'Some reviews could not be published; they will be retried later.',
+
+      'a11y.menu.open':   'Open navigation menu',
+      'a11y.menu.close':  'Close navigation menu',
+      'a11y.tableScroll': 'Scroll sideways to see the whole table',
+
+      'a11y.contrast.normal': 'Normal',
+      'a11y.contrast.high':   'High contrast',
+      'a11y.contrast.dark':   'Dark mode',
+      'a11y.contrast.invert': 'Inverted',
+      'a11y.contrast.label':  '{label} contrast',
+      'a11y.guide.off':       'Off',
+      'a11y.guide.line':      'Ruler',
+      'a11y.guide.mask':      'Mask',
+      'a11y.guide.label':     'Reading guide: {label}',
+      'a11y.color.protanopia':   'Protanopia (red)',
+      'a11y.color.deuteranopia': 'Deuteranopia (green)',
+      'a11y.color.tritanopia':   'Tritanopia (blue)',
+      'a11y.color.correct':      'Correct {name}',
+      'a11y.color.simulate':     'Simulate {name}',
+
+      'a11y.preset.baja-vision':      'Low vision',
+      'a11y.preset.baja-vision.desc': 'Text at 120%, high contrast, highlighted links and a large cursor.',
+      'a11y.preset.dislexia':         'Dyslexia',
+      'a11y.preset.dislexia.desc':    'Dyslexia-friendly font, wider spacing and text at 110%.',
+      'a11y.preset.motor':            'Motor',
+      'a11y.preset.motor.desc':       'Large cursor, highlighted links and more space between elements.',
+      'a11y.preset.applied':          '{label} profile applied.',
+
+      'a11y.url.applied': 'The accessibility profile from the link was applied.',
+      'a11y.url.invalid': 'The link does not contain a valid accessibility profile.',
+
+      'a11y.speak.link':    'Link: {label}',
+      'a11y.speak.button':  'Button: {label}',
+      'a11y.speak.select':  'Select: {label}',
+      'a11y.speak.heading': 'Heading level {level}: {label}',
+      'a11y.speak.field':   '{type} field: {label}',
+      'a11y.speak.image':   'Image: {label}',
+      'a11y.speak.emptyCell': 'empty',
+      'a11y.speak.imageFallback': 'image',
+      'a11y.speak.fieldFallback': 'field',
+      'a11y.speak.on':      'Screen reader on. Hover or move with Tab to listen.',
+      'a11y.speak.test':    'Hello, this is how the selected voice sounds.',
+
+      'a11y.landmark.header':  'Header',
+      'a11y.landmark.nav':     'Navigation',
+      'a11y.landmark.main':    'Main content',
+      'a11y.landmark.aside':   'Complementary',
+      'a11y.landmark.footer':  'Footer',
+      'a11y.landmark.section': 'Region',
+      'a11y.landmark.form':    'Form',
+      'a11y.landmark.region':  'Region',
+      'a11y.landmark.search':  'Search',
+
+      'a11y.read.end':         'End of reading.',
+      'a11y.read.error':       'Reading could not continue.',
+      'a11y.read.unsupported': 'Your browser does not support reading aloud.',
+      'a11y.read.noneAfter':   'No more headings or regions after this.',
+      'a11y.read.noneBefore':  'No more headings or regions before this.',
+      'a11y.read.stopped':     'Reading stopped.',
+      'a11y.read.toolbar':     'Read aloud',
+      'a11y.read.prevLandmark': 'Previous region',
+      'a11y.read.prevHeading':  'Previous heading',
+      'a11y.read.pause':        'Pause',
+      'a11y.read.resume':       'Resume',
+      'a11y.read.nextHeading':  'Next heading',
+      'a11y.read.nextLandmark': 'Next region',
+      'a11y.read.stop':         'Stop reading',
+
+      'a11y.font.normal': 'Normal (100%)',
+      'a11y.font.scaled': '{delta}% ({pct}%)',
+      'a11y.voice.default': 'Browser default',
+      'a11y.on':  'On',
+      'a11y.off': 'Off',
+
+      'a11y.fab':          'Accessibility',
+      'a11y.panel.open':   'Open accessibility panel',
+      'a11y.panel.close':  'Close accessibility panel',
+      'a11y.panel.label':  'Accessibility panel',
+      'a11y.panel.title':  'Accessibility',
+      'a11y.panel.shortcut': 'Open or close the accessibility panel',
+      'a11y.presets.title': 'Profiles',
+      'a11y.presets.desc':  'Apply several options at once.',
+      'a11y.reader.title':  'Screen reader',
+      'a11y.reader.desc':   'Reads aloud the element you reach with Tab or the pointer.',
+      'a11y.reader.pageDesc': 'Or listen to the whole page, with pause and jumps by heading and region.',
+      'a11y.reader.readPage': 'Read the page',
+      'a11y.reader.readHere': 'Read from here',
+      'a11y.reader.readHereDesc': 'Starts at the last element you focused or clicked.',
+      'a11y.reader.voice':  'Voice',
+      'a11y.reader.rate':   'Speed',
+      'a11y.reader.pitch':  'Pitch',
+      'a11y.reader.test':   'Test the voice',
+      'a11y.font.title':    'Text size',
+      'a11y.font.dec':      'Decrease text size',
+      'a11y.font.inc':      'Increase text size',
+      'a11y.contrast.title': 'Contrast mode',
+      'a11y.color.title':   'Color filter',
+      'a11y.color.desc':    'Corrects colors for different types of color blindness or simulates how they look.',
+      'a11y.color.none':    'No filter',
+      'a11y.color.correctGroup':  'Correct',
+      'a11y.color.simulateGroup': 'Simulate',
+      'a11y.saturation.title': 'Low saturation',
+      'a11y.saturation.desc':  'Tones down intense colors to reduce eye strain.',
+      'a11y.spacing.title': 'Wider spacing',
+      'a11y.spacing.desc':  'Increases line height and the space between paragraphs.',
+      'a11y.dyslexia.title': 'Dyslexia font',
+      'a11y.dyslexia.desc':  'Uses a typeface designed to make reading easier.',
+      'a11y.links.title':   'Highlight links',
+      'a11y.links.desc':    'Underlines and visually highlights every link.',
+      'a11y.cursor.title':  'Large cursor',
+      'a11y.cursor.desc':   'Enlarges the mouse pointer so it is easier to see.',
+      'a11y.guide.title':   'Reading guide',
+      'a11y.guide.desc':    'A band that follows the pointer and the focus so you do not lose your line.',
+      'a11y.animations.title': 'Stop animations',
+      'a11y.animations.desc':  'Removes transitions and motion and pauses any playing video or audio.',
+      'a11y.images.title':  'Hide images',
+      'a11y.images.desc':   'Leaves only the text; screen readers still read the alternative text.',
+      'a11y.shortcuts.title': 'Keyboard shortcuts',
+      'a11y.shortcuts.desc':  'Keys such as <kbd>/</kbd> to search or <kbd>?</kbd> to see the list. Turn them off if they clash with your speech or accessibility software.',
+      'a11y.shortcuts.help':  'View and change shortcuts',
+      'a11y.profile.title':  'Save or share your profile',
+      'a11y.profile.desc':   'Take these settings to another browser or device.',
+      'a11y.profile.export': 'Export file',
+      'a11y.profile.import': 'Import file',
+      'a11y.profile.link':   'Link to your profile',
+      'a11y.profile.copy':   'Copy',
+      'a11y.reset':          'Reset settings',
+
+      'a11y.done.reset':     'Accessibility settings reset.',
+      'a11y.done.imported':  'Accessibility profile imported.',
+      'a11y.done.badFile':   'The file is not an ElectroParts accessibility profile.',
+      'a11y.done.exported':  'Profile exported to the file {file}.',
+      'a11y.done.selected':  'Link selected: copy it with Control plus C.',
+      'a11y.done.copied':    'Link to your profile copied.',
+
+      'cart.soldOut':     '{name} is out of stock.',
+      'cart.maxPerOrder': { one: 'You can order at most {count} unit of {name} per order.',
+                            other: 'You can order at most {count} units of {name} per order.' },
+      'cart.onlyLeft':    { one: 'Only {count} unit of {name} is available.',
+                            other: 'Only {count} units of {name} are available.' },
+      'cart.alreadyIn':   { one: 'You already have {count} unit in your cart.', other: 'You already have {count} units in your cart.' },
+      'cart.cannotAdd':   'It cannot be added to the cart.',
+      'cart.addedSome':   { one: '{count} unit was added.', other: '{count} units were added.' },
+      'cart.nowIn':       { one: 'You now have {count} unit in your cart.', other: 'You now have {count} units in your cart.' },
+      'cart.added':       '{name} added to the cart.',
+
+      'catalog.resistencias':       'Resistors',
+      'catalog.capacitores':        'Capacitors',
+      'catalog.transformadores':    'Transformers',
+      'catalog.transistores':       'Transistors',
+      'catalog.diodos':             'Diodes',
+      'catalog.microcontroladores': 'Microcontrollers',
+      'catalog.inStock':    'In stock',
+      'catalog.lowStock':   'Last units',
+      'catalog.outOfStock': 'Out of stock',
+
+      'cards.badge.new':          'New',
+      'cards.badge.newLabel':     'New product',
+      'cards.badge.sale':         'Sale',
+      'cards.badge.saleLabel':    'On sale',
+      'cards.badge.popular':      'Popular',
+      'cards.badge.popularLabel': 'Best-selling product',
+      'cards.rating':       { one: 'Rating: {rating} out of 5 stars, {count} review',
+                              other: 'Rating: {rating} out of 5 stars, {count} reviews' },
+      'cards.price':        'Price: {price}',
+      'cards.oldPrice':     'Previous price: {price}',
+      'cards.lowStock':     '{label}: {count} left',
+      'cards.soldOutLabel': '{name} is out of stock and cannot be added to the cart',
+      'cards.add':          'Add to cart',
+      'cards.addLabel':     'Add {name} to cart',
+      'cards.compare':      'Compare',
+      'cards.save':         'Save',
+      'cards.saveHidden':   '{name} to the wish list',
+      'cards.discount':     '{pct} percent off',
+      'cards.offerPrice':   'Sale price {price}',
+      'cards.buy':          'Buy now',
+      'cards.buyLabel':     'Buy {name}',
+
+      'reviews.sort.newest':  'most recent',
+      'reviews.sort.highest': 'highest rating',
+      'reviews.sort.lowest':  'lowest rating',
+      'reviews.error.rating':       'Choose a rating from 1 to 5 stars.',
+      'reviews.error.author.empty': 'Enter your name.',
+      'reviews.error.author.short': { one: 'Your name must be at least {count} character long.', other: 'Your name must be at least {count} characters long.' },
+      'reviews.error.author.long':  { one: 'Your name can be at most {count} character long.', other: 'Your name can be at most {count} characters long.' },
+      'reviews.error.title.empty':  'Enter a title for the review.',
+      'reviews.error.title.short':  { one: 'The title must be at least {count} character long.', other: 'The title must be at least {count} characters long.' },
+      'reviews.error.title.long':   { one: 'The title can be at most {count} character long.', other: 'The title can be at most {count} characters long.' },
+      'reviews.error.text.empty':   'Write your review.',
+      'reviews.error.text.short':   { one: 'The review must be at least {count} character long.', other: 'The review must be at least {count} characters long.' },
+      'reviews.error.text.long':    { one: 'The review can be at most {count} character long.', other: 'The review can be at most {count} characters long.' },
+      'reviews.error.product':      'The product does not exist.',
+
+      'compare.removed':     '{name} removed from the comparison.',
+      'compare.full':        'You already have {count} products to compare. Remove one before adding {name}.',
+      'compare.added':       '{name} added to the comparison ({n} of {max}).',
+      'compare.pickAnother': 'Choose at least one more product.',
+      'compare.tray':        'Compare products ({n} of {max})',
+      'compare.removeLabel': 'Remove {name} from the comparison',
+      'compare.go':          'Compare {count} products',
+      'compare.min':         'Choose at least {count} products.',
+      'compare.clear':       'Clear',
+      'compare.cleared':     'Comparison cleared.',
+
+      'wishlist.defaultName':   'My wish list',
+      'wishlist.error.empty':   'Enter a name for the list.',
+      'wishlist.error.long':    'The name can be at most {count} characters long.',
+      'wishlist.error.taken':   'You already have a list called “{name}”.',
+      'wishlist.error.tooMany': 'You can have at most {count} lists.',
+      'wishlist.error.gone':    'The list no longer exists.',
+      'wishlist.removed':       '{name} removed from “{list}”.',
+      'wishlist.saved':         '{name} saved to “{list}”.',
+
+      'dialog.close':   'Close',
+      'dialog.cancel':  'Cancel',
+      'dialog.ok':      'OK',
+      'toast.close':    'Close notice',
+      'toast.shortcut': 'Undo from the on-screen notice',
+
+      'shortcuts.space':        'Space',
+      'shortcuts.then':         'then',
+      'shortcuts.reserved':     '{keys} cannot be used: it is needed for navigation.',
+      'shortcuts.clash':        '{keys} is already used for "{label}".',
+      'shortcuts.custom':       '(custom)',
+      'shortcuts.remap':        'Change',
+      'shortcuts.remapLabel':   'Change the shortcut for {label}',
+      'shortcuts.restore':      'Reset',
+      'shortcuts.restoreLabel': 'Reset the shortcut for {label}',
+      'shortcuts.enable':       'Turn on keyboard shortcuts',
+      'shortcuts.caption':      'Available shortcuts',
+      'shortcuts.action':       'Action',
+      'shortcuts.keys':         'Keys',
+      'shortcuts.options':      'Options',
+      'shortcuts.restoreAll':   'Reset all shortcuts',
+      'shortcuts.restored':     '{label}: back to {keys}.',
+      'shortcuts.restoredAll':  'All shortcuts were reset.',
+      'shortcuts.on':           'Keyboard shortcuts on.',
+      'shortcuts.off':          'Keyboard shortcuts off.',
+      'shortcuts.capturing':    'Press the keys…',
+      'shortcuts.capture':      'Press the new key combination, or Escape to cancel.',
+      'shortcuts.cancelled':    'Change cancelled.',
+      'shortcuts.remapped':     '{label}: now {keys}.',
+      'shortcuts.title':        'Keyboard shortcuts',
+      'shortcuts.desc':         'Shortcuts without Ctrl or Alt do not work while you type in a field.',
+      'shortcuts.search':       'Go to search',
+      'shortcuts.cart':         'Open the cart',
+      'shortcuts.products':     'Go to the products page',
+      'shortcuts.help':         'Show keyboard shortcuts',
+
+      'units.resistance':  'Resistance',
+      'units.capacitance': 'Capacitance',
+      'units.voltage':     'Voltage',
+      'units.power':       'Power',
+      'units.current':     'Current',
+      'filters.tag':       '{label}: {value}',
+      'filters.query':     'Search: “{query}”',
+      'filters.priceMin':  'From {price}',
+      'filters.priceMax':  'Up to {price}',
+      'filters.rating':    { one: '{count} star or more', other: '{count} stars or more' },
+      'filters.package':   'Package',
+
+      'products.sort.relevance':  'relevance',
+      'products.sort.price_asc':  'price from low to high',
+      'products.sort.price_desc': 'price from high to low',
+      'products.sort.rating':     'top rated',
+      'products.sort.newest':     'newest',
+      'products.badValue':    'We do not recognise “{value}” as a value. Use a number with a unit or prefix.',
+      'products.empty':       'We found no products matching the selected filters.',
+      'products.clear':       'Clear filters',
+      'products.clearAll':    'Clear all active filters',
+      'products.removeTag':   'Remove filter: {label}',
+      'products.showing':     { one: 'Showing <strong>{from}–{to}</strong> of <strong>{count}</strong> product',
+                                other: 'Showing <strong>{from}–{to}</strong> of <strong>{count}</strong> products' },
+      'products.showingNone': 'Showing <strong>0</strong> products',
+      'products.count':       { one: '{count} product', other: '{count} products' },
+      'products.found':       { one: '{count} product found.', other: '{count} products found.' },
+      'products.noneFound':   'No products match the filters.',
+      'products.sorted':      'Products sorted by {label}.',
+      'products.cleared':     'Filters removed.',
+      'products.tagRemoved':  '{label} filter removed.',
+      'products.prevPage':    'Previous page',
+      'products.nextPage':    'Next page',
+      'products.page':        'Page {n}',
+      'products.pageCurrent': 'Page {n}, current',
+      'products.pageOf':      'Page {n} of {pages}.',
+
+      'cartPage.sku':            'SKU: {sku}',
+      'cartPage.category':       'Category: {category}',
+      'cartPage.qtyGroup':       'Quantity for {name}',
+      'cartPage.qtyMinus':       'Decrease quantity of {name}',
+      'cartPage.qtyPlus':        'Increase quantity of {name}',
+      'cartPage.qtyInput':       'Quantity of {name}, currently {qty}',
+      'cartPage.unitPrice':      'Unit price: {price}',
+      'cartPage.subtotal':       'Subtotal: {price}',
+      'cartPage.remove':         'Remove',
+      'cartPage.removeLabel':    'Remove {name} from the cart',
+      'cartPage.saveLater':      'Save for later',
+      'cartPage.saveLaterLabel': 'Save for later: {name}',
+      'cartPage.empty':          'Your cart is empty',
+      'cartPage.emptyHint':      'Add components from the catalog to see them here.',
+      'cartPage.browse':         'See products',
+      'cartPage.discount':       'Discount',
+      'cartPage.discountCode':   'Discount ({code})',
+      'cartPage.shipping':       'Shipping',
+      'cartPage.shippingDetail': 'Shipping ({label}, {weight})',
+      'cartPage.free':           'Free',
+      'cartPage.freeHint':       'Add {price} more to get free shipping.',
+      'cartPage.total':          'Total to pay: {price}',
+      'cartPage.checkout':       'Proceed to checkout for a total of {price}, VAT and shipping included',
+      'cartPage.checkoutFree':   'Proceed to checkout for a total of {price}, VAT included, free shipping',
+      'cartPage.headingCount':   { one: '({count} item)', other: '({count} items)' },
+      'cartPage.items':          { one: '{count} item', other: '{count} items' },
+      'cartPage.coupon':             'Coupon',
+      'cartPage.couponRemove':       'Remove',
+      'cartPage.couponRemoveLabel':  'Remove coupon {code}',
+      'cartPage.couponDropped':      'Coupon {code} was removed.',
+      'cartPage.couponApplied':      'Coupon {code} applied. You save {price}.',
+      'cartPage.couponRemoved':      'Coupon {code} removed.',
+      'cartPage.adjusted':       'We updated your cart to match the available stock: {list}.',
+      'cartPage.adjustedTo':     { one: '{name} is now {count} unit', other: '{name} is now {count} units' },
+      'cartPage.adjustedOut':    '{name} was removed because it is out of stock',
+      'cartPage.qtyUpdated':     { one: 'Quantity updated: {count} unit', other: 'Quantity updated: {count} units' },
+      'cartPage.qtySetTo':       'The quantity was set to {count}.',
+      'cartPage.removed':        '{name} removed from the cart.',
+      'cartPage.restored':       '{name} is back in the cart.',
+      'cartPage.cannotSave':     '{name} is no longer in the catalog; it cannot be saved.',
+      'cartPage.savedLater':     '{name} saved for later in “{list}”.',
+      'cartPage.undo':           'Undo',
+      'cartPage.clearTitle':     'Empty the cart?',
+      'cartPage.clearMessage':   { one: '{count} product will be removed ({items}). You can undo this for a few seconds.',
+                                   other: '{count} products will be removed ({items}). You can undo this for a few seconds.' },
+      'cartPage.clearConfirm':   'Empty cart',
+      'cartPage.clearCancel':    'Keep',
+      'cartPage.cleared':        'The cart has been emptied.',
+      'cartPage.clearUndone':    'The cart was restored.',
+
+      'bom.status.matched':   'Found',
+      'bom.status.ambiguous': 'Check the choice',
+      'bom.status.unmatched': 'No match',
+      'bom.status.invalid':   'Invalid line',
+      'bom.note.ambiguous':    { one: '{count} possible product; we picked the first.', other: '{count} possible products; we picked the first.' },
+      'bom.note.alternatives': { one: '{count} other product fits equally; we picked the cheapest.',
+                                 other: '{count} other products fit equally; we picked the cheapest.' },
+      'bom.note.unmatched':    'No product in the catalog matches.',
+      'bom.select':     'Product for line {line}: {text}',
+      'bom.skip':       'Do not add this line',
+      'bom.add':        { one: 'Add {count} line to the cart', other: 'Add {count} lines to the cart' },
+      'bom.addNone':    'No lines to add',
+      'bom.summary':    { one: '{count} line: {parts}.', other: '{count} lines: {parts}.' },
+      'bom.summary.matched':   '{count} found',
+      'bom.summary.ambiguous': '{count} to check',
+      'bom.summary.unmatched': '{count} with no match',
+      'bom.summary.invalid':   '{count} invalid',
+      'bom.review':     'Check the matches',
+      'bom.col.line':    'Line',
+      'bom.col.qty':     'Quantity',
+      'bom.col.source':  'In your list',
+      'bom.col.product': 'Product',
+      'bom.col.status':  'Status',
+      'bom.discard':    'Discard',
+      'bom.discarded':  'Review discarded. Nothing was added to the cart.',
+      'bom.problem':    'Line {line}, {name}:',
+      'bom.partial':    { one: '{count} unit of {wanted} was added.', other: '{count} units of {wanted} were added.' },
+      'bom.notAdded':   'It was not added.',
+      'bom.skipped':    { one: '{count} line had no product and was not added.', other: '{count} lines had no product and were not added.' },
+      'bom.lines':      { one: '{count} line', other: '{count} lines' },
+      'bom.added':      { one: 'We added {count} unit from {lines} to the cart.', other: 'We added {count} units from {lines} to the cart.' },
+      'bom.addedNone':  'No products were added to the cart.',
+      'bom.error.empty': 'Paste the CSV content or choose a file.',
+      'bom.error.size':  'The file {file} is larger than 200 KB. Split the list into smaller parts.',
+      'bom.error.read':  'The file {file} could not be read.',
+      'bom.export.empty': 'The cart is empty: there is nothing to export.',
+      'bom.export.file':  'electroparts-cart',
+      'bom.export.done':  { one: 'The cart was downloaded as {format} ({count} product).', other: 'The cart was downloaded as {format} ({count} products).' },
+
+      'pricing.tax':             'VAT',
+      'pricing.zone.local':      'Bogotá D.C.',
+      'pricing.zone.nacional':   'Rest of the country',
+      'pricing.zone.remota':     'Remote areas',
+      'pricing.method.standard': 'Standard shipping',
+      'pricing.method.express':  'Express shipping',
+      'pricing.method.pickup':   'In-store pickup',
+      'pricing.days.sameDay':    'Same business day',
+      'pricing.days.oneToTwo':   '1 to 2 business days',
+      'pricing.days.threeToFive': '3 to 5 business days',
+      'pricing.days.sixToTen':   '6 to 10 business days',
+      'pricing.days.pickup':     'Ready in 2 business hours — Calle 45 #22-10, Bogotá',
+      'coupons.about.BIENVENIDO10': '10% off your purchase',
+      'coupons.about.ELECTRO15':    '15% off purchases of {min} or more',
+      'coupons.about.RESIS5000':    '{amount} off resistors',
+      'coupons.about.MAKER20':      '20% off microcontrollers',
+      'coupons.about.VERANO25':     '25% seasonal discount',
+      'coupons.error.empty':           'Enter a coupon code.',
+      'coupons.error.notFound':        'The coupon “{code}” does not exist.',
+      'coupons.error.alreadyApplied':  'The coupon {code} is already applied to this order.',
+      'coupons.error.onePerOrder':     'Only one coupon is allowed per order. Remove the coupon {applied} to use another one.',
+      'coupons.error.expired':         'The coupon {code} expired on {date}.',
+      'coupons.error.noEligibleItems': 'The coupon {code} only applies to {categories}, and your cart has no products in that category.',
+      'coupons.error.minSubtotal':     'The coupon {code} requires a minimum purchase of {min}. You are {missing} short.',
+      'coupons.error.minSubtotalIn':   'The coupon {code} requires a minimum purchase of {min} in {categories}. You are {missing} short.',
+
+      'form.errors':              { one: 'There is {count} error to fix', other: 'There are {count} errors to fix' },
+      'checkout.title':           'Checkout | ElectroParts',
+      'checkout.step.address':    'Address',
+      'checkout.step.shipping':   'Shipping',
+      'checkout.step.payment':    'Payment',
+      'checkout.step.review':     'Review',
+      'checkout.stepLabel':       'Step {n}: {label}, {state}',
+      'checkout.stepTitle':       'Step {n} of {total}: {label}',
+      'checkout.state.current':   'current',
+      'checkout.state.done':      'completed',
+      'checkout.state.pending':   'pending',
+      'checkout.city.choose':     'Select a city',
+      'checkout.city.first':      'Select the department first',
+      'checkout.noCost':          'No charge',
+      'checkout.totalUpdated':    'The total was updated.',
+      'checkout.checkTotal':      'Check the new total: {price}.',
+      'checkout.qty':             'quantity {count}',
+      'checkout.shippingEstimate': 'Shipping (estimated)',
+      'checkout.pay':             'Pay {price}',
+      'checkout.destination':     'Destination: {place} · Order weight: {weight}',
+      'checkout.freeFrom':        'Free on purchases of {price} or more',
+      'checkout.error.name':           'Enter your full name.',
+      'checkout.error.document':       'Enter your ID (cédula) or tax (NIT) number.',
+      'checkout.error.documentFormat': 'The ID or NIT must have between 6 and 10 digits.',
+      'checkout.error.phone':          'Enter a contact mobile number.',
+      'checkout.error.phoneFormat':    'The mobile number must have 10 digits and start with 3, for example 3001234567.',
+      'checkout.error.email':          'Enter your email address.',
+      'checkout.error.emailFormat':    'The email is not valid. It must look like name@domain.com.',
+      'checkout.error.department':     'Select the delivery department.',
+      'checkout.error.city':           'Select the delivery city or municipality.',
+      'checkout.error.address':        'Enter the delivery address, for example Calle 45 # 22-10.',
+      'checkout.error.postal':         'The postal code must have 6 digits.',
+      'checkout.error.shippingMethod': 'Choose a shipping method.',
+      'checkout.error.payment':        'Choose a payment method.',
+      'checkout.error.psePerson':      'Select the person type for PSE.',
+      'checkout.error.pseBank':        'Select your bank.',
+      'checkout.error.terms':          'You must accept the terms and conditions to place the order.',
+      'checkout.cash':            'cash payment',
+      'checkout.document':        'ID/NIT {document}',
+      'checkout.edit':            'Edit',
+      'checkout.editLabel':       'Edit {title}',
+      'checkout.review.address':  'Shipping address',
+      'checkout.review.shipping': 'Shipping method',
+      'checkout.review.payment':  'Payment method',
+      'checkout.review.products': 'Products',
+      'checkout.processing':      'Processing payment…',
+      'checkout.processingWait':  'Processing the payment, please wait.',
+      'checkout.declined':        'The payment was not approved',
+      'checkout.placed':          'Order {number} placed. Opening the confirmation.',
+
+      'payments.pse':                 'PSE - Bank payment',
+      'payments.error.number':        'Enter the card number.',
+      'payments.error.numberInvalid': 'The card number is not valid. Check the 16 digits.',
+      'payments.error.brand':         'The number does not belong to a {brand} card.',
+      'payments.error.brandUnknown':  'The number does not belong to the card.',
+      'payments.error.name':          'Enter the name as it appears on the card.',
+      'payments.error.expiry':        'Enter the expiry date in MM/YY format, for example 08/28.',
+      'payments.error.month':         'The expiry month must be between 01 and 12.',
+      'payments.error.expired':       'The card has expired.',
+      'payments.error.cvc':           'Enter the 3- or 4-digit security code from the back.',
+      'payments.unavailable':         'Payment method not available.',
+      'payments.declined.card':       'The bank declined the transaction for insufficient funds. Try another card or payment method.',
+      'payments.approved.card':       'Payment approved.',
+      'payments.declined.bank':       'The bank did not authorize the debit from your account. Check your details in PSE or choose another payment method.',
+      'payments.approved.bank':       'PSE debit approved.',
+      'payments.pending.cash':        'Pay at any Efecty location within 48 hours.',
+      'payments.unreachable':         'We could not reach the payment gateway. Try again in a few minutes.',
+
+      'orders.status.received':        'Order received',
+      'orders.status.pending_payment': 'Awaiting payment',
+      'orders.status.paid':            'Payment approved',
+      'orders.status.preparing':       'Being prepared',
+      'orders.status.shipped':         'Shipped',
+      'orders.status.ready':           'Ready for pickup',
+      'orders.status.delivered':       'Delivered',
+      'orders.status.cancelled':       'Cancelled',
+      'orders.priceChanged':  'The price changed from {from} to {to}.',
+      'orders.discontinued':  '{name} is no longer in the catalog.',
+      'orders.limited':       { one: '{count} unit of {wanted} was added (available stock).',
+                                other: '{count} units of {wanted} were added (available stock).' },
+      'orders.reference':     'Reference {reference}',
+      'orders.paymentCode':   'Payment code {code}',
+      'orders.reorder.added':     { one: 'We added {count} unit to the cart', other: 'We added {count} units to the cart' },
+      'orders.reorder.none':      'No products could be added',
+      'orders.reorder.changes':   'Check these changes from order {number}:',
+      'orders.reorder.unchanged': 'All the products in order {number} are still available at the same price.',
+      'orders.reorder.stay':      'Stay here',
+      'orders.reorder.goCart':    'Go to cart',
+
+      'order.number':        'Your order number is {number}.',
+      'order.cashHint':      'Show this code at any Efecty location:',
+      'order.amountDue':     'Amount due: {price}',
+      'order.deadline':      'Payment deadline: {date}',
+      'order.emailed':       'We sent the details to {email}.',
+      'order.approved':      'Payment of {price} approved (reference {reference}).',
+      'order.itemsCaption':  { one: '{count} item in the order', other: '{count} items in the order' },
+      'order.col.product':   'Product',
+      'order.col.sku':       'Reference',
+      'order.col.price':     'Unit price',
+      'order.col.qty':       'Quantity',
+      'order.col.subtotal':  'Subtotal',
+      'order.col.order':     'Order',
+      'order.col.date':      'Date',
+      'order.col.items':     'Items',
+      'order.col.total':     'Total',
+      'order.col.status':    'Status',
+      'order.col.actions':   'Actions',
+      'order.breakdown':     'Price breakdown',
+      'order.subtotal':      'Products subtotal',
+      'order.taxOn':         '{tax} {rate} on {base}',
+      'order.exempt':        'Products exempt from {tax}',
+      'order.totalPaid':     'Total paid',
+      'order.coupon':        'Coupon {code}: {description}',
+      'order.pickupBy':      'Picked up by',
+      'order.shipTo':        'Ship to',
+      'order.eta':           'Estimated delivery',
+      'order.email':         'Contact email',
+      'order.notFound':      'We could not find that order',
+      'order.notFoundTitle': 'Order not found',
+      'order.notInHistory':  'Order {number} is not in this browser’s history.',
+      'order.noNumber':      'No order number was given.',
+      'order.seeOrders':     'See my orders',
+      'order.heading':       'Order {number}',
+      'order.placedUnpaid':  'Order placed: payment pending',
+      'order.thanks':        'Thank you for your purchase!',
+      'order.placedTitle':   'Order placed',
+      'order.confirmedTitle': 'Order confirmed',
+      'order.placedOn':      'Placed on {date}',
+      'order.status':        'Status: {label}',
+      'order.paymentSummary': 'Payment summary',
+      'order.delivery':      'Delivery and payment',
+      'order.reorder':       'Order again',
+      'order.reorderLabel':  'Order {number} again',
+      'order.allOrders':     'See all my orders',
+      'order.keepShopping':  'Keep shopping',
+      'order.reorderHint':   'Adds the same products to the cart at the current price; we let you know if anything changed.',
+      'order.none':          'You have no orders in this browser yet.',
+      'order.listCaption':   { one: '{count} order, newest first', other: '{count} orders, newest first' },
+
+      'comparePage.price':       'Price',
+      'comparePage.stock':       'Availability',
+      'comparePage.rating':      'Rating',
+      'comparePage.ratingValue': { one: '{rating} out of 5 ({count} review)', other: '{rating} out of 5 ({count} reviews)' },
+      'comparePage.category':    'Category',
+      'comparePage.different':   'different',
+      'comparePage.showingDiff': { one: 'Showing {count} different feature out of {total}.',
+                                   other: 'Showing {count} different features out of {total}.' },
+      'comparePage.summary':     { one: '{count} feature, {different} with different values.',
+                                   other: '{count} features, {different} with different values.' },
+      'comparePage.onlyOne':     'Only 1 product is selected. Choose at least {count} to compare them.',
+      'comparePage.none':        'No products are selected for comparison.',
+      'comparePage.choose':      'Choose products',
+      'comparePage.title':       'Compare products',
+      'comparePage.titleCount':  'Compare {count} products',
+      'comparePage.diffOnly':    'Show only the differences',
+      'comparePage.caption':     'Comparison of {names}',
+      'comparePage.feature':     'Feature',
+      'comparePage.missing':     'Not specified',
+
+      'wishlistPage.qty':          'Quantity: {count}',
+      'wishlistPage.soldOutLabel': '{name} is out of stock and cannot be moved to the cart',
+      'wishlistPage.move':         'Move to cart',
+      'wishlistPage.moveLabel':    'Move {name} to the cart',
+      'wishlistPage.removeLabel':  'Remove {name} from the list',
+      'wishlistPage.keepOne':      'There must always be at least one list.',
+      'wishlistPage.moveAll':      'Move all to cart',
+      'wishlistPage.empty':        'This list is empty. Use the “Save” button on any product to add it.',
+      'wishlistPage.movedSome':    { one: '{count} unit was moved.', other: '{count} units were moved.' },
+      'wishlistPage.moved':        '{name} moved to the cart.',
+      'wishlistPage.restored':     '{name} is back in “{list}”.',
+      'wishlistPage.movedAll':     { one: '{count} product moved to the cart.', other: '{count} products moved to the cart.' },
+      'wishlistPage.active':       { one: 'Active list: “{name}”, {count} product.', other: 'Active list: “{name}”, {count} products.' },
+      'wishlistPage.nameLabel':    'List name',
+      'wishlistPage.newTitle':     'New list',
+      'wishlistPage.create':       'Create list',
+      'wishlistPage.created':      'List “{name}” created. It is now the active list.',
+      'wishlistPage.renameTitle':  'Rename “{name}”',
+      'wishlistPage.saveName':     'Save name',
+      'wishlistPage.renamed':      'The list is now called “{name}”.',
+      'wishlistPage.deleteTitle':  'Delete “{name}”?',
+      'wishlistPage.deleteMessage': { one: 'Its {count} product will also be removed. This cannot be undone.',
+                                      other: 'Its {count} products will also be removed. This cannot be undone.' },
+      'wishlistPage.deleteEmpty':  'The list is empty.',
+      'wishlistPage.delete':       'Delete list',
+      'wishlistPage.deleted':      'List “{name}” deleted. Active list: “{active}”.',
+
+      'detail.stock.in':       'Ready to ship right away',
+      'detail.stock.low':      'Last units',
+      'detail.stock.out':      'No units for now',
+      'detail.notFound':       'Product not found',
+      'detail.notFoundId':     'We could not find any product with the code “{id}”. The link may be incomplete or the product may no longer be available.',
+      'detail.noId':           'The link does not say which product to show.',
+      'detail.notFoundHint':   'Look for the component with the search box or browse the full catalog.',
+      'detail.allProducts':    'See all products',
+      'detail.thumb':          'View image {n}: {label}',
+      'detail.thumbs':         'More product images',
+      'detail.price':          'Current price: {price}',
+      'detail.available':      { one: '{count} unit available', other: '{count} units available' },
+      'detail.highlights':     'Key specifications',
+      'detail.qtyHintStock':   { one: 'Minimum 1 unit, maximum {count} unit (available stock)',
+                                 other: 'Minimum 1 unit, maximum {count} units (available stock)' },
+      'detail.qtyHintOrder':   { one: 'Minimum 1 unit, maximum {count} unit per order',
+                                 other: 'Minimum 1 unit, maximum {count} units per order' },
+      'detail.soldOut':        'Product out of stock',
+      'detail.qty':            'Quantity:',
+      'detail.qtyMinus':       'Decrease quantity',
+      'detail.qtyPlus':        'Increase quantity',
+      'detail.qtyInput':       'Number of units to buy',
+      'detail.rating':         'Rating: {rating} out of 5 stars',
+      'detail.reviewCount':    { one: '{count} review', other: '{count} reviews' },
+      'detail.reviewsTab':     'Reviews ({count})',
+      'detail.feature.shipping':  'Nationwide shipping in 24–48h',
+      'detail.feature.datasheet': 'Downloadable datasheet included',
+      'detail.feature.warranty':  '30-day quality guarantee',
+      'detail.feature.invoice':   'Electronic invoice',
+      'detail.description':    'Product description',
+      'detail.uses':           'What are they for?',
+      'detail.colorCalc':      'Work out the value from the colors',
+      'detail.specs':          'Full technical specifications',
+      'detail.noSpecs':        'This product has no published technical specifications yet. Check the datasheet.',
+      'detail.specsRegion':    'Technical specifications',
+      'detail.specsCaption':   'Full technical specifications of {name}',
+      'detail.col.param':      'Parameter',
+      'detail.col.value':      'Value',
+      'detail.col.unit':       'Unit',
+      'detail.reviewBy':       'Review by {author}',
+      'detail.reviewPending':  'Not published yet: it will be sent when the connection is back.',
+      'detail.stars':          { one: '{count} star', other: '{count} stars' },
+      'detail.ratingWord.none':      'Not rated',
+      'detail.ratingWord.awful':     'Very bad',
+      'detail.ratingWord.poor':      'Bad',
+      'detail.ratingWord.fair':      'Fair',
+      'detail.ratingWord.good':      'Good',
+      'detail.ratingWord.excellent': 'Excellent',
+      'detail.ratingValue':    '{value} out of 5 — {word}',
+      'detail.average':        'Average rating: {rating} out of 5',
+      'detail.ratings':        { one: '{count} rating', other: '{count} ratings' },
+      'detail.written':        { one: '{count} written review', other: '{count} written reviews' },
+      'detail.histogram':      'Rating distribution',
+      'detail.reviews.title':  'Customer reviews',
+      'detail.reviews.sort':   'Sort by',
+      'detail.reviews.filter': 'Show',
+      'detail.reviews.list':   'Customer reviews',
+      'detail.reviews.pages':  'Review pages',
+      'detail.reviews.all':    'All reviews ({count})',
+      'detail.reviews.noneStars': { one: 'There are no {count}-star reviews.', other: 'There are no {count}-star reviews.' },
+      'detail.reviews.none':   'There are no written reviews for this product yet. Be the first to share your opinion.',
+      'detail.reviews.showing':      { one: 'Showing {from}–{to} of {count} review.', other: 'Showing {from}–{to} of {count} reviews.' },
+      'detail.reviews.showingStars': { one: 'Showing {from}–{to} of {count} review with {stars}.',
+                                       other: 'Showing {from}–{to} of {count} reviews with {stars}.' },
+      'detail.reviews.prev':   'Previous',
+      'detail.reviews.next':   'Next',
+      'detail.reviews.page':   'Page {n} of {pages}',
+      'detail.reviews.sorted': 'Reviews sorted by {label}.',
+      'detail.reviews.queued': 'Thank you. You are offline: your review will be published when the connection is back.',
+      'detail.reviews.published': 'Thank you, your review was published.',
+      'detail.form.title':     'Write a review',
+      'detail.form.required':  'All fields are required.',
+      'detail.form.author':    'Name',
+      'detail.form.reviewTitle': 'Title',
+      'detail.form.text':      'Your opinion',
+      'detail.form.textHint':  'At least {count} characters. Tell us how the product worked for you.',
+      'detail.form.submit':    'Post review',
+      'detail.datasheet.title':    'Technical documentation',
+      'detail.datasheet.none':     'There is no datasheet available for this product.',
+      'detail.datasheet.intro':    'Download the official datasheet with all the electrical, mechanical and packaging characteristics of this product.',
+      'detail.datasheet.label':    'Download the {name} datasheet as PDF, {size}',
+      'detail.datasheet.download': 'Download Datasheet (PDF, {size})',
+      'detail.meta':           '{name} — {category} at ElectroParts. Price, availability and technical sheet.',
+
+      'resistors.color.black':  'Black',
+      'resistors.color.brown':  'Brown',
+      'resistors.color.red':    'Red',
+      'resistors.color.orange': 'Orange',
+      'resistors.color.yellow': 'Yellow',
+      'resistors.color.green':  'Green',
+      'resistors.color.blue':   'Blue',
+      'resistors.color.violet': 'Violet',
+      'resistors.color.grey':   'Grey',
+      'resistors.color.white':  'White',
+      'resistors.color.gold':   'Gold',
+      'resistors.color.silver': 'Silver',
+      'resistors.role.digit':      'Digit',
+      'resistors.role.multiplier': 'Multiplier',
+      'resistors.role.tolerance':  'Tolerance',
+      'resistors.role.tempco':     'Temperature coefficient',
+      'resistors.error.bands':      'Choose 4, 5 or 6 bands.',
+      'resistors.error.positive':   'Enter a value greater than zero.',
+      'resistors.error.digits':     'This value needs more than {count} significant digits.',
+      'resistors.error.digitsMore': 'This value needs more than {count} significant digits; try 5 or 6 bands.',
+      'resistors.error.range':      'The value is outside the range that can be marked with {count} bands.',
+      'resistors.error.current':    'The current must be greater than zero.',
+      'resistors.error.supply':     'The supply voltage must be higher than the LED voltage.',
+      'calc.band':          'Band {n}: {role}',
+      'calc.range':         '(from {min} to {max})',
+      'calc.bands':         { one: '{count} band', other: '{count} bands' },
+      'calc.colors':        'Colors: {colors}.',
+      'calc.colorsOf':      'Color code for {value}: {colors}.',
+      'calc.error.value':   'Enter the resistance value.',
+      'calc.error.unknown': 'We do not recognize “{text}” as a value in ohms.',
+      'calc.error.supply':  'Enter the supply voltage.',
+      'calc.error.forward': 'Enter the LED voltage.',
+      'calc.error.current': 'Enter the LED current.',
+      'calc.led.rating':    'use a {power} resistor or higher',
+      'calc.led.tooMuch':   'more than 10 W: check the design',
+      'calc.led.exact':     'Calculated resistance',
+      'calc.led.nearest':   'Nearest {series} value',
+      'calc.led.nearestOver': 'would let {current} through, more than the requested current',
+      'calc.led.suggested': 'Suggested {series} value (the next one up)',
+      'calc.led.colors':    'Colors (4 bands)',
+      'calc.led.current':   'Resulting current',
+      'calc.led.power':     'Power dissipated',
+      'calc.led.products':  '{ohms} resistors in the catalog',
+      'calc.led.none':      'We have no resistors of that value available right now.',
+      'calc.led.search':    'Search for {ohms} in the catalog',
+      'calc.led.showColors': 'See its color code',
+      'calc.led.announce':  'Suggested resistor: {ohms} from the {series} series. Resulting current: {current}.',
+      'calc.led.announceNearest': 'The nearest value, {ohms}, would let {current} through.',
+      'bom.error.header':   'The header has no part or value column (for example “value” or “part”).',
+      'bom.error.tooMany':  'Only the first {count} lines of the list are read.',
+      'bom.error.qty':      'Invalid quantity: “{qty}”.',
+      'bom.error.part':     'The line does not say which part it is.',
+      'bom.error.noRows':   'The list has no lines with parts.',
+
+      'transcript.description':  'Description',
+      'transcript.playFrom':     'Play from {time}',
+      'transcript.search':       'Search the transcript',
+      'transcript.follow':       'Follow playback',
+      'transcript.cues':         'Transcript lines',
+      'transcript.following':    'The transcript will follow playback.',
+      'transcript.notFollowing': 'The transcript no longer follows playback.',
+      'transcript.matches':      { one: '{count} line contains “{query}”.', other: '{count} lines contain “{query}”.' },
+      'transcript.noMatches':    'No line contains “{query}”.',
+    },
+  };
+
+  /* ============================================================
+     FRASES FIJAS DE LOS HTML
+     Solo las traducciones: el texto original es el de la página.
+  ============================================================ */
+  EP.phrases = {
+    en: {
+      /* --- Cabecera y pie, comunes a todas las páginas --- */
+      'Saltar al contenido principal': 'Skip to main content',
+      'Saltar a la navegación': 'Skip to navigation',
+      'ElectroParts - Inicio': 'ElectroParts - Home',
+      'Buscar productos': 'Search products',
+      'Buscar componentes electrónicos': 'Search electronic components',
+      'Buscar componentes': 'Search components',
+      'Buscar: resistencias, condensadores...': 'Search: resistors, capacitors...',
+      'Buscar componentes...': 'Search components...',
+      'Escribe el nombre del componente que buscas. Usa las flechas arriba y abajo para recorrer las sugerencias': 'Type the name of the component you are looking for. Use the up and down arrows to browse the suggestions',
+      'Escribe el nombre del componente. Usa las flechas arriba y abajo para recorrer las sugerencias': 'Type the name of the component. Use the up and down arrows to browse the suggestions',
+      'Ejecutar búsqueda': 'Run search',
+      'Buscar': 'Search',
+      'Abrir menú': 'Open menu',
+      'Navegación principal': 'Main navigation',
+      'Inicio': 'Home',
+      'Categorías': 'Categories',
+      'Productos': 'Products',
+      'Ofertas': 'Deals',
+      'Contacto': 'Contact',
+      'Tu tienda de confianza para componentes electrónicos desde 2010.': 'Your trusted store for electronic components since 2010.',
+      'Resistencias': 'Resistors',
+      'Capacitores': 'Capacitors',
+      'Transformadores': 'Transformers',
+      'Transistores': 'Transistors',
+      'Diodos': 'Diodes',
+      'Ayuda': 'Help',
+      'Preguntas frecuentes': 'Frequently asked questions',
+      'Política de envíos': 'Shipping policy',
+      'Devoluciones': 'Returns',
+      'Soporte técnico': 'Technical support',
+      'Calculadoras de resistencias': 'Resistor calculators',
+      'Mis pedidos': 'My orders',
+      'Suscripción al newsletter': 'Newsletter subscription',
+      'Recibe ofertas exclusivas y novedades.': 'Get exclusive deals and news.',
+      'Tu correo electrónico': 'Your email address',
+      'Tu correo': 'Your email',
+      'Suscribir': 'Subscribe',
+      '© 2025 ElectroParts. Todos los derechos reservados.': '© 2025 ElectroParts. All rights reserved.',
+      'Políticas legales': 'Legal policies',
+      'Términos y condiciones': 'Terms and conditions',
+      'Términos': 'Terms',
+      'Política de privacidad': 'Privacy policy',
+      'Privacidad': 'Privacy',
+      'Accesibilidad': 'Accessibility',
+      'Ruta de navegación': 'Breadcrumb',
+      'Newsletter': 'Newsletter',
+      'tu@correo.com': 'you@email.com',
+
+      /* --- Títulos de las páginas --- */
+      'ElectroParts | Componentes Electrónicos': 'ElectroParts | Electronic Components',
+      'Productos | ElectroParts': 'Products | ElectroParts',
+      'Detalle de producto | ElectroParts': 'Product details | ElectroParts',
+      'Comparar productos | ElectroParts': 'Compare products | ElectroParts',
+      'Calculadoras de resistencias | ElectroParts': 'Resistor calculators | ElectroParts',
+      'Carrito de Compras | ElectroParts': 'Shopping Cart | ElectroParts',
+      'Finalizar compra | ElectroParts': 'Checkout | ElectroParts',
+      'Detalle del pedido | ElectroParts': 'Order details | ElectroParts',
+      'Mis pedidos | ElectroParts': 'My orders | ElectroParts',
+      'Listas de deseos | ElectroParts': 'Wish lists | ElectroParts',
+
+      /* --- Inicio (index.html) --- */
+      'Componentes Electrónicos de Alta Calidad': 'High-Quality Electronic Components',
+      'Resistencias, transformadores, capacitores y más. Envío a todo el país.': 'Resistors, transformers, capacitors and more. Shipping nationwide.',
+      'Ver catálogo completo': 'Browse the full catalog',
+      'Explorar categorías': 'Explore categories',
+      'Envío gratis': 'Free shipping',
+      'en compras mayores a $50.000': 'on orders over $50.000',
+      '— ¡Solo esta semana!': '— This week only!',
+      'Nuestras Categorías': 'Our Categories',
+      'Encuentra exactamente el componente que necesitas': 'Find exactly the component you need',
+      'Carbón, metal, SMD y más': 'Carbon, metal film, SMD and more',
+      '240 productos': '240 products',
+      'Electrolíticos, cerámicos, de película': 'Electrolytic, ceramic, film',
+      '185 productos': '185 products',
+      'Potencia, audio y pulsos': 'Power, audio and pulse',
+      '98 productos': '98 products',
+      'BJT, MOSFET, IGBT y más': 'BJT, MOSFET, IGBT and more',
+      '320 productos': '320 products',
+      'Zener, Schottky, LED y rectificadores': 'Zener, Schottky, LED and rectifiers',
+      '210 productos': '210 products',
+      'Microcontroladores': 'Microcontrollers',
+      'Arduino, PIC, STM32 y módulos': 'Arduino, PIC, STM32 and modules',
+      '150 productos': '150 products',
+      'Productos Destacados': 'Featured Products',
+      'Ver todos': 'See all',
+      '¿Por qué elegir ElectroParts?': 'Why choose ElectroParts?',
+      'Distribuidores directos de componentes certificados con datasheet descargable y garantía.': 'Direct distributors of certified components with downloadable datasheets and warranty.',
+      'Más de 1.000 referencias disponibles': 'Over 1,000 part numbers available',
+      'Envío en 24–48 horas': 'Shipping in 24–48 hours',
+      'Soporte técnico especializado': 'Specialist technical support',
+      'Datasheets y tutoriales incluidos': 'Datasheets and tutorials included',
+      'Tu navegador no soporta video HTML5.': 'Your browser does not support HTML5 video.',
+      'Descarga el video': 'Download the video',
+      'o lee la': 'or read the',
+      'transcripción': 'transcript',
+      'Video: Recorrido por el catálogo y proceso de envío de ElectroParts.': 'Video: A tour of the ElectroParts catalog and shipping process.',
+      'Ver transcripción del video': 'Show the video transcript (Spanish)',
+      'Podcast ElectroParts': 'ElectroParts Podcast',
+      'Aprende sobre electrónica mientras esperas tu pedido': 'Learn about electronics while you wait for your order',
+      'Episodio 1:': 'Episode 1:',
+      'Cómo elegir la resistencia correcta para tu circuito': 'How to choose the right resistor for your circuit',
+      'Tu navegador no soporta audio HTML5.': 'Your browser does not support HTML5 audio.',
+      'Descarga el episodio': 'Download the episode',
+      'Ver transcripción del episodio': 'Show the episode transcript (Spanish)',
+      'Calcula la resistencia para tu LED': 'Work out the resistor for your LED',
+      'con la misma fórmula del episodio.': 'with the same formula as the episode.',
+      'Comparativa de Transformadores': 'Transformer Comparison',
+      'Características técnicas de transformadores disponibles en stock': 'Technical specifications of transformers in stock',
+      'Modelo': 'Model',
+      'Entrada': 'Input',
+      'Salida': 'Output',
+      'Potencia': 'Power',
+      'Precio': 'Price',
+      'Disponibilidad': 'Availability',
+      '● En stock': '● In stock',
+      '◐ Últimas unidades': '◐ Last units',
+      '○ Agotado': '○ Out of stock',
+      'Ofertas de la Semana': 'Deals of the Week',
+      'Circuito electrónico con componentes sobre fondo oscuro': 'Electronic circuit with components on a dark background',
+      'Anuncio de envío gratis': 'Free shipping announcement',
+      'Categorías de productos electrónicos': 'Electronic product categories',
+      'Ver todos los productos': 'See all products',
+      'Productos destacados': 'Featured products',
+      'Español': 'Spanish',
+      'Audiodescripción': 'Audio description',
+      'Tabla comparativa de transformadores': 'Transformer comparison table',
+      'En stock': 'In stock',
+      'Últimas unidades': 'Last units',
+      'Agotado': 'Out of stock',
+      'Ofertas especiales': 'Special offers',
+
+      /* --- Catálogo (productos.html) --- */
+      'Catálogo de Productos': 'Product Catalog',
+      'Más de 1.000 referencias en componentes electrónicos': 'Over 1,000 electronic component part numbers',
+      'Filtrar productos': 'Filter products',
+      'Categoría': 'Category',
+      'Precio (COP)': 'Price (COP)',
+      'Mínimo': 'Minimum',
+      'Máximo': 'Maximum',
+      'Ingresa el rango de precio en pesos colombianos': 'Enter the price range in Colombian pesos',
+      'Aplicar rango': 'Apply range',
+      'Calificación': 'Rating',
+      'Especificaciones': 'Specifications',
+      'Resistencia': 'Resistance',
+      'Ej.: 4k7, 10kΩ': 'E.g. 4k7, 10kΩ',
+      'Capacitancia': 'Capacitance',
+      'Ej.: 100uF, 1000µF': 'E.g. 100uF, 1000µF',
+      'Tensión': 'Voltage',
+      'Ej.: 25V, 220': 'E.g. 25V, 220',
+      'Ej.: 1/4W, 0.25': 'E.g. 1/4W, 0.25',
+      'Acepta prefijos como k, M, u o µ y códigos como 4k7. Los productos con un rango de valores que incluya el buscado también aparecen.': 'Accepts prefixes such as k, M, u or µ and codes such as 4k7. Products whose range of values includes the one you enter also appear.',
+      'Encapsulado': 'Package',
+      'Axial cerámico': 'Ceramic axial',
+      'Aplicar filtros': 'Apply filters',
+      'Mostrando': 'Showing',
+      'de': 'of',
+      'productos': 'products',
+      'Ordenar por:': 'Sort by:',
+      'Relevancia': 'Relevance',
+      'Precio: menor a mayor': 'Price: low to high',
+      'Precio: mayor a menor': 'Price: high to low',
+      'Mejor calificados': 'Top rated',
+      'Más nuevos': 'Newest',
+      'Filtros activos': 'Active filters',
+      'Filtros de productos': 'Product filters',
+      'Formulario de filtros': 'Filter form',
+      '5 estrellas o más': '5 stars or more',
+      '4 estrellas o más': '4 stars or more',
+      '3 estrellas o más': '3 stars or more',
+      'Controles de ordenamiento y vista': 'Sort and view controls',
+      'Ordenar productos por': 'Sort products by',
+      'Cambiar vista de productos': 'Change product view',
+      'Vista en cuadrícula': 'Grid view',
+      'Vista en lista': 'List view',
+      'Lista de productos': 'Product list',
+      'Paginación de productos': 'Product pagination',
+
+      /* --- Detalle de producto, comparar y calculadoras --- */
+      'Descripción': 'Description',
+      'Reseñas': 'Reviews',
+      'Productos relacionados': 'Related products',
+      'Galería de imágenes del producto': 'Product image gallery',
+      'Información del producto': 'Product information',
+      'Productos relacionados con este artículo': 'Products related to this item',
+      'Comparar': 'Compare',
+      'Comparar productos': 'Compare products',
+      'Elige de 2 a 4 productos con el botón «Comparar» de cada tarjeta.': 'Choose 2 to 4 products with the “Compare” button on each card.',
+      'Calculadoras': 'Calculators',
+      'Código de colores': 'Colour code',
+      'Elige los colores de las bandas para conocer el valor, o escribe el valor para ver sus colores.': 'Choose the band colours to get the value, or type the value to see its colours.',
+      'Cantidad de bandas': 'Number of bands',
+      '4 bandas': '4 bands',
+      '5 bandas': '5 bands',
+      '6 bandas': '6 bands',
+      'Colores de las bandas, de izquierda a derecha': 'Band colours, from left to right',
+      'Valor de la resistencia': 'Resistor value',
+      'En ohmios; acepta 4.7k, 4k7, 10kΩ o 2.2M': 'In ohms; accepts 4.7k, 4k7, 10kΩ or 2.2M',
+      'Resistencia para un LED': 'Resistor for an LED',
+      'Ley de Ohm: R = (tensión de la fuente − tensión del LED) / corriente.': 'Ohm\'s law: R = (supply voltage − LED voltage) / current.',
+      'Tensión de la fuente (V)': 'Supply voltage (V)',
+      'Tensión del LED (V)': 'LED voltage (V)',
+      'Rojo ≈ 2 V · verde ≈ 2.2 V · azul o blanco ≈ 3.2 V': 'Red ≈ 2 V · green ≈ 2.2 V · blue or white ≈ 3.2 V',
+      'Corriente del LED (mA)': 'LED current (mA)',
+      'Un LED indicador común usa de 10 a 20 mA': 'A typical indicator LED uses 10 to 20 mA',
+      'Serie de valores normalizados': 'Standard value series',
+      'Calcular': 'Calculate',
+
+      /* --- Carrito (carrito.html) --- */
+      'Carrito de compras': 'Shopping cart',
+      'Carrito de Compras': 'Shopping Cart',
+      'Carrito': 'Cart',
+      'Dirección': 'Address',
+      'Envío': 'Shipping',
+      'Pago': 'Payment',
+      'Revisión': 'Review',
+      'Lista de productos en tu carrito con cantidades y precios. Puedes modificar cantidades o eliminar productos.': 'Products in your cart with quantities and prices. You can change quantities or remove products.',
+      'Producto': 'Product',
+      'Cantidad': 'Quantity',
+      'Precio unitario': 'Unit price',
+      'Subtotal': 'Subtotal',
+      'Acciones': 'Actions',
+      'Seguir comprando': 'Continue shopping',
+      'Vaciar carrito': 'Empty cart',
+      'Importar lista de materiales (BOM)': 'Import a bill of materials (BOM)',
+      'Pega o sube un CSV con las columnas cantidad, pieza o valor y encapsulado (separadas por coma o punto y coma). Ejemplo:': 'Paste or upload a CSV with quantity, part or value and package columns (separated by commas or semicolons). Example:',
+      '. Antes de agregar nada podrás revisar con qué producto coincide cada línea.': '. Before anything is added you can check which product each line matches.',
+      'Contenido del CSV': 'CSV content',
+      'O sube un archivo .csv': 'Or upload a .csv file',
+      'Revisar coincidencias': 'Review matches',
+      'Exportar el carrito': 'Export the cart',
+      'Descargar CSV': 'Download CSV',
+      'Descargar JSON': 'Download JSON',
+      'Resumen del pedido': 'Order summary',
+      '¿Tienes un cupón de descuento?': 'Have a discount coupon?',
+      'Código de cupón': 'Coupon code',
+      'Ingresa tu código de descuento y presiona Aplicar': 'Enter your discount code and press Apply',
+      'Aplicar': 'Apply',
+      'Subtotal productos': 'Product subtotal',
+      'Descuento': 'Discount',
+      '✔ Gratis': '✔ Free',
+      'IVA (19%)': 'VAT (19%)',
+      'Productos exentos de IVA': 'VAT-exempt products',
+      'Total a pagar': 'Total to pay',
+      'Proceder al pago': 'Proceed to checkout',
+      'Métodos de pago aceptados:': 'Accepted payment methods:',
+      'PSE - Pago por banco': 'PSE - Bank payment',
+      'Pago 100% seguro con cifrado SSL': '100% secure payment with SSL encryption',
+      'Garantía de devolución 30 días': '30-day return guarantee',
+      'Envío gratis en compras mayores a $50.000': 'Free shipping on orders over $50.000',
+      'Pasos del proceso de compra': 'Checkout steps',
+      'Paso 1: Carrito, actual': 'Step 1: Cart, current',
+      'Paso 2: Dirección, pendiente': 'Step 2: Address, pending',
+      'Paso 3: Envío, pendiente': 'Step 3: Shipping, pending',
+      'Paso 4: Pago, pendiente': 'Step 4: Payment, pending',
+      'Paso 5: Revisión, pendiente': 'Step 5: Review, pending',
+      'Productos en tu carrito': 'Products in your cart',
+      'Vaciar todo el carrito de compras': 'Empty the whole shopping cart',
+      'Aplicar cupón de descuento': 'Apply discount coupon',
+      'Ingresa tu código': 'Enter your code',
+      'Aplicar código de cupón': 'Apply coupon code',
+      'Desglose de precios': 'Price breakdown',
+      'Métodos de pago disponibles': 'Available payment methods',
+      'Garantías de la compra': 'Purchase guarantees',
+
+      /* --- Compra (checkout.html) --- */
+      'Finalizar compra': 'Checkout',
+      'Tu carrito está vacío': 'Your cart is empty',
+      'Agrega componentes desde el catálogo para continuar con la compra.': 'Add components from the catalog to continue with your purchase.',
+      'Ver productos': 'See products',
+      'Dirección de envío': 'Shipping address',
+      'Todos los campos son obligatorios, salvo los marcados como opcionales.': 'All fields are required except those marked optional.',
+      'Nombre completo': 'Full name',
+      'Cédula o NIT': 'ID number (cédula) or NIT',
+      'Solo números, sin puntos ni guiones': 'Numbers only, without dots or dashes',
+      'Celular': 'Mobile phone',
+      '10 dígitos, por ejemplo 3001234567': '10 digits, for example 3001234567',
+      'Correo electrónico': 'Email',
+      'Te enviaremos la confirmación del pedido': 'We will send you the order confirmation',
+      'Departamento': 'Department',
+      'Selecciona un departamento': 'Select a department',
+      'Ciudad o municipio': 'City or municipality',
+      'Selecciona primero el departamento': 'Select the department first',
+      'La lista se actualiza al elegir el departamento': 'The list updates when you choose the department',
+      'Por ejemplo: Calle 45 # 22-10': 'For example: Calle 45 # 22-10',
+      'Apartamento, oficina o barrio (opcional)': 'Apartment, office or neighbourhood (optional)',
+      'Código postal (opcional)': 'Postal code (optional)',
+      '6 dígitos': '6 digits',
+      'Volver al carrito': 'Back to cart',
+      'Continuar al envío': 'Continue to shipping',
+      'Método de envío': 'Shipping method',
+      'Elige cómo quieres recibir tu pedido': 'Choose how you want to receive your order',
+      'Volver a la dirección': 'Back to address',
+      'Continuar al pago': 'Continue to payment',
+      'Medio de pago': 'Payment method',
+      'Elige el medio de pago': 'Choose the payment method',
+      'Tarjeta de crédito o débito': 'Credit or debit card',
+      'Débito desde tu cuenta de ahorros o corriente': 'Debit from your savings or checking account',
+      'Paga en efectivo en cualquier punto Efecty': 'Pay in cash at any Efecty point',
+      'Datos de la tarjeta': 'Card details',
+      'Número de la tarjeta': 'Card number',
+      '16 dígitos; puedes escribirlos con o sin espacios': '16 digits; with or without spaces',
+      'Nombre en la tarjeta': 'Name on card',
+      'Vencimiento': 'Expiry date',
+      'Mes y año, por ejemplo 08/28': 'Month and year, for example 08/28',
+      'Código de seguridad (CVV)': 'Security code (CVV)',
+      '3 o 4 dígitos al reverso de la tarjeta': '3 or 4 digits on the back of the card',
+      'Datos para el débito PSE': 'PSE debit details',
+      'Tipo de persona': 'Account holder type',
+      'Selecciona una opción': 'Select an option',
+      'Persona natural': 'Individual',
+      'Persona jurídica': 'Company',
+      'Banco': 'Bank',
+      'Selecciona tu banco': 'Select your bank',
+      'Al confirmar el pedido recibirás un código de pago. Tienes 48 horas para pagarlo en cualquier punto Efecty; despachamos cuando se confirme el pago.': 'When you confirm the order you will receive a payment code. You have 48 hours to pay it at any Efecty point; we ship once the payment is confirmed.',
+      'Volver al envío': 'Back to shipping',
+      'Revisar el pedido': 'Review the order',
+      'Revisa tu pedido': 'Review your order',
+      'Verifica los datos antes de pagar. Puedes volver a cualquier paso para corregirlos.': 'Check the details before paying. You can go back to any step to correct them.',
+      'Acepto los': 'I accept the',
+      'términos y condiciones': 'terms and conditions',
+      'y la': 'and the',
+      'política de privacidad': 'privacy policy',
+      'Volver al pago': 'Back to payment',
+      'Pagar': 'Pay',
+      'IVA': 'VAT',
+      'Paso 1: Carrito, completado': 'Step 1: Cart, completed',
+      'Paso 2: Dirección, actual': 'Step 2: Address, current',
+      'Formulario de compra': 'Checkout form',
+      'MM/AA': 'MM/YY',
+      'Productos del pedido': 'Products in the order',
+
+      /* --- Pedidos y listas de deseos --- */
+      'Pedido': 'Order',
+      'Los pedidos hechos desde este navegador, con su estado y el detalle de lo que pagaste.': 'Orders placed from this browser, with their status and the details of what you paid.',
+      'Listas de deseos': 'Wish lists',
+      'Guarda productos para más tarde y organízalos por proyecto, por ejemplo «Proyecto robot» o «Lab universidad».': 'Save products for later and organise them by project, for example “Robot project” or “University lab”.',
+      'Lista activa': 'Active list',
+      'Los botones «Guardar» agregan productos a esta lista.': 'The “Save” buttons add products to this list.',
+      'Nueva lista': 'New list',
+      'Renombrar': 'Rename',
+      'Eliminar lista': 'Delete list',
+    },
+  };
+
+})();
@@ -0,0 +1,72 @@
+/**
+ * mis-pedidos.js
+ * Historial de pedidos (mis-pedidos.html): tabla con número, fecha,
+ * artículos, total y estado, y «Volver a pedir» en cada fila.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const orders = EP.orders;
+  const esc = EP.escapeHTML;
+
+  const root = document.getElementById('orders-root');
+  if (!root || !orders) return;
+
+  // WCAG 1.4.1: el estado se lee en texto, el color solo acompaña
+  const STATUS_CLASS = {
+    pending_payment: 'status-limited',
+    cancelled: 'status-unavailable',
+  };
+
+  function rowHTML(order) {
+    const status = orders.status(order);
+    const number = esc(order.number);
+    return `
+      <tr>
+        <th scope="row"><a href="pedido.html?numero=${encodeURIComponent(order.number)}">${number}</a></th>
+        <td><time datetime="${esc(order.createdAt)}">${esc(orders.formatDate(order.createdAt))}</time></td>
+        <td>${esc(t('cartPage.items', { count: order.totals.itemCount }))}</td>
+        <td>${EP.formatPrice(order.totals.total)}</td>
+        <td><span class="status ${STATUS_CLASS[status] || 'status-available'}">${esc(orders.STATUSES[status].label)}</span></td>
+        <td>
+          <button type="button" class="btn btn-outline btn-reorder" data-order="${number}"
+            aria-label="${esc(t('order.reorderLabel', { number: order.number }))}">${esc(t('order.reorder'))}</button>
+        </td>
+      </tr>`;
+  }
+
+  function render(list) {
+    if (!list.length) {
+      root.innerHTML = `
+        <div class="order-empty">
+          <p>${esc(t('order.none'))}</p>
+          <a href="productos.html" class="btn btn-primary">${esc(t('cartPage.browse'))}</a>
+        </div>`;
+      return;
+    }
+    root.innerHTML = `
+      <div class="table-wrapper">
+        <table class="compare-table orders-table">
+          <caption>${esc(t('order.listCaption', { count: list.length }))}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${esc(t('order.col.order'))}</th>
+              <th scope="col">${esc(t('order.col.date'))}</th>
+              <th scope="col">${esc(t('order.col.items'))}</th>
+              <th scope="col">${esc(t('order.col.total'))}</th>
+              <th scope="col">${esc(t('order.col.status'))}</th>
+              <th scope="col"><span class="visually-hidden">${esc(t('order.col.actions'))}</span></th>
+            </tr>
+          </thead>
+          <tbody>${list.map(rowHTML).join('')}</tbody>
+        </table>
+      </div>`;
+  }
+
+  orders.subscribe(render);
+  render(orders.all());
+
+})();
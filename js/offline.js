@@ -0,0 +1,183 @@
+/**
+ * offline.js
+ * Funcionamiento sin conexión.
+ * - Registra el service worker (sw.js), que guarda la tienda en caché
+ * - Aviso visible mientras no hay conexión; la pérdida y la vuelta de
+ *   la conexión se anuncian en #alert-area (WCAG 4.1.3)
+ * - Cola de acciones hechas sin conexión (clave `ep_offline_queue`):
+ *   cada módulo registra con handle() cómo reenviar las suyas y la
+ *   cola se reproduce, en orden, cuando vuelve la conexión
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_offline_queue';
+
+  /* ============================================================
+     COLA
+     Cada entrada: { id, type, payload, at }. Hoy solo la usan las
+     reseñas escritas sin conexión (js/reviews.js); el carrito vive en
+     este navegador y no necesita reenviarse.
+  ============================================================ */
+  const handlers = {};
+  const listeners = [];
+  let flushing = null;
+
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, []);
+    return Array.isArray(data) ? data.filter(e => e && e.type && e.id) : [];
+  }
+
+  function save(queue) {
+    EP.storage.write(STORAGE_KEY, queue);
+    notify();
+  }
+
+  function notify() {
+    const state = { online: isOnline(), pending: load().length };
+    renderBanner(state);
+    listeners.forEach(fn => fn(state));
+  }
+
+  function isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  function enqueue(type, payload) {
+    const queue = load();
+    queue.push({
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      type,
+      payload,
+      at: new Date().toISOString(),
+    });
+    save(queue);
+  }
+
+  /**
+   * Reenvía la cola en orden. Cada entrada se quita antes de enviarse
+   * (otra pestaña no la repite) y vuelve a su lugar si falla; tras un
+   * fallo se espera a la próxima reconexión.
+   * Devuelve una promesa con { sent, failed }.
+   */
+  function flush() {
+    if (flushing) return flushing;
+    const result = { sent: 0, failed: false };
+
+    function next() {
+      if (!isOnline()) return result;
+      const queue = load();
+      const entry = queue.find(e => handlers[e.type]);
+      if (!entry) return result;
+      save(queue.filter(e => e !== entry));
+      return Promise.resolve()
+        .then(() => handlers[entry.type](entry.payload))
+        .then(() => { result.sent++; notify(); return next(); }, () => {
+          result.failed = true;
+          save([entry].concat(load()));
+          return result;
+        });
+    }
+
+    flushing = Promise.resolve().then(next).then(r => { flushing = null; return r; });
+    return flushing;
+  }
+
+  /* ============================================================
+     AVISO SIN CONEXIÓN
+     El aviso no es una región viva: el cambio se anuncia una sola
+     vez en #alert-area y el texto queda visible mientras dure.
+  ============================================================ */
+  const banner = document.createElement('div');
+  banner.id = 'offline-banner';
+  banner.className = 'offline-banner';
+  banner.hidden = true;
+  banner.innerHTML = `
+    <div class="container offline-banner-inner">
+      <span class="offline-banner-icon" aria-hidden="true">⚠</span>
+      <p class="offline-banner-text"></p>
+    </div>`;
+  const header = EP.$('.site-header');
+  if (header) header.parentNode.insertBefore(banner, header.nextSibling);
+
+  function renderBanner(state) {
+    banner.hidden = state.online;
+    if (state.online) return;
+    EP.$('.offline-banner-text', banner).textContent = t('offline.banner') +
+      (state.pending ? ' ' + t('offline.pending', { count: state.pending }) : '');
+  }
+
+  window.addEventListener('offline', function () {
+    notify();
+    EP.announce(t('offline.lost'), true);
+  });
+
+  window.addEventListener('online', function () {
+    notify();
+    flush().then(result => {
+      let message = t('offline.back');
+      if (result.sent) message += ' ' + t('offline.replayed', { count: result.sent });
+      if (result.failed) message += ' ' + t('offline.failed');
+      EP.announce(message, true);
+    });
+  });
+
+  // La cola cambió en otra pestaña
+  window.addEventListener('storage', function (e) {
+    if (e.key === STORAGE_KEY || e.key === null) notify();
+  });
+
+  // Al cargar: los módulos ya registraron sus handle(); se envía lo
+  // que quedó pendiente de una visita anterior
+  window.addEventListener('load', function () {
+    if (!isOnline()) {
+      notify();
+      EP.announce(t('offline.lost'), true);
+    } else if (load().length) {
+      flush().then(result => {
+        if (result.sent) EP.announce(t('offline.replayed', { count: result.sent }));
+      });
+    }
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register(EP.url('sw.js')).catch(() => {});
+    }
+  });
+
+  /* ============================================================
+     API PÚBLICA — EP.offline
+  ============================================================ */
+  EP.offline = {
+    STORAGE_KEY,
+    isOnline,
+    flush,
+
+    /** Guarda una acción para enviarla cuando vuelva la conexión. */
+    enqueue,
+
+    /** Registra cómo reenviar las acciones de `type`: `fn(payload)` devuelve una promesa. */
+    handle(type, fn) {
+      handlers[type] = fn;
+    },
+
+    /** Acciones que esperan conexión. */
+    pending() {
+      return load();
+    },
+
+    /**
+     * Suscribe `fn({ online, pending })`: se llama al cambiar la conexión
+     * o la cola y tras cada acción enviada. Devuelve la función para desuscribirse.
+     */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+  };
+
+})();
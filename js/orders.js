@@ -0,0 +1,272 @@
+/**
+ * orders.js
+ * Historial de pedidos guardado en el navegador (clave `ep_orders`).
+ * - Cada pedido conserva las líneas con el precio pagado, el cupón, el
+ *   desglose de envío e IVA de pricing.quote() y su línea de tiempo
+ * - reorderCheck() compara un pedido con el catálogo y el stock actuales;
+ *   reorder() vuelve a llenar el carrito con lo que se puede pedir
+ * - No guarda datos de la tarjeta: solo el medio de pago enmascarado
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_orders';
+  const MAX_ORDERS = 50;
+
+  /* ============================================================
+     ESTADOS
+     El flujo depende del pedido: el pago en efectivo pasa por
+     "pendiente de pago" y la recogida en tienda por "listo para recoger".
+  ============================================================ */
+  const STATUSES = {
+    received:        { label: t('orders.status.received') },
+    pending_payment: { label: t('orders.status.pending_payment') },
+    paid:            { label: t('orders.status.paid') },
+    preparing:       { label: t('orders.status.preparing') },
+    shipped:         { label: t('orders.status.shipped') },
+    ready:           { label: t('orders.status.ready') },
+    delivered:       { label: t('orders.status.delivered') },
+    cancelled:       { label: t('orders.status.cancelled') },
+  };
+
+  function flow(order) {
+    return ['received']
+      .concat(order.payment.type === 'cash' ? ['pending_payment'] : [])
+      .concat(['paid', 'preparing', order.totals.shipping.pickup ? 'ready' : 'shipped', 'delivered']);
+  }
+
+  /**
+   * Pasos de la línea de tiempo: [{ status, label, at, note, state }]
+   * con state 'done' | 'current' | 'pending'. Un pedido cancelado
+   * termina en el paso de cancelación.
+   */
+  function timeline(order) {
+    const events = {};
+    order.timeline.forEach(e => { events[e.status] = e; });
+    const last = order.timeline[order.timeline.length - 1].status;
+    const steps = last === 'cancelled'
+      ? order.timeline.map(e => e.status)
+      : flow(order);
+    const currentIndex = steps.indexOf(last);
+    return steps.map((status, i) => ({
+      status,
+      label: STATUSES[status].label,
+      at: events[status] ? events[status].at : null,
+      note: events[status] ? events[status].note || '' : '',
+      state: i < currentIndex ? 'done' : i === currentIndex ? 'current' : 'pending',
+    }));
+  }
+
+  /* ============================================================
+     ESTADO
+  ============================================================ */
+  let orders = load();
+  const listeners = [];
+
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, []);
+    return Array.isArray(data)
+      ? data.filter(o => o && o.number && Array.isArray(o.items) && Array.isArray(o.timeline) && o.timeline.length)
+      : [];
+  }
+
+  function commit() {
+    EP.storage.write(STORAGE_KEY, orders);
+    listeners.forEach(fn => fn(orders.slice()));
+  }
+
+  function find(number) {
+    return orders.find(o => o.number === String(number)) || null;
+  }
+
+  /* ============================================================
+     VOLVER A PEDIR
+     Una revisión por línea: status 'ok' | 'price' (cambió el precio) |
+     'limited' (hay menos stock) | 'unavailable' (agotado) |
+     'discontinued' (ya no está en el catálogo).
+  ============================================================ */
+  function reorderCheck(number) {
+    const order = find(number);
+    if (!order) return [];
+    return order.items.map(line => {
+      const product = EP.catalog.get(line.id);
+      if (!product) return { line, status: 'discontinued', qty: 0 };
+      const inCart = (EP.cart.get(line.id) || { qty: 0 }).qty;
+      const room = Math.max(0, EP.cart.maxFor(line.id) - inCart);
+      const qty = Math.min(line.qty, room);
+      const check = { line, product, qty, price: product.price, priceChanged: product.price !== line.price };
+      if (!qty) check.status = 'unavailable';
+      else if (qty < line.qty) check.status = 'limited';
+      else check.status = check.priceChanged ? 'price' : 'ok';
+      return check;
+    });
+  }
+
+  /** Texto del aviso de una línea revisada ('' si no hay nada que avisar). */
+  function checkMessage(check) {
+    const name = check.line.name;
+    const price = check.priceChanged
+      ? ' ' + t('orders.priceChanged', { from: EP.formatPrice(check.line.price), to: EP.formatPrice(check.price) }) : '';
+    switch (check.status) {
+      case 'discontinued': return t('orders.discontinued', { name });
+      case 'unavailable':  return name + ': ' + EP.cart.limitMessage(check.product) + ' ' + t('bom.notAdded') + price;
+      case 'limited':
+        return name + ': ' + t('orders.limited', { count: check.qty, wanted: check.line.qty }) + price;
+      case 'price':        return name + ':' + price;
+      default:             return '';
+    }
+  }
+
+  /**
+   * Agrega al carrito lo que se pueda del pedido, a precio actual.
+   * Devuelve { added, checks, issues } con `issues` = avisos para el usuario.
+   */
+  function reorder(number) {
+    const checks = reorderCheck(number);
+    let added = 0;
+    checks.forEach(check => {
+      if (!check.qty) return;
+      EP.cart.add(EP.cart.lineFromCatalog(check.product), check.qty);
+      added += check.qty;
+    });
+    return { added, checks, issues: checks.map(checkMessage).filter(Boolean) };
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.orders
+  ============================================================ */
+  const ordersApi = {
+    STORAGE_KEY,
+    STATUSES,
+    timeline,
+    reorderCheck,
+    reorder,
+
+    /** Pedidos, del más reciente al más antiguo. */
+    all() {
+      return orders.slice();
+    },
+
+    get(number) {
+      return find(number);
+    },
+
+    /** Estado actual de un pedido (el último de su línea de tiempo). */
+    status(order) {
+      return order.timeline[order.timeline.length - 1].status;
+    },
+
+    /**
+     * Guarda un pedido recién pagado.
+     * data: { number, reference, approved, items, quote, coupon,
+     *         shipTo, email, payment: { method, type, label, summary, paymentCode?, expiresAt? } }
+     */
+    create(data) {
+      const at = new Date().toISOString();
+      const q = data.quote;
+      const order = {
+        number: data.number,
+        reference: data.reference,
+        createdAt: at,
+        items: data.items.map(i => ({
+          id: String(i.id), sku: i.sku, name: i.name, price: i.price, qty: i.qty, img: i.img, url: i.url,
+        })),
+        coupon: data.coupon ? { code: data.coupon.code, description: EP.coupons.description(data.coupon) } : null,
+        totals: {
+          currency: q.currency,
+          itemCount: q.itemCount,
+          subtotal: q.subtotal,
+          discount: q.discount,
+          shipping: {
+            amount: q.shipping.amount,
+            method: q.shipping.method,
+            methodLabel: q.shipping.methodLabel,
+            zoneLabel: q.shipping.label,
+            days: q.shipping.days,
+            pickup: q.shipping.pickup,
+            weight: q.shipping.weight,
+          },
+          taxes: q.taxes.map(tax => Object.assign({}, tax)),
+          tax: q.tax,
+          exempt: q.exempt,
+          total: q.total,
+        },
+        shipTo: data.shipTo.slice(),
+        email: data.email,
+        payment: Object.assign({}, data.payment),
+        timeline: [{ status: 'received', at }],
+      };
+      order.timeline.push(data.approved
+        ? { status: 'paid', at, note: t('orders.reference', { reference: data.reference }) }
+        : { status: 'pending_payment', at, note: t('orders.paymentCode', { code: data.payment.paymentCode }) });
+      orders = [order].concat(orders.filter(o => o.number !== order.number)).slice(0, MAX_ORDERS);
+      commit();
+      return order;
+    },
+
+    /**
+     * Registra un cambio de estado (lo usaría la integración con la
+     * tienda: pago confirmado, envío, entrega...).
+     */
+    updateStatus(number, status, note) {
+      const order = find(number);
+      if (!order || !STATUSES[status]) return null;
+      order.timeline.push({ status, at: new Date().toISOString(), note: note || '' });
+      commit();
+      return order;
+    },
+
+    /** "12 de octubre de 2026, 3:45 p. m." / "October 12, 2026 at 3:45 PM" */
+    formatDate(iso) {
+      return EP.i18n.formatDate(iso, { dateStyle: 'long', timeStyle: 'short' });
+    },
+
+    /** Suscribe `fn(orders)`; devuelve la función para desuscribirse. */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+  };
+
+  EP.orders = ordersApi;
+
+  /* ============================================================
+     Botones «Volver a pedir» (delegado). El resultado se muestra en
+     un diálogo con los cambios de precio y de stock de cada producto.
+  ============================================================ */
+  document.addEventListener('click', function (e) {
+    const btn = e.target.closest('.btn-reorder[data-order]');
+    if (!btn) return;
+    const result = reorder(btn.dataset.order);
+    const title = result.added
+      ? t('orders.reorder.added', { count: result.added })
+      : t('orders.reorder.none');
+    EP.dialog.open({
+      title,
+      description: t(result.issues.length ? 'orders.reorder.changes' : 'orders.reorder.unchanged',
+        { number: btn.dataset.order }),
+      body: result.issues.length
+        ? '<ul class="reorder-issues" role="list">' +
+          result.issues.map(msg => '<li>' + EP.escapeHTML(msg) + '</li>').join('') + '</ul>'
+        : null,
+      actions: result.added
+        ? [{ label: t('orders.reorder.stay'), value: false }, { label: t('orders.reorder.goCart'), value: true, variant: 'primary' }]
+        : [{ label: t('dialog.close'), value: false }],
+    }).then(go => {
+      if (go) location.href = EP.url('pages/carrito.html');
+    });
+  });
+
+  window.addEventListener('storage', function (e) {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    orders = load();
+    listeners.forEach(fn => fn(orders.slice()));
+  });
+
+})();
@@ -0,0 +1,184 @@
+/**
+ * payments.js
+ * Medios de pago del checkout y adaptador de pasarela.
+ *
+ * El checkout solo habla con EP.payments.charge(); la pasarela real se
+ * conecta con EP.payments.setAdapter(). Por defecto se usa un adaptador
+ * simulado que funciona sin conexión y responde según datos de prueba:
+ *   4111 1111 1111 1111 / 5555 5555 5555 4444 → aprobado
+ *   4000 0000 0000 0002 / 5105 1051 0510 5100 → rechazado
+ *   PSE con "Banco de pruebas (rechaza)"        → rechazado
+ *   Efecty                                      → pendiente, con código de pago
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+
+  const METHODS = {
+    visa:       { label: 'Visa',               type: 'card' },
+    mastercard: { label: 'Mastercard',         type: 'card' },
+    pse:        { label: t('payments.pse'),    type: 'bank' },
+    efecty:     { label: 'Efecty',             type: 'cash' },
+  };
+
+  const BANKS = [
+    'Bancolombia', 'Banco de Bogotá', 'Davivienda', 'BBVA Colombia', 'Banco de Occidente',
+    'Banco Popular', 'Banco AV Villas', 'Scotiabank Colpatria', 'Banco Caja Social',
+    'Nequi', 'Daviplata', 'Banco de pruebas (rechaza)',
+  ];
+
+  /* ============================================================
+     TARJETAS
+  ============================================================ */
+  function digits(value) {
+    return String(value == null ? '' : value).replace(/\D/g, '');
+  }
+
+  function luhn(number) {
+    const n = digits(number);
+    let sum = 0;
+    for (let i = 0; i < n.length; i++) {
+      let d = Number(n[n.length - 1 - i]);
+      if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return n.length > 0 && sum % 10 === 0;
+  }
+
+  /** Franquicia según el prefijo del número. */
+  function cardBrand(number) {
+    const n = digits(number);
+    if (/^4/.test(n)) return 'visa';
+    if (/^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/.test(n)) return 'mastercard';
+    return null;
+  }
+
+  /** "•••• 1111" */
+  function maskCard(number) {
+    return '•••• ' + digits(number).slice(-4);
+  }
+
+  /**
+   * Valida los datos de una tarjeta para la franquicia elegida.
+   * Devuelve { campo: mensaje } con los errores (vacío si todo está bien).
+   */
+  function validateCard(card, brand, now) {
+    const errors = {};
+    const number = digits(card.number);
+
+    if (!number) {
+      errors.number = t('payments.error.number');
+    } else if (number.length !== 16 || !luhn(number)) {
+      errors.number = t('payments.error.numberInvalid');
+    } else if (cardBrand(number) !== brand) {
+      errors.number = METHODS[brand]
+        ? t('payments.error.brand', { brand: METHODS[brand].label })
+        : t('payments.error.brandUnknown');
+    }
+
+    if (!String(card.name || '').trim()) {
+      errors.name = t('payments.error.name');
+    }
+
+    const exp = /^(\d{2})\s*\/\s*(\d{2})$/.exec(String(card.expiry || '').trim());
+    if (!exp) {
+      errors.expiry = t('payments.error.expiry');
+    } else {
+      const month = Number(exp[1]);
+      const year = 2000 + Number(exp[2]);
+      const today = now || new Date();
+      if (month < 1 || month > 12) {
+        errors.expiry = t('payments.error.month');
+      } else if (year < today.getFullYear() ||
+                 (year === today.getFullYear() && month < today.getMonth() + 1)) {
+        errors.expiry = t('payments.error.expired');
+      }
+    }
+
+    if (!/^\d{3,4}$/.test(String(card.cvc || '').trim())) {
+      errors.cvc = t('payments.error.cvc');
+    }
+    return errors;
+  }
+
+  /* ============================================================
+     ADAPTADOR SIMULADO
+     Misma interfaz que una pasarela real: charge(payment) → Promise
+     con { status: 'approved' | 'pending' | 'declined', reference, message }
+  ============================================================ */
+  const DECLINED_CARDS = ['4000000000000002', '5105105105105100'];
+
+  function reference(prefix) {
+    return prefix + '-' + Date.now().toString(36).toUpperCase() +
+      Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0');
+  }
+
+  const mockAdapter = {
+    name: 'simulado',
+    delay: 800,
+
+    charge(payment) {
+      return new Promise(resolve => {
+        setTimeout(() => resolve(mockAdapter.respond(payment)), mockAdapter.delay);
+      });
+    },
+
+    respond(payment) {
+      const method = METHODS[payment.method];
+      if (!method) {
+        return { status: 'declined', message: t('payments.unavailable') };
+      }
+      if (method.type === 'card') {
+        if (DECLINED_CARDS.indexOf(digits(payment.card.number)) !== -1) {
+          return { status: 'declined', message: t('payments.declined.card') };
+        }
+        return { status: 'approved', reference: reference('TX'), message: t('payments.approved.card') };
+      }
+      if (method.type === 'bank') {
+        if (/rechaza/i.test(payment.bank)) {
+          return { status: 'declined', message: t('payments.declined.bank') };
+        }
+        return { status: 'approved', reference: reference('PSE'), message: t('payments.approved.bank') };
+      }
+      // Efecty: el pedido queda pendiente hasta que se paga en un punto físico
+      const expires = new Date(Date.now() + 48 * 3600 * 1000);
+      return {
+        status: 'pending',
+        reference: reference('EF'),
+        paymentCode: String(Math.floor(10000000 + Math.random() * 90000000)),
+        expiresAt: expires.toISOString(),
+        message: t('payments.pending.cash'),
+      };
+    },
+  };
+
+  let adapter = mockAdapter;
+
+  /* ============================================================
+     API PÚBLICA — EP.payments
+  ============================================================ */
+  EP.payments = {
+    METHODS,
+    BANKS,
+    luhn,
+    cardBrand,
+    maskCard,
+    validateCard,
+    mockAdapter,
+
+    setAdapter(next) {
+      adapter = next || mockAdapter;
+    },
+
+    /** payment: { method, amount, currency, card?, bank?, personType? } */
+    charge(payment) {
+      return Promise.resolve()
+        .then(() => adapter.charge(payment))
+        .catch(() => ({ status: 'declined', message: t('payments.unreachable') }));
+    },
+  };
+
+})();
@@ -0,0 +1,213 @@
+/**
+ * pedido.js
+ * Detalle de un pedido (pedido.html?numero=EP-…). Con `&nuevo=1` es
+ * además la confirmación que se ve al terminar el checkout.
+ * - Precios, cupón, envío e IVA tal como se pagaron (EP.orders)
+ * - Línea de tiempo del estado con aria-current="step"
+ * - «Volver a pedir» (delegado en js/orders.js)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const orders = EP.orders;
+  const esc = EP.escapeHTML;
+  const formatPrice = EP.formatPrice;
+
+  const root = document.getElementById('order-root');
+  if (!root || !orders) return;
+
+  const title = document.getElementById('order-title');
+  const crumb = document.getElementById('order-crumb');
+  const params = new URLSearchParams(location.search);
+  const number = params.get('numero') || '';
+  const isNew = params.get('nuevo') === '1';
+  const BASE_TITLE = 'ElectroParts';
+
+  // ============================================================
+  // Secciones
+  // ============================================================
+  function confirmationHTML(order) {
+    const p = order.payment;
+    if (orders.status(order) === 'pending_payment') {
+      return `
+        <div class="order-confirmation">
+          <p>${t('order.number', { number: `<strong>${esc(order.number)}</strong>` })}</p>
+          <p>${esc(t('order.cashHint'))}</p>
+          <p class="payment-code" aria-label="${esc(t('orders.paymentCode', { code: p.paymentCode.split('').join(' ') }))}">${esc(p.paymentCode)}</p>
+          <p>${t('order.amountDue', { price: `<strong>${formatPrice(order.totals.total)}</strong>` })}</p>
+          <p>${esc(t('order.deadline', { date: orders.formatDate(p.expiresAt) }))}</p>
+          <p>${t('order.emailed', { email: `<strong>${esc(order.email)}</strong>` })}</p>
+        </div>`;
+    }
+    return `
+      <div class="order-confirmation">
+        <p>${t('order.number', { number: `<strong>${esc(order.number)}</strong>` })}</p>
+        <p>${esc(t('order.approved', { price: formatPrice(order.totals.total), reference: order.reference }))}</p>
+        <p>${t('order.emailed', { email: `<strong>${esc(order.email)}</strong>` })}</p>
+      </div>`;
+  }
+
+  // WCAG 1.3.1: lista ordenada; el paso actual lleva aria-current="step"
+  function timelineHTML(order) {
+    return `
+      <ol class="order-timeline" role="list">
+        ${orders.timeline(order).map(step => `
+          <li class="order-step order-step-${step.state}"${step.state === 'current' ? ' aria-current="step"' : ''}>
+            <span class="order-step-marker" aria-hidden="true">${step.state === 'done' ? '✔' : step.state === 'current' ? '●' : '○'}</span>
+            <span class="order-step-label">${esc(step.label)}
+              ${step.state === 'pending' ? `<span class="visually-hidden">(${esc(t('checkout.state.pending'))})</span>` : ''}</span>
+            ${step.at ? `<time class="order-step-date" datetime="${esc(step.at)}">${esc(orders.formatDate(step.at))}</time>` : ''}
+            ${step.note ? `<span class="order-step-note">${esc(step.note)}</span>` : ''}
+          </li>`).join('')}
+      </ol>`;
+  }
+
+  function itemsHTML(order) {
+    return `
+      <div class="table-wrapper">
+        <table class="compare-table order-items">
+          <caption>${esc(t('order.itemsCaption', { count: order.totals.itemCount }))}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${esc(t('order.col.product'))}</th>
+              <th scope="col">${esc(t('order.col.sku'))}</th>
+              <th scope="col">${esc(t('order.col.price'))}</th>
+              <th scope="col">${esc(t('order.col.qty'))}</th>
+              <th scope="col">${esc(t('order.col.subtotal'))}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${order.items.map(i => `
+              <tr>
+                <th scope="row"${EP.i18n.dataLang()}>${EP.catalog.get(i.id)
+                  ? `<a href="${esc(EP.catalog.detailUrl(i.id))}">${esc(i.name)}</a>` : esc(i.name)}</th>
+                <td>${esc(i.sku || '—')}</td>
+                <td>${formatPrice(i.price)}</td>
+                <td>${i.qty}</td>
+                <td>${formatPrice(i.price * i.qty)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  function totalsHTML(order) {
+    const totals = order.totals;
+    const ship = totals.shipping;
+    const taxes = totals.taxes.filter(x => x.rate > 0);
+    const taxLabel = EP.pricing.taxLabel();
+    return `
+      <dl class="summary-totals order-totals" aria-label="${esc(t('order.breakdown'))}">
+        <dt class="summary-term">${esc(t('order.subtotal'))}</dt>
+        <dd class="summary-value">${formatPrice(totals.subtotal)}</dd>
+        ${totals.discount ? `
+          <dt class="summary-term">${esc(order.coupon ? t('cartPage.discountCode', { code: order.coupon.code }) : t('cartPage.discount'))}</dt>
+          <dd class="summary-value order-discount">−${formatPrice(totals.discount)}</dd>` : ''}
+        <dt class="summary-term">${esc(ship.methodLabel)}${ship.zoneLabel ? ' — ' + esc(ship.zoneLabel) : ''}</dt>
+        <dd class="summary-value">${ship.pickup ? esc(t('checkout.noCost')) : ship.amount === 0 ? '✔ ' + esc(t('cartPage.free')) : formatPrice(ship.amount)}</dd>
+        ${taxes.map(x => `
+          <dt class="summary-term">${esc(t('order.taxOn', { tax: taxLabel, rate: EP.pricing.formatRate(x.rate), base: formatPrice(x.base) }))}</dt>
+          <dd class="summary-value">${formatPrice(x.amount)}</dd>`).join('')}
+        ${totals.exempt ? `
+          <dt class="summary-term">${esc(t('order.exempt', { tax: taxLabel }))}</dt>
+          <dd class="summary-value">${formatPrice(totals.exempt)}</dd>` : ''}
+        <div class="summary-total-row">
+          <dt class="summary-total-label">${esc(t('order.totalPaid'))}</dt>
+          <dd class="summary-total-value">${formatPrice(totals.total)}</dd>
+        </div>
+      </dl>
+      ${order.coupon && order.coupon.description
+        ? `<p class="summary-hint">${esc(t('order.coupon', { code: order.coupon.code, description: order.coupon.description }))}</p>` : ''}`;
+  }
+
+  function deliveryHTML(order) {
+    const ship = order.totals.shipping;
+    return `
+      <dl class="order-facts">
+        <div>
+          <dt>${esc(t(ship.pickup ? 'order.pickupBy' : 'order.shipTo'))}</dt>
+          <dd>${order.shipTo.map(esc).join('<br />')}</dd>
+        </div>
+        <div>
+          <dt>${esc(t('order.eta'))}</dt>
+          <dd>${ship.days ? esc(ship.days) : '—'}</dd>
+        </div>
+        <div>
+          <dt>${esc(t('order.email'))}</dt>
+          <dd>${esc(order.email)}</dd>
+        </div>
+        <div>
+          <dt>${esc(t('checkout.review.payment'))}</dt>
+          <dd>${esc(order.payment.summary || order.payment.label)}</dd>
+        </div>
+      </dl>`;
+  }
+
+  // ============================================================
+  // Render
+  // ============================================================
+  function render() {
+    const order = orders.get(number);
+    if (!order) {
+      title.textContent = t('order.notFound');
+      document.title = t('order.notFoundTitle') + ' — ' + BASE_TITLE;
+      root.innerHTML = `
+        <div class="order-empty">
+          <p>${esc(number ? t('order.notInHistory', { number }) : t('order.noNumber'))}</p>
+          <a href="mis-pedidos.html" class="btn btn-primary">${esc(t('order.seeOrders'))}</a>
+        </div>`;
+      return;
+    }
+
+    const pending = orders.status(order) === 'pending_payment';
+    const heading = t('order.heading', { number: order.number });
+    title.textContent = !isNew ? heading
+      : t(pending ? 'order.placedUnpaid' : 'order.thanks');
+    crumb.textContent = heading;
+    document.title = (isNew ? t(pending ? 'order.placedTitle' : 'order.confirmedTitle') : heading) +
+      ' — ' + BASE_TITLE;
+
+    root.innerHTML = `
+      ${isNew ? confirmationHTML(order) : `
+        <p class="order-meta">${t('order.placedOn', { date: `<time datetime="${esc(order.createdAt)}">${esc(orders.formatDate(order.createdAt))}</time>` })}</p>`}
+
+      <section class="order-card" aria-labelledby="order-status-title">
+        <h2 id="order-status-title" class="order-card-title">${esc(t('order.status', { label: orders.STATUSES[orders.status(order)].label }))}</h2>
+        ${timelineHTML(order)}
+      </section>
+
+      <section class="order-card" aria-labelledby="order-items-title">
+        <h2 id="order-items-title" class="order-card-title">${esc(t('checkout.review.products'))}</h2>
+        ${itemsHTML(order)}
+      </section>
+
+      <div class="order-columns">
+        <section class="order-card" aria-labelledby="order-totals-title">
+          <h2 id="order-totals-title" class="order-card-title">${esc(t('order.paymentSummary'))}</h2>
+          ${totalsHTML(order)}
+        </section>
+        <section class="order-card" aria-labelledby="order-delivery-title">
+          <h2 id="order-delivery-title" class="order-card-title">${esc(t('order.delivery'))}</h2>
+          ${deliveryHTML(order)}
+        </section>
+      </div>
+
+      <div class="order-actions">
+        <button type="button" class="btn btn-primary btn-reorder" data-order="${esc(order.number)}"
+          aria-describedby="order-reorder-hint">${esc(t('order.reorder'))}</button>
+        <a href="mis-pedidos.html" class="btn btn-outline">${esc(t('order.allOrders'))}</a>
+        ${isNew ? `<a href="productos.html" class="btn btn-outline">${esc(t('order.keepShopping'))}</a>` : ''}
+        <p id="order-reorder-hint" class="order-hint">${esc(t('order.reorderHint'))}</p>
+      </div>`;
+  }
+
+  // Otra pestaña puede registrar un cambio de estado
+  orders.subscribe(render);
+  render();
+  // WCAG 2.4.3: al llegar desde el checkout el foco va al título
+  title.focus();
+
+})();
@@ -0,0 +1,280 @@
+/**
+ * pricing.js
+ * Cálculo del total de un pedido: descuento, IVA por categoría,
+ * envío por destino y peso, y política de redondeo.
+ *
+ * quote() es una función pura: recibe las líneas y las opciones y
+ * devuelve un desglose; no lee el DOM ni localStorage. El carrito y el
+ * checkout pintan sus resúmenes a partir de ese desglose.
+ *
+ * Las etiquetas de CONFIG (IVA, zonas, métodos, plazos) son claves del
+ * catálogo de mensajes; shippingFor() y shippingMethods() las devuelven
+ * ya traducidas al idioma actual.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+
+  /* ============================================================
+     CONFIGURACIÓN
+  ============================================================ */
+  const CONFIG = {
+    currency: 'COP',
+
+    // Redondeo: los importes se calculan sin redondear y cada componente
+    // del desglose (descuento, envío, cada tasa de IVA) se redondea una
+    // sola vez al múltiplo de `unit`. El total es la suma de componentes
+    // ya redondeados, así el resumen siempre cuadra.
+    rounding: { unit: 1 },
+
+    tax: {
+      label: 'pricing.tax',
+      defaultRate: 0.19,
+      // Tarifa por categoría; 0 = exento
+      categories: {
+        microcontroladores: 0,
+      },
+      // El envío se grava con la tarifa general
+      shippingRate: 0.19,
+    },
+
+    shipping: {
+      defaultZone: 'local',
+      defaultMethod: 'standard',
+      // Cada tarifa cubre el primer kilo; cada kilo adicional (o fracción) suma `perKg`
+      baseWeight: 1000,
+      zones: {
+        local:    { label: 'pricing.zone.local',    base: 8000,  perKg: 1500, freeFrom: 50000 },
+        nacional: { label: 'pricing.zone.nacional', base: 12000, perKg: 2500, freeFrom: 80000 },
+        remota:   { label: 'pricing.zone.remota',   base: 25000, perKg: 5000, freeFrom: null },
+      },
+      // Métodos de envío: tarifa de la zona más `surcharge`; `zones` limita
+      // dónde se ofrece y `pickup` no cobra envío
+      methods: {
+        standard: {
+          label: 'pricing.method.standard',
+          surcharge: 0,
+          freeShipping: true,
+          days: { local: 'pricing.days.oneToTwo', nacional: 'pricing.days.threeToFive', remota: 'pricing.days.sixToTen' },
+        },
+        express: {
+          label: 'pricing.method.express',
+          surcharge: 9000,
+          freeShipping: false,
+          zones: ['local', 'nacional'],
+          days: { local: 'pricing.days.sameDay', nacional: 'pricing.days.oneToTwo' },
+        },
+        pickup: {
+          label: 'pricing.method.pickup',
+          pickup: true,
+          days: 'pricing.days.pickup',
+        },
+      },
+    },
+  };
+
+  /* ============================================================
+     REDONDEO
+  ============================================================ */
+  function round(amount, config) {
+    const unit = (config || CONFIG).rounding.unit;
+    return Math.round(amount / unit) * unit;
+  }
+
+  /* ============================================================
+     IVA
+  ============================================================ */
+  function taxRateFor(category, config) {
+    const rates = (config || CONFIG).tax.categories;
+    return category in rates ? rates[category] : (config || CONFIG).tax.defaultRate;
+  }
+
+  /* ============================================================
+     ENVÍO
+  ============================================================ */
+  function methodAvailable(method, zoneKey) {
+    return !method.zones || method.zones.indexOf(zoneKey) !== -1;
+  }
+
+  /** Plazo de entrega de un método en una zona, ya traducido. */
+  function daysText(method, zoneKey) {
+    return t(typeof method.days === 'string' ? method.days : method.days[zoneKey]);
+  }
+
+  /** Métodos de envío ofrecidos para una zona: [{ key, label, days }]. */
+  function shippingMethods(zoneKey, config) {
+    const c = (config || CONFIG).shipping;
+    const zone = c.zones[zoneKey] ? zoneKey : c.defaultZone;
+    return Object.keys(c.methods)
+      .filter(key => methodAvailable(c.methods[key], zone))
+      .map(key => {
+        const m = c.methods[key];
+        return { key, label: t(m.label), days: daysText(m, zone) };
+      });
+  }
+
+  function shippingFor(merchandise, weight, zoneKey, config, methodKey) {
+    const c = (config || CONFIG).shipping;
+    const key = c.zones[zoneKey] ? zoneKey : c.defaultZone;
+    const zone = c.zones[key];
+    const mKey = c.methods[methodKey] && methodAvailable(c.methods[methodKey], key)
+      ? methodKey : c.defaultMethod;
+    const method = c.methods[mKey];
+
+    const extraKg = Math.max(0, Math.ceil((weight - c.baseWeight) / 1000));
+    const cost = method.pickup ? 0 : zone.base + extraKg * zone.perKg + method.surcharge;
+    const offersFree = !method.pickup && method.freeShipping && zone.freeFrom !== null;
+    const free = offersFree && merchandise >= zone.freeFrom;
+    return {
+      zone: key,
+      label: t(zone.label),
+      method: mKey,
+      methodLabel: t(method.label),
+      days: daysText(method, key),
+      pickup: !!method.pickup,
+      weight,
+      cost,
+      free,
+      freeFrom: offersFree ? zone.freeFrom : null,
+      // Cuánto falta para el envío gratis (null si no aplica)
+      remainingForFree: offersFree ? Math.max(0, zone.freeFrom - merchandise) : null,
+    };
+  }
+
+  /* ============================================================
+     COTIZACIÓN
+     lines: [{ id, price, qty, category, weight }]
+     options.coupon      — cupón aplicado (ver js/coupons.js)
+     options.destination — zona de envío ('local' | 'nacional' | 'remota')
+     options.method      — método de envío ('standard' | 'express' | 'pickup')
+  ============================================================ */
+  function quote(lines, options) {
+    const o = options || {};
+    const config = o.config || CONFIG;
+
+    const detail = lines.map(l => ({
+      id: l.id,
+      qty: l.qty,
+      price: l.price,
+      category: l.category,
+      subtotal: l.price * l.qty,
+      weight: (l.weight || 0) * l.qty,
+      taxRate: taxRateFor(l.category, config),
+      discount: 0,
+    }));
+
+    const subtotal = detail.reduce((sum, l) => sum + l.subtotal, 0);
+    const weight   = detail.reduce((sum, l) => sum + l.weight, 0);
+
+    // Descuento repartido entre las líneas elegibles, en proporción a su
+    // subtotal, para calcular la base gravable de cada tarifa de IVA
+    const coupon = o.coupon && EP.coupons ? o.coupon : null;
+    let discountRaw = 0;
+    if (coupon) {
+      discountRaw = EP.coupons.discount(coupon, lines);
+      const eligible = EP.coupons.eligibleItems(coupon, lines).map(l => l.id);
+      const base = detail.filter(l => eligible.indexOf(l.id) !== -1)
+        .reduce((sum, l) => sum + l.subtotal, 0);
+      detail.forEach(l => {
+        if (base && eligible.indexOf(l.id) !== -1) l.discount = discountRaw * l.subtotal / base;
+      });
+    }
+    const discount = round(discountRaw, config);
+    const merchandise = subtotal - discount;
+
+    const shippingInfo = shippingFor(merchandise, weight, o.destination, config, o.method);
+    if (!lines.length) Object.assign(shippingInfo, { cost: 0, free: true, remainingForFree: null });
+    const shipping = shippingInfo.free ? 0 : round(shippingInfo.cost, config);
+
+    // Bases gravables agrupadas por tarifa
+    const groups = {};
+    detail.forEach(l => {
+      const key = String(l.taxRate);
+      groups[key] = groups[key] || { rate: l.taxRate, base: 0 };
+      groups[key].base += l.subtotal - l.discount;
+    });
+    if (shipping) {
+      const key = String(config.tax.shippingRate);
+      groups[key] = groups[key] || { rate: config.tax.shippingRate, base: 0 };
+      groups[key].base += shipping;
+    }
+    const taxes = Object.keys(groups)
+      .map(k => groups[k])
+      .sort((a, b) => b.rate - a.rate)
+      .map(g => ({ rate: g.rate, base: round(g.base, config), amount: round(g.base * g.rate, config) }));
+
+    const tax = taxes.reduce((sum, t) => sum + t.amount, 0);
+
+    return {
+      currency: config.currency,
+      lines: detail,
+      itemCount: detail.reduce((n, l) => n + l.qty, 0),
+      subtotal: round(subtotal, config),
+      coupon: coupon ? coupon.code : null,
+      discount,
+      shipping: Object.assign(shippingInfo, { amount: shipping }),
+      taxes,
+      tax,
+      exempt: taxes.filter(t => t.rate === 0).reduce((sum, t) => sum + t.base, 0),
+      total: round(subtotal, config) - discount + shipping + tax,
+    };
+  }
+
+  /** Líneas para quote() a partir de los artículos del carrito. */
+  function linesFromCart(items) {
+    return items.map(i => {
+      const product = EP.catalog && EP.catalog.get(i.id);
+      return {
+        id: i.id,
+        price: i.price,
+        qty: i.qty,
+        category: product ? product.category : null,
+        weight: product ? product.weight || 0 : 0,
+      };
+    });
+  }
+
+  /** "19%" / "5,5%" (con el separador decimal del idioma) */
+  function formatRate(rate) {
+    return EP.i18n.formatNumber(Math.round(rate * 1000) / 10) + '%';
+  }
+
+  /** "19% y 5%" / "19% and 5%" */
+  function formatRates(rates) {
+    const list = new Intl.ListFormat(EP.i18n.tag(), { type: 'conjunction' });
+    return list.format(rates.map(formatRate));
+  }
+
+  /** Nombre del impuesto en el idioma actual ("IVA" / "VAT"). */
+  function taxLabel(config) {
+    return t((config || CONFIG).tax.label);
+  }
+
+  /** "1,2 kg" / "350 g" */
+  function formatWeight(grams) {
+    return grams >= 1000
+      ? EP.i18n.formatNumber(Math.round(grams / 100) / 10) + ' kg'
+      : EP.i18n.formatNumber(grams) + ' g';
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.pricing
+  ============================================================ */
+  EP.pricing = {
+    CONFIG,
+    quote,
+    linesFromCart,
+    taxRateFor,
+    shippingFor,
+    shippingMethods,
+    round,
+    formatRate,
+    formatRates,
+    formatWeight,
+    taxLabel,
+  };
+
+})();
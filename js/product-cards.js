@@ -0,0 +1,220 @@
+/**
+ * product-cards.js
+ * Plantillas de tarjetas de producto generadas desde EP.catalog.
+ * Pinta automáticamente las listas marcadas con `data-catalog`:
+ *   featured  — productos destacados (index)
+ *   offers    — ofertas de la semana (index)
+ *   all       — catálogo completo (productos)
+ *   related   — relacionados con `data-product-id` (detalle)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const esc = EP.escapeHTML;
+  const t = EP.i18n.t;
+  // Nombres e imágenes vienen del catálogo, en español (WCAG 3.1.2)
+  const dataLang = EP.i18n.dataLang();
+
+  const BADGES = {
+    new:     { cls: 'badge-new',     text: t('cards.badge.new'),     label: t('cards.badge.newLabel') },
+    sale:    { cls: 'badge-sale',    text: t('cards.badge.sale'),    label: t('cards.badge.saleLabel') },
+    popular: { cls: 'badge-popular', text: t('cards.badge.popular'), label: t('cards.badge.popularLabel') },
+  };
+
+  // WCAG 1.4.1 — cada estado de stock lleva símbolo y texto, no solo color
+  const STOCK = {
+    in_stock:     { cls: 'status-available',   symbol: '●' },
+    low_stock:    { cls: 'status-limited',     symbol: '◐' },
+    out_of_stock: { cls: 'status-unavailable', symbol: '○' },
+  };
+
+  /* ============================================================
+     FRAGMENTOS
+  ============================================================ */
+  function stars(rating) {
+    const full = Math.floor(rating);
+    const half = rating - full >= 0.5;
+    return '★'.repeat(full) + (half ? '½' : '') + '☆'.repeat(5 - full - (half ? 1 : 0));
+  }
+
+  function discountPct(p) {
+    return p.oldPrice ? Math.round((1 - p.price / p.oldPrice) * 100) : 0;
+  }
+
+  // WCAG 1.3.1 — calificación como imagen con texto alternativo
+  function ratingHTML(p) {
+    return `
+      <div class="product-rating" role="img" aria-label="${esc(t('cards.rating', { rating: EP.i18n.formatNumber(p.rating), count: p.reviewCount }))}">
+        <span class="stars" aria-hidden="true">${stars(p.rating)}</span>
+        <span class="rating-count">(${p.reviewCount})</span>
+      </div>`;
+  }
+
+  function priceHTML(p) {
+    const price = EP.formatPrice(p.price);
+    const old   = p.oldPrice ? EP.formatPrice(p.oldPrice) : '';
+    return `
+      <div class="product-price-group">
+        <span class="product-price" aria-label="${esc(t('cards.price', { price }))}">${price}</span>
+        ${old ? `<span class="product-price-old"><del aria-label="${esc(t('cards.oldPrice', { price: old }))}">${old}</del></span>` : ''}
+      </div>`;
+  }
+
+  /** "Últimas unidades: quedan 9" — texto de disponibilidad de un producto. */
+  function stockText(p) {
+    const status = catalog.stockStatus(p);
+    const label = catalog.STOCK_LABELS[status];
+    return status === 'low_stock' ? t('cards.lowStock', { label, count: p.stock }) : label;
+  }
+
+  function stockHTML(p, cls) {
+    const s = STOCK[catalog.stockStatus(p)];
+    return `<span class="status ${s.cls}${cls ? ' ' + cls : ''}"><span aria-hidden="true">${s.symbol}</span> ${esc(stockText(p))}</span>`;
+  }
+
+  // Los productos agotados muestran el botón deshabilitado con el motivo
+  function addButtonHTML(p) {
+    if (catalog.stockStatus(p) === 'out_of_stock') {
+      return `
+            <button class="btn btn-primary btn-add-cart" disabled
+              aria-label="${esc(t('cards.soldOutLabel', { name: p.name }))}"
+              data-product-id="${p.id}">
+              ${esc(catalog.STOCK_LABELS.out_of_stock)}
+            </button>`;
+    }
+    return `
+            <button class="btn btn-primary btn-add-cart"
+              aria-label="${esc(t('cards.addLabel', { name: p.name }))}"
+              data-product-id="${p.id}">
+              ${esc(t('cards.add'))}
+            </button>`;
+  }
+
+  // WCAG 4.1.2: botón de alternancia con aria-pressed (ver js/compare.js)
+  function compareButtonHTML(p) {
+    if (!EP.compare) return '';
+    return `
+            <button type="button" class="btn-compare" data-compare-id="${p.id}"
+              aria-pressed="${EP.compare.has(p.id)}">
+              <span aria-hidden="true">⇄</span> ${esc(t('cards.compare'))}<span class="visually-hidden"${dataLang}> ${esc(p.name)}</span>
+            </button>`;
+  }
+
+  // WCAG 4.1.2: alternancia con aria-pressed (ver js/wishlist.js)
+  function saveButtonHTML(p, cls) {
+    if (!EP.wishlist) return '';
+    return `
+            <button type="button" class="btn-save${cls ? ' ' + cls : ''}" data-save-id="${p.id}"
+              aria-pressed="${EP.wishlist.has(p.id)}">
+              ${esc(t('cards.save'))}<span class="visually-hidden"> ${EP.i18n.html('cards.saveHidden', null, { name: p.name })}</span>
+            </button>`;
+  }
+
+  /* ============================================================
+     TARJETA DE PRODUCTO
+     opts.heading  — 'h2' | 'h3'
+     opts.nameId   — id del nombre (referenciado por aria-labelledby)
+     opts.rating   — mostrar calificación (por defecto true)
+  ============================================================ */
+  function productCard(p, opts) {
+    const o = Object.assign({ heading: 'h3', rating: true }, opts);
+    const nameId = o.nameId || ('prod-name-' + p.id);
+    const img    = p.images[0];
+    const badge  = BADGES[p.badge];
+    const H      = o.heading;
+
+    return `
+      <li class="product-card" aria-labelledby="${nameId}" data-product-id="${p.id}">
+        <article>
+          <div class="product-img-wrapper">
+            <!-- WCAG 1.1.1 alt descriptivo -->
+            <img src="${esc(EP.url(img.src))}" alt="${esc(img.alt)}"${dataLang}
+              width="300" height="200" loading="lazy" class="product-img" />
+            ${badge ? `<span class="badge ${badge.cls}" aria-label="${badge.label}">${badge.text}</span>` : ''}
+          </div>
+          <div class="product-info">
+            <p class="product-category">${esc(catalog.categoryLabel(p.category))}</p>
+            <${H} id="${nameId}" class="product-name"${dataLang}>
+              <a href="${esc(catalog.detailUrl(p.id))}">${esc(p.name)}</a>
+            </${H}>
+            ${o.rating ? ratingHTML(p) : ''}
+            ${priceHTML(p)}
+            ${stockHTML(p, 'product-stock')}
+            ${addButtonHTML(p)}
+            ${compareButtonHTML(p)}
+            ${saveButtonHTML(p)}
+          </div>
+        </article>
+      </li>`;
+  }
+
+  /* ============================================================
+     TARJETA DE OFERTA
+  ============================================================ */
+  function offerCard(p, nameId) {
+    const img = p.images[0];
+    const pct = discountPct(p);
+    const price = EP.formatPrice(p.price);
+    const old   = EP.formatPrice(p.oldPrice || p.price);
+    return `
+      <li class="offer-card" aria-labelledby="${nameId}" data-product-id="${p.id}">
+        <article>
+          <img src="${esc(EP.url(img.src))}" alt="${esc(img.alt)}"${dataLang}
+            width="300" height="180" loading="lazy" class="offer-img" />
+          <div class="offer-info">
+            <h3 id="${nameId}" class="offer-name"${dataLang}>${esc(p.name)}</h3>
+            <div class="offer-price-group">
+              ${pct ? `<span class="offer-discount" aria-label="${esc(t('cards.discount', { pct }))}">−${pct}%</span>` : ''}
+              <span class="offer-price" aria-label="${esc(t('cards.offerPrice', { price }))}">${price}</span>
+              ${p.oldPrice ? `<del class="offer-original" aria-label="${esc(t('cards.oldPrice', { price: old }))}">${old}</del>` : ''}
+            </div>
+            <a href="${esc(catalog.detailUrl(p.id))}" class="btn btn-primary" aria-label="${esc(t('cards.buyLabel', { name: p.name }))}">${esc(t('cards.buy'))}</a>
+          </div>
+        </article>
+      </li>`;
+  }
+
+  /* ============================================================
+     LISTAS AUTOMÁTICAS
+  ============================================================ */
+  const LISTS = {
+    featured(el) {
+      return catalog.all().filter(p => p.featured)
+        .map(p => productCard(p, { heading: 'h3', nameId: 'prod-name-' + p.id }));
+    },
+    offers(el) {
+      return catalog.all().filter(p => p.offer)
+        .map((p, i) => offerCard(p, 'offer-name-' + (i + 1)));
+    },
+    all(el) {
+      return catalog.all()
+        .map(p => productCard(p, { heading: 'h2', nameId: 'p' + p.id + '-name' }));
+    },
+    related(el) {
+      return catalog.related(el.dataset.productId, 3)
+        .map((p, i) => productCard(p, { heading: 'h3', nameId: 'rel' + (i + 1) + '-name', rating: false }));
+    },
+  };
+
+  function renderList(el) {
+    const build = LISTS[el.dataset.catalog];
+    if (build) el.innerHTML = build(el).join('');
+  }
+
+  EP.productCards = {
+    stars,
+    discountPct,
+    stockText,
+    stockHTML,
+    saveButtonHTML,
+    productCard,
+    offerCard,
+    renderList,
+  };
+
+  EP.$$('[data-catalog]').forEach(renderList);
+
+})();
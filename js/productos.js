@@ -0,0 +1,385 @@
+/**
+ * productos.js
+ * Página de catálogo: filtros por facetas en vivo, etiquetas de
+ * filtros activos, conteos por opción, paginación y estado en la URL
+ * (p. ej. productos.html?cat=resistencias&stock=in_stock&sort=price_asc
+ * o productos.html?res=4k7&power=1/4).
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const filters = EP.filters;
+  const t = EP.i18n.t;
+
+  const form       = document.getElementById('filters-form');
+  const list       = document.getElementById('products-list');
+  const countEl    = document.getElementById('results-count');
+  const activeEl   = document.getElementById('active-filters');
+  const pagination = document.getElementById('pagination');
+  const sortSelect = document.getElementById('sort-select');
+  if (!form || !list) return;
+
+  const PAGE_SIZE = 12;
+  const CLOSE_ICON = `
+    <svg aria-hidden="true" focusable="false" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+      <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>`;
+
+  let params = new URLSearchParams(location.search);
+
+  // ============================================================
+  // Ordenamiento: comparadores por valor de #sort-select.
+  // Los empates se resuelven por el orden del catálogo (estable).
+  // `scores` trae la puntuación de búsqueda cuando hay ?q=.
+  // ============================================================
+  const SORTS = {
+    relevance:  { label: t('products.sort.relevance'),  compare: (a, b, scores) => scores ? scores.get(b.id) - scores.get(a.id) : 0 },
+    price_asc:  { label: t('products.sort.price_asc'),  compare: (a, b) => a.price - b.price },
+    price_desc: { label: t('products.sort.price_desc'), compare: (a, b) => b.price - a.price },
+    rating:     { label: t('products.sort.rating'),     compare: (a, b) => b.rating - a.rating || b.reviewCount - a.reviewCount },
+    newest:     { label: t('products.sort.newest'),     compare: (a, b) => b.addedAt.localeCompare(a.addedAt) },
+  };
+  const DEFAULT_SORT = 'relevance';
+
+  function currentSort() {
+    const key = params.get('sort');
+    return SORTS[key] ? key : DEFAULT_SORT;
+  }
+
+  function sortProducts(products, key, query) {
+    const compare = SORTS[key].compare;
+    const scores = query ? new Map(products.map(p => [p.id, EP.search.score(p, query)])) : null;
+    return products
+      .map((p, index) => ({ p, index }))
+      .sort((a, b) => compare(a.p, b.p, scores) || a.index - b.index)
+      .map(entry => entry.p);
+  }
+
+  // ============================================================
+  // Formulario ⇄ parámetros
+  // ============================================================
+  function syncForm() {
+    Array.from(form.elements).forEach(el => {
+      if (!el.name || !filters.facetForParam(el.name)) return;
+      if (el.type === 'checkbox') {
+        el.checked = params.getAll(el.name).indexOf(el.value) !== -1;
+      } else {
+        el.value = params.get(el.name) || '';
+      }
+    });
+    if (sortSelect) sortSelect.value = currentSort();
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = params.get('q') || '';
+    checkSpecInputs();
+  }
+
+  function readForm() {
+    checkSpecInputs();
+    filters.ownParams().forEach(name => params.delete(name));
+    new FormData(form).forEach((value, name) => {
+      if (value !== '' && filters.facetForParam(name)) params.append(name, value);
+    });
+    params.delete('page');
+  }
+
+  // WCAG 3.3.1 — Un valor con unidad que no se entiende ("10 kilos")
+  // se marca en su campo y no filtra
+  function checkSpecInputs() {
+    EP.$$('input[data-dim]', form).forEach(input => {
+      const errorId = input.id + '-error';
+      const describedBy = (input.getAttribute('aria-describedby') || '').split(' ')
+        .filter(id => id && id !== errorId);
+      let error = document.getElementById(errorId);
+      const value = input.value.trim();
+
+      if (!value || EP.units.parse(value, input.dataset.dim)) {
+        input.removeAttribute('aria-invalid');
+        input.setAttribute('aria-describedby', describedBy.join(' '));
+        if (error) error.remove();
+        return;
+      }
+      if (!error) {
+        error = document.createElement('p');
+        error.id = errorId;
+        error.className = 'field-error';
+        input.parentNode.appendChild(error);
+      }
+      error.textContent = t('products.badValue', { value });
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', describedBy.concat(errorId).join(' '));
+    });
+  }
+
+  function writeURL() {
+    const query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? '?' + query : ''));
+  }
+
+  // ============================================================
+  // Render
+  // ============================================================
+  function cardsHTML(products) {
+    if (!products.length) {
+      return `
+        <li class="products-empty">
+          <p>${EP.escapeHTML(t('products.empty'))}</p>
+          <button type="button" class="btn btn-outline" data-action="clear-filters">${EP.escapeHTML(t('products.clear'))}</button>
+        </li>`;
+    }
+    return products.map(p => EP.productCards.productCard(p, {
+      heading: 'h2',
+      nameId: 'p' + p.id + '-name',
+    })).join('');
+  }
+
+  // Resalta con <mark> los términos buscados en nombre y categoría
+  function highlightMatches(query) {
+    EP.$$('.product-name a, .product-category', list).forEach(el => {
+      el.innerHTML = EP.search.highlight(el.textContent, query);
+    });
+  }
+
+  function renderCount(total, from, to) {
+    if (!countEl) return;
+    countEl.innerHTML = total
+      ? t('products.showing', { from, to, count: total })
+      : t('products.showingNone');
+  }
+
+  function renderTags(state) {
+    if (!activeEl) return;
+    const tags = filters.tags(state);
+    activeEl.hidden = !tags.length;
+    activeEl.innerHTML = tags.map(tag => `
+      <span class="filter-tag">
+        ${EP.escapeHTML(tag.label)}
+        <button type="button" data-param="${EP.escapeHTML(tag.param)}"
+          ${tag.value !== undefined ? `data-value="${EP.escapeHTML(tag.value)}"` : ''}
+          data-label="${EP.escapeHTML(tag.label)}"
+          aria-label="${EP.escapeHTML(t('products.removeTag', { label: tag.label }))}">${CLOSE_ICON}</button>
+      </span>`).join('') + (tags.length
+      ? `<button type="button" class="btn-clear" data-action="clear-filters"
+          aria-label="${EP.escapeHTML(t('products.clearAll'))}">${EP.escapeHTML(t('products.clear'))}</button>`
+      : '');
+  }
+
+  // Conteo por opción: se aplican las demás facetas y solo esa opción
+  function renderFacetCounts(products, state) {
+    EP.$$('.filter-option input[type="checkbox"]', form).forEach(input => {
+      const out = input.parentNode.querySelector('.filter-count');
+      const facet = filters.facetForParam(input.name);
+      if (!out || !facet) return;
+      const value = facet.read(new URLSearchParams([[input.name, input.value]]));
+      const n = filters.apply(products, state, facet.key)
+        .filter(p => facet.match(p, value)).length;
+      out.textContent = n;
+      out.setAttribute('aria-label', t('products.count', { count: n }));
+    });
+  }
+
+  function pageHref(n) {
+    const q = new URLSearchParams(params);
+    if (n > 1) q.set('page', n); else q.delete('page');
+    const query = q.toString();
+    return query ? '?' + query : location.pathname;
+  }
+
+  function renderPagination(page, pages) {
+    if (!pagination) return;
+    pagination.hidden = pages <= 1;
+    if (pages <= 1) { pagination.innerHTML = ''; return; }
+
+    const nums = [];
+    for (let n = 1; n <= pages; n++) {
+      if (n === 1 || n === pages || Math.abs(n - page) <= 1) nums.push(n);
+      else if (nums[nums.length - 1] !== '…') nums.push('…');
+    }
+
+    const prevLabel = EP.escapeHTML(t('products.prevPage'));
+    const nextLabel = EP.escapeHTML(t('products.nextPage'));
+    const prev = page > 1
+      ? `<a href="${pageHref(page - 1)}" class="page-btn" data-page="${page - 1}" aria-label="${prevLabel}">`
+      : `<a class="page-btn" aria-label="${prevLabel}" aria-disabled="true">`;
+    const next = page < pages
+      ? `<a href="${pageHref(page + 1)}" class="page-btn" data-page="${page + 1}" aria-label="${nextLabel}">`
+      : `<a class="page-btn" aria-label="${nextLabel}" aria-disabled="true">`;
+
+    pagination.innerHTML = prev + `
+        <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="15 18 9 12 15 6"/>
+        </svg>
+      </a>` +
+      nums.map(n => n === '…'
+        ? '<span class="page-btn" aria-hidden="true">…</span>'
+        : `<a href="${pageHref(n)}" class="page-btn" data-page="${n}"
+            ${n === page ? 'aria-current="page"' : ''}
+            aria-label="${EP.escapeHTML(t(n === page ? 'products.pageCurrent' : 'products.page', { n }))}">${n}</a>`).join('') +
+      next + `
+        <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="9 18 15 12 9 6"/>
+        </svg>
+      </a>`;
+  }
+
+  /** Devuelve la lista de resultados (útil para anunciar cambios). */
+  function render() {
+    const products = catalog.all();
+    const state    = filters.parse(params);
+    const sort     = currentSort();
+    const results  = sortProducts(filters.apply(products, state), sort, state.q);
+    if (sort === DEFAULT_SORT) params.delete('sort');
+
+    const pages = Math.max(1, Math.ceil(results.length / PAGE_SIZE));
+    const page  = Math.min(pages, Math.max(1, parseInt(params.get('page'), 10) || 1));
+    if (page === 1) params.delete('page');
+    const start = (page - 1) * PAGE_SIZE;
+    const shown = results.slice(start, start + PAGE_SIZE);
+
+    list.innerHTML = cardsHTML(shown);
+    if (state.q) highlightMatches(state.q);
+    renderCount(results.length, start + 1, start + shown.length);
+    renderTags(state);
+    renderFacetCounts(products, state);
+    renderPagination(page, pages);
+    writeURL();
+    return { total: results.length, page, pages };
+  }
+
+  // WCAG 4.1.3 — el cambio de resultados se anuncia en #notification-area
+  function announceResults(result, prefix) {
+    const msg = result.total
+      ? t('products.found', { count: result.total })
+      : t('products.noneFound');
+    EP.announce((prefix ? prefix + ' ' : '') + msg);
+  }
+
+  function update(prefix) {
+    announceResults(render(), prefix);
+  }
+
+  // ============================================================
+  // Eventos del formulario
+  // ============================================================
+  let typingTimer = null;
+
+  form.addEventListener('change', function () {
+    clearTimeout(typingTimer);
+    readForm();
+    update();
+  });
+
+  // Precio y especificaciones: filtra mientras se escribe, con una pausa breve
+  form.addEventListener('input', function (e) {
+    if (e.target.type === 'checkbox') return;
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(function () { readForm(); update(); }, 500);
+  });
+
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+    clearTimeout(typingTimer);
+    readForm();
+    update();
+  });
+
+  // ============================================================
+  // Ordenar — WCAG 3.2.2: el cambio solo reordena la lista; el foco
+  // permanece en el select y el nuevo orden se anuncia
+  // ============================================================
+  if (sortSelect) {
+    sortSelect.addEventListener('change', function () {
+      params.set('sort', sortSelect.value);
+      params.delete('page');
+      const result = render();
+      EP.announce(t('products.sorted', { label: SORTS[currentSort()].label }) + ' ' +
+        t('products.count', { count: result.total }) + '.');
+    });
+  }
+
+  // ============================================================
+  // Quitar filtros
+  // ============================================================
+  function clearFilters() {
+    filters.ownParams().forEach(name => params.delete(name));
+    params.delete('page');
+    syncForm();
+    update(t('products.cleared'));
+    if (countEl) countEl.focus();
+  }
+
+  function removeTag(btn) {
+    const name  = btn.dataset.param;
+    const value = btn.dataset.value;
+    const label = btn.dataset.label;
+    const index = Array.from(EP.$$('.filter-tag button', activeEl)).indexOf(btn);
+
+    const rest = value === undefined ? [] : params.getAll(name).filter(v => v !== value);
+    params.delete(name);
+    rest.forEach(v => params.append(name, v));
+    params.delete('page');
+    syncForm();
+    update(t('products.tagRemoved', { label }));
+
+    // WCAG 2.4.3 — el foco pasa a la siguiente etiqueta (o al conteo)
+    const remaining = EP.$$('.filter-tag button', activeEl);
+    const target = remaining[Math.min(index, remaining.length - 1)] || countEl;
+    if (target) target.focus();
+  }
+
+  if (activeEl) {
+    activeEl.addEventListener('click', function (e) {
+      const tagBtn = e.target.closest('.filter-tag button');
+      if (tagBtn) { removeTag(tagBtn); return; }
+      if (e.target.closest('[data-action="clear-filters"]')) clearFilters();
+    });
+  }
+
+  list.addEventListener('click', function (e) {
+    if (e.target.closest('[data-action="clear-filters"]')) clearFilters();
+  });
+
+  // ============================================================
+  // Paginación
+  // ============================================================
+  if (pagination) {
+    pagination.addEventListener('click', function (e) {
+      const link = e.target.closest('a[data-page]');
+      if (!link) return;
+      e.preventDefault();
+      params.set('page', link.dataset.page);
+      const result = render();
+      EP.announce(t('products.pageOf', { n: result.page, pages: result.pages }));
+      if (countEl) countEl.focus();
+    });
+  }
+
+  // ============================================================
+  // Vista grid / lista
+  // ============================================================
+  const btnGrid = document.getElementById('view-grid');
+  const btnList = document.getElementById('view-list');
+
+  if (btnGrid && btnList) {
+    btnGrid.addEventListener('click', function () {
+      list.classList.remove('products-list-view');
+      btnGrid.classList.add('is-active');    btnGrid.setAttribute('aria-pressed', 'true');
+      btnList.classList.remove('is-active'); btnList.setAttribute('aria-pressed', 'false');
+    });
+
+    btnList.addEventListener('click', function () {
+      list.classList.add('products-list-view');
+      btnList.classList.add('is-active');    btnList.setAttribute('aria-pressed', 'true');
+      btnGrid.classList.remove('is-active'); btnGrid.setAttribute('aria-pressed', 'false');
+    });
+  }
+
+  // ============================================================
+  // Inicio: el estado viene de la URL (enlaces ?cat=... del pie)
+  // ============================================================
+  syncForm();
+  render();
+
+})();
@@ -0,0 +1,196 @@
+/**
+ * resistors.js
+ * Cálculos de resistencias, sin interfaz (la usa pages/calculadoras.html).
+ * - Código de colores de 4, 5 y 6 bandas, en ambos sentidos
+ * - Series normalizadas E12 y E24
+ * - Resistencia en serie para un LED (ley de Ohm: R = (Vfuente − VLED) / I)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+
+  /* ============================================================
+     COLORES
+     digit: cifra significativa · multiplier: potencia de 10 ·
+     tolerance: ±% · tempco: ppm/°C (sexta banda)
+  ============================================================ */
+  const COLORS = [
+    { key: 'black',  name: t('resistors.color.black'),  hex: '#000000', digit: 0, multiplier: 0,  tolerance: null, tempco: 250 },
+    { key: 'brown',  name: t('resistors.color.brown'),  hex: '#7b3f00', digit: 1, multiplier: 1,  tolerance: 1,    tempco: 100 },
+    { key: 'red',    name: t('resistors.color.red'),    hex: '#d32f2f', digit: 2, multiplier: 2,  tolerance: 2,    tempco: 50 },
+    { key: 'orange', name: t('resistors.color.orange'), hex: '#f57c00', digit: 3, multiplier: 3,  tolerance: null, tempco: 15 },
+    { key: 'yellow', name: t('resistors.color.yellow'), hex: '#fbc02d', digit: 4, multiplier: 4,  tolerance: null, tempco: 25 },
+    { key: 'green',  name: t('resistors.color.green'),  hex: '#388e3c', digit: 5, multiplier: 5,  tolerance: 0.5,  tempco: 20 },
+    { key: 'blue',   name: t('resistors.color.blue'),   hex: '#1976d2', digit: 6, multiplier: 6,  tolerance: 0.25, tempco: 10 },
+    { key: 'violet', name: t('resistors.color.violet'), hex: '#7b1fa2', digit: 7, multiplier: 7,  tolerance: 0.1,  tempco: 5 },
+    { key: 'grey',   name: t('resistors.color.grey'),   hex: '#9e9e9e', digit: 8, multiplier: 8,  tolerance: 0.05, tempco: 1 },
+    { key: 'white',  name: t('resistors.color.white'),  hex: '#ffffff', digit: 9, multiplier: 9,  tolerance: null, tempco: null },
+    { key: 'gold',   name: t('resistors.color.gold'),   hex: '#c9a227', digit: null, multiplier: -1, tolerance: 5,  tempco: null },
+    { key: 'silver', name: t('resistors.color.silver'), hex: '#c0c0c0', digit: null, multiplier: -2, tolerance: 10, tempco: null },
+  ];
+
+  const BY_KEY = {};
+  COLORS.forEach(c => { BY_KEY[c.key] = c; });
+
+  /** Papel de cada banda según la cantidad de bandas. */
+  const LAYOUTS = {
+    4: ['digit', 'digit', 'multiplier', 'tolerance'],
+    5: ['digit', 'digit', 'digit', 'multiplier', 'tolerance'],
+    6: ['digit', 'digit', 'digit', 'multiplier', 'tolerance', 'tempco'],
+  };
+
+  const ROLE_LABELS = {
+    digit:      t('resistors.role.digit'),
+    multiplier: t('resistors.role.multiplier'),
+    tolerance:  t('resistors.role.tolerance'),
+    tempco:     t('resistors.role.tempco'),
+  };
+
+  /** Colores válidos para un papel ("digit", "multiplier", ...). */
+  function colorsFor(role) {
+    return COLORS.filter(c => c[role] !== null);
+  }
+
+  // 2.2 × 10³ sin errores de coma flotante (0.1 × 3 ≠ 0.3)
+  function scale(n, exp) {
+    return exp >= 0 ? n * Math.pow(10, exp) : n / Math.pow(10, -exp);
+  }
+
+  /* ============================================================
+     DECODIFICAR — colores → valor
+     Devuelve { ohms, tolerance, tempco } o null si falta una banda
+     o un color no vale en su posición.
+  ============================================================ */
+  function decode(bands) {
+    const layout = LAYOUTS[bands.length];
+    if (!layout) return null;
+    const colors = bands.map(key => BY_KEY[key]);
+    if (colors.some((c, i) => !c || c[layout[i]] === null)) return null;
+
+    let digits = 0;
+    const result = { ohms: 0, tolerance: null, tempco: null };
+    layout.forEach((role, i) => {
+      if (role === 'digit') digits = digits * 10 + colors[i].digit;
+      else if (role === 'multiplier') result.ohms = scale(digits, colors[i].multiplier);
+      else result[role] = colors[i][role];
+    });
+    return result;
+  }
+
+  /* ============================================================
+     CODIFICAR — valor → colores
+     Devuelve { bands } o { error } si el valor necesita más cifras
+     de las que caben o queda fuera del rango de multiplicadores.
+  ============================================================ */
+  function encode(ohms, bandCount, tolerance, tempco) {
+    const layout = LAYOUTS[bandCount];
+    if (!layout) return { error: t('resistors.error.bands') };
+    if (!(ohms > 0)) return { error: t('resistors.error.positive') };
+
+    const digitCount = layout.filter(role => role === 'digit').length;
+    // Exponente para que el valor quede con `digitCount` cifras enteras
+    let exp = Math.floor(Math.log10(ohms)) - digitCount + 1;
+    let digits = Math.round(scale(ohms, -exp));
+    if (digits >= Math.pow(10, digitCount)) { digits /= 10; exp++; }
+
+    if (Math.abs(scale(digits, exp) - ohms) > ohms * 1e-9) {
+      return { error: t(digitCount < 3 ? 'resistors.error.digitsMore' : 'resistors.error.digits', { count: digitCount }) };
+    }
+    const multiplier = COLORS.find(c => c.multiplier === exp);
+    if (!multiplier) {
+      return { error: t('resistors.error.range', { count: bandCount }) };
+    }
+
+    const tol = COLORS.find(c => c.tolerance === tolerance) || BY_KEY.gold;
+    const tc = COLORS.find(c => c.tempco === tempco) || BY_KEY.brown;
+    const digitColors = String(digits).padStart(digitCount, '0').split('').map(d => COLORS[Number(d)].key);
+    const bands = digitColors.concat(multiplier.key, tol.key);
+    if (bandCount === 6) bands.push(tc.key);
+    return { bands };
+  }
+
+  /* ============================================================
+     SERIES NORMALIZADAS (IEC 60063)
+  ============================================================ */
+  const SERIES = {
+    E12: [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2],
+    E24: [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0,
+          3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1],
+  };
+
+  // Candidatos de la década del valor y el primero de la siguiente, en orden
+  function candidates(ohms, series) {
+    const values = SERIES[series];
+    if (!values || !(ohms > 0)) return null;
+    const exp = Math.floor(Math.log10(ohms));
+    return values.map(v => scale(v * 10, exp - 1)).concat(scale(10, exp));
+  }
+
+  /** Valor normalizado más cercano (en proporción) de la serie. */
+  function nearest(ohms, series) {
+    const list = candidates(ohms, series);
+    return list && list.reduce((best, v) =>
+      Math.abs(Math.log(v / ohms)) < Math.abs(Math.log(best / ohms)) ? v : best);
+  }
+
+  /** Menor valor normalizado de la serie que no es menor que `ohms`. */
+  function atLeast(ohms, series) {
+    const list = candidates(ohms, series);
+    return list && list.find(v => v >= ohms * (1 - 1e-9));
+  }
+
+  /* ============================================================
+     LED EN SERIE
+     supply y forward en voltios, current en amperios.
+     Devuelve { exact, nearest, nearestCurrent, suggested, current,
+     power, rating } o { error }. Se sugiere el valor normalizado
+     inmediatamente superior al exacto: si el más cercano queda por
+     debajo, haría pasar más corriente de la pedida.
+  ============================================================ */
+  // Potencias comerciales; se recomienda al menos el doble de la disipada
+  const POWER_RATINGS = [0.125, 0.25, 0.5, 1, 2, 5, 10];
+
+  function ledResistor(supply, forward, current, series) {
+    if (!(current > 0)) return { error: t('resistors.error.current') };
+    if (!(supply > forward)) {
+      return { error: t('resistors.error.supply') };
+    }
+    const exact = (supply - forward) / current;
+    const closest = nearest(exact, series);
+    const suggested = atLeast(exact, series);
+    const actualCurrent = (supply - forward) / suggested;
+    const power = actualCurrent * actualCurrent * suggested;
+    const rating = POWER_RATINGS.find(w => w >= power * 2) || null;
+    return {
+      exact,
+      nearest: closest,
+      nearestCurrent: (supply - forward) / closest,
+      suggested,
+      current: actualCurrent,
+      power,
+      rating,
+    };
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.resistors
+  ============================================================ */
+  EP.resistors = {
+    COLORS,
+    LAYOUTS,
+    ROLE_LABELS,
+    SERIES,
+    POWER_RATINGS,
+    color: key => BY_KEY[key] || null,
+    colorsFor,
+    decode,
+    encode,
+    nearest,
+    atLeast,
+    ledResistor,
+  };
+
+})();
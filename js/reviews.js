@@ -0,0 +1,257 @@
+/**
+ * reviews.js
+ * Reseñas de clientes: listado, ordenamiento, filtro por estrellas,
+ * paginación, validación y publicación.
+ *
+ * Las reseñas nuevas se guardan a través de un adaptador intercambiable
+ * (EP.reviews.setAdapter). El adaptador por defecto usa localStorage
+ * (clave `ep_reviews`); uno remoto debe ofrecer la misma interfaz
+ * síncrona manteniendo su propia copia local:
+ *   list(productId) → [review]    add(review) → review
+ * y, opcionalmente, publish(review) → promesa: envía una reseña escrita
+ * sin conexión (marcada `pending`) cuando la conexión vuelve.
+ *
+ * Al cargar, las calificaciones de las reseñas nuevas se suman al
+ * histograma del catálogo para que rating y reviewCount (tarjetas,
+ * filtros y ordenamiento) ya las incluyan.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_reviews';
+
+  const LIMITS = {
+    author: { min: 2,  max: 60 },
+    title:  { min: 3,  max: 80 },
+    text:   { min: 20, max: 2000 },
+  };
+
+  /* ============================================================
+     ADAPTADOR LOCAL
+     Guarda un arreglo de reseñas: { id, productId, author, rating,
+     title, text, date, pending? }
+  ============================================================ */
+  const localAdapter = {
+    name: 'local',
+
+    list(productId) {
+      const data = EP.storage.read(STORAGE_KEY, []);
+      return (Array.isArray(data) ? data : [])
+        .filter(r => r && String(r.productId) === String(productId));
+    },
+
+    add(review) {
+      const data = EP.storage.read(STORAGE_KEY, []);
+      const all = Array.isArray(data) ? data : [];
+      all.push(review);
+      EP.storage.write(STORAGE_KEY, all);
+      return review;
+    },
+
+    // Sin servidor, publicar es quitar la marca de pendiente
+    publish(review) {
+      const data = EP.storage.read(STORAGE_KEY, []);
+      const all = Array.isArray(data) ? data : [];
+      all.forEach(r => { if (r && r.id === review.id) delete r.pending; });
+      EP.storage.write(STORAGE_KEY, all);
+      return Promise.resolve(review);
+    },
+  };
+
+  let adapter = localAdapter;
+
+  /* ============================================================
+     LISTADO
+     Las reseñas del catálogo ya están contadas en su histograma;
+     solo las del adaptador se suman al calcular el resumen.
+  ============================================================ */
+  function seeded(product) {
+    return (product.reviews || []).map((r, i) => Object.assign({
+      id: 'seed-' + product.id + '-' + i,
+      productId: String(product.id),
+      seed: true,
+    }, r));
+  }
+
+  function all(productId) {
+    const product = catalog.get(productId);
+    if (!product) return [];
+    return seeded(product).concat(adapter.list(productId));
+  }
+
+  function histogramOf(reviews) {
+    const h = [0, 0, 0, 0, 0];
+    reviews.forEach(r => { if (r.rating >= 1 && r.rating <= 5) h[5 - r.rating]++; });
+    return h;
+  }
+
+  /** Suma las reseñas del adaptador al rating del catálogo. */
+  function sync(productId) {
+    catalog.refreshRating(productId, histogramOf(adapter.list(productId)));
+  }
+
+  function syncAll() {
+    catalog.all().forEach(p => sync(p.id));
+  }
+
+  /* ============================================================
+     ORDEN Y FILTRO
+     Los empates se resuelven con la reseña más reciente primero
+  ============================================================ */
+  const SORTS = {
+    newest:  { label: t('reviews.sort.newest'),  compare: () => 0 },
+    highest: { label: t('reviews.sort.highest'), compare: (a, b) => b.rating - a.rating },
+    lowest:  { label: t('reviews.sort.lowest'),  compare: (a, b) => a.rating - b.rating },
+  };
+  const DEFAULT_SORT = 'newest';
+
+  function byDate(a, b) {
+    return b.r.date.localeCompare(a.r.date) || b.index - a.index;
+  }
+
+  /**
+   * options: { sort, stars, page, pageSize }
+   * Devuelve { items, total, page, pages, sort, stars }.
+   */
+  function query(productId, options) {
+    const o = Object.assign({ sort: DEFAULT_SORT, stars: null, page: 1, pageSize: 5 }, options);
+    const sort = SORTS[o.sort] ? o.sort : DEFAULT_SORT;
+    const stars = Number(o.stars) || null;
+
+    const list = all(productId)
+      .map((r, index) => ({ r, index }))
+      .filter(entry => !stars || entry.r.rating === stars)
+      .sort((a, b) => SORTS[sort].compare(a.r, b.r) || byDate(a, b))
+      .map(entry => entry.r);
+
+    const pages = Math.max(1, Math.ceil(list.length / o.pageSize));
+    const page = Math.min(Math.max(1, parseInt(o.page, 10) || 1), pages);
+    return {
+      items: list.slice((page - 1) * o.pageSize, page * o.pageSize),
+      total: list.length,
+      page,
+      pages,
+      sort,
+      stars,
+    };
+  }
+
+  /**
+   * Resumen de calificaciones (incluye las que no tienen texto):
+   * { average, count, written, histogram: [{ stars, count, written, pct }] }
+   */
+  function summary(productId) {
+    const product = catalog.get(productId);
+    if (!product) return null;
+    const reviews = all(productId);
+    const extra = histogramOf(adapter.list(productId));
+    const histogram = product.ratings.map((c, i) => c + extra[i]);
+    const written = histogramOf(reviews);
+    const total = catalog.ratingSummary(histogram);
+    return {
+      average: total.average,
+      count: total.count,
+      written: reviews.length,
+      histogram: histogram.map((count, i) => ({
+        stars: 5 - i,
+        count,
+        written: written[i],
+        pct: total.count ? Math.round(count / total.count * 100) : 0,
+      })),
+    };
+  }
+
+  /* ============================================================
+     VALIDACIÓN Y PUBLICACIÓN
+  ============================================================ */
+  /** Devuelve [{ field, message }] con los errores del borrador. */
+  function validate(draft) {
+    const errors = [];
+    const rating = Number(draft.rating);
+    if (!(rating >= 1 && rating <= 5 && Math.round(rating) === rating)) {
+      errors.push({ field: 'rating', message: t('reviews.error.rating') });
+    }
+    ['author', 'title', 'text'].forEach(field => {
+      const value = String(draft[field] || '').trim();
+      const limit = LIMITS[field];
+      if (!value) {
+        errors.push({ field, message: t('reviews.error.' + field + '.empty') });
+      } else if (value.length < limit.min) {
+        errors.push({ field, message: t('reviews.error.' + field + '.short', { count: limit.min }) });
+      } else if (value.length > limit.max) {
+        errors.push({ field, message: t('reviews.error.' + field + '.long', { count: limit.max }) });
+      }
+    });
+    return errors;
+  }
+
+  function today() {
+    const d = new Date();
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' +
+      String(d.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Publica una reseña: { ok, review, queued } o { ok: false, errors }.
+   * Sin conexión la reseña se guarda con `pending` y espera en la cola
+   * de EP.offline (`queued: true`).
+   */
+  function submit(productId, draft) {
+    if (!catalog.get(productId)) {
+      return { ok: false, errors: [{ field: null, message: t('reviews.error.product') }] };
+    }
+    const errors = validate(draft);
+    if (errors.length) return { ok: false, errors };
+    const queued = !EP.offline.isOnline();
+    const review = adapter.add(Object.assign({
+      id: 'r-' + Date.now().toString(36),
+      productId: String(productId),
+      author: draft.author.trim(),
+      rating: Number(draft.rating),
+      title: draft.title.trim(),
+      text: draft.text.trim(),
+      date: today(),
+    }, queued ? { pending: true } : {}));
+    if (queued) EP.offline.enqueue('review', review);
+    sync(productId);
+    return { ok: true, review, queued };
+  }
+
+  // Reseñas escritas sin conexión: se publican al volver
+  EP.offline.handle('review', function (review) {
+    return adapter.publish ? adapter.publish(review) : review;
+  });
+
+  /* ============================================================
+     API PÚBLICA — EP.reviews
+  ============================================================ */
+  EP.reviews = {
+    STORAGE_KEY,
+    LIMITS,
+    SORTS,
+    DEFAULT_SORT,
+    localAdapter,
+    all,
+    query,
+    summary,
+    validate,
+    submit,
+
+    setAdapter(next) {
+      adapter = next || localAdapter;
+      syncAll();
+    },
+  };
+
+  syncAll();
+
+  // Reseñas publicadas en otra pestaña
+  window.addEventListener('storage', function (e) {
+    if (e.key === STORAGE_KEY || e.key === null) syncAll();
+  });
+
+})();
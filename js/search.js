@@ -0,0 +1,352 @@
+/**
+ * search.js
+ * Búsqueda del catálogo y sugerencias instantáneas para #search-input.
+ * - Ignora tildes y mayúsculas ("potenciometro" encuentra "Potenciómetro")
+ * - Tolera errores de tipeo (una o dos letras según la longitud)
+ * - Busca en nombre, SKU, categoría y especificaciones
+ * - Entiende valores como "10k 1/4W" o "100uF 25V" (ver js/units.js)
+ * - El campo de búsqueda sigue el patrón combobox de ARIA 1.2
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+
+  // Sinónimos habituales que no aparecen en los datos del catálogo (el
+  // slug ya es el nombre en español, que se busca en cualquier idioma)
+  const CATEGORY_ALIASES = {
+    resistencias: 'resistores',
+    capacitores:  'condensadores',
+  };
+
+  // Peso de cada campo en la puntuación
+  const WEIGHTS = { name: 4, sku: 3, category: 2, specs: 1 };
+
+  // Peso de cada valor con unidad que coincide con una especificación
+  const QUANTITY_WEIGHT = 3;
+
+  const MAX_SUGGESTIONS = 6;
+
+  /* ============================================================
+     NORMALIZACIÓN
+  ============================================================ */
+  function normalize(str) {
+    return String(str == null ? '' : str)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  function tokenize(str) {
+    return normalize(str).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /* ============================================================
+     TOLERANCIA A ERRORES
+     Distancia de edición con transposiciones (Damerau, variante OSA);
+     se corta en cuanto supera `max`.
+  ============================================================ */
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = [];
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d = Math.min(d, prev2[j - 2] + 1);
+        }
+        row[j] = d;
+        if (d < best) best = d;
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Calidad de la coincidencia de un término con una palabra:
+   * 1 exacta, 0.8 prefijo, 0.5 con errores de tipeo, 0 sin coincidencia.
+   */
+  function matchQuality(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    const typos = allowedTypos(term);
+    if (!typos) return 0;
+    // Comparar también contra el prefijo, para palabras aún incompletas
+    if (distance(term, word, typos) <= typos) return 0.5;
+    if (word.length > term.length &&
+        distance(term, word.slice(0, term.length), typos) <= typos) return 0.5;
+    return 0;
+  }
+
+  /* ============================================================
+     ÍNDICE — palabras normalizadas por campo, una vez por producto
+  ============================================================ */
+  const index = new Map();
+
+  function fieldsFor(p) {
+    let fields = index.get(p.id);
+    if (!fields) {
+      const specs = (p.specs || []).map(s => [s.param, s.value, s.unit].join(' '))
+        .concat((p.highlights || []).map(h => h.join(' ')));
+      fields = {
+        name:     tokenize(p.name),
+        sku:      tokenize(p.sku),
+        category: tokenize([catalog.categoryLabel(p.category), p.category, CATEGORY_ALIASES[p.category] || ''].join(' ')),
+        specs:    tokenize(specs.join(' ')),
+      };
+      index.set(p.id, fields);
+    }
+    return fields;
+  }
+
+  /**
+   * Separa los valores con unidad ("4k7", "25V") del texto libre.
+   * Devuelve { terms, quantities }.
+   */
+  function parseQuery(query) {
+    if (!EP.units) return { terms: tokenize(query), quantities: [] };
+    const parsed = EP.units.extract(query);
+    return { terms: tokenize(parsed.text), quantities: parsed.quantities };
+  }
+
+  /** Puntuación de un producto para la consulta; 0 si no coincide. */
+  function score(p, query) {
+    const { terms, quantities } = parseQuery(query);
+    if (!terms.length && !quantities.length) return 0;
+    let total = 0;
+    // Cada valor debe estar en (o dentro del rango de) alguna especificación
+    for (const q of quantities) {
+      if (!EP.units.matches(p, q)) return 0;
+      total += QUANTITY_WEIGHT;
+    }
+    const fields = fieldsFor(p);
+    for (const term of terms) {
+      let best = 0;
+      for (const key in WEIGHTS) {
+        for (const word of fields[key]) {
+          const q = matchQuality(term, word) * WEIGHTS[key];
+          if (q > best) best = q;
+        }
+      }
+      // Todos los términos deben coincidir en algún campo
+      if (!best) return 0;
+      total += best;
+    }
+    return total;
+  }
+
+  /* ============================================================
+     RESALTADO — envuelve en <mark> las palabras que coinciden.
+     Devuelve HTML ya escapado.
+  ============================================================ */
+  function highlight(text, query) {
+    const terms = parseQuery(query).terms;
+    const source = String(text == null ? '' : text);
+    if (!terms.length) return EP.escapeHTML(source);
+
+    let html = '';
+    let last = 0;
+    source.replace(/[\p{L}\p{N}]+/gu, function (word, offset) {
+      const norm = normalize(word);
+      let len = 0;
+      terms.forEach(term => {
+        const q = matchQuality(term, norm);
+        // Prefijo: se marca solo la parte escrita; con errores, la palabra entera
+        if (q === 0.8) len = Math.max(len, term.length);
+        else if (q)    len = word.length;
+      });
+      if (!len) return word;
+      html += EP.escapeHTML(source.slice(last, offset)) +
+        '<mark>' + EP.escapeHTML(word.slice(0, len)) + '</mark>' +
+        EP.escapeHTML(word.slice(len));
+      last = offset + word.length;
+      return word;
+    });
+    return html + EP.escapeHTML(source.slice(last));
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.search
+  ============================================================ */
+  const search = {
+    normalize,
+    score,
+    highlight,
+
+    matches(p, query) {
+      return score(p, query) > 0;
+    },
+
+    /** Productos que coinciden, de mayor a menor puntuación (estable). */
+    query(query, products) {
+      return (products || catalog.all())
+        .map((p, i) => ({ p, i, s: score(p, query) }))
+        .filter(r => r.s > 0)
+        .sort((a, b) => b.s - a.s || a.i - b.i)
+        .map(r => r.p);
+    },
+  };
+
+  EP.search = search;
+
+  /* ============================================================
+     WCAG 4.1.2 — Combobox de sugerencias (patrón ARIA 1.2)
+     input[role=combobox] → ul[role=listbox]; el foco se queda en el
+     campo y la opción activa se indica con aria-activedescendant.
+  ============================================================ */
+  const input = document.getElementById('search-input');
+  if (!input || !input.form) return;
+
+  const form = input.form;
+  const listbox = document.createElement('ul');
+  listbox.id = 'search-suggestions';
+  listbox.className = 'search-suggestions';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', EP.i18n.t('search.listbox'));
+  listbox.hidden = true;
+  form.appendChild(listbox);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listbox.id);
+
+  // La página de resultados muestra la consulta actual en el campo
+  const currentQuery = new URLSearchParams(location.search).get('q');
+  if (currentQuery && !input.value) input.value = currentQuery;
+
+  let active = -1;
+  let announceTimer = null;
+
+  function options() {
+    return EP.$$('[role="option"]', listbox);
+  }
+
+  function resultsUrl(query) {
+    return form.action + '?q=' + encodeURIComponent(query);
+  }
+
+  function optionHTML(p, query, i) {
+    return `
+      <li role="option" id="search-opt-${i}" class="search-option" aria-selected="false"
+        data-href="${EP.escapeHTML(catalog.detailUrl(p.id))}">
+        <span class="search-option-name"${EP.i18n.dataLang()}>${highlight(p.name, query)}</span>
+        <span class="search-option-meta">${EP.escapeHTML(catalog.categoryLabel(p.category))} · ${EP.formatPrice(p.price)}</span>
+      </li>`;
+  }
+
+  function open() {
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function setActive(i) {
+    const opts = options();
+    active = i;
+    opts.forEach((opt, n) => opt.setAttribute('aria-selected', n === i ? 'true' : 'false'));
+    if (i >= 0 && opts[i]) {
+      input.setAttribute('aria-activedescendant', opts[i].id);
+      opts[i].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function update() {
+    const query = input.value.trim();
+    clearTimeout(announceTimer);
+    if (!query) { listbox.innerHTML = ''; close(); return; }
+
+    const results = search.query(query);
+    const shown = results.slice(0, MAX_SUGGESTIONS);
+    listbox.innerHTML = shown.map((p, i) => optionHTML(p, query, i)).join('') + `
+      <li role="option" id="search-opt-all" class="search-option search-option-all" aria-selected="false"
+        data-href="${EP.escapeHTML(resultsUrl(query))}">
+        ${EP.i18n.t(results.length ? 'search.all' : 'search.none',
+          { count: results.length, query: EP.escapeHTML(query) })}
+      </li>`;
+    setActive(-1);
+    open();
+
+    // WCAG 4.1.3 — cantidad de sugerencias, cuando el usuario deja de escribir
+    announceTimer = setTimeout(function () {
+      EP.announce(shown.length
+        ? EP.i18n.t('search.count', { count: shown.length })
+        : EP.i18n.t('search.empty'));
+    }, 600);
+  }
+
+  function go(option) {
+    close();
+    location.href = option.dataset.href;
+  }
+
+  input.addEventListener('input', update);
+
+  input.addEventListener('keydown', function (e) {
+    const opts = options();
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (listbox.hidden) { update(); setActive(0); return; }
+        setActive(active + 1 < opts.length ? active + 1 : 0);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (listbox.hidden) { update(); setActive(options().length - 1); return; }
+        setActive(active > 0 ? active - 1 : opts.length - 1);
+        break;
+      case 'Enter':
+        if (!listbox.hidden && active >= 0 && opts[active]) {
+          e.preventDefault();
+          go(opts[active]);
+        }
+        break;
+      case 'Escape':
+        // Primero cierra la lista; con la lista cerrada, borra el campo
+        if (!listbox.hidden) { e.preventDefault(); close(); }
+        else if (input.value) { e.preventDefault(); input.value = ''; }
+        break;
+      case 'Tab':
+        close();
+        break;
+    }
+  });
+
+  // El foco no sale del campo al pulsar una opción con el ratón
+  listbox.addEventListener('mousedown', function (e) { e.preventDefault(); });
+
+  listbox.addEventListener('click', function (e) {
+    const option = e.target.closest('[role="option"]');
+    if (option) go(option);
+  });
+
+  input.addEventListener('blur', close);
+
+  form.addEventListener('submit', function (e) {
+    if (!input.value.trim()) { e.preventDefault(); input.focus(); }
+  });
+
+})();
@@ -0,0 +1,447 @@
+/**
+ * shortcuts.js
+ * Atajos de teclado de todo el sitio (WCAG 2.1.1 y 2.1.4).
+ * - Registro central: cada atajo tiene id, teclas, descripción y acción
+ * - Combinaciones ("Alt+A") y secuencias ("g p": g y después p)
+ * - Los atajos sin modificador no actúan mientras se escribe en un campo
+ * - Se pueden desactivar o reasignar desde la ayuda ("?"); la
+ *   configuración se guarda con las preferencias de accesibilidad
+ *   (js/accessibility.js llama a configure() y se suscribe a los cambios)
+ * - Escape: pila de manejadores; cierra lo último que se abrió (los
+ *   diálogos de js/dialog.js atienden su propio Escape)
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const esc = EP.escapeHTML;
+  const t = EP.i18n.t;
+
+  // Tiempo máximo entre las teclas de una secuencia
+  const SEQUENCE_TIMEOUT = 1000;
+
+  // Teclas que no se pueden asignar: rompen la navegación básica
+  const RESERVED = ['Tab', 'Shift+Tab', 'Enter', ' ', 'Escape'];
+
+  const KEY_NAMES = { ' ': t('shortcuts.space'), ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+
+  /* ============================================================
+     ESTADO
+  ============================================================ */
+  const registry = [];
+  const escapeHandlers = [];
+  const listeners = [];
+  let settings = { enabled: true, keys: {} };
+  let pending = [];
+  let pendingTimer = 0;
+
+  /* ============================================================
+     TECLAS
+     Con Ctrl/Alt/Meta la letra sale de e.code (Alt+A en macOS
+     escribe "å"); sin modificadores vale el carácter tal cual, así
+     "?" no necesita "Shift+".
+  ============================================================ */
+  function comboOf(e) {
+    if (/^(Shift|Control|Alt|Meta|AltGraph|CapsLock)$/.test(e.key)) return null;
+    const modified = e.ctrlKey || e.altKey || e.metaKey;
+    let key = e.key;
+    if (modified && /^(Key|Digit)/.test(e.code || '')) key = e.code.replace(/^(Key|Digit)/, '');
+    if (!modified && key.length === 1) return key;
+
+    const parts = [];
+    if (e.ctrlKey)  parts.push('Ctrl');
+    if (e.altKey)   parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey)  parts.push('Meta');
+    parts.push(key.length === 1 ? key.toUpperCase() : key);
+    return parts.join('+');
+  }
+
+  function steps(keys) {
+    return keys === ' ' ? [' '] : keys.split(' ').filter(Boolean);
+  }
+
+  function hasModifier(keys) {
+    return steps(keys).some(step => /^(Ctrl|Alt|Meta)\+/.test(step));
+  }
+
+  function isTyping(el) {
+    return !!el && !!el.closest && !!el.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+  }
+
+  function keysOf(def) {
+    return settings.keys[def.id] || def.keys;
+  }
+
+  /** "Alt+A" → <kbd>Alt</kbd>+<kbd>A</kbd> · "g p" → <kbd>g</kbd> y después <kbd>p</kbd> */
+  function keysHTML(keys) {
+    return steps(keys).map(step =>
+      (step === '+' ? ['+'] : step.split('+')).map(k => '<kbd>' + esc(KEY_NAMES[k] || k) + '</kbd>').join('+')
+    ).join(' ' + esc(t('shortcuts.then')) + ' ');
+  }
+
+  function keysText(keys) {
+    return steps(keys).map(step => KEY_NAMES[step] || step).join(' ' + t('shortcuts.then') + ' ');
+  }
+
+  /* ============================================================
+     TECLADO
+  ============================================================ */
+  function resetPending() {
+    pending = [];
+    clearTimeout(pendingTimer);
+  }
+
+  function candidates(seq, typing) {
+    return registry.filter(def => {
+      const keys = keysOf(def);
+      if (typing && !hasModifier(keys)) return false;
+      const target = steps(keys);
+      return seq.every((step, i) => target[i] === step);
+    });
+  }
+
+  function handleCombo(combo, e) {
+    const typing = isTyping(e.target);
+    let seq = pending.concat(combo);
+    let found = candidates(seq, typing);
+    // "g" seguido de una tecla que no continúa ninguna secuencia: se
+    // descarta la "g" y se prueba la tecla sola
+    if (!found.length && pending.length) {
+      seq = [combo];
+      found = candidates(seq, typing);
+    }
+    resetPending();
+    if (!found.length) return;
+
+    e.preventDefault();
+    const exact = found.find(def => steps(keysOf(def)).length === seq.length);
+    if (exact) {
+      exact.run(e);
+      return;
+    }
+    pending = seq;
+    pendingTimer = setTimeout(resetPending, SEQUENCE_TIMEOUT);
+  }
+
+  function handleEscape(e) {
+    for (let i = escapeHandlers.length - 1; i >= 0; i--) {
+      if (escapeHandlers[i](e)) {
+        e.preventDefault();
+        return;
+      }
+    }
+  }
+
+  document.addEventListener('keydown', function (e) {
+    if (e.defaultPrevented || e.isComposing) return;
+    if (e.key === 'Escape') {
+      resetPending();
+      handleEscape(e);
+      return;
+    }
+    // Con un diálogo abierto solo cuentan sus propios controles
+    if (!settings.enabled || EP.dialog.isOpen()) return;
+    const combo = comboOf(e);
+    if (combo) handleCombo(combo, e);
+  });
+
+  /* ============================================================
+     CONFIGURACIÓN
+  ============================================================ */
+  function notify() {
+    listeners.forEach(fn => fn(shortcuts.settings()));
+  }
+
+  function update(next) {
+    settings = { enabled: next.enabled, keys: next.keys };
+    notify();
+    renderHelp();
+  }
+
+  /** Valida una reasignación: mensaje de error o null. */
+  function checkKeys(id, keys) {
+    if (RESERVED.indexOf(keys) !== -1) return t('shortcuts.reserved', { keys: keysText(keys) });
+    // También choca si una es el comienzo de la otra ("g" y "g p"): la
+    // más corta se ejecutaría antes de completar la secuencia
+    const wanted = steps(keys);
+    const clash = registry.find(def => {
+      if (def.id === id) return false;
+      const other = steps(keysOf(def));
+      const shorter = other.length < wanted.length ? other : wanted;
+      const longer = shorter === other ? wanted : other;
+      return shorter.every((step, i) => longer[i] === step);
+    });
+    return clash ? t('shortcuts.clash', { keys: keysText(keys), label: clash.label }) : null;
+  }
+
+  /* ============================================================
+     AYUDA — lista de atajos, activar/desactivar y reasignar
+     Se muestra en un diálogo modal de EP.dialog.
+  ============================================================ */
+  let help = null;          // cuerpo del diálogo mientras está abierto
+  let capturing = null;
+
+  function rowHTML(def) {
+    const custom = !!settings.keys[def.id];
+    return `
+      <tr>
+        <th scope="row">${esc(def.label)}</th>
+        <td>${keysHTML(keysOf(def))}${custom ? ` <span class="shortcuts-custom">${esc(t('shortcuts.custom'))}</span>` : ''}</td>
+        <td>
+          <div class="shortcuts-row-actions">
+            <button type="button" class="btn btn-outline" data-remap="${esc(def.id)}"
+              aria-label="${esc(t('shortcuts.remapLabel', { label: def.label }))}">${esc(t('shortcuts.remap'))}</button>
+            ${custom ? `<button type="button" class="btn btn-outline" data-restore="${esc(def.id)}"
+              aria-label="${esc(t('shortcuts.restoreLabel', { label: def.label }))}">${esc(t('shortcuts.restore'))}</button>` : ''}
+          </div>
+        </td>
+      </tr>`;
+  }
+
+  function renderHelp() {
+    if (!help) return;
+    EP.$('#shortcuts-enabled', help).checked = settings.enabled;
+    EP.$('tbody', help).innerHTML = registry.map(rowHTML).join('');
+    EP.$('.shortcuts-table', help).classList.toggle('is-disabled', !settings.enabled);
+  }
+
+  function helpBody() {
+    const body = document.createElement('div');
+    body.innerHTML = `
+      <label class="shortcuts-toggle">
+        <input type="checkbox" id="shortcuts-enabled" />
+        ${esc(t('shortcuts.enable'))}
+      </label>
+      <div class="table-wrapper" role="region" aria-labelledby="shortcuts-caption" tabindex="0">
+        <table class="shortcuts-table">
+          <caption id="shortcuts-caption" class="visually-hidden">${esc(t('shortcuts.caption'))}</caption>
+          <thead>
+            <tr>
+              <th scope="col">${esc(t('shortcuts.action'))}</th>
+              <th scope="col">${esc(t('shortcuts.keys'))}</th>
+              <th scope="col"><span class="visually-hidden">${esc(t('shortcuts.options'))}</span></th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <p id="shortcuts-error" class="field-error" hidden></p>
+      <p class="shortcuts-restore-all">
+        <button type="button" class="btn btn-outline" data-restore-all>${esc(t('shortcuts.restoreAll'))}</button>
+      </p>`;
+    return body;
+  }
+
+  function showError(message) {
+    const error = EP.$('#shortcuts-error', help);
+    error.textContent = message || '';
+    error.hidden = !message;
+    if (message) EP.announce(message, true);
+  }
+
+  function onHelpClick(e) {
+    const remap = e.target.closest('[data-remap]');
+    if (remap) { startCapture(remap); return; }
+
+    const restore = e.target.closest('[data-restore]');
+    if (restore) {
+      const def = registry.find(d => d.id === restore.dataset.restore);
+      const error = checkKeys(def.id, def.keys);
+      if (error) { showError(error); return; }
+      const keys = Object.assign({}, settings.keys);
+      delete keys[def.id];
+      showError(null);
+      update({ enabled: settings.enabled, keys });
+      EP.$('[data-remap="' + def.id + '"]', help).focus();
+      EP.announce(t('shortcuts.restored', { label: def.label, keys: keysText(def.keys) }));
+      return;
+    }
+
+    if (e.target.closest('[data-restore-all]')) {
+      showError(null);
+      update({ enabled: settings.enabled, keys: {} });
+      EP.announce(t('shortcuts.restoredAll'));
+    }
+  }
+
+  function onHelpChange(e) {
+    if (e.target.id !== 'shortcuts-enabled') return;
+    update({ enabled: e.target.checked, keys: settings.keys });
+    EP.announce(t(e.target.checked ? 'shortcuts.on' : 'shortcuts.off'));
+  }
+
+  // "Cambiar": la siguiente combinación pulsada sobre el botón es la nueva
+  function startCapture(btn) {
+    capturing = btn.dataset.remap;
+    btn.textContent = t('shortcuts.capturing');
+    btn.setAttribute('aria-pressed', 'true');
+    showError(null);
+    EP.announce(t('shortcuts.capture'));
+  }
+
+  function stopCapture() {
+    const id = capturing;
+    capturing = null;
+    renderHelp();
+    const btn = EP.$('[data-remap="' + id + '"]', help);
+    if (btn) btn.focus();
+  }
+
+  // Durante la captura, Escape cancela el cambio sin cerrar el diálogo
+  function onHelpKeydown(e) {
+    if (!capturing) return;
+    if (!e.target.closest('[data-remap]')) { stopCapture(); return; }
+    const combo = comboOf(e);
+    if (!combo) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const def = registry.find(d => d.id === capturing);
+    if (combo === 'Escape') {
+      stopCapture();
+      EP.announce(t('shortcuts.cancelled'));
+      return;
+    }
+    const error = checkKeys(def.id, combo);
+    if (error) {
+      showError(error);
+      return;
+    }
+    const keys = Object.assign({}, settings.keys);
+    if (combo === def.keys) delete keys[def.id];
+    else keys[def.id] = combo;
+    capturing = null;
+    update({ enabled: settings.enabled, keys });
+    EP.$('[data-remap="' + def.id + '"]', help).focus();
+    EP.announce(t('shortcuts.remapped', { label: def.label, keys: keysText(combo) }));
+  }
+
+  function openHelp() {
+    if (help) return;
+    help = helpBody();
+    renderHelp();
+    help.addEventListener('click', onHelpClick);
+    help.addEventListener('change', onHelpChange);
+    help.addEventListener('keydown', onHelpKeydown);
+
+    EP.dialog.open({
+      title: t('shortcuts.title'),
+      description: t('shortcuts.desc'),
+      body: help,
+      className: 'dialog-wide',
+      actions: [{ label: t('dialog.close'), value: 'close', variant: 'primary' }],
+      initialFocus: '#shortcuts-enabled',
+    }).then(() => {
+      help = null;
+      capturing = null;
+    });
+    EP.tableScrollHint(EP.$('.table-wrapper', help));
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.shortcuts
+  ============================================================ */
+  const shortcuts = {
+    RESERVED,
+    comboOf,
+    keysText,
+
+    /**
+     * Agrega un atajo: { id, keys, label, run(e) }.
+     * Devuelve la función para quitarlo.
+     */
+    register(def) {
+      registry.push(def);
+      renderHelp();
+      return function () {
+        const idx = registry.indexOf(def);
+        if (idx !== -1) registry.splice(idx, 1);
+        renderHelp();
+      };
+    },
+
+    list() {
+      return registry.map(def => ({ id: def.id, label: def.label, keys: keysOf(def), defaultKeys: def.keys }));
+    },
+
+    settings() {
+      return { enabled: settings.enabled, keys: Object.assign({}, settings.keys) };
+    },
+
+    /** Aplica la configuración guardada sin avisar a los suscriptores. */
+    configure(next) {
+      settings = {
+        enabled: next.enabled !== false,
+        keys: Object.assign({}, next.keys),
+      };
+      renderHelp();
+    },
+
+    /** Suscribe `fn(settings)` a los cambios hechos desde la ayuda. */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+
+    /**
+     * Manejador de Escape: `fn(e)` devuelve true si cerró algo.
+     * Se prueban del último al primero. Devuelve la función para quitarlo.
+     */
+    onEscape(fn) {
+      escapeHandlers.push(fn);
+      return function () {
+        const idx = escapeHandlers.indexOf(fn);
+        if (idx !== -1) escapeHandlers.splice(idx, 1);
+      };
+    },
+
+    openHelp,
+  };
+
+  EP.shortcuts = shortcuts;
+
+  /* ============================================================
+     ATAJOS DEL SITIO
+  ============================================================ */
+  shortcuts.register({
+    id: 'search',
+    keys: '/',
+    label: t('shortcuts.search'),
+    run() {
+      const input = document.getElementById('search-input');
+      if (!input) return;
+      input.focus();
+      input.select();
+    },
+  });
+
+  shortcuts.register({
+    id: 'cart',
+    keys: 'c',
+    label: t('shortcuts.cart'),
+    run() {
+      location.href = EP.url('pages/carrito.html');
+    },
+  });
+
+  shortcuts.register({
+    id: 'products',
+    keys: 'g p',
+    label: t('shortcuts.products'),
+    run() {
+      location.href = EP.url('pages/productos.html');
+    },
+  });
+
+  shortcuts.register({
+    id: 'help',
+    keys: '?',
+    label: t('shortcuts.help'),
+    run: openHelp,
+  });
+
+})();
@@ -0,0 +1,136 @@
+/**
+ * toast.js
+ * Avisos breves con una acción opcional ("Deshacer").
+ * - El texto se anuncia por la live region de EP.announce (WCAG 4.1.3)
+ * - Se cierra solo a los 10 s; el tiempo se detiene mientras el puntero
+ *   o el foco están sobre el aviso (WCAG 2.2.1)
+ * - Mientras se ve, la acción también tiene atajo de teclado (Alt+Z,
+ *   reasignable en la ayuda de atajos)
+ * - Un aviso nuevo reemplaza al anterior
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const esc = EP.escapeHTML;
+  const DURATION = 10000;
+  const SHORTCUT_ID = 'toast-action';
+
+  let region = null;
+  let current = null;
+
+  function ensureRegion() {
+    if (region) return;
+    region = document.createElement('div');
+    region.className = 'toast-region';
+    document.body.appendChild(region);
+  }
+
+  /* ============================================================
+     TIEMPO — se pausa con el puntero o el foco encima
+  ============================================================ */
+  function startTimer(toast) {
+    toast.started = Date.now();
+    toast.timer = setTimeout(dismiss, toast.remaining);
+  }
+
+  function pauseTimer(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = 0;
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.started));
+  }
+
+  /* ============================================================
+     MOSTRAR Y CERRAR
+  ============================================================ */
+  /** Quita el aviso visible (si lo hay). */
+  function dismiss() {
+    const toast = current;
+    if (!toast) return;
+    current = null;
+    clearTimeout(toast.timer);
+    const hadFocus = toast.el.contains(document.activeElement);
+    toast.el.remove();
+    // WCAG 2.4.3: el foco no se pierde con el aviso
+    if (hadFocus) {
+      const main = document.getElementById('main-content');
+      if (main) main.focus();
+    }
+  }
+
+  function runAction() {
+    const toast = current;
+    if (!toast || !toast.options.onAction) return;
+    dismiss();
+    toast.options.onAction();
+  }
+
+  function shortcutHint() {
+    const shortcuts = EP.shortcuts;
+    if (!shortcuts || !shortcuts.settings().enabled) return '';
+    const entry = shortcuts.list().find(s => s.id === SHORTCUT_ID);
+    return entry ? ' ' + current.options.actionLabel + ': ' + shortcuts.keysText(entry.keys) + '.' : '';
+  }
+
+  /**
+   * Muestra un aviso.
+   * options: { actionLabel, onAction(), duration }
+   * Devuelve el elemento del aviso.
+   */
+  function show(message, options) {
+    const opts = options || {};
+    dismiss();
+    ensureRegion();
+
+    const el = document.createElement('div');
+    el.className = 'toast';
+    el.innerHTML = `
+      <p class="toast-message">${esc(message)}</p>
+      ${opts.onAction ? `<button type="button" class="toast-action">${esc(opts.actionLabel)}</button>` : ''}
+      <button type="button" class="toast-close" aria-label="${esc(EP.i18n.t('toast.close'))}">
+        <span aria-hidden="true">×</span>
+      </button>`;
+    region.appendChild(el);
+
+    const toast = { el, options: opts, timer: 0, started: 0, remaining: opts.duration || DURATION };
+    current = toast;
+
+    el.addEventListener('click', function (e) {
+      if (e.target.closest('.toast-action')) runAction();
+      else if (e.target.closest('.toast-close')) dismiss();
+    });
+    el.addEventListener('mouseenter', () => pauseTimer(toast));
+    el.addEventListener('focusin',    () => pauseTimer(toast));
+    el.addEventListener('mouseleave', () => {
+      if (!el.contains(document.activeElement)) startTimer(toast);
+    });
+    el.addEventListener('focusout', e => {
+      if (current === toast && !el.contains(e.relatedTarget) && !el.matches(':hover')) startTimer(toast);
+    });
+
+    EP.announce(message + (opts.onAction ? shortcutHint() : ''));
+    startTimer(toast);
+    return el;
+  }
+
+  if (EP.shortcuts) {
+    EP.shortcuts.register({
+      id: SHORTCUT_ID,
+      keys: 'Alt+Z',
+      label: EP.i18n.t('toast.shortcut'),
+      run: runAction,
+    });
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.toast
+  ============================================================ */
+  EP.toast = {
+    DURATION,
+    show,
+    dismiss,
+  };
+
+})();
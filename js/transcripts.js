@@ -0,0 +1,271 @@
+/**
+ * transcripts.js
+ * Transcripciones interactivas generadas a partir de los WebVTT de los
+ * <track> de cada video o audio (WCAG 1.2.1, 1.2.2, 1.2.3).
+ * - Subtítulos y transcripción salen del mismo archivo: no se desincronizan
+ * - La frase en curso se resalta (aria-current) mientras se reproduce
+ * - Cada marca de tiempo es un botón que lleva el medio a ese punto
+ * - Búsqueda dentro de la transcripción y "Seguir la reproducción" opcional
+ *
+ * Marcado: <details class="transcript-block" data-transcript-for="id-del-medio">
+ * Sin JS, o si el .vtt no se puede cargar, queda la transcripción escrita
+ * en el HTML.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+  const esc = EP.escapeHTML;
+  const FOLLOW_KEY = 'ep_transcript_follow';
+
+  /* ============================================================
+     WEBVTT
+     Devuelve [{ start, end, speaker, text }] ordenados por inicio,
+     o null si el archivo no es WebVTT. Se ignoran NOTE, STYLE y
+     REGION; de las etiquetas solo se aprovecha la voz (<v Nombre>).
+  ============================================================ */
+  const TIMING = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})\s+-->\s+(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})/;
+
+  function seconds(h, m, s, ms) {
+    return (Number(h) || 0) * 3600 + Number(m) * 60 + Number(s) + Number(ms) / 1000;
+  }
+
+  // Texto plano de una cue: sin etiquetas y con las entidades resueltas
+  const decoder = document.createElement('textarea');
+  function plain(payload) {
+    decoder.innerHTML = payload.replace(/<[^>]*>/g, '');
+    return decoder.value.replace(/\s+/g, ' ').trim();
+  }
+
+  function parseVTT(source) {
+    const blocks = String(source).replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+    if (!/^\uFEFF?WEBVTT\b/.test(blocks[0])) return null;
+
+    const cues = [];
+    blocks.slice(1).forEach(block => {
+      const lines = block.split('\n');
+      const at = lines.findIndex(line => line.includes('-->'));
+      const m = at >= 0 && TIMING.exec(lines[at].trim());
+      if (!m) return;
+      const payload = lines.slice(at + 1).join('\n');
+      const voice = /<v(?:\.[^\s>]+)?\s+([^>]+)>/.exec(payload);
+      const text = plain(payload);
+      if (!text) return;
+      cues.push({
+        start: seconds(m[1], m[2], m[3], m[4]),
+        end: seconds(m[5], m[6], m[7], m[8]),
+        speaker: voice ? voice[1].trim() : '',
+        text,
+      });
+    });
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  function load(track) {
+    if (!track) return Promise.resolve([]);
+    return fetch(track.src)
+      .then(res => {
+        if (!res.ok) throw new Error(res.status + ' ' + track.src);
+        return res.text();
+      })
+      .then(text => parseVTT(text) || []);
+  }
+
+  /** 65.2 → "1:05"; con horas, "1:02:03". */
+  function clock(t) {
+    const s = Math.floor(t);
+    const mm = String(Math.floor(s / 60) % 60);
+    const ss = String(s % 60).padStart(2, '0');
+    return s >= 3600 ? Math.floor(s / 3600) + ':' + mm.padStart(2, '0') + ':' + ss : mm + ':' + ss;
+  }
+
+  /* ============================================================
+     BÚSQUEDA — sin distinguir mayúsculas ni tildes
+     Devuelve el HTML de `text` con las coincidencias en <mark>,
+     o null si no aparece `query`.
+  ============================================================ */
+  function mark(text, query) {
+    if (!query) return esc(text);
+    // Texto "plegado" carácter a carácter para conservar las posiciones
+    let folded = '';
+    const origin = [];
+    let offset = 0;
+    Array.from(text).forEach(ch => {
+      const f = EP.search.normalize(ch);
+      folded += f;
+      for (let k = 0; k < f.length; k++) origin.push({ from: offset, to: offset + ch.length });
+      offset += ch.length;
+    });
+
+    let html = '';
+    let last = 0;
+    let at = folded.indexOf(query);
+    if (at < 0) return null;
+    while (at >= 0) {
+      const from = origin[at].from;
+      const to = origin[at + query.length - 1].to;
+      html += esc(text.slice(last, from)) + '<mark>' + esc(text.slice(from, to)) + '</mark>';
+      last = to;
+      at = folded.indexOf(query, at + query.length);
+    }
+    return html + esc(text.slice(last));
+  }
+
+  /* ============================================================
+     TRANSCRIPCIÓN INTERACTIVA
+  ============================================================ */
+  let counter = 0;
+
+  function cueHTML(cue, i) {
+    const time = clock(cue.start);
+    const who = cue.kind === 'descriptions' ? t('transcript.description') : cue.speaker;
+    return `
+      <li class="transcript-cue${cue.kind === 'descriptions' ? ' transcript-cue-desc' : ''}" data-cue="${i}">
+        <button type="button" class="transcript-time" data-start="${cue.start}"
+          aria-label="${esc(t('transcript.playFrom', { time }))}">${time}</button>
+        <p class="transcript-text">${who ? `<span class="transcript-speaker">${esc(who)}:</span> ` : ''}<span data-cue-text${EP.i18n.dataLang()}>${esc(cue.text)}</span></p>
+      </li>`;
+  }
+
+  function build(block, media, cues) {
+    const id = 'transcript-' + (++counter);
+    const content = EP.$('.transcript-content', block);
+    // El lang="es" del HTML era para la transcripción escrita; ahora solo
+    // las frases están en español (WCAG 3.1.2)
+    content.removeAttribute('lang');
+    content.innerHTML = `
+      <div class="transcript-tools">
+        <div class="transcript-search">
+          <label for="${id}-search">${t('transcript.search')}</label>
+          <input type="search" id="${id}-search" autocomplete="off" aria-describedby="${id}-status" />
+        </div>
+        <label class="transcript-follow">
+          <input type="checkbox" data-transcript-follow /> ${t('transcript.follow')}
+        </label>
+      </div>
+      <p id="${id}-status" class="transcript-status"></p>
+      <ol class="transcript-cues" role="list" aria-label="${esc(t('transcript.cues'))}">
+        ${cues.map(cueHTML).join('')}
+      </ol>`;
+    block.dataset.transcriptReady = '';
+
+    const list = EP.$('.transcript-cues', content);
+    const items = Array.from(EP.$$('.transcript-cue', list));
+    const search = EP.$('input[type=search]', content);
+    const status = EP.$('.transcript-status', content);
+    const follow = EP.$('[data-transcript-follow]', content);
+    follow.checked = EP.storage.read(FOLLOW_KEY, false) === true;
+
+    /* --- Sincronía con la reproducción --- */
+    let currentFirst = -1;
+
+    function sync() {
+      const now = media.currentTime;
+      let first = -1;
+      cues.forEach((cue, i) => {
+        const active = cue.start <= now && now < cue.end;
+        items[i].classList.toggle('is-current', active);
+        if (active) {
+          items[i].setAttribute('aria-current', 'true');
+          if (first < 0) first = i;
+        } else {
+          items[i].removeAttribute('aria-current');
+        }
+      });
+      if (first !== currentFirst) {
+        currentFirst = first;
+        if (first >= 0 && follow.checked) scrollToCue(items[first]);
+      }
+    }
+
+    // Se desplaza la lista, no la página, para no mover al usuario
+    function scrollToCue(item) {
+      if (!block.open || item.hidden) return;
+      list.scrollTop = item.offsetTop - list.clientHeight / 3;
+    }
+
+    ['timeupdate', 'seeked', 'loadedmetadata'].forEach(type => media.addEventListener(type, sync));
+
+    list.addEventListener('click', function (e) {
+      const btn = e.target.closest('.transcript-time');
+      if (!btn) return;
+      media.currentTime = Number(btn.dataset.start);
+      sync();
+      if (media.paused) {
+        const playing = media.play();
+        if (playing) playing.catch(() => {});
+      }
+    });
+
+    follow.addEventListener('change', function () {
+      EP.storage.write(FOLLOW_KEY, follow.checked);
+      if (follow.checked && currentFirst >= 0) scrollToCue(items[currentFirst]);
+      EP.announce(t(follow.checked ? 'transcript.following' : 'transcript.notFollowing'));
+    });
+
+    /* --- Búsqueda --- */
+    let announceTimer = null;
+
+    function filter() {
+      const query = EP.search.normalize(search.value.trim());
+      let shown = 0;
+      cues.forEach((cue, i) => {
+        const html = mark(cue.text, query);
+        items[i].hidden = html === null;
+        EP.$('[data-cue-text]', items[i]).innerHTML = html === null ? esc(cue.text) : html;
+        if (html !== null) shown++;
+      });
+
+      const message = !query ? ''
+        : t(shown ? 'transcript.matches' : 'transcript.noMatches', { count: shown, query: search.value.trim() });
+      status.textContent = message;
+      clearTimeout(announceTimer);
+      // WCAG 4.1.3 — cantidad de resultados, cuando el usuario deja de escribir
+      if (message) announceTimer = setTimeout(() => EP.announce(message), 600);
+    }
+
+    search.addEventListener('input', filter);
+    search.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape' && search.value) {
+        e.stopPropagation();
+        search.value = '';
+        filter();
+      }
+    });
+
+    sync();
+  }
+
+  /* ============================================================
+     INICIALIZACIÓN
+     Subtítulos (o captions) y audiodescripción se mezclan en orden
+     de tiempo; si la audiodescripción falla, se muestra sin ella.
+  ============================================================ */
+  EP.$$('.transcript-block[data-transcript-for]').forEach(block => {
+    const media = document.getElementById(block.dataset.transcriptFor);
+    if (!media || !window.fetch) return;
+    const textTrack = EP.$('track[kind="subtitles"], track[kind="captions"]', media);
+    const descTrack = EP.$('track[kind="descriptions"]', media);
+
+    Promise.all([load(textTrack), load(descTrack).catch(() => [])])
+      .then(([text, descriptions]) => {
+        if (!text.length) return;
+        const cues = text.map(c => Object.assign({ kind: 'text' }, c))
+          .concat(descriptions.map(c => Object.assign({ kind: 'descriptions' }, c)))
+          .sort((a, b) => a.start - b.start);
+        build(block, media, cues);
+      })
+      .catch(() => {});
+  });
+
+  /* ============================================================
+     API PÚBLICA — EP.transcripts
+  ============================================================ */
+  EP.transcripts = {
+    parseVTT,
+    clock,
+  };
+
+})();
@@ -0,0 +1,218 @@
+/**
+ * units.js
+ * Notación de ingeniería para buscar y filtrar por valor.
+ * - Prefijos SI: p n u/µ m k M G ("100uF", "4.7kΩ", "220mA")
+ * - Códigos de resistencias: 4k7 = 4,7 kΩ · 2M2 = 2,2 MΩ · 4R7 = 4,7 Ω
+ * - Prefijo sin unidad ("4.7k", "2.2M", "10 k", "100n"): la magnitud es
+ *   la pedida; sin ella, k/M/G se entienden como resistencia y p/n/u
+ *   como capacitancia
+ * - Fracciones de vatio: "1/4W" = 0.25 W
+ * - Números del catálogo con separador de miles ("1.000.000") y rangos
+ *   ("10 — 1.000.000", "3.3 — 24")
+ *
+ * Las especificaciones de cada producto ({ param, value, unit }) se
+ * convierten en magnitudes { dim, min, max } en unidades base.
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const t = EP.i18n.t;
+
+  // Magnitudes que se pueden buscar; `prefixes` son los usados al mostrar
+  const DIMENSIONS = {
+    resistance:  { label: t('units.resistance'),  symbol: 'Ω', prefixes: ['', 'k', 'M'] },
+    capacitance: { label: t('units.capacitance'), symbol: 'F', prefixes: ['p', 'n', 'µ'] },
+    voltage:     { label: t('units.voltage'),     symbol: 'V', prefixes: ['m', '', 'k'] },
+    power:       { label: t('units.power'),       symbol: 'W', prefixes: ['', 'k'] },
+    current:     { label: t('units.current'),     symbol: 'A', prefixes: ['m', ''] },
+  };
+
+  const PREFIXES = { p: 1e-12, n: 1e-9, u: 1e-6, 'µ': 1e-6, 'μ': 1e-6, m: 1e-3, '': 1, k: 1e3, K: 1e3, M: 1e6, G: 1e9 };
+
+  // Símbolo de unidad (en minúsculas) → magnitud
+  const SYMBOLS = {
+    'ω': 'resistance', 'Ω': 'resistance', ohm: 'resistance', ohms: 'resistance', ohmios: 'resistance',
+    f: 'capacitance',
+    v: 'voltage', vac: 'voltage', vdc: 'voltage',
+    w: 'power',
+    a: 'current',
+  };
+
+  // Tolerancia relativa al comparar valores (errores de coma flotante)
+  const EPSILON = 1e-9;
+
+  /* ============================================================
+     NÚMEROS
+     "1.000.000" → 1000000 (miles, como en el catálogo), "0.25" y
+     "3.3" → decimales, "4,7" → 4.7, "1/4" → 0.25
+  ============================================================ */
+  function parseNumber(str) {
+    let s = String(str == null ? '' : str).trim().replace(/[−–]/g, '-').replace(/^\+/, '');
+    const fraction = /^(\d+)\/(\d+)$/.exec(s);
+    if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+    if (/^-?[1-9]\d{0,2}(\.\d{3})+$/.test(s)) s = s.replace(/\./g, '');
+    s = s.replace(',', '.');
+    return /^-?(\d+(\.\d*)?|\.\d+)$/.test(s) ? Number(s) : null;
+  }
+
+  /** "V AC" → { dim: 'voltage', factor: 1 } · "µF" → capacitancia · "mm" → null */
+  function parseUnit(unit) {
+    const m = /^([pnuµμmkKMG]?)\s*(Ω|ω|ohm(?:s|ios)?|F|V(?:\s*(?:AC|DC))?|W|A)$/i.exec(String(unit || '').trim());
+    if (!m || !(m[1] in PREFIXES)) return null;
+    const dim = SYMBOLS[m[2].toLowerCase().replace(/\s+/g, '')];
+    return dim ? { dim, factor: PREFIXES[m[1]] } : null;
+  }
+
+  /* ============================================================
+     VALORES ESCRITOS POR EL USUARIO
+  ============================================================ */
+  // Código de resistencia: la letra hace de coma decimal (4k7, 2M2, 4R7, 10k)
+  const RESISTOR_CODE = /^(\d+)([rRkKM])(\d*)\s*(?:Ω|ω|ohm(?:s|ios)?)?$/;
+  const WITH_UNIT = /^(\d+\/\d+|\d+(?:[.,]\d+)*)\s*(\S.*)$/;
+  // Número con prefijo SI y sin unidad (4.7k, 1,5k, 2.2M, 10 k, 100n)
+  const WITH_PREFIX = /^(\d+(?:[.,]\d+)?)\s*([pnuµμmkKMG])$/;
+  const PREFIX_DIMS = {
+    p: 'capacitance', n: 'capacitance', u: 'capacitance', 'µ': 'capacitance', 'μ': 'capacitance',
+    k: 'resistance', K: 'resistance', M: 'resistance', G: 'resistance',
+  };
+
+  /**
+   * Interpreta un valor ("4k7", "4.7k", "100uF", "1/4W", "25 V").
+   * Con `dim`, acepta también números sin unidad, da esa magnitud a un
+   * prefijo suelto ("4.7k") y la exige.
+   * Devuelve { value, dim } en unidades base, o null.
+   */
+  function parse(text, dim) {
+    const s = String(text == null ? '' : text).trim();
+    if (!s) return null;
+    let result = null;
+
+    const prefixed = WITH_PREFIX.exec(s);
+    const code = RESISTOR_CODE.exec(s);
+    if (prefixed) {
+      const n = parseNumber(prefixed[1]);
+      const prefixDim = dim || PREFIX_DIMS[prefixed[2]];
+      if (n !== null && prefixDim) result = { value: n * PREFIXES[prefixed[2]], dim: prefixDim };
+    } else if (code) {
+      const prefix = code[2].toUpperCase() === 'R' ? '' : code[2];
+      result = { value: Number(code[1] + '.' + (code[3] || '0')) * PREFIXES[prefix], dim: 'resistance' };
+    } else {
+      const m = WITH_UNIT.exec(s);
+      const unit = m && parseUnit(m[2]);
+      if (unit) {
+        const n = parseNumber(m[1]);
+        if (n !== null) result = { value: n * unit.factor, dim: unit.dim };
+      } else if (dim) {
+        const n = parseNumber(s);
+        if (n !== null) result = { value: n, dim };
+      }
+    }
+
+    if (!result || (dim && result.dim !== dim) || !(result.value > 0)) return null;
+    return result;
+  }
+
+  /**
+   * Separa una consulta en magnitudes y texto libre:
+   * "10k 1/4W" → 2 magnitudes · "220V/12V 1A" → 3 · "arduino 5V" → 1 + "arduino".
+   * Devuelve { quantities: [{ value, dim, text }], text }.
+   */
+  function extract(query) {
+    const words = String(query == null ? '' : query).trim().split(/\s+/).filter(Boolean);
+    const quantities = [];
+    const rest = [];
+
+    for (let i = 0; i < words.length; i++) {
+      let word = words[i];
+      // "100 uF", "10 k": número y unidad (o prefijo) separados por un espacio
+      const next = words[i + 1];
+      if (/^[\d.,/]+$/.test(word) && next && (parseUnit(next) || /^[pnuµμmkKMG]$/.test(next))) {
+        const joined = parse(word + words[i + 1]);
+        if (joined) {
+          quantities.push(Object.assign({ text: word + ' ' + words[++i] }, joined));
+          continue;
+        }
+      }
+      const whole = parse(word);
+      if (whole) { quantities.push(Object.assign({ text: word }, whole)); continue; }
+
+      // "220V/12V": varias magnitudes unidas con barra
+      const parts = word.split('/');
+      const parsed = parts.map(part => parse(part));
+      if (parts.length > 1 && parsed.every(Boolean)) {
+        parsed.forEach((q, n) => quantities.push(Object.assign({ text: parts[n] }, q)));
+      } else {
+        rest.push(word);
+      }
+    }
+    return { quantities, text: rest.join(' ') };
+  }
+
+  /* ============================================================
+     ESPECIFICACIONES DEL CATÁLOGO
+  ============================================================ */
+  /** "10 — 1.000.000" → { min: 10, max: 1000000 } · "Lineal (B)" → null */
+  function parseRange(value) {
+    const parts = String(value == null ? '' : value).split(/\s+(?:—|–|-|a)\s+/);
+    if (parts.length > 2) return null;
+    const nums = parts.map(parseNumber);
+    if (nums.some(n => n === null)) return null;
+    return { min: Math.min.apply(null, nums), max: Math.max.apply(null, nums) };
+  }
+
+  const cache = new Map();
+
+  /** Magnitudes declaradas en las especificaciones: [{ dim, min, max, param }]. */
+  function quantitiesOf(product) {
+    let list = cache.get(product.id);
+    if (!list) {
+      list = [];
+      (product.specs || []).forEach(spec => {
+        const unit = parseUnit(spec.unit);
+        const range = unit && parseRange(spec.value);
+        if (!range) return;
+        list.push({ dim: unit.dim, min: range.min * unit.factor, max: range.max * unit.factor, param: spec.param });
+      });
+      cache.set(product.id, list);
+    }
+    return list;
+  }
+
+  /** true si alguna especificación del producto tiene (o cubre) ese valor. */
+  function matches(product, quantity) {
+    return quantitiesOf(product).some(q =>
+      q.dim === quantity.dim &&
+      quantity.value >= q.min * (1 - EPSILON) &&
+      quantity.value <= q.max * (1 + EPSILON));
+  }
+
+  /* ============================================================
+     FORMATO — 4700 → "4.7 kΩ", 0.0001 → "100 µF"
+  ============================================================ */
+  function format(value, dim) {
+    const info = DIMENSIONS[dim];
+    if (!info) return String(value);
+    let prefix = info.prefixes[0];
+    info.prefixes.forEach(p => { if (value >= PREFIXES[p] * (1 - EPSILON)) prefix = p; });
+    const n = Number((value / PREFIXES[prefix]).toPrecision(3));
+    return n + ' ' + prefix + info.symbol;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.units
+  ============================================================ */
+  EP.units = {
+    DIMENSIONS,
+    parseNumber,
+    parseUnit,
+    parseRange,
+    parse,
+    extract,
+    quantitiesOf,
+    matches,
+    format,
+  };
+
+})();
@@ -0,0 +1,275 @@
+/**
+ * wishlist.js
+ * Listas de deseos con nombre ("Proyecto robot", "Lab universidad"...),
+ * compartidas por todas las páginas.
+ * - Guarda las listas en localStorage (clave `ep_wishlist`)
+ * - Una lista es la activa: ahí guardan los botones «Guardar» de las
+ *   tarjetas y del detalle (aria-pressed) y «Guardar para después» del carrito
+ * - Mantiene actualizados `.wishlist-count` y el aria-label de `.btn-wishlist`
+ * - Se sincroniza entre pestañas abiertas mediante el evento `storage`
+ */
+
+(function () {
+  'use strict';
+
+  const EP = window.EP;
+  const catalog = EP.catalog;
+  const t = EP.i18n.t;
+  const STORAGE_KEY = 'ep_wishlist';
+  const DEFAULT_NAME = t('wishlist.defaultName');
+  const MAX_NAME = 40;
+  const MAX_LISTS = 10;
+  // Mismo tope por artículo que el carrito; el stock se aplica al moverlo
+  const MAX_QTY = 100;
+
+  /* ============================================================
+     ESTADO
+     { active, lists: [{ id, name, items: [{ id, qty }] }] }
+     Siempre hay al menos una lista.
+  ============================================================ */
+  let state = load();
+  const listeners = [];
+
+  function defaultState() {
+    return { active: 'default', lists: [{ id: 'default', name: DEFAULT_NAME, items: [] }] };
+  }
+
+  function load() {
+    const data = EP.storage.read(STORAGE_KEY, null);
+    if (!data || !Array.isArray(data.lists)) return defaultState();
+    const lists = data.lists
+      .filter(l => l && l.id != null && typeof l.name === 'string' && l.name.trim())
+      .map(l => ({
+        id: String(l.id),
+        name: l.name.trim().slice(0, MAX_NAME),
+        items: (Array.isArray(l.items) ? l.items : [])
+          .filter((i, k, all) => i && catalog.get(i.id) && all.findIndex(o => String(o.id) === String(i.id)) === k)
+          .map(i => ({ id: String(i.id), qty: clampQty(i.qty) })),
+      }));
+    if (!lists.length) return defaultState();
+    const active = lists.some(l => l.id === String(data.active)) ? String(data.active) : lists[0].id;
+    return { active, lists };
+  }
+
+  function clampQty(q) {
+    return Math.max(1, Math.min(MAX_QTY, parseInt(q, 10) || 1));
+  }
+
+  function emit() {
+    const snapshot = copy();
+    listeners.forEach(fn => fn(snapshot));
+  }
+
+  function commit() {
+    EP.storage.write(STORAGE_KEY, state);
+    emit();
+  }
+
+  function copy() {
+    return {
+      active: state.active,
+      lists: state.lists.map(l => ({ id: l.id, name: l.name, items: l.items.map(i => Object.assign({}, i)) })),
+    };
+  }
+
+  function findList(listId) {
+    const id = listId == null ? state.active : String(listId);
+    return state.lists.find(l => l.id === id) || null;
+  }
+
+  function findItem(list, productId) {
+    return list ? list.items.find(i => i.id === String(productId)) : null;
+  }
+
+  /**
+   * Valida un nombre de lista. Devuelve el nombre limpio o
+   * { error } con el motivo (WCAG 3.3.1).
+   */
+  function checkName(name, exceptId) {
+    const clean = String(name == null ? '' : name).replace(/\s+/g, ' ').trim();
+    if (!clean) return { error: t('wishlist.error.empty') };
+    if (clean.length > MAX_NAME) return { error: t('wishlist.error.long', { count: MAX_NAME }) };
+    const taken = state.lists.some(l => l.id !== exceptId && l.name.toLowerCase() === clean.toLowerCase());
+    if (taken) return { error: t('wishlist.error.taken', { name: clean }) };
+    return clean;
+  }
+
+  /* ============================================================
+     API PÚBLICA — EP.wishlist
+  ============================================================ */
+  const wishlist = {
+    STORAGE_KEY,
+    MAX_NAME,
+    MAX_LISTS,
+    checkName,
+
+    lists() {
+      return copy().lists;
+    },
+
+    /** Lista por id (por defecto, la activa). */
+    list(listId) {
+      const list = findList(listId);
+      return list ? copy().lists.find(l => l.id === list.id) : null;
+    },
+
+    active() {
+      return wishlist.list();
+    },
+
+    setActive(listId) {
+      if (!findList(listId) || state.active === String(listId)) return;
+      state.active = String(listId);
+      commit();
+    },
+
+    has(productId, listId) {
+      return !!findItem(findList(listId), productId);
+    },
+
+    get(productId, listId) {
+      const item = findItem(findList(listId), productId);
+      return item ? Object.assign({}, item) : null;
+    },
+
+    /**
+     * Guarda un producto. options: { list, qty, index }.
+     * Si ya estaba, suma la cantidad. Devuelve { ok } o
+     * { ok: false, reason: 'unknown' }.
+     */
+    add(productId, options) {
+      const o = options || {};
+      const list = findList(o.list);
+      if (!list || !catalog.get(productId)) return { ok: false, reason: 'unknown' };
+      const existing = findItem(list, productId);
+      if (existing) {
+        existing.qty = clampQty(existing.qty + (o.qty || 1));
+      } else {
+        const item = { id: String(productId), qty: clampQty(o.qty) };
+        const at = o.index == null ? list.items.length : Math.min(o.index, list.items.length);
+        list.items.splice(at, 0, item);
+      }
+      commit();
+      return { ok: true };
+    },
+
+    /**
+     * Quita un producto. options: { list, qty }; con `qty` solo se
+     * descuentan esas unidades. Devuelve { item, index } o null.
+     */
+    remove(productId, options) {
+      const o = options || {};
+      const list = findList(o.list);
+      const item = findItem(list, productId);
+      if (!item) return null;
+      const index = list.items.indexOf(item);
+      if (o.qty && o.qty < item.qty) item.qty -= o.qty;
+      else list.items.splice(index, 1);
+      commit();
+      return { item: Object.assign({}, item), index };
+    },
+
+    /** Crea una lista: { ok, list } o { ok: false, error }. */
+    createList(name) {
+      const clean = checkName(name);
+      if (clean.error) return { ok: false, error: clean.error };
+      if (state.lists.length >= MAX_LISTS) {
+        return { ok: false, error: t('wishlist.error.tooMany', { count: MAX_LISTS }) };
+      }
+      const list = { id: 'l' + Date.now().toString(36) + state.lists.length, name: clean, items: [] };
+      state.lists.push(list);
+      commit();
+      return { ok: true, list: wishlist.list(list.id) };
+    },
+
+    /** Cambia el nombre: { ok } o { ok: false, error }. */
+    renameList(listId, name) {
+      const list = findList(listId);
+      if (!list) return { ok: false, error: t('wishlist.error.gone') };
+      const clean = checkName(name, list.id);
+      if (clean.error) return { ok: false, error: clean.error };
+      list.name = clean;
+      commit();
+      return { ok: true };
+    },
+
+    /**
+     * Elimina una lista y sus productos; la última no se puede
+     * eliminar. Si era la activa, pasa a serlo la primera.
+     */
+    deleteList(listId) {
+      const list = findList(listId);
+      if (!list || state.lists.length === 1) return false;
+      state.lists = state.lists.filter(l => l !== list);
+      if (state.active === list.id) state.active = state.lists[0].id;
+      commit();
+      return true;
+    },
+
+    /** Productos de la lista activa. */
+    count() {
+      return findList().items.length;
+    },
+
+    /** Suscribe `fn(state)`; devuelve la función para desuscribirse. */
+    subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        const idx = listeners.indexOf(fn);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    },
+  };
+
+  EP.wishlist = wishlist;
+
+  window.addEventListener('storage', function (e) {
+    if (e.key !== STORAGE_KEY && e.key !== null) return;
+    state = load();
+    emit();
+  });
+
+  /* ============================================================
+     WCAG 4.1.3 + 1.3.1 — Contador del encabezado
+  ============================================================ */
+  function renderCount() {
+    const n = wishlist.count();
+    const name = findList().name;
+    EP.$$('.wishlist-count').forEach(el => { el.textContent = n; });
+    EP.$$('.btn-wishlist').forEach(link => {
+      link.setAttribute('aria-label', t('wishlist.label', { name, count: n }));
+    });
+  }
+
+  /* ============================================================
+     Botones «Guardar» (delegado: también sirve para tarjetas
+     generadas dinámicamente)
+  ============================================================ */
+  function syncButtons() {
+    EP.$$('.btn-save[data-save-id]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(wishlist.has(btn.dataset.saveId)));
+    });
+  }
+
+  document.addEventListener('click', function (e) {
+    const btn = e.target.closest('.btn-save[data-save-id]');
+    if (!btn) return;
+    const product = catalog.get(btn.dataset.saveId);
+    if (!product) return;
+    const listName = findList().name;
+
+    // WCAG 4.1.3: notificar al usuario vía aria-live
+    if (wishlist.has(product.id)) {
+      wishlist.remove(product.id);
+      EP.announce(t('wishlist.removed', { name: product.name, list: listName }));
+      return;
+    }
+    wishlist.add(product.id);
+    EP.announce(t('wishlist.saved', { name: product.name, list: listName }));
+  });
+
+  wishlist.subscribe(renderCount);
+  wishlist.subscribe(syncButtons);
+  renderCount();
+
+})();
@@ -0,0 +1,159 @@
+/**
+ * sw.js
+ * Service worker: la tienda sigue disponible sin conexión.
+ * - Al instalarse guarda las páginas, css/*, js/*, las imágenes de los
+ *   productos y los iconos (PRECACHE)
+ * - Páginas: primero la red, para ver siempre la última versión; sin
+ *   conexión, la copia guardada (sin la query: ?id=, ?numero=... se
+ *   resuelven en el navegador)
+ * - Resto de archivos, incluido el catálogo (js/catalog.js): se sirve
+ *   la copia guardada y se actualiza en segundo plano
+ *   (stale-while-revalidate)
+ * Al cambiar la lista o los archivos hay que subir VERSION para que
+ * se descarte la caché anterior.
+ */
+
+'use strict';
+
+const VERSION = 'electroparts-v2';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+
+  'pages/calculadoras.html',
+  'pages/carrito.html',
+  'pages/checkout.html',
+  'pages/comparar.html',
+  'pages/detalle-producto.html',
+  'pages/lista-deseos.html',
+  'pages/mis-pedidos.html',
+  'pages/pedido.html',
+  'pages/productos.html',
+
+  'css/reset.css',
+  'css/variables.css',
+  'css/base.css',
+  'css/layout.css',
+  'css/components.css',
+  'css/accessibility.css',
+  'css/responsive.css',
+
+  'js/core.js',
+  'js/messages.js',
+  'js/i18n.js',
+  'js/offline.js',
+  'js/catalog.js',
+  'js/units.js',
+  'js/reviews.js',
+  'js/compare.js',
+  'js/wishlist.js',
+  'js/product-cards.js',
+  'js/cart.js',
+  'js/search.js',
+  'js/dialog.js',
+  'js/shortcuts.js',
+  'js/accessibility.js',
+  'js/transcripts.js',
+  'js/toast.js',
+  'js/coupons.js',
+  'js/pricing.js',
+  'js/locations.js',
+  'js/payments.js',
+  'js/orders.js',
+  'js/bom.js',
+  'js/filters.js',
+  'js/resistors.js',
+  'js/productos.js',
+  'js/detalle.js',
+  'js/carrito.js',
+  'js/checkout.js',
+  'js/comparar.js',
+  'js/calculadoras.js',
+  'js/lista-deseos.js',
+  'js/pedido.js',
+  'js/mis-pedidos.js',
+
+  'assets/icons/favicon.svg',
+  'assets/icons/logo.svg',
+  'assets/icons/logo-white.svg',
+  'assets/images/arduino-uno.jpg',
+  'assets/images/capacitor-electrolitico.jpg',
+  'assets/images/kit-diodos.jpg',
+  'assets/images/kit-transistores.jpg',
+  'assets/images/ldr.jpg',
+  'assets/images/potenciometro.jpg',
+  'assets/images/resistencia-carbon.jpg',
+  'assets/images/resistencia-carbon-2.jpg',
+  'assets/images/resistencia-carbon-3.jpg',
+  'assets/images/resistencia-carbon-detalle.jpg',
+  'assets/images/resistencia-metal.jpg',
+  'assets/images/resistencia-potencia.jpg',
+  'assets/images/resistencia-smd.jpg',
+  'assets/images/transformador-220.jpg',
+  'assets/images/video-poster.jpg',
+  'assets/video/subtitulos-es.vtt',
+  'assets/audio/podcast-ep1.vtt',
+];
+
+/* ============================================================
+   INSTALACIÓN Y ACTIVACIÓN
+============================================================ */
+self.addEventListener('install', function (e) {
+  e.waitUntil(
+    caches.open(VERSION)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', function (e) {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* ============================================================
+   ESTRATEGIAS
+============================================================ */
+function store(request, response) {
+  if (response && response.ok && response.type === 'basic') {
+    const copy = response.clone();
+    caches.open(VERSION).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+function networkFirst(request) {
+  return fetch(request)
+    .then(response => store(request, response))
+    .catch(() => caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || caches.match('index.html')));
+}
+
+function staleWhileRevalidate(request, event) {
+  return caches.match(request).then(cached => {
+    const update = fetch(request).then(response => store(request, response));
+    if (!cached) return update;
+    // La actualización sigue aunque ya se respondió con la copia
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  });
+}
+
+self.addEventListener('fetch', function (e) {
+  const request = e.request;
+  const url = new URL(request.url);
+  // Solo GET del mismo origen; el vídeo y el audio piden rangos (Range)
+  // que la caché no sabe responder
+  if (request.method !== 'GET' || url.origin !== self.location.origin || request.headers.has('range')) return;
+
+  if (request.mode === 'navigate') {
+    e.respondWith(networkFirst(request));
+  } else {
+    e.respondWith(staleWhileRevalidate(request, e));
+  }
+});